@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Local-chain smoke test for BlockchainExecutor stake escrow.
+ *
+ * Runs executeStake → settleStake (and a retry) against a local Anvil/Hardhat node with a
+ * mock cUSD token, using the node's default dev accounts:
+ *   account #0 = vault (executor signer, token holder)
+ *   account #1 = staker
+ *   account #2 = forfeiture destination
+ *
+ * Usage:
+ *   anvil &
+ *   forge create MockCUSD ...   # any ERC-20 minted to account #0
+ *   MOCK_CUSD_ADDRESS=0x... node scripts/smoke-executor-local.js
+ */
+
+const { ethers } = require('ethers');
+const BlockchainExecutor = require('../src/blockchain/executor');
+
+const RPC = process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545';
+const CHAIN_ID = Number(process.env.LOCAL_CHAIN_ID || 31337);
+const TOKEN = process.env.MOCK_CUSD_ADDRESS;
+
+// Anvil / Hardhat default dev keys (public test mnemonic — never use on mainnet)
+const VAULT_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const STAKER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const FORFEIT_ADDRESS = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+async function run() {
+  if (!TOKEN) {
+    console.error('MOCK_CUSD_ADDRESS is required');
+    process.exit(1);
+  }
+
+  console.log('\n🧪 Stake escrow smoke test (local chain)\n');
+
+  const provider = new ethers.JsonRpcProvider(RPC, CHAIN_ID);
+  const vault = new ethers.Wallet(VAULT_KEY, provider);
+  const staker = new ethers.Wallet(STAKER_KEY, provider);
+  const erc20 = ['function transfer(address,uint256) returns (bool)', 'function balanceOf(address) view returns (uint256)'];
+
+  // Fund the staker with 10 mock cUSD
+  const tokenAsVault = new ethers.Contract(TOKEN, erc20, vault);
+  await (await tokenAsVault.transfer(staker.address, ethers.parseUnits('10', 18))).wait();
+
+  // Staker pays a 3 cUSD stake into the vault
+  const tokenAsStaker = new ethers.Contract(TOKEN, erc20, staker);
+  const payment = await (await tokenAsStaker.transfer(vault.address, ethers.parseUnits('3', 18))).wait();
+  console.log('Stake payment tx:', payment.hash);
+
+  const executor = new BlockchainExecutor(RPC, VAULT_KEY, {
+    chainId: CHAIN_ID,
+    tokenAddress: TOKEN,
+    forfeitAddress: FORFEIT_ADDRESS
+  });
+  if (!(await executor.initialize())) throw new Error('Executor failed to initialize');
+
+  const lock = await executor.executeStake({ telegramId: 99999, txHash: payment.hash, amount: 3 });
+  console.log('Lock:', lock);
+  if (lock.from.toLowerCase() !== staker.address.toLowerCase()) throw new Error('Lock payer mismatch');
+
+  // 2 of 3 missions complete → 2 cUSD released, 1 cUSD forfeited
+  const amounts = executor.settlementAmounts(lock, { completed: 2, total: 3 });
+  const claim = { ...lock, status: 'settling', ...amounts, releaseTxHash: null, forfeitTxHash: null };
+  const stakerBefore = await executor.getCUSDBalance(staker.address);
+  const forfeitBefore = await executor.getCUSDBalance(FORFEIT_ADDRESS);
+
+  const settlement = await executor.settleStake(claim, {
+    onTransfer: async (kind, txHash) => { claim[`${kind}TxHash`] = txHash; }
+  });
+  console.log('Settlement:', settlement);
+  if (settlement.status !== 'partially_released') throw new Error('Unexpected settlement status');
+
+  // A retry with the recorded hashes must not send anything again
+  await executor.settleStake(claim, {
+    onTransfer: async (kind) => { throw new Error(`Retry re-sent the ${kind} transfer`); }
+  });
+
+  const stakerGain = Number(await executor.getCUSDBalance(staker.address)) - Number(stakerBefore);
+  const forfeitGain = Number(await executor.getCUSDBalance(FORFEIT_ADDRESS)) - Number(forfeitBefore);
+  console.log(`Staker received: ${stakerGain} | Forfeit received: ${forfeitGain}`);
+  if (Math.abs(stakerGain - 2) > 1e-6 || Math.abs(forfeitGain - 1) > 1e-6) throw new Error('Unexpected settlement balances');
+  console.log('\n✅ Stake escrow smoke test passed.\n');
+}
+
+run().catch(err => {
+  console.error('❌ Stake escrow smoke test failed:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Scoring Engine Smoke Test
+ * Runs fixture histories through src/services/scoring.js — no DB, no network.
+ *
+ * Usage: node scripts/smoke-scoring.js
+ */
+
+const assert = require('assert');
+const { computeDisciplineScore, formatScoreReport, describeModels } = require('../src/services/scoring');
+
+const days = n => Array.from({ length: n }, (_, i) => `2026-03-${String(20 - i).padStart(2, '0')}`);
+
+const FIXTURES = [
+  {
+    name: 'v1: new user (no logs)',
+    model: '1',
+    history: {},
+    expect: { gritScore: 24, streak: 0, emotionalStability: 50, status: 'Warning', avgMorningEnergy: 3, avgSunsetMood: 3 }
+  },
+  {
+    name: 'v1: elite week',
+    model: '1',
+    history: {
+      summaries: days(7).map(date => ({ date, morning_energy: 5 })),
+      reflections: days(5).map(date => ({ date, sunset_mood: 4, wins: 2 })),
+      totalStaked: 25
+    },
+    expect: { gritScore: 100, streak: 5, emotionalStability: 100, status: 'Elite', components: { energy: 40, stake: 40, streak: 20 } }
+  },
+  {
+    name: 'v1: streak broken by a winless day',
+    model: '1',
+    history: {
+      summaries: days(3).map(date => ({ date, morning_energy: 3 })),
+      reflections: [
+        { date: '2026-03-20', sunset_mood: 5, wins: 1 },
+        { date: '2026-03-19', sunset_mood: 1, wins: 0 },
+        { date: '2026-03-18', sunset_mood: 5, wins: 3 }
+      ],
+      totalStaked: 5
+    },
+    expect: { gritScore: 39, streak: 1, emotionalStability: 6, status: 'Warning', avgSunsetMood: 3.7 }
+  },
+  {
+    name: 'v1: missing energy ratings are ignored, not counted as zero',
+    model: '1',
+    history: { summaries: [{ date: '2026-03-20', morning_energy: 4 }, { date: '2026-03-19', morning_energy: null }] },
+    expect: { avgMorningEnergy: 4, components: { energy: 32, stake: 0, streak: 0 } }
+  },
+  {
+    name: 'v2: new user (no logs)',
+    history: {},
+    expect: {
+      modelVersion: '2', gritScore: 17, status: 'Warning', completionRate: null,
+      window: { from: null, to: null, days: 14 },
+      components: { completion: 0, energy: 12, consistency: 0, mood_delta: 5, streak: 0, stake: 0 }
+    }
+  },
+  {
+    name: 'v2: full fortnight',
+    history: {
+      summaries: days(14).map(date => ({ date, morning_energy: 5 })),
+      reflections: days(14).map((date, i) => ({ date, sunset_mood: i < 7 ? 5 : 3, wins: 2 })),
+      audits: days(14).map(date => ({ date, completed: 3, total: 3 })),
+      totalStaked: 50,
+      asOf: '2026-03-20'
+    },
+    expect: {
+      gritScore: 100, status: 'Elite', completionRate: 1,
+      window: { from: '2026-03-07', to: '2026-03-20', days: 14 },
+      components: { completion: 30, energy: 20, consistency: 20, mood_delta: 10, streak: 10, stake: 10 }
+    }
+  },
+  {
+    name: 'v2: staking alone stays in Warning',
+    history: { totalStaked: 10000, asOf: '2026-03-20' },
+    expect: { gritScore: 27, status: 'Warning', components: { completion: 0, energy: 12, consistency: 0, mood_delta: 5, streak: 0, stake: 10 } }
+  },
+  {
+    name: 'v2: logs outside the window are ignored',
+    history: {
+      audits: [{ date: '2026-03-20', completed: 1, total: 4 }, { date: '2026-02-01', completed: 5, total: 5 }],
+      reflections: [{ date: '2026-03-19', sunset_mood: 2, wins: 0 }, { date: '2026-03-10', sunset_mood: 4, wins: 1 }],
+      asOf: '2026-03-20'
+    },
+    expect: { completionRate: 0.25, streak: 0, components: { completion: 7.5, energy: 12, consistency: 4.3, mood_delta: 0, streak: 0, stake: 0 } }
+  }
+];
+
+let failed = 0;
+console.log('\n🧪 Scoring Engine Smoke Test\n');
+
+for (const fixture of FIXTURES) {
+  try {
+    const opts = fixture.model ? { version: fixture.model } : {};
+    const score = computeDisciplineScore(fixture.history, opts);
+    for (const [key, value] of Object.entries(fixture.expect)) {
+      assert.deepStrictEqual(score[key], value, `${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(score[key])}`);
+    }
+
+    // Deterministic and independent of input order
+    const shuffled = {
+      ...fixture.history,
+      summaries: [...(fixture.history.summaries || [])].reverse(),
+      reflections: [...(fixture.history.reflections || [])].reverse(),
+      audits: [...(fixture.history.audits || [])].reverse()
+    };
+    assert.deepStrictEqual(computeDisciplineScore(shuffled, opts), score, 'result depends on input order');
+
+    // Explainable: the reported factors add up to the score
+    const total = score.factors.reduce((sum, f) => sum + f.contribution, 0);
+    assert.ok(Math.abs(total - score.gritScore) <= 1, `factors sum to ${total}, score is ${score.gritScore}`);
+    const report = formatScoreReport(1, score);
+    assert.strictEqual(report.grit_score, score.gritScore);
+    assert.strictEqual(report.model_version, fixture.model || describeModels().current);
+
+    console.log(`  ✓ ${fixture.name}`);
+  } catch (err) {
+    console.error(`  ✗ ${fixture.name}: ${err.message}`);
+    failed++;
+  }
+}
+
+console.log(`\n${FIXTURES.length - failed} passed, ${failed} failed\n`);
+process.exit(failed ? 1 : 0);
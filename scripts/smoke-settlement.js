@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Stake Settlement Smoke Test
+ * Runs BlockchainExecutor.settleStake against an in-memory token and chain: the audit split,
+ * the claim guard, and retries after a crash (a confirmed leg is never sent twice, a reverted
+ * one is sent again, a pending one stops the retry) — no RPC, no Supabase.
+ * The same flow against a real local chain is scripts/smoke-executor-local.js.
+ *
+ * Usage: node scripts/smoke-settlement.js
+ */
+
+const { ethers } = require('ethers');
+const BlockchainExecutor = require('../src/blockchain/executor');
+
+const STAKER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const FORFEIT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const unit = (n) => ethers.parseUnits(String(n), 18);
+
+/**
+ * ERC-20 transfers and their receipts, with failures scripted per call
+ */
+class MemoryChain {
+  constructor() {
+    this.balances = new Map();
+    this.receipts = new Map(); // hash → { status, hash }
+    this.pending = new Set();
+    this.sent = 0;
+    this.failNext = null; // 'revert' | 'pending'
+  }
+
+  balanceOf(address) {
+    return this.balances.get(address.toLowerCase()) || 0n;
+  }
+
+  // Stands in for executor.token
+  async transfer(to, amountWei) {
+    this.sent += 1;
+    const hash = ethers.id(`tx-${this.sent}`);
+    const mode = this.failNext;
+    this.failNext = null;
+    return {
+      hash,
+      wait: async () => {
+        if (mode === 'pending') {
+          this.pending.add(hash);
+          throw new Error('timeout');
+        }
+        if (mode === 'revert') {
+          this.receipts.set(hash, { status: 0, hash });
+          throw new Error('transaction execution reverted');
+        }
+        this.balances.set(to.toLowerCase(), this.balanceOf(to) + amountWei);
+        this.receipts.set(hash, { status: 1, hash });
+        return { status: 1, hash };
+      }
+    };
+  }
+
+  // Stands in for executor.provider
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null;
+  }
+
+  async getTransaction(hash) {
+    return this.pending.has(hash) ? { hash } : null;
+  }
+}
+
+function executorOn(chain) {
+  const executor = new BlockchainExecutor('http://127.0.0.1:0', ethers.Wallet.createRandom().privateKey, { forfeitAddress: FORFEIT });
+  executor.token = chain;
+  executor.provider = chain;
+  return executor;
+}
+
+// What Database.claimStakeSettlement returns, with the hashes recorded by onTransfer
+function claimFor(executor, amount, audit) {
+  const { released, forfeited } = executor.settlementAmounts({ amount }, audit);
+  return { status: 'settling', amount, from: STAKER, txHash: '0xstake', released, forfeited, releaseTxHash: null, forfeitTxHash: null };
+}
+
+const recordOn = (claim) => async (kind, txHash) => { claim[`${kind}TxHash`] = txHash; };
+
+async function runTests() {
+  console.log('\n🧪 Stake Settlement Smoke Test\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (name, ok, detail) => {
+    if (ok) {
+      console.log(`  ✓ ${name}`);
+      passed++;
+    } else {
+      console.error(`  ✗ ${name}`, detail !== undefined ? detail : '');
+      failed++;
+    }
+  };
+
+  try {
+    const executor = executorOn(new MemoryChain());
+
+    // The split is truncated to 6 decimals and always adds up to the stake
+    const thirds = executor.settlementAmounts({ amount: 1 }, { completed: 2, total: 3 });
+    check('2 of 3 missions releases 0.666666', thirds.released === 0.666666 && thirds.forfeited === 0.333334, thirds);
+    const overReported = executor.settlementAmounts({ amount: 0.5 }, { completed: 5, total: 3 });
+    check('completed is capped at total', overReported.released === 0.5 && overReported.forfeited === 0, overReported);
+    const noMissions = executor.settlementAmounts({ amount: 0.5 }, { completed: 0, total: 0 });
+    check('no missions forfeits the whole stake', noMissions.released === 0 && noMissions.forfeited === 0.5, noMissions);
+
+    let rejected = null;
+    try {
+      await executor.settleStake({ ...claimFor(executor, 1, { completed: 1, total: 1 }), status: 'funded' });
+    } catch (e) {
+      rejected = e;
+    }
+    check('an unclaimed stake is not settled', !!rejected && executor.token.sent === 0, rejected && rejected.message);
+
+    // Clean settlement: both legs, balances match the claim
+    {
+      const chain = new MemoryChain();
+      const ex = executorOn(chain);
+      const claim = claimFor(ex, 1, { completed: 2, total: 3 });
+      const result = await ex.settleStake(claim, { onTransfer: recordOn(claim) });
+      check('partial settlement sends both legs', result.status === 'partially_released' && chain.sent === 2, result);
+      check('staker and forfeit balances match the claim',
+        chain.balanceOf(STAKER) === unit('0.666666') && chain.balanceOf(FORFEIT) === unit('0.333334'),
+        [chain.balanceOf(STAKER), chain.balanceOf(FORFEIT)]);
+      check('both hashes recorded as broadcast', claim.releaseTxHash === result.releaseTxHash && claim.forfeitTxHash === result.forfeitTxHash, claim);
+    }
+
+    // Crash after the release confirmed: the retry sends only the forfeit
+    {
+      const chain = new MemoryChain();
+      const ex = executorOn(chain);
+      const claim = claimFor(ex, 1, { completed: 1, total: 2 });
+      await chain.transfer(STAKER, unit('0.5')).then(tx => tx.wait());
+      claim.releaseTxHash = ethers.id('tx-1');
+      await ex.settleStake(claim, { onTransfer: recordOn(claim) });
+      check('confirmed release is not sent again', chain.sent === 2 && chain.balanceOf(STAKER) === unit('0.5'), chain.balanceOf(STAKER));
+      check('missing forfeit is sent', chain.balanceOf(FORFEIT) === unit('0.5'), chain.balanceOf(FORFEIT));
+    }
+
+    // A reverted release is sent again; a pending one stops the retry
+    {
+      const chain = new MemoryChain();
+      const ex = executorOn(chain);
+      const claim = claimFor(ex, 1, { completed: 1, total: 1 });
+      chain.failNext = 'revert';
+      let first = null;
+      try {
+        await ex.settleStake(claim, { onTransfer: recordOn(claim) });
+      } catch (e) {
+        first = e;
+      }
+      check('reverted transfer fails the attempt with its hash recorded', !!first && !!claim.releaseTxHash, claim);
+      await ex.settleStake(claim, { onTransfer: recordOn(claim) });
+      check('reverted release is sent again', chain.sent === 2 && chain.balanceOf(STAKER) === unit('1'), chain.balanceOf(STAKER));
+
+      const slow = new MemoryChain();
+      const exSlow = executorOn(slow);
+      const pendingClaim = claimFor(exSlow, 1, { completed: 1, total: 1 });
+      slow.failNext = 'pending';
+      await exSlow.settleStake(pendingClaim, { onTransfer: recordOn(pendingClaim) }).catch(() => {});
+      let stillPending = null;
+      try {
+        await exSlow.settleStake(pendingClaim, { onTransfer: recordOn(pendingClaim) });
+      } catch (e) {
+        stillPending = e;
+      }
+      check('pending transfer is not resent', !!stillPending && /pending/.test(stillPending.message) && slow.sent === 1,
+        stillPending && stillPending.message);
+    }
+  } catch (err) {
+    console.error('  ✗ Smoke run failed:', err.message);
+    failed++;
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed\n`);
+  process.exit(failed ? 1 : 0);
+}
+
+runTests();
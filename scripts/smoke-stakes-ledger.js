@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Stakes Ledger Smoke Test
+ * Runs migration 001 (src/database/migrations/001_stakes_ledger.sql) in an in-process Postgres
+ * (PGlite) and drives its stake functions the way src/database/init.js calls them: a briefing
+ * stake funded, a second payment for the same mission day, settlement — every payment ends
+ * up settled and escrow is emptied — no Supabase.
+ *
+ * Usage: node scripts/smoke-stakes-ledger.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { pgcrypto } = require('@electric-sql/pglite/contrib/pgcrypto');
+
+const MIGRATION = path.join(__dirname, '../src/database/migrations/001_stakes_ledger.sql');
+
+// The columns of the pre-migration tables that migration 001 reads and updates
+const BASE_SCHEMA = `
+  create table users (
+    telegram_id bigint primary key,
+    vault_balance numeric default 0,
+    updated_at timestamptz default now()
+  );
+  create table daily_logs (
+    id bigserial primary key,
+    telegram_id bigint,
+    log_type text,
+    date date,
+    details text,
+    tx_hash text,
+    amount numeric,
+    created_at timestamptz default now()
+  );
+`;
+
+const USER = 7;
+const DAY = '2026-10-19';
+
+async function runTests() {
+  console.log('\n🧪 Stakes Ledger Smoke Test\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (name, ok, detail) => {
+    if (ok) {
+      console.log(`  ✓ ${name}`);
+      passed++;
+    } else {
+      console.error(`  ✗ ${name}`, detail !== undefined ? detail : '');
+      failed++;
+    }
+  };
+
+  const db = new PGlite({ extensions: { pgcrypto } });
+  const one = async (sql, params) => (await db.query(sql, params)).rows[0];
+  const balances = () => one('select available::float8, locked::float8 from user_balances where telegram_id = $1', [USER]);
+  // What Database.getOpenStakeLock reads for the day
+  const openStakes = async () => (await db.query(
+    "select id, amount::float8 from stakes where telegram_id = $1 and mission_date = $2 and status in ('funded', 'settling')",
+    [USER, DAY]
+  )).rows;
+
+  try {
+    await db.exec(BASE_SCHEMA);
+    await db.exec(fs.readFileSync(MIGRATION, 'utf8'));
+    await db.query('insert into users (telegram_id) values ($1)', [USER]);
+    for (const [amount, ref] of [[1, '0xpay1'], [0.5, '0xpay2']]) {
+      await db.query('select ledger_deposit($1, $2, $3)', [USER, amount, ref]);
+    }
+
+    // Briefing stake, funded by its payment
+    const opened = await one('select * from stake_open($1, $2, $3)', [USER, DAY, 1]);
+    const first = await one('select * from stake_lock($1, $2, $3, $4)', [USER, DAY, 1, '0xpay1']);
+    check('payment funds the briefing stake', first.id === opened.id && first.status === 'funded', first);
+
+    // A second payment for the same mission day
+    const second = await one('select * from stake_lock($1, $2, $3, $4)', [USER, DAY, 0.5, '0xpay2']);
+    const open = await openStakes();
+    check('second payment tops up the open stake', second.id === first.id && open.length === 1 && open[0].amount === 1.5, open);
+    const locked = await balances();
+    check('both payments are held in escrow', locked.locked === 1.5 && locked.available === 0, locked);
+
+    // Settlement of the day covers both payments
+    await one('select * from stake_claim_settlement($1, $2, $3)', [first.id, 1, 0.5]);
+    const settled = await one('select * from stake_settle($1, $2, $3)', [first.id, '0xrelease', '0xforfeit']);
+    check('settling the day closes the whole stake', settled.status === 'settled' && (await openStakes()).length === 0, settled);
+    const after = await balances();
+    check('nothing is left in escrow', after.locked === 0 && after.available === 0, after);
+    const unbalanced = await db.query('select * from ledger_unbalanced');
+    check('every ledger transaction balances', unbalanced.rows.length === 0, unbalanced.rows);
+  } catch (err) {
+    console.error('  ✗ Smoke run failed:', err.message);
+    failed++;
+  } finally {
+    await db.close();
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed\n`);
+  process.exit(failed ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * LLM Budget Smoke Test
+ * Runs UsageMeter (src/agent/usage.js) against an in-memory llm_usage table: cost accounting,
+ * per-user and global daily budgets, and two instances sharing one budget through the store's
+ * increments — no Supabase, no model calls.
+ *
+ * Usage: node scripts/smoke-usage.js
+ */
+
+const { UsageMeter, BudgetExceededError, createUsageMeter } = require('../src/agent/usage');
+
+/**
+ * In-memory llm_usage rows; addLlmUsage increments like llm_usage_add (migration 011),
+ * with writes landing after a random delay and so out of order
+ */
+class MemoryUsageStore {
+  constructor() {
+    this.rows = new Map(); // `${date}:${telegram_id}` → row
+    this.failing = false;
+  }
+
+  async getLlmUsage({ from, to = from }) {
+    return [...this.rows.values()]
+      .filter(r => r.usage_date >= from && r.usage_date <= to)
+      .map(r => ({ ...r }));
+  }
+
+  async addLlmUsage(delta) {
+    await new Promise(resolve => setTimeout(resolve, Math.random() * 10));
+    if (this.failing) throw new Error('store unavailable');
+    const key = `${delta.usage_date}:${delta.telegram_id}`;
+    const row = this.rows.get(key) || { usage_date: delta.usage_date, telegram_id: delta.telegram_id, calls: 0, cache_hits: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+    for (const field of ['calls', 'cache_hits', 'input_tokens', 'output_tokens', 'cost_usd']) row[field] += delta[field] || 0;
+    this.rows.set(key, row);
+    return true;
+  }
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+function throwsBudget(meter, userId, scope) {
+  try {
+    meter.check(userId);
+    return false;
+  } catch (e) {
+    return e instanceof BudgetExceededError && e.scope === scope;
+  }
+}
+
+async function runTests() {
+  console.log('\n🧪 LLM Budget Smoke Test\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (name, ok, detail) => {
+    if (ok) {
+      console.log(`  ✓ ${name}`);
+      passed++;
+    } else {
+      console.error(`  ✗ ${name}`, detail !== undefined ? detail : '');
+      failed++;
+    }
+  };
+
+  try {
+    // Cost from per-1M prices, overridable from the environment
+    const pricing = createUsageMeter({ env: { LLM_PRICE_GEMINI: '1/2' } });
+    const cost = pricing.record(1, { provider: 'gemini', inputTokens: 1000, outputTokens: 500 });
+    check('call cost follows LLM_PRICE_<PROVIDER>', cost === 0.002, cost);
+    pricing.recordCacheHit(1);
+    const today = pricing.snapshot();
+    check('cache hits counted without tokens', today.global.calls === 1 && today.global.cacheHits === 1 && today.global.tokens === 1500, today.global);
+
+    // Per-user budget stops that user only; the global one stops everyone
+    const meter = new UsageMeter({ budgets: { tokens: 1000, userTokens: 300 } });
+    meter.record(1, { provider: 'stub', inputTokens: 200, outputTokens: 100 });
+    check('user over their budget is stopped', throwsBudget(meter, 1, 'user'));
+    check('other users carry on', !throwsBudget(meter, 2, 'user') && !throwsBudget(meter, 2, 'global'));
+    meter.record(2, { provider: 'stub', inputTokens: 600, outputTokens: 100 });
+    check('global budget stops everyone', throwsBudget(meter, 3, 'global') && throwsBudget(meter, null, 'global'));
+
+    // Two instances share one budget through the store
+    const store = new MemoryUsageStore();
+    const budgets = { tokens: 1000 };
+    const a = new UsageMeter({ store, budgets });
+    const b = new UsageMeter({ store, budgets });
+    for (let i = 0; i < 3; i++) {
+      await a.ready();
+      a.check(1);
+      a.record(1, { provider: 'stub', inputTokens: 100, outputTokens: 50 });
+      await b.ready();
+      b.check(2);
+      b.record(2, { provider: 'stub', inputTokens: 100, outputTokens: 50 });
+    }
+    await settle();
+    const stored = await store.getLlmUsage({ from: a.date });
+    const storedTokens = stored.reduce((sum, r) => sum + r.input_tokens + r.output_tokens, 0);
+    check('every call from both instances is stored', storedTokens === 900 && stored.every(r => r.calls === 3), stored);
+
+    await a.ready();
+    check('totals are re-read before the budget check', a.snapshot().global.tokens === 900, a.snapshot().global);
+    b.record(2, { provider: 'stub', inputTokens: 100, outputTokens: 50 });
+    await settle();
+    await a.ready();
+    check("one instance stops on the other's spending", throwsBudget(a, 1, 'global'));
+
+    // A failed write is still counted by the instance that made the call
+    const flaky = new MemoryUsageStore();
+    const c = new UsageMeter({ store: flaky, budgets: { userTokens: 500 } });
+    flaky.failing = true;
+    c.record(5, { provider: 'stub', inputTokens: 400, outputTokens: 200 });
+    await settle();
+    await c.ready();
+    check('unsaved usage still counts locally', throwsBudget(c, 5, 'user'), c.snapshot().users);
+  } catch (err) {
+    console.error('  ✗ Smoke run failed:', err.message);
+    failed++;
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed\n`);
+  process.exit(failed ? 1 : 0);
+}
+
+runTests();
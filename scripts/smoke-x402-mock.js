@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+/**
+ * x402 Mock Facilitator Smoke Test
+ * Runs the premium gate (cUSD and USDC options, a gasless USDC authorization), /x402/stake and the MCP
+ * verify_x402_payment tool end-to-end against MockFacilitator and an in-memory payment store, plus the
+ * unique amount each payment intent is tagged with — no RPC, no Supabase.
+ *
+ * Usage: node scripts/smoke-x402-mock.js
+ */
+
+const express = require('express');
+const { ethers } = require('ethers');
+
+// Anvil dev key #1 signs intents; the vault only receives
+const AGENT_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const VAULT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+process.env.VAULT_ADDRESS = VAULT;
+delete process.env.TELEGRAM_BOT_TOKEN;
+
+const { x402PaymentGate, defaultPaymentAsset } = require('../src/x402/middleware');
+const createPaymentIntents = require('../src/x402/intents');
+const MockFacilitator = require('../src/x402/mockFacilitator');
+const { TRANSFER_WITH_AUTHORIZATION_TYPES } = require('../src/x402/facilitator');
+const { mountX402Routes } = require('../src/x402/routes');
+const { mountMCPRoutes } = require('../src/mcp');
+const { getToken } = require('../src/x402/tokens');
+
+/**
+ * In-memory stand-in for the Database payment methods used by the x402 flow
+ */
+class MemoryPaymentStore {
+  constructor() {
+    this.intents = new Map();
+    this.proofs = new Set();
+    this.credits = [];
+  }
+
+  async createPaymentIntent(intent) {
+    const taken = [...this.intents.values()].some(i => i.status === 'outstanding'
+      && i.payTo === String(intent.payTo).toLowerCase()
+      && i.asset === String(intent.asset).toLowerCase()
+      && i.amount === String(intent.amount));
+    if (taken) return false;
+    this.intents.set(intent.id, {
+      ...intent,
+      amount: String(intent.amount),
+      asset: String(intent.asset).toLowerCase(),
+      payTo: String(intent.payTo).toLowerCase(),
+      telegramId: intent.telegramId ? Number(intent.telegramId) : null,
+      status: 'outstanding',
+      createdAt: new Date().toISOString()
+    });
+    return true;
+  }
+
+  async getPaymentIntent(id) {
+    return this.intents.get(id) || null;
+  }
+
+  async findOutstandingIntent({ resource, payTo, asset = null, amount }) {
+    const now = Date.now();
+    return [...this.intents.values()].find(i => i.status === 'outstanding'
+      && i.resource === resource
+      && i.payTo === String(payTo).toLowerCase()
+      && (!asset || i.asset === String(asset).toLowerCase())
+      && i.amount === String(amount)
+      && new Date(i.expiresAt).getTime() > now) || null;
+  }
+
+  async consumePaymentIntent(id, txHash, groupId = null) {
+    const intent = this.intents.get(id);
+    if (!intent || intent.status !== 'outstanding') return false;
+    for (const member of this.intents.values()) {
+      if (member.id === id || (groupId && member.groupId === groupId && member.status === 'outstanding')) {
+        Object.assign(member, { status: 'consumed', txHash: txHash ? String(txHash).toLowerCase() : null });
+      }
+    }
+    return true;
+  }
+
+  async restorePaymentIntent(id, groupId = null) {
+    let restored = false;
+    for (const member of this.intents.values()) {
+      if ((member.id === id || (groupId && member.groupId === groupId)) && member.status === 'consumed' && !member.txHash) {
+        member.status = 'outstanding';
+        restored = restored || member.id === id;
+      }
+    }
+    return restored;
+  }
+
+  async consumePaymentIntentWithProof(id, groupId, txHash) {
+    const key = String(txHash).toLowerCase();
+    if (this.proofs.has(key)) return 'payment_already_used';
+    if (!(await this.consumePaymentIntent(id, txHash, groupId))) return 'intent_already_used';
+    this.proofs.add(key);
+    return 'consumed';
+  }
+
+  async claimPaymentProof(txHash) {
+    const key = String(txHash).toLowerCase();
+    if (this.proofs.has(key)) return false;
+    this.proofs.add(key);
+    return true;
+  }
+
+  async hasProcessedTransaction(txHash) {
+    return this.proofs.has(String(txHash).toLowerCase());
+  }
+
+  async recordProcessedTransaction() {}
+
+  async creditUserVault(telegramId, amount, txHash) {
+    this.credits.push({ telegramId: Number(telegramId), amount, txHash });
+  }
+
+  async recordStakeLock() {}
+}
+
+async function runTests() {
+  console.log('\n🧪 x402 Mock Facilitator Smoke Test\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (name, ok, detail) => {
+    if (ok) {
+      console.log(`  ✓ ${name}`);
+      passed++;
+    } else {
+      console.error(`  ✗ ${name}`, detail !== undefined ? detail : '');
+      failed++;
+    }
+  };
+
+  const store = new MemoryPaymentStore();
+  const intents = createPaymentIntents({ store, privateKey: AGENT_KEY });
+  const facilitator = new MockFacilitator();
+  const asset = defaultPaymentAsset();
+  const payer = ethers.Wallet.createRandom();
+  const usdc = getToken('USDC').address;
+  facilitator.mint(asset, payer.address, ethers.parseUnits('10', 18));
+  facilitator.mint(usdc, payer.address, ethers.parseUnits('10', 6));
+
+  const app = express();
+  app.use(express.json());
+  app.get('/api/v1/discipline-score/:telegram_id/premium',
+    x402PaymentGate({ amount: 0.01, description: 'premium', intents, proofStore: store, facilitator }),
+    (req, res) => res.json({ premium: true, intentId: req.x402.intentId })
+  );
+  mountX402Routes(app, { services: async () => ({ db: store, intents }), facilitator });
+  mountMCPRoutes(app, { db: null, facilitator });
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    // Test 1: premium route, broadcast transfer
+    console.log('Test 1: Premium route with a broadcast transfer...');
+    const premium = `${base}/api/v1/discipline-score/42/premium`;
+    const challenge = await fetch(premium);
+    const requirements = JSON.parse(challenge.headers.get('x-payment-required') || '{}');
+    check('402 with payment requirements', challenge.status === 402 && !!requirements.maxAmountRequired, challenge.status);
+
+    const txHash = facilitator.transfer({ asset, from: payer.address, to: VAULT, amountWei: requirements.maxAmountRequired });
+    const paid = await fetch(premium, { headers: { 'X-PAYMENT': txHash } });
+    const paidBody = await paid.json();
+    check('exact payment unlocks the route', paid.status === 200 && paidBody.intentId === requirements.extra.intentId, paidBody);
+    check('X-PAYMENT-RESPONSE returned', !!paid.headers.get('x-payment-response'));
+
+    const replay = await fetch(premium, { headers: { 'X-PAYMENT': txHash } });
+    check('replayed tx hash rejected', replay.status === 409, replay.status);
+
+    // Test 2: premium route, paid with the USDC option
+    console.log('Test 2: Premium route paid in USDC...');
+    const offer = await (await fetch(premium)).json();
+    const usdcOption = (offer.accepts || []).find(r => r.asset === usdc);
+    check('402 lists a USDC option with 6 decimals', !!usdcOption && usdcOption.extra.decimals === 6, offer.accepts);
+
+    const usdcTx = facilitator.transfer({ asset: usdc, from: payer.address, to: VAULT, amountWei: usdcOption.maxAmountRequired });
+    const usdcPaid = await fetch(premium, { headers: { 'X-PAYMENT': usdcTx } });
+    const usdcBody = await usdcPaid.json();
+    check('USDC payment unlocks the route', usdcPaid.status === 200 && usdcBody.intentId === usdcOption.extra.intentId, usdcBody);
+    const siblings = offer.accepts.map(r => store.intents.get(r.extra.intentId));
+    check('alternative options consumed with it', siblings.every(i => i.status === 'consumed'));
+
+    // Test 3: premium route, gasless EIP-3009 authorization (USDC only — Mento stablecoins have no EIP-3009)
+    console.log('Test 3: Premium route with a signed USDC authorization...');
+    const gaslessOffer = await (await fetch(premium)).json();
+    const cusdOption = gaslessOffer.accepts.find(r => r.asset === asset);
+    const authOption = gaslessOffer.accepts.find(r => r.asset === usdc);
+    check('authorization domain advertised for USDC only', !cusdOption.extra.name && authOption.extra.name === 'USDC', gaslessOffer.accepts);
+
+    const signAuthorization = async (option) => {
+      const authorization = {
+        from: payer.address,
+        to: VAULT,
+        value: option.maxAmountRequired,
+        validAfter: '0',
+        validBefore: String(Math.floor(Date.now() / 1000) + 600),
+        nonce: ethers.hexlify(ethers.randomBytes(32))
+      };
+      const domain = { name: option.extra.name, version: option.extra.version, chainId: facilitator.chainId, verifyingContract: option.asset };
+      const paymentPayload = {
+        x402Version: 1,
+        scheme: 'exact',
+        network: option.network,
+        payload: { signature: await payer.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization), authorization }
+      };
+      return { authorization, header: Buffer.from(JSON.stringify(paymentPayload)).toString('base64') };
+    };
+
+    // A settlement that moved no funds gives the intent back
+    const settle = facilitator.settle;
+    facilitator.settle = async (payload, req) => ({ success: false, errorReason: 'settlement_failed', network: req.network });
+    const failedAuth = await signAuthorization(authOption);
+    const failed = await fetch(premium, { headers: { 'X-PAYMENT': failedAuth.header } });
+    facilitator.settle = settle;
+    check('failed settlement restores the intent', failed.status === 402 && store.intents.get(authOption.extra.intentId).status === 'outstanding', failed.status);
+
+    const { authorization, header } = await signAuthorization(authOption);
+    const vaultBefore = facilitator.balanceOf(usdc, VAULT);
+    const settled = await fetch(premium, { headers: { 'X-PAYMENT': header } });
+    const settledBody = await settled.json();
+    check('authorization settled', settled.status === 200 && settledBody.intentId === authOption.extra.intentId, settledBody);
+    check('vault received the exact amount', facilitator.balanceOf(usdc, VAULT) - vaultBefore === BigInt(authorization.value));
+
+    const authReplay = await fetch(premium, { headers: { 'X-PAYMENT': header } });
+    check('replayed authorization rejected', authReplay.status !== 200, authReplay.status);
+
+    // Test 4: /x402/stake, broadcast transfer in the stake token
+    console.log('Test 4: /x402/stake with a broadcast transfer...');
+    const stakeUrl = `${base}/x402/stake?user=777&amount=1&fee=0.10`;
+    const stakeChallenge = await fetch(stakeUrl, { headers: { Accept: 'application/json' } });
+    const stakeBody = await stakeChallenge.json();
+    const stakeReq = stakeBody.paymentRequirements;
+    check('402 with stake requirements', stakeChallenge.status === 402 && !!stakeReq, stakeChallenge.status);
+    check('stake offered in the stake token only', stakeReq.asset === asset);
+    check('no gasless option for cUSD', !stakeBody.how_to_pay.gasless);
+
+    const stakeTx = facilitator.transfer({ asset, from: payer.address, to: VAULT, amountWei: stakeReq.maxAmountRequired });
+    const staked = await fetch(stakeUrl, { headers: { 'X-PAYMENT': stakeTx } });
+    const stakedBody = await staked.json();
+    check('stake payment verified', staked.status === 200 && stakedBody.success === true, stakedBody);
+    check('intent user credited', store.credits.some(c => c.telegramId === 777));
+
+    // Test 5: MCP verify_x402_payment
+    console.log('Test 5: MCP verify_x402_payment...');
+    const mcp = await fetch(`${base}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'verify_x402_payment', arguments: { txHash, expectedAmount: 0.01 } }
+      })
+    });
+    const mcpBody = await mcp.json();
+    const verified = JSON.parse(mcpBody.result.content[0].text);
+    check('MCP tool verifies the transfer', verified.valid === true && verified.from === payer.address, verified);
+
+    // Test 6: intent amounts
+    console.log('Test 6: Intent amount allocation...');
+    const allocator = createPaymentIntents({ store: new MemoryPaymentStore(), privateKey: AGENT_KEY });
+    const baseAmount = ethers.parseUnits('0.01', 6);
+    const issued = [];
+    for (let i = 0; i < 50; i++) {
+      const { intent } = await allocator.issue({ resource: '/premium', baseAmount, payTo: VAULT, asset: usdc });
+      issued.push(BigInt(intent.amount));
+    }
+    check('outstanding intents for one price get distinct amounts', new Set(issued.map(String)).size === issued.length);
+    check('every tag stays below 0.001 of the token',
+      issued.every(amount => amount > baseAmount && amount - baseAmount < ethers.parseUnits('0.001', 6)), issued);
+
+    const full = new MemoryPaymentStore();
+    full.createPaymentIntent = async () => false;
+    let exhausted = null;
+    try {
+      await createPaymentIntents({ store: full, privateKey: AGENT_KEY }).issue({ resource: '/premium', baseAmount, payTo: VAULT, asset: usdc });
+    } catch (e) {
+      exhausted = e;
+    }
+    check('repeated collisions fail instead of reusing an amount', !!exhausted && /unique payment intent amount/.test(exhausted.message),
+      exhausted && exhausted.message);
+  } catch (err) {
+    console.error('  ✗ Smoke run failed:', err.message);
+    failed++;
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed\n`);
+  process.exit(failed ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,89 @@
+/**
+ * Admin API — operator endpoints, behind a bearer token
+ *
+ *   GET /api/admin/llm-stats[?days=7&top=20]
+ *     today's LLM calls, tokens and cost (global and heaviest users) against the
+ *     daily budgets, cache hit rates, and per-day totals from llm_usage (migration 011)
+ *
+ *   ADMIN_API_TOKEN  required as `Authorization: Bearer <token>`; unset disables the endpoints
+ */
+
+const crypto = require('crypto');
+
+const MAX_HISTORY_DAYS = 90;
+const MAX_TOP_USERS = 100;
+
+function tokenMatches(header, token) {
+  const match = String(header || '').match(/^Bearer\s+(.+)$/i);
+  const a = Buffer.from(match ? match[1].trim() : '');
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * llm_usage rows summed per day
+ */
+function dailyTotals(rows) {
+  const byDate = new Map();
+  for (const row of rows) {
+    if (!byDate.has(row.usage_date)) {
+      byDate.set(row.usage_date, { date: row.usage_date, users: 0, calls: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    }
+    const day = byDate.get(row.usage_date);
+    if (Number(row.telegram_id)) day.users += 1;
+    day.calls += Number(row.calls || 0);
+    day.cacheHits += Number(row.cache_hits || 0);
+    day.inputTokens += Number(row.input_tokens || 0);
+    day.outputTokens += Number(row.output_tokens || 0);
+    day.costUsd = Math.round((day.costUsd + Number(row.cost_usd || 0)) * 1e6) / 1e6;
+  }
+  return [...byDate.values()];
+}
+
+/**
+ * Mount the admin endpoints on an Express app
+ * @param {import('express').Express} app
+ * @param {object} deps
+ * @param {Function} deps.brain - getter for the bot's MyDayIntel (null until the bot is up)
+ * @param {Function} [deps.db] - getter for the Database adapter (history; null without Supabase)
+ * @param {object} [deps.env]
+ */
+function mountAdminRoutes(app, deps) {
+  const env = deps.env || process.env;
+
+  app.get('/api/admin/llm-stats', async (req, res) => {
+    const token = env.ADMIN_API_TOKEN;
+    if (!token) return res.status(404).json({ error: 'admin API disabled (set ADMIN_API_TOKEN)' });
+    if (!tokenMatches(req.get('authorization'), token)) return res.status(401).json({ error: 'invalid admin token' });
+
+    const brain = deps.brain();
+    if (!brain) return res.status(503).json({ error: 'bot starting' });
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), MAX_HISTORY_DAYS);
+    const top = Math.min(Math.max(parseInt(req.query.top, 10) || 20, 1), MAX_TOP_USERS);
+    try {
+      await brain.usage.ready();
+      const report = {
+        providers: brain.llm.name || 'custom',
+        today: brain.usage.snapshot({ top }),
+        cache: brain.cache.stats(),
+        history: null
+      };
+
+      const db = deps.db ? deps.db() : null;
+      if (db) {
+        const from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const to = new Date().toISOString().split('T')[0];
+        report.history = dailyTotals(await db.getLlmUsage({ from, to }));
+      }
+      return res.json(report);
+    } catch (err) {
+      console.error('Admin LLM stats error:', err);
+      return res.status(500).json({ error: 'internal error' });
+    }
+  });
+}
+
+module.exports = {
+  mountAdminRoutes
+};
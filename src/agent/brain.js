@@ -1,17 +1,111 @@
 /**
  * MyDay Intel: Behavioral AI Coaching Loop
  * 
- * Uses Gemini 2.0 to analyze user mood and suggest discipline stakes.
+ * Uses an LLM (Gemini by default; see src/agent/providers for the
+ * configurable fallback chain) to analyze user mood and suggest discipline stakes.
  * Philosophy: Empathy > Numbers
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createLLM } = require('./providers');
+const { createUsageMeter, usageOf, BudgetExceededError } = require('./usage');
+const { createCache } = require('./cache');
+const { USER_DATA_RULE, cleanText, userText, escapeMarkdown, parseJsonReply, validate, textReply } = require('./output');
+const { insightsForPrompt } = require('../services/insights');
+
+// One regeneration with the validation errors before falling back
+const MAX_ATTEMPTS = 2;
+
+const MISSION_IDEAS = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 6,
+  items: {
+    type: 'object',
+    required: ['title', 'category'],
+    properties: {
+      title: { type: 'string', minLength: 3, maxLength: 60 },
+      category: { type: 'string', enum: ['Fitness', 'Mind', 'Spirit'] }
+    }
+  },
+  example: '[{"title": "<max 60 characters>", "category": "Fitness|Mind|Spirit"}, ...]'
+};
+
+/**
+ * Conversation messages as quoted data for a prompt
+ */
+const transcriptForPrompt = (messages) => messages
+  .map(m => `${m.role === 'coach' ? 'Coach' : 'User'}: ${userText(m.text, 400)}`)
+  .join('\n');
 
 class MyDayIntel {
-  constructor(apiKey) {
+  /**
+   * @param {string} [apiKey] - Gemini key (falls back to GEMINI_API_KEY)
+   * @param {object} [options]
+   * @param {object} [options.llm] - a provider or chain with generate(prompt) (complete(prompt) for reported usage)
+   * @param {object} [options.usage] - UsageMeter (src/agent/usage.js); built from env otherwise
+   * @param {object} [options.usageStore] - store for that meter (the Database adapter)
+   * @param {object} [options.cache] - ResponseCache (src/agent/cache.js)
+   */
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
-    this.client = new GoogleGenerativeAI(apiKey);
-    this.model = this.client.getGenerativeModel({ model: 'gemini-2.0-flash' });
+    this.llm = options.llm || createLLM({ env: apiKey ? { ...process.env, GEMINI_API_KEY: apiKey } : process.env });
+    this.usage = options.usage || createUsageMeter({ store: options.usageStore || null });
+    this.cache = options.cache || createCache();
+  }
+
+  /**
+   * One model call, counted against the user's and the global daily budget
+   * @throws {BudgetExceededError} before calling when a budget is spent
+   */
+  async _complete(prompt, userId) {
+    this.usage.check(userId);
+    const reply = this.llm.complete
+      ? await this.llm.complete(prompt)
+      : { text: await this.llm.generate(prompt), provider: this.llm.name || 'custom', usage: null };
+    this.usage.record(userId, { provider: reply.provider, ...usageOf(prompt, reply.text, reply.usage) });
+    return reply.text;
+  }
+
+  /**
+   * Generate a JSON reply and validate it against `schema` (src/agent/output.js),
+   * regenerating once with the errors when it does not fit
+   * @param {string} task - for logs and cache keys
+   * @param {object} [options] - { userId: whose budget pays, cache: reuse a reply to the identical prompt }
+   * @returns {Promise<any>} the validated value; throws when no valid reply came back or a budget is spent
+   */
+  async _generateStructured(task, prompt, schema, { userId = null, cache = false } = {}) {
+    const request = `${prompt.trim()}\n\n${USER_DATA_RULE}\nAnswer with JSON only, no Markdown: ${schema.example}`;
+    const cacheKey = cache ? this.cache.key(task, request) : null;
+    if (cacheKey) {
+      const cached = this.cache.get(cacheKey);
+      if (cached !== undefined) {
+        this.usage.recordCacheHit(userId);
+        return cached;
+      }
+    }
+    await this.usage.ready();
+
+    let errors = [];
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const text = await this._complete(errors.length
+        ? `${request}\n\nYour previous answer was rejected: ${errors.join('; ')}. Answer again with valid JSON only.`
+        : request, userId);
+      const value = parseJsonReply(text);
+      errors = value === undefined ? ['reply is not valid JSON'] : validate(schema, value);
+      if (!errors.length) {
+        if (cacheKey) this.cache.set(cacheKey, value);
+        return value;
+      }
+      console.warn(`⚠ MyDay Intel ${task}: invalid reply (${errors.join('; ')})${attempt < MAX_ATTEMPTS ? ' — regenerating' : ''}`);
+    }
+    throw new Error(`${task}: no valid reply after ${MAX_ATTEMPTS} attempts`);
+  }
+
+  /**
+   * Markdown-safe text field of a validated reply
+   */
+  _safeText(value, max) {
+    return escapeMarkdown(cleanText(value, max));
   }
 
   /**
@@ -19,9 +113,11 @@ class MyDayIntel {
    * @param {number} mood - Mood score 1-5 (1=Low, 5=High)
    * @param {string} userName - User's name for personalization
    * @param {object} userStreaks - User's current habits/streaks
+   * @param {Array} [insights] - the user's behavioral patterns (services/insights.js)
+   * @param {object} [options] - { userId } for usage accounting
    * @returns {Promise<object>} - Suggestion object with habit recommendation
    */
-  async analyzeMoodAndSuggest(mood, userName, userStreaks = {}) {
+  async analyzeMoodAndSuggest(mood, userName, userStreaks = {}, insights = [], { userId = null } = {}) {
     if (mood < 1 || mood > 5) {
       throw new Error('Mood must be between 1 and 5');
     }
@@ -46,12 +142,15 @@ class MyDayIntel {
     const prompt = `
 You are MyDay Intel, a compassionate behavioral finance coach. Your philosophy is Empathy > Numbers.
 
-User: ${userName}
+User: ${userText(userName, 60)}
 Current Mood: ${mood}/5
 ${mood <= 2 ? 'Status: User is in a low-energy state' : mood <= 4 ? 'Status: User has balanced energy' : 'Status: User is energized and peak'}
 Suggested Category: ${category} ${emoji}
 (${description})
-
+${insights.length ? `
+What their history shows (weigh by confidence):
+${insightsForPrompt(insights)}
+` : ''}
 Generate ONE empathetic, human-like coaching response that:
 1. Acknowledges their current emotional state
 2. Suggests a specific habit in the ${category} category
@@ -62,14 +161,13 @@ Keep it under 100 words. Be warm and understanding, not robotic.
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
+      const reply = await this._generateStructured('analyzeMoodAndSuggest', prompt, textReply('coaching', 700), { userId });
 
       return {
         mood,
         category,
         emoji,
-        coaching: response,
+        coaching: this._safeText(reply.coaching, 700),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -79,7 +177,7 @@ Keep it under 100 words. Be warm and understanding, not robotic.
         mood,
         category,
         emoji,
-        coaching: `Hey ${userName}! Your energy is perfect for ${category} ${emoji} today. Let's go!`,
+        coaching: `Hey ${this._safeText(userName, 60)}! Your energy is perfect for ${category} ${emoji} today. Let's go!`,
         timestamp: new Date().toISOString(),
         fallback: true
       };
@@ -92,9 +190,10 @@ Keep it under 100 words. Be warm and understanding, not robotic.
    * @param {string} habit - Habit they're staking on
    * @param {number} customAmount - Custom CELO amount they chose
    * @param {number} recommendedAmount - Base recommendation amount
+   * @param {object} [options] - { userId } for usage accounting
    * @returns {Promise<string>} - Motivational celebration response
    */
-  async celebrateHighStake(userName, habit, customAmount, recommendedAmount) {
+  async celebrateHighStake(userName, habit, customAmount, recommendedAmount, { userId = null } = {}) {
     if (customAmount <= recommendedAmount) {
       return null; // Not a high stake
     }
@@ -103,8 +202,8 @@ Keep it under 100 words. Be warm and understanding, not robotic.
     const prompt = `
 You are MyDay Intel, a behavioral finance coach who celebrates bold commitments.
 
-User: ${userName}
-Habit Stake: "${habit}"
+User: ${userText(userName, 60)}
+Habit Stake: ${userText(habit, 120)}
 Recommended CELO: ${recommendedAmount}
 Actual Commitment: ${customAmount} CELO (+${exceedPercentage}% increase)
 
@@ -121,12 +220,12 @@ Be energetic, authentic, and brief.
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      return result.response.text();
+      const reply = await this._generateStructured('celebrateHighStake', prompt, textReply('message', 200), { userId });
+      return this._safeText(reply.message, 200);
     } catch (error) {
       console.error('Error in celebrateHighStake:', error);
       // Fallback celebration
-      return `🔥 ${customAmount} CELO?! That's a POWERFUL commitment, ${userName}. Let's GO!`;
+      return `🔥 ${customAmount} CELO?! That's a POWERFUL commitment, ${this._safeText(userName, 60)}. Let's GO!`;
     }
   }
 
@@ -135,12 +234,13 @@ Be energetic, authentic, and brief.
    * @param {string} userName - User's name
    * @param {string} habit - Habit name they staked on
    * @param {boolean} completed - Did they complete it?
+   * @param {object} [options] - { userId } for usage accounting
    * @returns {Promise<string>} - Audit response
    */
-  async generateEveningAudit(userName, habit, completed) {
+  async generateEveningAudit(userName, habit, completed, { userId = null } = {}) {
     const prompt = `
 You are MyDay Intel, a behavioral finance coach. 
-${userName} staked on "${habit}" today and ${completed ? 'completed it' : 'did not complete it'}.
+The user ${userText(userName, 60)} staked on ${userText(habit, 120)} today and ${completed ? 'completed it' : 'did not complete it'}.
 
 Generate one warm, non-judgmental line (max 30 words) that:
 ${completed ? '- Celebrates their win\n- Reinforces the streak\n- Motivates for tomorrow' : '- Normalizes the setback\n- Offers perspective\n- Encourages another attempt'}
@@ -149,20 +249,21 @@ Be human, brief, and kind.
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      return result.response.text();
+      const reply = await this._generateStructured('generateEveningAudit', prompt, textReply('message', 250), { userId });
+      return this._safeText(reply.message, 250);
     } catch (error) {
       console.error('Error in generateEveningAudit:', error);
       // Fallback response
+      const safeHabit = this._safeText(habit, 120);
       return completed
-        ? `🎉 You crushed "${habit}"! Streak momentum is real. Tomorrow: double down.`
-        : `No worries on "${habit}" today. Every attempt is a step. Try again tomorrow? 💪`;
+        ? `🎉 You crushed "${safeHabit}"! Streak momentum is real. Tomorrow: double down.`
+        : `No worries on "${safeHabit}" today. Every attempt is a step. Try again tomorrow? 💪`;
     }
   }
 
   /**
    * Analyze discipline-to-mood correlation from weekly data
-   * @param {Array} weeklyData - Array of daily_summary records
+   * @param {Array} weeklyData - Per-day check-ins (Database.getDailyCheckIns)
    * @returns {Promise<object>} - Correlation analysis
    */
   async analyzeDisciplineMoodCorrelation(weeklyData) {
@@ -176,7 +277,7 @@ Be human, brief, and kind.
     // Calculate stats
     const energyValues = weeklyData.map(d => d.morning_energy).filter(v => v);
     const moodValues = weeklyData.map(d => d.evening_mood).filter(v => v);
-    const deltas = weeklyData.map(d => d.mood_delta).filter(v => v !== null);
+    const deltas = weeklyData.map(d => d.mood_delta).filter(v => v !== null && v !== undefined);
 
     const avgEnergy = energyValues.length > 0 
       ? (energyValues.reduce((a, b) => a + b, 0) / energyValues.length).toFixed(1)
@@ -224,21 +325,30 @@ Be human, brief, and kind.
   /**
    * Generate weekly summary with discipline-mood insights
    * @param {string} userName - User's name
-   * @param {Array} weeklyData - Array of daily_summary records
-   * @returns {Promise<string>} - Weekly summary report
+   * @param {Array} weeklyData - Per-day check-ins (Database.getDailyCheckIns)
+   * @param {object} [roundup] - week's missions, stakes and streak (services/weekly.js), optionally its insights
+   * @param {object} [options] - { userId } for usage accounting
+   * @returns {Promise<string>} - Weekly summary report (cached: the same week's data gets the same summary)
    */
-  async generateWeeklySummary(userName, weeklyData) {
+  async generateWeeklySummary(userName, weeklyData, roundup = null, { userId = null } = {}) {
     const correlation = await this.analyzeDisciplineMoodCorrelation(weeklyData);
+    const weekLines = roundup ? `
+- Missions Completed: ${roundup.missionsCompleted}/${roundup.missionsPlanned}
+- Staked: ${roundup.stakes.staked} cUSD (${roundup.stakes.released} released, ${roundup.stakes.forfeited} forfeited)
+- Current Streak: ${roundup.streak} days` : '';
+    const patterns = roundup && roundup.insights && roundup.insights.length
+      ? `\n\nPatterns from their last 90 days (weigh by confidence):\n${insightsForPrompt(roundup.insights)}`
+      : '';
 
     const prompt = `
-You are MyDay Intel. You've been analyzing ${userName}'s discipline and mood for a week.
+You are MyDay Intel. You've been analyzing the discipline and mood of ${userText(userName, 60)} for a week.
 
 Weekly Stats:
 - Average Morning Energy: ${correlation.averageEnergy}/5
 - Average Sunset Mood: ${correlation.averageMood}/5
 - Discipline-to-Mood Delta: ${correlation.averageDelta} (positive = mood lifted by wins)
 - Correlation Type: ${correlation.correlationType}
-- Key Insight: ${correlation.insight}
+- Key Insight: ${correlation.insight}${weekLines}${patterns}
 
 Generate ONE brief, empowering weekly summary (max 50 words) that:
 1. Acknowledges their pattern
@@ -249,11 +359,126 @@ Be warm, data-backed, and human.
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      return result.response.text();
+      const reply = await this._generateStructured('generateWeeklySummary', prompt, textReply('summary', 400), { userId, cache: true });
+      return this._safeText(reply.summary, 400);
     } catch (error) {
       console.error('Error in generateWeeklySummary:', error);
-      return `${userName}, your week shows that discipline fuels mood. ${correlation.insight} Keep going! 💎`;
+      return `${this._safeText(userName, 60)}, your week shows that discipline fuels mood. ${correlation.insight} Keep going! 💎`;
+    }
+  }
+
+  /**
+   * Propose concrete missions for today's Mission Briefing
+   * @param {object} input
+   * @param {number} [input.userId] - for usage accounting
+   * @param {string} input.userName
+   * @param {number} input.energy - morning energy 1-5
+   * @param {string} input.size - small | medium | large (services/missions.js sizeForEnergy)
+   * @param {object} input.byCategory - 30-day completion per category (Database.getCompletionRate)
+   * @param {string[]} input.unfinished - yesterday's missions that were not completed
+   * @returns {Promise<Array<{title: string, category: string}>|null>} up to 6 ideas, best first; null when none came back
+   */
+  async suggestMissions({ userId = null, userName, energy, size, byCategory = {}, unfinished = [] }) {
+    const completion = Object.entries(byCategory)
+      .map(([category, c]) => `${category} ${Math.round(c.completion_rate * 100)}% (${c.completed}/${c.total})`)
+      .join(', ') || 'no history yet';
+
+    const prompt = `
+You are MyDay Intel, a behavioral coach planning the day of ${userText(userName, 60)}.
+
+Morning energy: ${energy}/5 → missions should be ${size} (small = 5-15 min, medium = 20-45 min, large = 45-90 min)
+Completion over the last 30 days by category: ${completion}
+Unfinished yesterday: ${unfinished.length ? unfinished.slice(0, 5).map(t => userText(t, 80)).join('; ') : 'nothing'}
+
+Propose 6 concrete missions, best first (the first 3 are today's plan, the rest are alternatives):
+- each one specific and measurable, with a duration or amount, max 60 characters
+- mix the categories Fitness, Mind and Spirit, leaning on the ones they actually complete
+- if something is unfinished from yesterday, make a right-sized version of it one of the first 3
+    `;
+
+    try {
+      const ideas = await this._generateStructured('suggestMissions', prompt, MISSION_IDEAS, { userId });
+      return ideas.map(i => ({ title: cleanText(i.title, 60), category: i.category }));
+    } catch (error) {
+      console.error('Error in suggestMissions:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Free-text coaching reply grounded in the user's recent history and the conversation so far
+   * @param {object} input
+   * @param {number} [input.userId] - for usage accounting
+   * @param {string} input.userName
+   * @param {string} input.message - what the user just wrote
+   * @param {object} input.memory - { summary, recent } (services/coachMemory.js)
+   * @param {object} input.context - { days: Database.getDailyCheckIns rows, missions, streak }
+   * @returns {Promise<string>}
+   */
+  async coachReply({ userId = null, userName, message, memory, context }) {
+    const { days = [], missions = [], streak = 0 } = context || {};
+    const checkIns = days.length
+      ? days.map(d => `- ${d.date}: energy ${d.morning_energy ?? '—'}/5, mood ${d.evening_mood ?? '—'}/5, missions ${d.missions_completed ?? d.wins ?? '—'}/${d.missions_planned ?? '—'}`).join('\n')
+      : '- No check-ins in the last 7 days';
+    const missionLines = missions.length
+      ? missions.slice(-9).map(m => `- ${m.mission_date} ${userText(m.mission_title, 80)}${m.category ? ` (${m.category})` : ''}: ${m.status}`).join('\n')
+      : '- No missions logged recently';
+
+    const prompt = `
+You are MyDay Intel, a compassionate behavioral finance coach. Your philosophy is Empathy > Numbers.
+You are chatting with ${userText(userName, 60)} outside the daily check-ins.
+
+Their last 7 days:
+${checkIns}
+
+Recent missions:
+${missionLines}
+
+Current streak: ${streak} day${streak === 1 ? '' : 's'}
+${memory && memory.summary ? `\nWhat you remember from earlier conversations: ${userText(memory.summary, 1500)}\n` : ''}${memory && memory.recent && memory.recent.length ? `\nRecent conversation:\n${transcriptForPrompt(memory.recent)}\n` : ''}
+They say: ${userText(message, 1000)}
+
+Reply in under 120 words. Be warm and specific: use their history where it helps, give one or two concrete tips,
+and never invent numbers that are not listed above. Plain text, no headings.
+    `;
+
+    try {
+      const reply = await this._generateStructured('coachReply', prompt, textReply('reply', 900), { userId });
+      return this._safeText(reply.reply, 900);
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        console.warn(`MyDay Intel coachReply: ${error.message} — using the template reply`);
+        return `I hear you, ${this._safeText(userName, 60)}. I've done a lot of thinking today, so I'll keep it short until tomorrow: pick the smallest version of today's mission and do just that. Your check-ins work as usual. 💙`;
+      }
+      console.error('Error in coachReply:', error);
+      return `I hear you, ${this._safeText(userName, 60)}. I can't think clearly right now — try again in a bit. Meanwhile: pick the smallest version of today's mission and do just that. 💙`;
+    }
+  }
+
+  /**
+   * Fold older coaching messages into the running memory summary
+   * @param {string} previousSummary
+   * @param {Array} messages - [{ role, text }] being folded
+   * @param {object} [options] - { userId } for usage accounting
+   * @returns {Promise<string|null>} null when no LLM answered (caller keeps a clipped transcript)
+   */
+  async summarizeConversation(previousSummary, messages, { userId = null } = {}) {
+    const prompt = `
+You keep the memory of a coaching chat. Merge the earlier summary and the new messages into one summary
+(max 120 words, third person, plain text). Keep goals, struggles, preferences and commitments; drop small talk.
+
+Earlier summary: ${previousSummary ? userText(previousSummary, 1500) : '(none)'}
+
+New messages:
+${transcriptForPrompt(messages)}
+    `;
+
+    try {
+      const reply = await this._generateStructured('summarizeConversation', prompt, textReply('summary', 900), { userId });
+      return cleanText(reply.summary, 900);
+    } catch (error) {
+      console.error('Error in summarizeConversation:', error);
+      return null;
     }
   }
 
@@ -0,0 +1,74 @@
+/**
+ * LLM Response Cache — validated replies for deterministic prompts
+ *
+ * Keyed by task and the exact prompt, so the same data yields the same
+ * reply without another model call (e.g. a weekly summary re-sent by /week).
+ * In memory, per process: bounded by entry count, oldest evicted first.
+ *
+ *   LLM_CACHE_TTL_SECONDS  how long a reply stays cached (default 21600; 0 disables)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 6 * 60 * 60;
+const MAX_ENTRIES = 500;
+
+class ResponseCache {
+  /**
+   * @param {object} [options] - { ttlMs, maxEntries, now }
+   */
+  constructor({ ttlMs = DEFAULT_TTL_SECONDS * 1000, maxEntries = MAX_ENTRIES, now = () => Date.now() } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  key(task, prompt) {
+    return `${task}:${crypto.createHash('sha256').update(prompt).digest('hex')}`;
+  }
+
+  /**
+   * The cached value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > this.now()) {
+      this.hits += 1;
+      return entry.value;
+    }
+    if (entry) this.entries.delete(key);
+    this.misses += 1;
+    return undefined;
+  }
+
+  set(key, value) {
+    if (!this.ttlMs) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.now() + this.ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  stats() {
+    return { entries: this.entries.size, hits: this.hits, misses: this.misses, ttlSeconds: Math.round(this.ttlMs / 1000) };
+  }
+}
+
+/**
+ * A cache configured from LLM_CACHE_TTL_SECONDS
+ */
+function createCache(env = process.env) {
+  const seconds = env.LLM_CACHE_TTL_SECONDS === undefined || env.LLM_CACHE_TTL_SECONDS === ''
+    ? DEFAULT_TTL_SECONDS
+    : Math.max(0, Number(env.LLM_CACHE_TTL_SECONDS) || 0);
+  return new ResponseCache({ ttlMs: seconds * 1000 });
+}
+
+module.exports = {
+  ResponseCache,
+  createCache
+};
@@ -0,0 +1,27 @@
+/**
+ * Gemini provider — Google Generative AI SDK
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  /**
+   * @param {object} options - { apiKey, model }
+   */
+  constructor({ apiKey, model = 'gemini-2.0-flash' }) {
+    if (!apiKey) throw new Error('Gemini provider needs GEMINI_API_KEY');
+    this.name = 'gemini';
+    this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const result = await this.model.generateContent(prompt, { signal });
+    const usage = result.response.usageMetadata;
+    return {
+      text: result.response.text(),
+      usage: usage ? { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount } : null
+    };
+  }
+}
+
+module.exports = GeminiProvider;
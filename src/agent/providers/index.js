@@ -0,0 +1,161 @@
+/**
+ * LLM Providers — the text generators behind MyDay Intel (src/agent/brain.js)
+ *
+ * Every provider exposes one method:
+ *
+ *   generate(prompt, { signal }) → Promise<string | { text, usage: { inputTokens, outputTokens } | null }>
+ *
+ * Providers, listed in LLM_PROVIDERS in fallback order (default: gemini):
+ *   gemini — Google Generative AI (GEMINI_API_KEY, GEMINI_MODEL)
+ *   openai — any OpenAI-compatible /chat/completions API (OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL)
+ *   ollama — a local Ollama-style server (OLLAMA_URL, OLLAMA_MODEL)
+ *   stub   — deterministic replies, for tests
+ *
+ * The chain tries each provider in turn, giving each attempt LLM_TIMEOUT_MS
+ * and retrying a failing provider LLM_RETRIES times with jittered backoff;
+ * only when all of them fail does the Brain fall back to its canned replies.
+ */
+
+const GeminiProvider = require('./gemini');
+const OpenAICompatibleProvider = require('./openai');
+const OllamaProvider = require('./ollama');
+const StubProvider = require('./stub');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 1;
+const RETRY_BASE_DELAY_MS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Milliseconds before retry `attempt` (1-based): exponential, plus up to half a step of jitter
+ */
+function retryDelay(attempt, baseMs = RETRY_BASE_DELAY_MS) {
+  return baseMs * 2 ** (attempt - 1) + Math.floor(Math.random() * baseMs / 2);
+}
+
+class ProviderChain {
+  /**
+   * @param {object[]} providers - in fallback order
+   * @param {object} [options] - { timeoutMs, retries, retryBaseMs, sleep }
+   */
+  constructor(providers, { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, retryBaseMs = RETRY_BASE_DELAY_MS, sleep: wait = sleep } = {}) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.retryBaseMs = retryBaseMs;
+    this.sleep = wait;
+    this.name = providers.map(p => p.name).join('→') || 'none';
+  }
+
+  /**
+   * First provider's answer that arrives in time; rejects with the last error when all fail
+   * @returns {Promise<{text: string, provider: string, usage: object|null}>} usage as reported by the provider
+   */
+  async complete(prompt) {
+    let lastError = new Error('No LLM provider configured');
+    for (const provider of this.providers) {
+      for (let attempt = 0; attempt <= this.retries; attempt++) {
+        if (attempt) await this.sleep(retryDelay(attempt, this.retryBaseMs));
+        try {
+          const { text, usage } = await this._withTimeout(provider, prompt);
+          return { text, provider: provider.name, usage };
+        } catch (error) {
+          lastError = error;
+          const retrying = attempt < this.retries ? ' — retrying' : '';
+          console.warn(`LLM provider ${provider.name} failed: ${error.message || error}${retrying}`);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  async generate(prompt) {
+    return (await this.complete(prompt)).text;
+  }
+
+  async _withTimeout(provider, prompt) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+    });
+    try {
+      const reply = await Promise.race([provider.generate(prompt, { signal: controller.signal }), timeout]);
+      const text = reply && typeof reply === 'object' ? reply.text : reply;
+      if (!text || !String(text).trim()) throw new Error('empty response');
+      return { text: String(text), usage: (reply && reply.usage) || null };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Build one provider by name
+ * @param {string} name - gemini | openai | ollama | stub
+ * @param {object} [env]
+ */
+function createProvider(name, env = process.env) {
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiKey: env.OPENAI_API_KEY || null,
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        model: env.OPENAI_MODEL || undefined
+      });
+    case 'ollama':
+      return new OllamaProvider({ baseUrl: env.OLLAMA_URL || undefined, model: env.OLLAMA_MODEL || undefined });
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Build the provider chain selected by LLM_PROVIDERS. A provider that cannot
+ * be configured (e.g. gemini without a key) is skipped with a warning; with
+ * none left every call fails and the Brain uses its canned replies.
+ * @param {object} [options] - { providers: names or instances, timeoutMs, retries, env }
+ */
+function createLLM(options = {}) {
+  const env = options.env || process.env;
+  const requested = options.providers
+    || String(env.LLM_PROVIDERS || 'gemini').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+  const providers = [];
+  for (const entry of requested) {
+    if (typeof entry !== 'string') {
+      providers.push(entry);
+      continue;
+    }
+    try {
+      providers.push(createProvider(entry, env));
+    } catch (e) {
+      console.warn(`⚠ LLM provider ${entry} unavailable: ${e.message}`);
+    }
+  }
+  if (!providers.length) console.warn('⚠ No LLM provider configured — coaching falls back to canned replies');
+
+  const timeoutMs = options.timeoutMs || Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const retries = options.retries !== undefined
+    ? options.retries
+    : (env.LLM_RETRIES !== undefined && env.LLM_RETRIES !== '' ? Math.max(0, Number(env.LLM_RETRIES) || 0) : DEFAULT_RETRIES);
+  return new ProviderChain(providers, { timeoutMs, retries });
+}
+
+module.exports = {
+  createLLM,
+  createProvider,
+  ProviderChain,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  StubProvider
+};
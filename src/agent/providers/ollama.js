@@ -0,0 +1,34 @@
+/**
+ * Ollama provider — a local model server's /api/generate
+ */
+
+const fetch = require('node-fetch');
+
+class OllamaProvider {
+  /**
+   * @param {object} options - { baseUrl, model }
+   */
+  constructor({ baseUrl = 'http://localhost:11434', model = 'llama3.1' }) {
+    this.name = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const res = await fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: this.model, prompt, stream: false }),
+      signal
+    });
+    if (!res.ok) throw new Error(`Ollama ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    const body = await res.json();
+    if (!body.response) throw new Error('Ollama returned no response');
+    const usage = body.prompt_eval_count !== undefined
+      ? { inputTokens: body.prompt_eval_count, outputTokens: body.eval_count }
+      : null;
+    return { text: body.response, usage };
+  }
+}
+
+module.exports = OllamaProvider;
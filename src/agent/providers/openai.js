@@ -0,0 +1,37 @@
+/**
+ * OpenAI-compatible provider — any /chat/completions endpoint
+ * (OpenAI, OpenRouter, Groq, vLLM, LM Studio, ...)
+ */
+
+const fetch = require('node-fetch');
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {object} options - { apiKey, baseUrl, model }
+   */
+  constructor({ apiKey = null, baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini' }) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    const res = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model, messages: [{ role: 'user', content: prompt }] }),
+      signal
+    });
+    if (!res.ok) throw new Error(`OpenAI-compatible API ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    const body = await res.json();
+    const text = body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+    if (!text) throw new Error('OpenAI-compatible API returned no content');
+    const usage = body.usage ? { inputTokens: body.usage.prompt_tokens, outputTokens: body.usage.completion_tokens } : null;
+    return { text, usage };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,30 @@
+/**
+ * Stub provider — deterministic replies for tests and offline runs
+ *
+ * Same prompt, same reply: a fixed string, a function of the prompt, or by
+ * default a short digest of the prompt. Records every prompt it was given.
+ */
+
+const crypto = require('crypto');
+
+class StubProvider {
+  /**
+   * @param {object} [options] - { reply: string | (prompt) => string, fail: Error to throw instead }
+   */
+  constructor({ reply = null, fail = null } = {}) {
+    this.name = 'stub';
+    this.reply = reply;
+    this.fail = fail;
+    this.prompts = [];
+  }
+
+  async generate(prompt) {
+    this.prompts.push(prompt);
+    if (this.fail) throw this.fail;
+    if (typeof this.reply === 'function') return this.reply(prompt);
+    if (this.reply !== null) return this.reply;
+    return `[stub ${crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8)}]`;
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,276 @@
+/**
+ * LLM Usage — token and cost accounting with daily budgets
+ *
+ * Every model call the Brain makes is recorded against the user it was for
+ * (telegram_id 0 when none) and the UTC day. Each call is added to the
+ * llm_usage table (migration 011) as an increment, and the day's totals are
+ * re-read from it before each request, so budgets hold across restarts and
+ * across instances.
+ *
+ * Budgets (unset or 0 = unlimited), per UTC day:
+ *   LLM_DAILY_TOKEN_BUDGET / LLM_DAILY_COST_BUDGET_USD            all users together
+ *   LLM_USER_DAILY_TOKEN_BUDGET / LLM_USER_DAILY_COST_BUDGET_USD  each user
+ *
+ * Prices are USD per 1M input/output tokens per provider, overridable with
+ * LLM_PRICE_<PROVIDER>=input/output (e.g. LLM_PRICE_GEMINI=0.10/0.40).
+ * Providers that do not report usage are estimated at ~4 characters a token.
+ */
+
+const DEFAULT_PRICES = {
+  gemini: { input: 0.10, output: 0.40 },
+  openai: { input: 0.15, output: 0.60 },
+  ollama: { input: 0, output: 0 },
+  stub: { input: 0, output: 0 }
+};
+
+const NO_USER = 0;
+
+class BudgetExceededError extends Error {
+  /**
+   * @param {'global'|'user'} scope
+   * @param {string} limit - e.g. '50000 tokens'
+   */
+  constructor(scope, limit) {
+    super(`LLM ${scope === 'user' ? 'per-user' : 'global'} daily budget of ${limit} exhausted`);
+    this.name = 'BudgetExceededError';
+    this.code = 'LLM_BUDGET_EXCEEDED';
+    this.scope = scope;
+  }
+}
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+function emptyTotals() {
+  return { calls: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addTotals(totals, delta, sign = 1) {
+  for (const field of Object.keys(totals)) totals[field] += sign * (delta[field] || 0);
+  return totals;
+}
+
+/**
+ * Rough token count for providers that report none
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * { inputTokens, outputTokens } for a call, estimated from the text when the provider reported none
+ */
+function usageOf(prompt, text, reported = null) {
+  return {
+    inputTokens: reported && Number.isFinite(reported.inputTokens) ? reported.inputTokens : estimateTokens(prompt),
+    outputTokens: reported && Number.isFinite(reported.outputTokens) ? reported.outputTokens : estimateTokens(text)
+  };
+}
+
+/**
+ * Provider prices from DEFAULT_PRICES and LLM_PRICE_<PROVIDER> overrides
+ */
+function pricesFromEnv(env = process.env) {
+  const prices = { ...DEFAULT_PRICES };
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(/^LLM_PRICE_([A-Z0-9_]+)$/);
+    if (!match || !value) continue;
+    const [input, output] = String(value).split('/').map(Number);
+    if (Number.isFinite(input) && Number.isFinite(output)) {
+      prices[match[1].toLowerCase()] = { input, output };
+    } else {
+      console.warn(`⚠ ${key} must look like 0.10/0.40 (USD per 1M input/output tokens) — ignored`);
+    }
+  }
+  return prices;
+}
+
+class UsageMeter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] - getLlmUsage / addLlmUsage (the Database adapter)
+   * @param {object} [options.budgets] - { tokens, costUsd, userTokens, userCostUsd }
+   * @param {object} [options.prices] - { [provider]: { input, output } } USD per 1M tokens
+   * @param {Function} [options.now] - injectable clock
+   */
+  constructor({ store = null, budgets = {}, prices = DEFAULT_PRICES, now = () => new Date() } = {}) {
+    this.store = store;
+    this.budgets = budgets;
+    this.prices = prices;
+    this.now = now;
+    this.date = null;
+    this.global = emptyTotals();
+    this.users = new Map();
+    this.pending = new Map(); // telegram_id → usage written but not yet confirmed by the store
+  }
+
+  /**
+   * Re-read today's totals from the store, which every instance adds to
+   * (a failed read keeps the counts held here)
+   */
+  async ready() {
+    this._rollover();
+    if (!this.store) return;
+    const date = this.date;
+    try {
+      const rows = await this.store.getLlmUsage({ from: date, to: date });
+      if (this.date !== date) return;
+      const global = emptyTotals();
+      const users = new Map();
+      for (const row of rows) {
+        const totals = {
+          calls: Number(row.calls || 0),
+          cacheHits: Number(row.cache_hits || 0),
+          inputTokens: Number(row.input_tokens || 0),
+          outputTokens: Number(row.output_tokens || 0),
+          costUsd: Number(row.cost_usd || 0)
+        };
+        users.set(Number(row.telegram_id), totals);
+        addTotals(global, totals);
+      }
+      // This instance's writes still in flight are not in the rows yet
+      for (const [id, delta] of this.pending) {
+        if (!users.has(id)) users.set(id, emptyTotals());
+        addTotals(users.get(id), delta);
+        addTotals(global, delta);
+      }
+      this.global = global;
+      this.users = users;
+    } catch (e) {
+      console.error('LLM usage load failed:', e.message || e);
+    }
+  }
+
+  /**
+   * Throw BudgetExceededError when today's global or per-user budget is spent
+   */
+  check(userId = NO_USER) {
+    this._rollover();
+    const { tokens, costUsd, userTokens, userCostUsd } = this.budgets;
+    const spent = (t) => t.inputTokens + t.outputTokens;
+    if (tokens && spent(this.global) >= tokens) throw new BudgetExceededError('global', `${tokens} tokens`);
+    if (costUsd && this.global.costUsd >= costUsd) throw new BudgetExceededError('global', `$${costUsd}`);
+
+    const id = Number(userId) || NO_USER;
+    if (id === NO_USER || !this.users.has(id)) return;
+    const user = this.users.get(id);
+    if (userTokens && spent(user) >= userTokens) throw new BudgetExceededError('user', `${userTokens} tokens`);
+    if (userCostUsd && user.costUsd >= userCostUsd) throw new BudgetExceededError('user', `$${userCostUsd}`);
+  }
+
+  /**
+   * Count one model call
+   * @param {number|null} userId
+   * @param {object} call - { provider, inputTokens, outputTokens }
+   * @returns {number} the call's cost in USD
+   */
+  record(userId, { provider, inputTokens = 0, outputTokens = 0 }) {
+    this._rollover();
+    const price = this.prices[provider] || { input: 0, output: 0 };
+    const costUsd = round6((inputTokens * price.input + outputTokens * price.output) / 1e6);
+    this._add(userId, { calls: 1, inputTokens, outputTokens, costUsd });
+    return costUsd;
+  }
+
+  /**
+   * Count a reply served from the cache (no tokens spent)
+   */
+  recordCacheHit(userId) {
+    this._rollover();
+    this._add(userId, { cacheHits: 1 });
+  }
+
+  /**
+   * Today's counters for the admin stats endpoint, heaviest users first
+   */
+  snapshot({ top = 20 } = {}) {
+    this._rollover();
+    const view = (t) => ({ ...t, tokens: t.inputTokens + t.outputTokens, costUsd: round6(t.costUsd) });
+    const { tokens, costUsd } = this.budgets;
+    const global = view(this.global);
+    return {
+      date: this.date,
+      budgets: { ...this.budgets },
+      global: {
+        ...global,
+        remaining: {
+          tokens: tokens ? Math.max(0, tokens - global.tokens) : null,
+          costUsd: costUsd ? round6(Math.max(0, costUsd - global.costUsd)) : null
+        }
+      },
+      users: [...this.users.entries()]
+        .map(([telegramId, totals]) => ({ telegramId, ...view(totals) }))
+        .sort((a, b) => b.tokens - a.tokens || b.calls - a.calls)
+        .slice(0, top)
+    };
+  }
+
+  _add(userId, delta) {
+    const id = Number(userId) || NO_USER;
+    addTotals(this._userTotals(id), delta);
+    addTotals(this.global, delta);
+    this._persist(id, delta);
+  }
+
+  _userTotals(id) {
+    if (!this.users.has(id)) this.users.set(id, emptyTotals());
+    return this.users.get(id);
+  }
+
+  _rollover() {
+    const today = this.now().toISOString().split('T')[0];
+    if (this.date === today) return;
+    this.date = today;
+    this.global = emptyTotals();
+    this.users = new Map();
+    this.pending = new Map();
+  }
+
+  // Increments, so writes from several instances (or landing out of order) all add up
+  _persist(id, delta) {
+    if (!this.store) return;
+    const date = this.date;
+    if (!this.pending.has(id)) this.pending.set(id, emptyTotals());
+    addTotals(this.pending.get(id), delta);
+    this.store.addLlmUsage({
+      usage_date: date,
+      telegram_id: id,
+      calls: delta.calls || 0,
+      cache_hits: delta.cacheHits || 0,
+      input_tokens: delta.inputTokens || 0,
+      output_tokens: delta.outputTokens || 0,
+      cost_usd: round6(delta.costUsd || 0)
+    }).then(() => {
+      if (this.date === date && this.pending.has(id)) addTotals(this.pending.get(id), delta, -1);
+    }).catch(e => {
+      // Left pending: still counted by this instance, though not by the others
+      console.error('LLM usage write failed:', e.message || e);
+    });
+  }
+}
+
+/**
+ * A meter configured from the environment (budgets and prices above)
+ * @param {object} [options] - { store, env }
+ */
+function createUsageMeter({ store = null, env = process.env } = {}) {
+  const budget = (name) => Number(env[name]) > 0 ? Number(env[name]) : null;
+  return new UsageMeter({
+    store,
+    budgets: {
+      tokens: budget('LLM_DAILY_TOKEN_BUDGET'),
+      costUsd: budget('LLM_DAILY_COST_BUDGET_USD'),
+      userTokens: budget('LLM_USER_DAILY_TOKEN_BUDGET'),
+      userCostUsd: budget('LLM_USER_DAILY_COST_BUDGET_USD')
+    },
+    prices: pricesFromEnv(env)
+  });
+}
+
+module.exports = {
+  UsageMeter,
+  BudgetExceededError,
+  createUsageMeter,
+  usageOf,
+  estimateTokens,
+  DEFAULT_PRICES
+};
@@ -3,23 +3,50 @@
  * 
  * Separates blockchain logic from coaching logic (Subagent-Driven Development)
  * Responsible for:
- * - Stake transactions on Celo L2
+ * - Stake escrow on Celo L2 (cUSD held by the agent vault for the mission day)
+ * - Stake settlement (release to the staker / route to forfeiture)
  * - x402 payment verification
- * - Smart contract interactions
  * - Settlement validation
+ *
+ * Escrow model: the agent wallet (PRIVATE_KEY) IS the vault. A stake is
+ * "locked" once its cUSD transfer to the vault is verified on-chain, and is
+ * released by the vault signer after the evening audit. Chain id and token
+ * address are configurable so the executor can run against a local
+ * Anvil/Hardhat chain with a mock cUSD token.
  */
 
 const { ethers } = require('ethers');
-const { verifyPayment, CELO_CUSD_ADDRESS, CELO_CHAIN_ID } = require('../x402/middleware');
+const { sharedSigner } = require('./signer');
+const { verifyPayment, CELO_CUSD_ADDRESS, CELO_CHAIN_ID, TRANSFER_EVENT_TOPIC } = require('../x402/middleware');
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
 
 class BlockchainExecutor {
-  constructor(rpcUrl, privateKey, registryAddress) {
+  /**
+   * @param {string} rpcUrl
+   * @param {string} privateKey - Vault signer key
+   * @param {object} [options]
+   * @param {number} [options.chainId] - Defaults to CHAIN_ID env or Celo Mainnet (42220)
+   * @param {string} [options.tokenAddress] - Stake token, defaults to STAKE_TOKEN_ADDRESS env or cUSD
+   * @param {string} [options.forfeitAddress] - Destination for missed stakes (FORFEIT_ADDRESS env).
+   *   When unset, forfeited funds simply stay in the vault.
+   * @param {number} [options.confirmations] - Confirmations to wait for on settlement transfers
+   */
+  constructor(rpcUrl, privateKey, options = {}) {
     this.rpcUrl = rpcUrl;
     this.privateKey = privateKey;
-    this.registryAddress = registryAddress;
+    this.chainId = Number(options.chainId || process.env.CHAIN_ID || CELO_CHAIN_ID);
+    this.tokenAddress = options.tokenAddress || process.env.STAKE_TOKEN_ADDRESS || CELO_CUSD_ADDRESS;
+    this.forfeitAddress = options.forfeitAddress || process.env.FORFEIT_ADDRESS || null;
+    this.confirmations = options.confirmations || 1;
     this.provider = null;
     this.signer = null;
-    this.contract = null;
+    this.token = null;
+    this.decimals = 18;
   }
 
   /**
@@ -27,20 +54,26 @@ class BlockchainExecutor {
    */
   async initialize() {
     try {
-      // Celo Mainnet — hardcoded, no testnet fallback
-      const chainId = 42220;
-      this.provider = new ethers.JsonRpcProvider(this.rpcUrl, chainId);
+      this.provider = new ethers.JsonRpcProvider(this.rpcUrl, this.chainId);
       this.signer = new ethers.Wallet(this.privateKey, this.provider);
 
-      // Simple ABI for staking
-      const stakingABI = [
-        'function stake(uint256 amountCELO) public',
-        'function settleStake(uint256 stakeId, bool completed) public',
-        'function withdrawEarnings() public'
-      ];
+      // Stakes are paid to VAULT_ADDRESS (/x402/stake) and locked/settled by this signer
+      const configuredVault = process.env.VAULT_ADDRESS;
+      if (configuredVault && configuredVault.toLowerCase() !== this.signer.address.toLowerCase()) {
+        throw new Error(`VAULT_ADDRESS ${configuredVault} is not the PRIVATE_KEY wallet ${this.signer.address} — stakes paid to it could not be settled`);
+      }
+
+      // Settlement sends release + forfeit transfers back-to-back; nonces are tracked
+      // locally, shared with the x402 facilitator that also signs with this key
+      this.token = new ethers.Contract(this.tokenAddress, ERC20_ABI, sharedSigner(this.privateKey, this.provider));
 
-      this.contract = new ethers.Contract(this.registryAddress, stakingABI, this.signer);
-      console.log('✓ Blockchain Executor initialized');
+      try {
+        this.decimals = Number(await this.token.decimals());
+      } catch (e) {
+        // cUSD is 18 decimals; keep the default if the token does not expose decimals()
+      }
+
+      console.log(`✓ Blockchain Executor initialized (chain ${this.chainId}, vault ${this.signer.address})`);
       return true;
     } catch (error) {
       console.error('Blockchain initialization error:', error.message);
@@ -49,30 +82,64 @@ class BlockchainExecutor {
   }
 
   /**
-   * Execute stake transaction (Milestone 3)
-   * @param {string} habitName
-   * @param {number} amountCELO
-   * @returns {Promise<object>} - Transaction receipt
+   * Address that custodies locked stakes
    */
-  async executeStake(habitName, amountCELO) {
-    if (!this.contract) {
+  get vaultAddress() {
+    return this.signer ? this.signer.address : null;
+  }
+
+  /**
+   * Lock a stake for a mission day by verifying its cUSD transfer into the vault
+   * @param {object} stake
+   * @param {number|string} stake.telegramId - Staker's Telegram ID
+   * @param {string} stake.txHash - Payment transaction hash
+   * @param {number} stake.amount - Stake amount in token units (excluding protocol fee)
+   * @param {string} [stake.missionDate] - YYYY-MM-DD the stake is locked for (defaults to the
+   *   user's mission day when recorded, see Database.recordStakeLock)
+   * @returns {Promise<object>} - Lock record ({ status: 'locked', ... })
+   */
+  async executeStake({ telegramId, txHash, amount, missionDate }) {
+    if (!this.token) {
       throw new Error('Blockchain Executor not initialized');
     }
+    if (!txHash) throw new Error('txHash is required to lock a stake');
+    if (!(Number(amount) > 0)) throw new Error('Stake amount must be positive');
 
     try {
-      console.log(`📤 Executing stake: ${amountCELO} CELO for "${habitName}"`);
+      console.log(`📤 Locking stake: ${amount} cUSD for user ${telegramId} (tx ${txHash})`);
+
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      if (!receipt || receipt.status !== 1) {
+        throw new Error('Stake payment not found or failed on-chain');
+      }
 
-      // TODO: Call smart contract to stake CELO
-      // const tx = await this.contract.stake(ethers.utils.parseEther(amountCELO.toString()));
-      // const receipt = await tx.wait();
+      // Sum transfers of the stake token into the vault and remember the payer
+      const vault = this.vaultAddress.toLowerCase();
+      const token = this.tokenAddress.toLowerCase();
+      let received = 0n;
+      let from = null;
+      for (const log of (receipt.logs || [])) {
+        if (!log.topics || log.topics.length < 3) continue;
+        if (log.address.toLowerCase() !== token) continue;
+        if (log.topics[0].toLowerCase() !== TRANSFER_EVENT_TOPIC.toLowerCase()) continue;
+        if (('0x' + log.topics[2].slice(26)).toLowerCase() !== vault) continue;
+        received += BigInt(log.data);
+        from = ethers.getAddress('0x' + log.topics[1].slice(26));
+      }
+
+      const amountWei = ethers.parseUnits(String(amount), this.decimals);
+      if (received < amountWei) {
+        throw new Error(`Stake payment too small: received ${ethers.formatUnits(received, this.decimals)}, expected ${amount}`);
+      }
 
       return {
-        status: 'pending',
-        habitName,
-        amountCELO,
-        message: '📦 Stake queued for blockchain confirmation (Milestone 3)',
-        // transactionHash: receipt.transactionHash,
-        // blockNumber: receipt.blockNumber
+        status: 'locked',
+        telegramId: Number(telegramId),
+        missionDate: missionDate || null,
+        amount: Number(amount),
+        txHash,
+        from,
+        blockNumber: receipt.blockNumber
       };
     } catch (error) {
       console.error('Stake execution error:', error.message);
@@ -81,31 +148,84 @@ class BlockchainExecutor {
   }
 
   /**
-   * Settle stake after habit completion (Milestone 3)
-   * @param {number} stakeId
-   * @param {boolean} completed
+   * Split a locked stake from the evening audit result: the completed share
+   * is released, the missed share forfeited. Truncated to 6 decimals (the
+   * stakes table precision) so a retried settlement sends exactly what the
+   * claim recorded.
+   * @param {object} lock - Lock record returned by executeStake()
+   * @param {object} audit
+   * @param {number} audit.completed - Missions completed
+   * @param {number} audit.total - Missions planned
+   * @returns {{completed: number, total: number, released: number, forfeited: number}}
+   */
+  settlementAmounts(lock, { completed, total }) {
+    const amountWei = ethers.parseUnits(Number(lock.amount).toFixed(6), this.decimals);
+    const done = Math.max(0, Math.min(Number(completed) || 0, Number(total) || 0));
+    let releaseWei = total > 0 ? (amountWei * BigInt(done)) / BigInt(total) : 0n;
+    if (this.decimals > 6) releaseWei -= releaseWei % (10n ** BigInt(this.decimals - 6));
+    return {
+      completed: done,
+      total,
+      released: Number(ethers.formatUnits(releaseWei, this.decimals)),
+      forfeited: Number(ethers.formatUnits(amountWei - releaseWei, this.decimals))
+    };
+  }
+
+  /**
+   * Send a claimed stake's settlement transfers (see Database.claimStakeSettlement).
+   * The completed share is released back to the staker; the missed share is
+   * routed to the forfeiture destination (or kept in the vault if none).
+   * A transfer whose hash the claim already carries is not sent again once
+   * it is confirmed, so a retry after a crash only sends the missing leg.
+   * @param {object} claim - { status: 'settling', amount, from, txHash, released, forfeited,
+   *   releaseTxHash, forfeitTxHash }
+   * @param {object} [options]
+   * @param {Function} [options.onTransfer] - (kind, txHash) called as soon as a transfer is
+   *   broadcast, before it confirms; persist the hash here
    * @returns {Promise<object>} - Settlement receipt
    */
-  async settleStake(stakeId, completed) {
-    if (!this.contract) {
+  async settleStake(claim, { onTransfer = async () => {} } = {}) {
+    if (!this.token) {
       throw new Error('Blockchain Executor not initialized');
     }
+    if (!claim || claim.status !== 'settling') {
+      throw new Error('Only stakes claimed for settlement can be settled');
+    }
 
     try {
-      console.log(`🔒 Settling stake #${stakeId}: ${completed ? 'COMPLETED' : 'MISSED'}`);
+      const releaseWei = ethers.parseUnits(Number(claim.released).toFixed(6), this.decimals);
+      const forfeitWei = ethers.parseUnits(Number(claim.forfeited).toFixed(6), this.decimals);
+
+      console.log(`🔒 Settling stake ${claim.txHash}: ${claim.released} released, ${claim.forfeited} forfeited`);
+
+      let releaseTxHash = null;
+      let forfeitTxHash = null;
+
+      if (releaseWei > 0n) {
+        if (!claim.from) throw new Error('Stake has no payer address to release to');
+        releaseTxHash = await this._transferOnce('release', claim.from, releaseWei, claim.releaseTxHash, onTransfer);
+      }
+
+      if (forfeitWei > 0n && this.forfeitAddress) {
+        forfeitTxHash = await this._transferOnce('forfeit', this.forfeitAddress, forfeitWei, claim.forfeitTxHash, onTransfer);
+      }
 
-      // TODO: Call smart contract settlement logic
-      // const tx = await this.contract.settleStake(stakeId, completed);
-      // const receipt = await tx.wait();
+      const released = Number(claim.released);
+      const forfeited = Number(claim.forfeited);
 
       return {
-        status: 'settlement_complete',
-        stakeId,
-        completed,
-        message: completed 
-          ? '🎉 Stake unlocked! Earnings transferred.' 
-          : '💙 Stake returned. Try again tomorrow!',
-        // transactionHash: receipt.transactionHash
+        status: forfeitWei === 0n ? 'released' : (releaseWei === 0n ? 'forfeited' : 'partially_released'),
+        stakeTxHash: claim.txHash,
+        released,
+        forfeited,
+        forfeitAddress: forfeitWei > 0n ? (this.forfeitAddress || this.vaultAddress) : null,
+        releaseTxHash,
+        forfeitTxHash,
+        message: forfeitWei === 0n
+          ? '🎉 Stake unlocked! Your full stake is back in your wallet.'
+          : releaseWei === 0n
+            ? '💙 Stake forfeited this time. Tomorrow is a fresh start!'
+            : `✅ ${released} cUSD released for your wins, ${forfeited} cUSD forfeited.`
       };
     } catch (error) {
       console.error('Settlement error:', error.message);
@@ -113,6 +233,27 @@ class BlockchainExecutor {
     }
   }
 
+  /**
+   * Transfer `amountWei` to `to` unless `sentTxHash` (from an earlier attempt) already went through
+   * @returns {Promise<string>} hash of the confirmed transfer
+   */
+  async _transferOnce(kind, to, amountWei, sentTxHash, onTransfer) {
+    if (sentTxHash) {
+      const receipt = await this.provider.getTransactionReceipt(sentTxHash);
+      if (receipt && receipt.status === 1) return sentTxHash;
+      if (!receipt && await this.provider.getTransaction(sentTxHash)) {
+        // Broadcast but not mined yet: resending could pay twice
+        throw new Error(`Stake ${kind} transfer ${sentTxHash} is still pending`);
+      }
+      console.warn(`⚠ Stake ${kind} transfer ${sentTxHash} ${receipt ? 'reverted' : 'was dropped'} — sending it again`);
+    }
+
+    const tx = await this.token.transfer(to, amountWei);
+    await onTransfer(kind, tx.hash);
+    const receipt = await tx.wait(this.confirmations);
+    return receipt.hash;
+  }
+
   /**
    * Get account balance
    */
@@ -139,10 +280,10 @@ class BlockchainExecutor {
    * @returns {Promise<{valid: boolean, amount: number, from: string}>}
    */
   async verifyX402Payment(txHash, expectedAmount = 0.10) {
-    const vault = process.env.VAULT_ADDRESS || '';
+    const vault = this.vaultAddress || process.env.VAULT_ADDRESS || '';
     if (!vault) throw new Error('VAULT_ADDRESS not configured');
 
-    return verifyPayment(txHash, vault, expectedAmount, this.rpcUrl);
+    return verifyPayment(txHash, vault, expectedAmount, this.rpcUrl, { asset: this.tokenAddress, chainId: this.chainId });
   }
 
   /**
@@ -156,10 +297,9 @@ class BlockchainExecutor {
     }
 
     try {
-      const cusdABI = ['function balanceOf(address) view returns (uint256)'];
-      const cusd = new ethers.Contract(CELO_CUSD_ADDRESS, cusdABI, this.provider);
+      const cusd = new ethers.Contract(this.tokenAddress, ERC20_ABI, this.provider);
       const balance = await cusd.balanceOf(address);
-      return ethers.formatUnits(balance, 18);
+      return ethers.formatUnits(balance, this.decimals);
     } catch (error) {
       console.error('cUSD balance fetch error:', error.message);
       return '0';
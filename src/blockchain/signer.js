@@ -0,0 +1,30 @@
+/**
+ * Agent Signer — one nonce-managed wallet per key
+ *
+ * The stake executor (settlement transfers) and the x402 facilitator
+ * (transferWithAuthorization) both send transactions from PRIVATE_KEY. Each
+ * NonceManager counts the nonces it hands out on its own, so two of them for
+ * one wallet would reuse nonces when a settlement and a gasless payment
+ * overlap. Both take their signer from here instead.
+ */
+
+const { ethers } = require('ethers');
+
+const signers = new Map(); // address → NonceManager
+
+/**
+ * The shared NonceManager for `privateKey`. The first caller's provider is
+ * kept; later callers get the same instance whatever provider they pass.
+ * @param {string} privateKey
+ * @param {ethers.Provider} provider
+ * @returns {ethers.NonceManager}
+ */
+function sharedSigner(privateKey, provider) {
+  const wallet = new ethers.Wallet(privateKey, provider);
+  if (!signers.has(wallet.address)) signers.set(wallet.address, new ethers.NonceManager(wallet));
+  return signers.get(wallet.address);
+}
+
+module.exports = {
+  sharedSigner
+};
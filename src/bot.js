@@ -13,21 +13,56 @@ require('dotenv').config();
  * Separation of Concerns:
  * - Coaching Brain (this.brain): Mood analysis, habit recommendations
  * - Blockchain Executor (separate module): On-chain transactions
+ * - Conversation flows (src/flows): steps, validation and /cancel · /back
+ * - Free-text coaching: any other private message goes to the coach, with memory (/forget wipes it)
  */
 
 const TelegramBot = require('node-telegram-bot-api');
 const MyDayIntel = require('./agent/brain');
 const createSelfProtocol = require('./verifier/selfProtocol');
+const { computeDisciplineScore } = require('./services/scoring');
 const Database = require('./database/init');
+const { createSessionStore, PENDING_SUNSET_TTL } = require('./sessions');
+const { createFlowEngine } = require('./flows');
+const { ALLOWED_UPDATES } = require('./telegram/webhook');
+const { Delivery } = require('./telegram/delivery');
+const schedule = require('./services/schedule');
+const { localDate } = require('./services/jobs');
+const { escapeMarkdown } = require('./agent/output');
+const { buildWeeklyRoundup, formatWeeklyRoundup } = require('./services/weekly');
+const { computeInsights, formatInsights } = require('./services/insights');
+const coachMemory = require('./services/coachMemory');
+const { sizeForEnergy, suggestMissions, toProposal } = require('./services/missions');
+
+// Plain-text phrases that start a check-in (the coach leaves them alone)
+const TEXT_TRIGGERS = {
+  morning: /\/morning|\bGM\b/,
+  sunset: /\/sunset|Sunset|🌅/,
+  evening: /\/evening|Good night|\bgn\b/
+};
 
 class MyDayBot {
-  constructor(telegramToken, geminiKey, dbConfig) {
+  constructor(telegramToken, geminiKey, dbConfig, options = {}) {
     this.telegramToken = telegramToken;
     this.geminiKey = geminiKey;
     // CRITICAL: Do NOT start polling in constructor — defer to start()
     this.bot = new TelegramBot(telegramToken, { polling: false });
-    this.brain = new MyDayIntel(geminiKey);
     this.db = new Database(dbConfig);
+    // LLM usage is counted per user and day in llm_usage (migration 011) when Supabase is configured
+    this.brain = new MyDayIntel(geminiKey, { usageStore: this.db.client ? this.db : null });
+
+    // Every sendMessage goes through the delivery layer: 429 / 5xx backoff + delivery log
+    this.delivery = new Delivery({
+      send: this.bot.sendMessage.bind(this.bot),
+      log: this.db.client ? this.db : null
+    });
+    this.bot.sendMessage = (chatId, text, opts) => this.delivery.send(chatId, text, opts);
+
+    // Blockchain Executor (optional) — settles locked stakes after the Mission Audit
+    this.executor = options.executor || null;
+
+    // Webhook mode (src/telegram/webhook.js) — { url, path, secret }; long polling when null
+    this.webhook = options.webhook || null;
     
     // Handle 409 Conflict (polling duplicate instance)
     this.bot.on('polling_error', (error) => {
@@ -40,34 +75,63 @@ class MyDayBot {
       }
     });
     
-    // User session state for Mission Briefing flow
-    this.userMissionState = {};
-    
-    // User session state for Sunset Reflection flow
-    this.userSunsetState = {};
-    
-    // User flow states: mission briefing | sunset reflection | mission audit
-    this.userFlowState = {};
+    // Conversation state (flow step + answers so far), persisted with per-step TTLs
+    this.sessions = options.sessions || createSessionStore({ db: this.db });
+
+    // Declarative conversation flows: onboarding | mission briefing | mission audit | sunset reflection
+    this.flows = createFlowEngine({
+      sessions: this.sessions,
+      send: (chatId, text, opts) => this.bot.sendMessage(chatId, text, opts),
+      editKeyboard: (chatId, messageId, replyMarkup) =>
+        this.bot.editMessageReplyMarkup(replyMarkup, { chat_id: chatId, message_id: messageId }),
+      answer: (queryId, text) => this.bot.answerCallbackQuery(queryId, text ? { text } : {})
+    });
     
     // Legacy staking state (kept for backwards compatibility)
     this.userStakingState = {};
-
-    // Pending sunset reflections deferred by the scheduler
-    this._pendingSunset = {};
     
     // Bind methods to preserve context
     this.setupHandlers = this.setupHandlers.bind(this);
     this.handleStart = this.handleStart.bind(this);
     this.handleAllMessages = this.handleAllMessages.bind(this);
+    this.handleCallbackQuery = this.handleCallbackQuery.bind(this);
     this.handleMorningNudge = this.handleMorningNudge.bind(this);
     this.handleEveningAudit = this.handleEveningAudit.bind(this);
     this.handleSunsetReflection = this.handleSunsetReflection.bind(this);
-    this.handleSunsetWinsInput = this.handleSunsetWinsInput.bind(this);
-    this.handleSunsetMoodInput = this.handleSunsetMoodInput.bind(this);
     
     this.setupHandlers();
   }
 
+  _flowContext(msg) {
+    return { userId: msg.from.id, chatId: msg.chat.id, msg, bot: this, flows: this.flows };
+  }
+
+  // A button press acts on behalf of the user who tapped it, not the bot that sent the message
+  _callbackContext(query) {
+    const msg = { ...query.message, from: query.from };
+    return { ...this._flowContext(msg), query };
+  }
+
+  /**
+   * The flow definition a user is currently in, or null (used by the scheduler)
+   */
+  async activeFlow(userId) {
+    return this.flows.active(userId);
+  }
+
+  /**
+   * Queue a sunset reflection for when the user's current flow completes (scheduler)
+   */
+  async deferSunset(userId) {
+    await this.sessions.setSession(`pending_sunset:${userId}`, true, PENDING_SUNSET_TTL);
+  }
+
+  async takePendingSunset(userId) {
+    const pending = await this.sessions.getSession(`pending_sunset:${userId}`);
+    if (pending) await this.sessions.deleteSession(`pending_sunset:${userId}`);
+    return !!pending;
+  }
+
   setupHandlers() {
     // Start command
     this.bot.onText(/\/start/, (msg) => this.handleStart(msg));
@@ -77,24 +141,40 @@ class MyDayBot {
     // Reservoir command
     this.bot.onText(/\/reservoir/, (msg) => this.handleReservoir(msg));
 
+    // Weekly roundup on demand (also sent Fridays by the scheduler)
+    this.bot.onText(/\/week\b/, (msg) => this.handleWeek(msg));
+
+    // Behavioral patterns: /insights [30|90]
+    this.bot.onText(/\/insights(?:\s+(\d+))?/, (msg, match) => this.handleInsights(msg, match[1]));
+
+    // Check-in schedule: /schedule [morning|sunset|rest|quiet|snooze|reset] [value]
+    this.bot.onText(/\/schedule(?:\s+(.+))?/, (msg, match) => this.handleSchedule(msg, match[1]));
+
     // Morning nudge (can be triggered by user or scheduled)
-    this.bot.onText(/\/morning|GM/, (msg) => this.handleMorningNudge(msg));
+    this.bot.onText(TEXT_TRIGGERS.morning, (msg) => this.handleMorningNudge(msg));
 
-    // Sunset reflection (8 PM nudge)
-    this.bot.onText(/\/sunset|Sunset|🌅/, (msg) => this.handleSunsetReflection(msg));
+    // Sunset reflection (can be triggered by user or scheduled at the user's sunset time)
+    this.bot.onText(TEXT_TRIGGERS.sunset, (msg) => this.handleSunsetReflection(msg));
 
     // Verify command - SelfClaw Humanity Handshake
     this.bot.onText(/\/verify/, (msg) => this.handleVerify(msg));
 
-    // All message handler - routes to appropriate handler based on context
+    // All message handler - feeds the active flow (also handles /cancel and /back)
     this.bot.on('message', (msg) => this.handleAllMessages(msg));
 
+    // Inline keyboard presses (energy / mood scales, audit toggles, Confirm / Cancel)
+    this.bot.on('callback_query', (query) => this.handleCallbackQuery(query));
+
     // Evening audit
-    this.bot.onText(/\/evening|Good night|gn/, (msg) => this.handleEveningAudit(msg));
+    this.bot.onText(TEXT_TRIGGERS.evening, (msg) => this.handleEveningAudit(msg));
+
+    // Wipe the coach's conversation memory
+    this.bot.onText(/\/forget\b/, (msg) => this.handleForget(msg));
   }
 
   /**
-   * Route all messages based on user's current flow state
+   * Route all messages to the user's active flow (src/flows); other free text
+   * in a private chat goes to the coach
    */
   async handleAllMessages(msg) {
     try {
@@ -106,88 +186,12 @@ class MyDayBot {
         return;
       }
 
-      const userId = msg.from.id;
       const text = msg.text;
-      const flowState = this.userFlowState[userId];
-
       // Ignore empty messages
       if (!text) return;
 
-      // ===== MISSION BRIEFING FLOW =====
-      // Onboarding: capture city -> timezone
-      if (flowState === 'onboarding_city') {
-        const city = text.trim();
-        await this.handleOnboardingCity(msg, city);
-        return;
-      }
-      
-      // Step 1: Capture energy level
-      if (flowState === 'mission_briefing_energy') {
-        const energy = parseInt(text);
-        if (energy >= 1 && energy <= 5) {
-          await this.handleMissionEnergyInput(msg, energy);
-          return;
-        }
-      }
-
-      // Step 2: Capture mission goals (up to 3)
-      if (flowState === 'mission_briefing_goals') {
-        await this.handleMissionGoalsInput(msg);
-        return;
-      }
-
-      // Step 3: Capture custom stake amount
-      if (flowState === 'mission_briefing_stake') {
-        const stakeAmount = parseFloat(text);
-        if (!isNaN(stakeAmount) && stakeAmount > 0) {
-          await this.handleMissionStakeInput(msg, stakeAmount);
-          return;
-        }
-      }
-
-      // Step 4: Confirm stake with YES/NO
-      if (flowState === 'mission_briefing_confirm') {
-        if (text.toLowerCase() === 'yes') {
-          await this.handleMissionBriefingConfirm(msg);
-          return;
-        } else if (text.toLowerCase() === 'no') {
-          delete this.userFlowState[userId];
-          this.bot.sendMessage(msg.chat.id, '✅ Mission briefing cancelled.');
-          return;
-        }
-      }
-
-      // ===== MISSION AUDIT FLOW =====
-      if (flowState === 'mission_audit') {
-        await this.handleMissionAudit(msg);
-        return;
-      }
-
-      // ===== SUNSET REFLECTION FLOW =====
-      if (flowState === 'sunset_reflection_wins') {
-        const winsCount = parseInt(text);
-        if (!isNaN(winsCount) && winsCount >= 0) {
-          await this.handleSunsetWinsInput(msg, winsCount);
-          return;
-        }
-      }
-
-      if (flowState === 'sunset_reflection_mood') {
-        const mood = parseInt(text);
-        if (mood >= 1 && mood <= 5) {
-          await this.handleSunsetMoodInput(msg, mood);
-          return;
-        } else if (isNaN(mood)) {
-          // Coaching user on invalid input
-          this.bot.sendMessage(
-            msg.chat.id,
-            '❌ I didn\'t quite catch that energy level. Give me a number from 1 (Low) to 5 (Invincible) ⚡️.'
-          );
-          return;
-        }
-      }
-
-      // Ignore unrecognized input
+      const handled = await this.flows.handleText(this._flowContext(msg), text);
+      if (!handled && this._isCoachable(msg, text)) await this.handleCoachMessage(msg, text);
     } catch (error) {
       console.error('Error in handleAllMessages:', error);
       // Send guardian error message without exposing raw SQL errors
@@ -198,6 +202,86 @@ class MyDayBot {
     }
   }
 
+  // Free text nobody else answers: private chat, not a command or a check-in phrase
+  _isCoachable(msg, text) {
+    if (msg.chat.type && msg.chat.type !== 'private') return false;
+    if (text.trim().startsWith('/')) return false;
+    return !Object.values(TEXT_TRIGGERS).some(trigger => trigger.test(text));
+  }
+
+  /**
+   * Free-text coaching: answer from the user's last 7 days and the rolling
+   * conversation memory (services/coachMemory.js, migration 010)
+   */
+  async handleCoachMessage(msg, text) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const user = await this.db.getUserById(userId);
+    if (!user) {
+      await this.bot.sendMessage(chatId, 'Hi! Send /start so I can get to know you first. 👋');
+      return;
+    }
+    this.bot.sendChatAction(chatId, 'typing').catch(() => {});
+
+    const memory = await this.db.getCoachMemory(userId);
+    const since = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const context = {
+      days: await this.db.getDailyCheckIns(userId, { days: 7 }),
+      missions: await this.db.getMissions(userId, { from: since }),
+      streak: 0
+    };
+    try {
+      context.streak = computeDisciplineScore(await this.db.getScoringHistory(userId)).streak;
+    } catch (e) {
+      console.error('Scoring history unavailable:', e);
+    }
+
+    const userName = user.name || msg.from.first_name || 'Friend';
+    const reply = await this.brain.coachReply({ userId, userName, message: text, memory, context });
+    await this.bot.sendMessage(chatId, reply, { parse_mode: 'Markdown' });
+
+    let next = coachMemory.addExchange(memory, text, reply);
+    if (coachMemory.needsFolding(next)) {
+      const summary = await this.brain.summarizeConversation(next.summary, coachMemory.messagesToFold(next), { userId });
+      next = coachMemory.foldMemory(next, summary);
+    }
+    await this.db.saveCoachMemory(userId, next);
+  }
+
+  /**
+   * /forget — wipe the coach's memory of past conversations
+   */
+  async handleForget(msg) {
+    const chatId = msg.chat.id;
+    try {
+      await this.db.waitReady();
+      await this.db.clearCoachMemory(msg.from.id);
+      await this.bot.sendMessage(chatId, '🧽 Done — I\'ve forgotten our past conversations. Your check-ins and missions are untouched.');
+    } catch (e) {
+      console.error('Error in handleForget:', e);
+      this.bot.sendMessage(chatId, 'Sorry, could not clear your coaching memory right now.');
+    }
+  }
+
+  /**
+   * Route inline keyboard presses to the user's active flow; the engine checks
+   * them against the session so stale or forged buttons are ignored
+   */
+  async handleCallbackQuery(query) {
+    if (!query.message) {
+      await this.bot.answerCallbackQuery(query.id).catch(() => {});
+      return;
+    }
+    try {
+      await this.db.waitReady();
+      const handled = await this.flows.handleCallback(this._callbackContext(query), query);
+      if (!handled) await this.bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      console.error('Error in handleCallbackQuery:', error);
+      this.bot.answerCallbackQuery(query.id, { text: '⚠️ Something went wrong — please try again.' }).catch(() => {});
+    }
+  }
+
   /**
    * Start command - Initialize Mission Briefing flow
    */
@@ -215,9 +299,7 @@ class MyDayBot {
 
       // If timezone not set, prompt user for their city (onboarding)
       if (!user.timezone) {
-        this.userFlowState[userId] = 'onboarding_city';
-        const cityPrompt = `Before we begin, what is your current city? (e.g., Nairobi, New York)`;
-        this.bot.sendMessage(chatId, cityPrompt);
+        await this.flows.start(this._flowContext(msg), 'onboarding');
         return;
       }
 
@@ -259,13 +341,162 @@ Let's get started with your **Mission Briefing**!
     try {
       await this.db.updateUserTimezone(userId, tz);
       this.bot.sendMessage(chatId, `Timezone saved: ${tz}`);
-      delete this.userFlowState[userId];
+      const flow = await this.flows.active(userId);
+      if (flow && flow.name === 'onboarding') await this.flows.clear(userId);
     } catch (e) {
       console.error('Error saving timezone:', e);
       this.bot.sendMessage(chatId, 'Sorry, could not save your timezone.');
     }
   }
 
+  /**
+   * /schedule — show or change the user's check-in schedule (services/schedule.js)
+   */
+  async handleSchedule(msg, args) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const usage = `
+*Change it with:*
+/schedule morning 07:30
+/schedule sunset 21:00
+/schedule rest sat,sun  (or none)
+/schedule quiet 22:00-07:00  (or off)
+/schedule snooze 30
+/schedule reset
+    `.trim();
+
+    try {
+      await this.db.waitReady();
+      const user = await this.db.getOrCreateUser(userId, msg.from.first_name || null, chatId);
+      const current = schedule.scheduleFromUser(user);
+
+      const [field, ...rest] = String(args || '').trim().split(/\s+/);
+      const value = rest.join(' ');
+      if (!field) {
+        const tz = escapeMarkdown(user.timezone || 'UTC');
+        this.bot.sendMessage(chatId, `🗓 *Your check-in schedule* (${tz})\n\n${schedule.describeSchedule(current)}\n\n${usage}`, { parse_mode: 'Markdown' });
+        return;
+      }
+
+      const next = { ...current };
+      switch (field.toLowerCase()) {
+        case 'morning':
+        case 'sunset': {
+          const time = schedule.parseTime(value);
+          if (!time) return this.bot.sendMessage(chatId, '⚠️ Give a time like 07:30, 21:00 or 9pm.');
+          next[field.toLowerCase()] = time;
+          break;
+        }
+        case 'rest': {
+          const days = schedule.parseDays(value);
+          if (!days) return this.bot.sendMessage(chatId, '⚠️ Give days like "sat,sun", "weekend" or "none".');
+          if (days.length === 7) return this.bot.sendMessage(chatId, '⚠️ Keep at least one check-in day.');
+          next.restDays = days;
+          break;
+        }
+        case 'quiet': {
+          const quiet = schedule.parseQuietHours(value);
+          if (quiet === false) return this.bot.sendMessage(chatId, '⚠️ Give quiet hours like 22:00-07:00, or "off".');
+          next.quiet = quiet;
+          break;
+        }
+        case 'snooze': {
+          const minutes = parseInt(value, 10);
+          if (!(minutes >= schedule.MIN_SNOOZE && minutes <= schedule.MAX_SNOOZE)) {
+            return this.bot.sendMessage(chatId, `⚠️ Snooze must be ${schedule.MIN_SNOOZE}-${schedule.MAX_SNOOZE} minutes.`);
+          }
+          next.snoozeMinutes = minutes;
+          break;
+        }
+        case 'reset':
+          Object.assign(next, schedule.DEFAULT_SCHEDULE);
+          break;
+        default:
+          return this.bot.sendMessage(chatId, usage, { parse_mode: 'Markdown' });
+      }
+
+      // A check-in inside quiet hours would never be sent
+      const conflicts = schedule.quietConflicts(next);
+      if (conflicts.length) {
+        return this.bot.sendMessage(chatId, `⚠️ Your ${conflicts.join(' and ')} check-in would fall inside quiet hours — move it or change the quiet hours first.`);
+      }
+
+      await this.db.updateUserSchedule(userId, schedule.scheduleToColumns(next));
+      this.bot.sendMessage(chatId, `✅ Schedule updated.\n\n${schedule.describeSchedule(next)}`, { parse_mode: 'Markdown' });
+    } catch (e) {
+      console.error('Error in handleSchedule:', e);
+      this.bot.sendMessage(chatId, 'Sorry, could not update your schedule.');
+    }
+  }
+
+  /**
+   * Snooze button on a scheduled sunset prompt — queues a one-off sunset_snooze job
+   */
+  async snoozeSunset(ctx, minutes) {
+    const until = new Date(Date.now() + minutes * 60 * 1000);
+    await this.db.scheduleJob(ctx.userId, 'sunset_snooze', until);
+    await this.bot.sendMessage(ctx.chatId, `⏰ Snoozed — I'll check back in ${minutes} minutes.`);
+  }
+
+  /**
+   * Send a user their weekly roundup: averages, missions, stakes, streak and the Brain's insight
+   */
+  async sendWeeklyRoundup(user) {
+    const userId = user.telegram_id;
+    const history = await this.db.getWeekHistory(userId);
+
+    let streak = 0;
+    try {
+      streak = computeDisciplineScore(await this.db.getScoringHistory(userId)).streak;
+    } catch (e) {
+      console.error('Scoring history unavailable:', e);
+    }
+
+    const roundup = buildWeeklyRoundup(history, { streak });
+    try {
+      roundup.insights = computeInsights(await this.db.getInsightHistory(userId, { days: 90 }));
+    } catch (e) {
+      console.error('Insights unavailable:', e);
+    }
+    const insight = roundup.days.length
+      ? await this.brain.generateWeeklySummary(user.name || 'Friend', roundup.days, roundup, { userId })
+      : null;
+    await this.bot.sendMessage(userId, formatWeeklyRoundup(user.name, roundup, insight), { parse_mode: 'Markdown' });
+  }
+
+  async handleWeek(msg) {
+    const chatId = msg.chat.id;
+    try {
+      await this.db.waitReady();
+      const user = await this.db.getUserById(msg.from.id);
+      if (!user) {
+        this.bot.sendMessage(chatId, 'No account found. Start with /start');
+        return;
+      }
+      await this.sendWeeklyRoundup(user);
+    } catch (e) {
+      console.error('Error in handleWeek:', e);
+      this.bot.sendMessage(chatId, 'Sorry, could not build your weekly roundup.');
+    }
+  }
+
+  /**
+   * /insights [30|90] — patterns in the user's history, each with its confidence (services/insights.js)
+   */
+  async handleInsights(msg, windowArg) {
+    const chatId = msg.chat.id;
+    const windowDays = Number(windowArg) === 30 ? 30 : 90;
+    try {
+      await this.db.waitReady();
+      const history = await this.db.getInsightHistory(msg.from.id, { days: windowDays });
+      const reply = formatInsights(computeInsights(history), { windowDays, daysLogged: history.days.length });
+      await this.bot.sendMessage(chatId, reply, { parse_mode: 'Markdown' });
+    } catch (e) {
+      console.error('Error in handleInsights:', e);
+      this.bot.sendMessage(chatId, 'Sorry, could not analyze your history right now.');
+    }
+  }
+
   async handleReservoir(msg) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
@@ -277,15 +508,20 @@ Let's get started with your **Mission Briefing**!
         return;
       }
 
-      // Current balance (cUSD) from users.vault_balance
-      const balance = typeof user.vault_balance !== 'undefined' ? user.vault_balance : 0;
+      // Current balance (cUSD) reconstructed from the stake ledger
+      let balance = { available: 0, locked: 0, total: 0 };
+      try {
+        balance = await this.db.getVaultBalance(userId);
+      } catch (e) {
+        console.error('Ledger balance unavailable:', e);
+      }
 
-      // Total Discipline Points: sum derived from saved missions (Supabase)
-      let totalStaked = 0;
+      // Total Discipline Points and grit score, from the shared scoring engine
+      let score = computeDisciplineScore();
       try {
-        totalStaked = await this.db.getTotalStaked(userId);
+        score = computeDisciplineScore(await this.db.getScoringHistory(userId));
       } catch (e) {
-        totalStaked = 0;
+        console.error('Scoring history unavailable:', e);
       }
 
       // Next unlock date: naive implementation = tomorrow
@@ -299,8 +535,10 @@ Let's get started with your **Mission Briefing**!
       const status = verified ? 'ZK-Human ✓' : 'Unverified';
 
       const resp = `*Reservoir Summary*
-Current Balance (cUSD): ${balance}
-Total Discipline Points: ${totalStaked}
+Current Balance (cUSD): ${balance.total}
+Locked in Today's Stake: ${balance.locked}
+Total Discipline Points: ${score.totalStaked}
+Grit Score: ${score.gritScore}/100 (${score.status}) · Streak: ${score.streak}
 Next Unlock Date: ${nextUnlockDate}
 Verification Status: ${status}`;
 
@@ -349,169 +587,60 @@ Verification Status: ${status}`;
     }
   }
 
-  async handleOnboardingCity(msg, city) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-    try {
-      const tz = this.brain.mapCityToTimezone(city);
-      if (!tz) {
-        this.bot.sendMessage(chatId, `Thanks — I couldn't map "${city}" automatically. Please reply with your IANA timezone (e.g. America/New_York) or use /settimezone Your/Timezone`);
-        return;
-      }
-
-      await this.db.updateUserTimezone(userId, tz);
-      this.bot.sendMessage(chatId, `Great — your timezone is set to ${tz}. I'll send nudges at 08:00 and 20:00 your local time.`);
-      delete this.userFlowState[userId];
-
-      // Continue to mission flow
-      await this.promptMissionEnergy(msg);
-    } catch (e) {
-      console.error('Error in handleOnboardingCity:', e);
-      // Recovery: clear stuck state so user can retry
-      delete this.userFlowState[userId];
-      this.bot.sendMessage(chatId, 'Sorry, something went wrong saving your city/timezone. Try /settimezone Your/Timezone or /start to begin again.');
-    }
+  /**
+   * Onboarding complete: save the timezone, then continue to the Mission Briefing
+   */
+  async completeOnboarding(ctx, { timezone }) {
+    await this.db.updateUserTimezone(ctx.userId, timezone);
+    const current = schedule.scheduleFromUser((await this.db.getUserById(ctx.userId)) || {});
+    this.bot.sendMessage(
+      ctx.chatId,
+      `Great — your timezone is set to ${escapeMarkdown(timezone)}. Here's when I'll check in (your local time):\n\n${schedule.describeSchedule(current)}\n\nChange any of it with /schedule.`,
+      { parse_mode: 'Markdown' }
+    );
+    await this.flows.start(ctx, 'mission_briefing');
   }
 
   /**
-   * Mission Briefing Step 1: Ask for energy level
+   * Begin the Mission Briefing flow (src/flows/missionBriefing.js)
    */
   async promptMissionEnergy(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
     try {
-      this.userFlowState[userId] = 'mission_briefing_energy';
-
-      const prompt = `
-🔋 *Mission Briefing Step 1 of 4: Energy Check*
-
-On a scale of 1-5, how's your discipline energy today?
-
-1️⃣ Low (need support)
-2️⃣ Below average
-3️⃣ Medium (balanced)
-4️⃣ Above average
-5️⃣ Peak energy (ready to conquer)
-
-Reply with the number: 1, 2, 3, 4, or 5
-      `.trim();
-
-      this.bot.sendMessage(chatId, prompt, { parse_mode: 'Markdown' });
-
+      await this.flows.start(this._flowContext(msg), 'mission_briefing');
     } catch (error) {
       console.error('Error in promptMissionEnergy:', error);
-      this.bot.sendMessage(chatId, '⚠️ Error starting Mission Briefing.');
+      this.bot.sendMessage(msg.chat.id, '⚠️ Error starting Mission Briefing.');
     }
   }
 
   /**
-   * Mission Briefing Step 2: Handle energy input and ask for missions
+   * Mission proposals for the briefing: the Brain's ideas sized to today's energy,
+   * informed by 30-day completion per category and yesterday's unfinished missions.
+   * Local suggestions (services/missions.js) fill in whatever the Brain does not supply.
+   * @returns {Promise<{proposals: object[], alternates: object[]}>}
    */
-  async handleMissionEnergyInput(msg, energy) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
+  async proposeMissions(ctx, energy) {
+    const { userId } = ctx;
+    const size = sizeForEnergy(energy);
+    let byCategory = {};
+    let unfinished = [];
     try {
-      // Store energy level in temporary state
-      if (!this.userMissionState) this.userMissionState = {};
-      this.userMissionState[userId] = {
-        energy,
-        missions: [],
-        stake: 0
-      };
-
-      // Move to Step 2: Get missions
-      this.userFlowState[userId] = 'mission_briefing_goals';
-
-      const missionPrompt = `
-    🎯 *Mission Briefing — Your 3 Missions*
-
-    What are the 3 missions you are conquering today?
-
-    List exactly 3 if possible (comma-separated or line-by-line).
-
-    *Examples:*
-    - Morning run
-    - Deep work session
-    - Meditate
-    - Learn Spanish
-    - Code review
-
-    Reply with your 3 missions now:
-      `.trim();
-
-      this.bot.sendMessage(chatId, missionPrompt, { parse_mode: 'Markdown' });
-
-    } catch (error) {
-      console.error('Error in handleMissionEnergyInput:', error);
-      this.bot.sendMessage(
-        chatId,
-        '⚠️ MyDay Intel is recalibrating. I\'ve safely recorded your progress, but I need a moment. Please try your last command again.'
-      );
+      byCategory = (await this.db.getCompletionRate(userId, { days: 30 })).by_category;
+      const yesterday = await this.db.missionDate(userId, -1);
+      unfinished = (await this.db.getMissions(userId, { from: yesterday, to: yesterday }))
+        .filter(m => m.status !== 'completed')
+        .map(m => m.mission_title);
+    } catch (e) {
+      console.error('Mission history unavailable:', e);
     }
-  }
-
-  /**
-   * Mission Briefing Step 3: Parse missions and suggest stake
-   */
-  async handleMissionGoalsInput(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-    const text = msg.text;
-
-    try {
-      if (!this.userMissionState) this.userMissionState = {};
-      const state = this.userMissionState[userId];
-
-      // Parse missions (comma-separated or line-by-line)
-      const missions = text
-        .split(/[,\n]/)
-        .map(m => m.trim())
-        .filter(m => m.length > 0)
-        .slice(0, 3);  // Max 3 missions
-
-      if (missions.length === 0) {
-        this.bot.sendMessage(chatId, '⚠️ Please enter at least one mission.');
-        return;
-      }
 
-      state.missions = missions;
+    const local = suggestMissions({ energy, byCategory, unfinished });
+    const userName = (ctx.msg && ctx.msg.from && ctx.msg.from.first_name) || 'Friend';
+    const ideas = await this.brain.suggestMissions({ userId, userName, energy, size, byCategory, unfinished }) || [];
 
-      // Store missions to show back to user
-      const missionList = missions
-        .map((m, i) => `${i + 1}. ${m}`)
-        .join('\n');
-
-      // Step 3: Suggest stake (LOCAL LOGIC - no Gemini call)
-      this.userFlowState[userId] = 'mission_briefing_stake';
-
-      const suggestedStake = this.calculateSuggestedStake(state.energy);
-
-      const stakePrompt = `
-    💰 *Mission Briefing Step 3 of 4: Set Your Stake*
-
-    Your Missions Today:
-    ${missionList}
-
-    Energy Level: ${state.energy}/5
-
-    💎 *My Suggestion:* ${suggestedStake} cUSD
-
-    But this is YOUR day. How much cUSD do you want to stake on your discipline today?
-
-    (You can match my suggestion or choose your own amount)
-      `.trim();
-
-      this.bot.sendMessage(chatId, stakePrompt, { parse_mode: 'Markdown' });
-
-    } catch (error) {
-      console.error('Error in handleMissionGoalsInput:', error);
-      this.bot.sendMessage(
-        chatId,
-        '⚠️ MyDay Intel is recalibrating. I\'ve safely recorded your progress, but I need a moment. Please try your last command again.'
-      );
-    }
+    const all = [...ideas.map(i => toProposal(i.title, { category: i.category, size })), ...local.proposals, ...local.alternates]
+      .filter((p, i, list) => p && list.findIndex(o => o && o.title.toLowerCase() === p.title.toLowerCase()) === i);
+    return { proposals: all.slice(0, 3), alternates: all.slice(3, 9) };
   }
 
   /**
@@ -525,206 +654,155 @@ Reply with the number: 1, 2, 3, 4, or 5
   }
 
   /**
-   * Mission Briefing Step 4: Capture custom stake
+   * Mission Briefing confirmed: save missions to database and send the x402 stake link.
+   * Returns false (stay on the confirmation step) until the user is verified.
    */
-  async handleMissionStakeInput(msg, stakeAmount) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    try {
-      if (!this.userMissionState) this.userMissionState = {};
-      const state = this.userMissionState[userId];
-
-      state.stake = stakeAmount;
-      this.userFlowState[userId] = 'mission_briefing_confirm';
-
-      const missionList = state.missions
-        .map((m, i) => `${i + 1}. ${m}`)
-        .join('\n');
-
-      const confirmPrompt = `
-    ✅ *Mission Briefing Step 4 of 4: Confirm Your Commitment*
-
-    **Your Missions:**
-    ${missionList}
-
-    ⚡ Energy: ${state.energy}/5
-    💰 Stake: **${stakeAmount} cUSD**
-
-    Ready to lock in your commitment?
-
-    Reply: **YES** or **NO**
-      `.trim();
-
-      this.bot.sendMessage(chatId, confirmPrompt, { parse_mode: 'Markdown' });
-
-    } catch (error) {
-      console.error('Error in handleMissionStakeInput:', error);
-      this.bot.sendMessage(
-        chatId,
-        '⚠️ MyDay Intel is recalibrating. I\'ve safely recorded your progress, but I need a moment. Please try your last command again.'
-      );
+  async completeMissionBriefing(ctx, state) {
+    const { chatId, userId } = ctx;
+
+    // Save missions to database
+    // Before allowing a stake, ensure user is verified via SelfClaw
+    const self = createSelfProtocol({ db: this.db, railwayUrl: process.env.RAILWAY_URL });
+    const verified = await self.isVerified(userId);
+    if (!verified) {
+      const link = 'https://selfclaw.ai/verify?agentId=7';
+      const msgText = '🛡️ Humanity Attestation Required. To keep our Tribe bot-free, please verify your identity once via SelfClaw.';
+      const keyboard = {
+        reply_markup: {
+          inline_keyboard: [
+            [ { text: '🧬 PROVE HUMANITY', url: link } ]
+          ]
+        }
+      };
+      this.bot.sendMessage(chatId, msgText, keyboard);
+      return false;
     }
-  }
 
-  /**
-   * Mission Briefing Confirmation: Save missions to database
-   */
-  async handleMissionBriefingConfirm(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
+    // Save missions to database
+    await this.db.saveMissions(userId, state.missions, state.energy, state.stake);
+    
+    // Save daily summary with morning energy
+    await this.db.saveDailySummary(userId, state.energy, state.missions.length, state.stake);
 
+    // --- Milestone 3: MiniPay deep link generation with agent signature ---
+    // Prepare MiniPay deep link (celo wallet) and include agent verification signature in metadata
     try {
-      if (!this.userMissionState) this.userMissionState = {};
-      const state = this.userMissionState[userId];
-
-      // Save missions to database
-      // Before allowing a stake, ensure user is verified via SelfClaw
-      const self = createSelfProtocol({ db: this.db, railwayUrl: process.env.RAILWAY_URL });
-      const verified = await self.isVerified(userId);
-      if (!verified) {
-        const link = 'https://selfclaw.ai/verify?agentId=7';
-        const msgText = '🛡️ Humanity Attestation Required. To keep our Tribe bot-free, please verify your identity once via SelfClaw.';
-        const keyboard = {
-          reply_markup: {
-            inline_keyboard: [
-              [ { text: '🧬 PROVE HUMANITY', url: link } ]
-            ]
-          }
+      // --- Milestone 3: x402 Protocol Staking via MiniPay ---
+      // Uses real HTTP 402 payment flow: user pays cUSD on Celo L2, tx verified on-chain
+      const { buildStakeUrl } = require('./x402/middleware');
+      const VAULT = process.env.VAULT_ADDRESS || '';
+      const STAKE = state.stake;
+      const RAILWAY_URL = process.env.RAILWAY_URL || 'https://myday-guardian-production.up.railway.app';
+
+      // Sign a payload with agent private key to attest this intent
+      const pk = process.env.PRIVATE_KEY;
+      let agentSig = null;
+      let payloadObj = null;
+      if (pk) {
+        const { Wallet } = require('ethers');
+        const wallet = new Wallet(pk);
+        const agentId = process.env.AGENT_ID || '7';
+        payloadObj = {
+          agentId: String(agentId),
+          telegramUserId: userId,
+          stake: STAKE,
+          vault: VAULT,
+          protocol: 'x402',
+          timestamp: new Date().toISOString()
         };
-        this.bot.sendMessage(chatId, msgText, keyboard);
-        return;
+        const payloadStr = JSON.stringify(payloadObj);
+        agentSig = await wallet.signMessage(payloadStr);
       }
 
-      // Save missions to database
-      await this.db.saveMissions(userId, state.missions, state.energy, state.stake);
-      
-      // Save daily summary with morning energy
-      await this.db.saveDailySummary(userId, state.energy, state.missions.length, state.stake);
-
-      // --- Milestone 3: MiniPay deep link generation with agent signature ---
-      // Prepare MiniPay deep link (celo wallet) and include agent verification signature in metadata
-      try {
-        // --- Milestone 3: x402 Protocol Staking via MiniPay ---
-        // Uses real HTTP 402 payment flow: user pays cUSD on Celo L2, tx verified on-chain
-        const { buildStakeUrl } = require('./x402/middleware');
-        const VAULT = process.env.VAULT_ADDRESS || '';
-        const STAKE = state.stake;
-        const RAILWAY_URL = process.env.RAILWAY_URL || 'https://myday-guardian-production.up.railway.app';
-
-        // Sign a payload with agent private key to attest this intent
-        const pk = process.env.PRIVATE_KEY;
-        let agentSig = null;
-        let payloadObj = null;
-        if (pk) {
-          const { Wallet } = require('ethers');
-          const wallet = new Wallet(pk);
-          const agentId = process.env.AGENT_ID || '7';
-          payloadObj = {
-            agentId: String(agentId),
-            telegramUserId: userId,
-            stake: STAKE,
-            vault: VAULT,
-            protocol: 'x402',
-            timestamp: new Date().toISOString()
-          };
-          const payloadStr = JSON.stringify(payloadObj);
-          agentSig = await wallet.signMessage(payloadStr);
-        }
-
-        // metadata includes base64url(payload) and signature if present
-        const meta = payloadObj && agentSig
-          ? Buffer.from(JSON.stringify({ payload: payloadObj, sig: agentSig })).toString('base64url')
-          : '';
-
-        // x402 protocol fee
-        const fee = 0.10;
-        const totalAmount = (Number(STAKE) + fee).toFixed(2);
-
-        // Build x402 staking URL (returns 402 with payment requirements for agents,
-        // or deep link info for MiniPay users)
-        const payButtonUrl = buildStakeUrl({
-          baseUrl: RAILWAY_URL,
-          amount: Number(STAKE),
-          userId,
-          meta,
-          fee
-        });
-
-        // Also build legacy deep link for MiniPay direct redirect
-        const deepLinkUrl = `${RAILWAY_URL}/pay?amount=${encodeURIComponent(String(STAKE))}&user=${encodeURIComponent(String(userId))}${meta ? '&meta=' + encodeURIComponent(meta) : ''}`;
-
-        // Send deep link to user via inline keyboard buttons (x402 judge-ready UI)
-        const payMessage = `✅ Mission briefing locked.\n\n💰 Stake: ${STAKE} cUSD + ${fee.toFixed(2)} cUSD x402 fee = *${totalAmount} cUSD*\n🔐 Protocol: x402 (HTTP 402 Payment Required)\n⛓️ Network: Celo L2 (chain 42220)\n💎 Asset: cUSD\n\nTap below to authorize payment via MiniPay:`;
-        const inlineKeyboard = {
-          reply_markup: {
-            inline_keyboard: [
-              [
-                {
-                  text: '⚡️ WIN MY DAY: STAKE via x402 💎',
-                  url: deepLinkUrl
-                }
-              ],
-              [
-                {
-                  text: '📋 View x402 Payment Requirements',
-                  url: payButtonUrl
-                }
-              ]
+      // metadata includes base64url(payload) and signature if present
+      const meta = payloadObj && agentSig
+        ? Buffer.from(JSON.stringify({ payload: payloadObj, sig: agentSig })).toString('base64url')
+        : '';
+
+      // x402 protocol fee
+      const fee = 0.10;
+      const totalAmount = (Number(STAKE) + fee).toFixed(2);
+
+      // Build x402 staking URL (returns 402 with payment requirements for agents,
+      // or deep link info for MiniPay users)
+      const payButtonUrl = buildStakeUrl({
+        baseUrl: RAILWAY_URL,
+        amount: Number(STAKE),
+        userId,
+        meta,
+        fee
+      });
+
+      // Also build legacy deep link for MiniPay direct redirect
+      const deepLinkUrl = `${RAILWAY_URL}/pay?amount=${encodeURIComponent(String(STAKE))}&user=${encodeURIComponent(String(userId))}${meta ? '&meta=' + encodeURIComponent(meta) : ''}`;
+
+      // Send deep link to user via inline keyboard buttons (x402 judge-ready UI)
+      const payMessage = `✅ Mission briefing locked.\n\n💰 Stake: ${STAKE} cUSD + ${fee.toFixed(2)} cUSD x402 fee = *${totalAmount} cUSD*\n🔐 Protocol: x402 (HTTP 402 Payment Required)\n⛓️ Network: Celo L2 (chain 42220)\n💎 Asset: cUSD\n\nTap below to authorize payment via MiniPay:`;
+      const inlineKeyboard = {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: '⚡️ WIN MY DAY: STAKE via x402 💎',
+                url: deepLinkUrl
+              }
+            ],
+            [
+              {
+                text: '📋 View x402 Payment Requirements',
+                url: payButtonUrl
+              }
             ]
-          }
-        };
-        this.bot.sendMessage(chatId, payMessage, { ...inlineKeyboard, parse_mode: 'Markdown' });
-
-        // Optionally log a verification attempt record (pending until verifier confirms)
-        try {
-          await this.db.recordVerificationAttempt(userId, process.env.REGISTERED_AGENT_ADDRESS || (process.env.REGISTERED_AGENT_ADDRESS = ''), false, { note: 'MiniPay link generated', payload: payloadObj });
-        } catch (e) {
-          // ignore logging errors
+          ]
         }
+      };
+      this.bot.sendMessage(chatId, payMessage, { ...inlineKeyboard, parse_mode: 'Markdown' });
+
+      // Optionally log a verification attempt record (pending until verifier confirms)
+      try {
+        await this.db.recordVerificationAttempt(userId, process.env.REGISTERED_AGENT_ADDRESS || (process.env.REGISTERED_AGENT_ADDRESS = ''), false, { note: 'MiniPay link generated', payload: payloadObj });
       } catch (e) {
-        console.error('Error generating MiniPay link:', e);
+        // ignore logging errors
       }
+    } catch (e) {
+      console.error('Error generating MiniPay link:', e);
+    }
 
-      delete this.userFlowState[userId];
-      delete this.userMissionState[userId];
+    const missionList = state.missions
+      .map((m, i) => `${i + 1}. ${m}`)
+      .join('\n');
 
-      const missionList = state.missions
-        .map((m, i) => `${i + 1}. ${m}`)
-        .join('\n');
+    // The user's own sunset time; no nudge is sent on their rest days
+    const user = (await this.db.getUserById(userId)) || {};
+    const checkIns = schedule.scheduleFromUser(user);
+    const weekday = new Date(`${localDate(user)}T00:00:00Z`).getUTCDay();
+    const sunsetLine = schedule.isRestDay(checkIns, weekday)
+      ? 'Today is one of your rest days, so I won\'t nudge you tonight — send /sunset whenever you want to reflect.'
+      : `I'll check in with you at ${checkIns.sunset} (your time) for the Sunset Reflection.`;
 
-      const confirmation = `
+    const confirmation = `
 🚀 *Mission Briefing Complete!*
 
 Your missions for today:
 ${missionList}
 
 ⚡ Energy Level: ${state.energy}/5
-    💰 Stake: ${state.stake} cUSD
+💰 Stake: ${state.stake} cUSD
 
 **Your challenge:** Complete these missions today!
 
-I'll check in with you at 8 PM for the Sunset Reflection. 
+${sunsetLine}
 
 Let's make today count! 💎
-      `.trim();
+    `.trim();
 
-      this.bot.sendMessage(chatId, confirmation, { parse_mode: 'Markdown' });
+    this.bot.sendMessage(chatId, confirmation, { parse_mode: 'Markdown' });
 
-      // Flush any deferred sunset reflection that was queued during onboarding/staking
-      if (this._pendingSunset && this._pendingSunset[userId]) {
-        delete this._pendingSunset[userId];
-        setTimeout(() => {
-          this.handleSunsetReflection(msg);
-        }, 3000); // 3-second delay so the CTA stays visible
-      }
-
-    } catch (error) {
-      console.error('Error in handleMissionBriefingConfirm:', error);
-      this.bot.sendMessage(
-        chatId,
-        '⚠️ MyDay Intel is recalibrating. I\'ve safely recorded your progress, but I need a moment. Please try your last command again.'
-      );
+    // Flush any deferred sunset reflection that was queued during onboarding/staking
+    if (await this.takePendingSunset(userId)) {
+      setTimeout(() => {
+        this.handleSunsetReflection(ctx.msg);
+      }, 3000); // 3-second delay so the CTA stays visible
     }
   }
 
@@ -742,7 +820,7 @@ GM ${userName}! Ready for your Mission Briefing?
 /start to begin your day 🚀
     `.trim();
 
-    this.bot.sendMessage(chatId, nudge);
+    await this.bot.sendMessage(chatId, nudge);
   }
 
   /**
@@ -761,24 +839,11 @@ GM ${userName}! Ready for your Mission Briefing?
         return;
       }
 
-      this.userFlowState[userId] = 'mission_audit';
-
-      const missionList = missions
-        .map((m, i) => `${i + 1}. ${m.mission_title} (ID: ${m.id})`)
-        .join('\n');
-
-      const auditPrompt = `
-🌙 *Evening Mission Audit*
-
-Here are your missions from today:
-${missionList}
-
-Which missions did you complete? Reply with the mission numbers (e.g., "1, 3" or just "1").
-
-Or reply "none" if you didn't complete any.
-      `.trim();
-
-      this.bot.sendMessage(chatId, auditPrompt, { parse_mode: 'Markdown' });
+      // The audit settles the day it was opened for, even if answered after local midnight
+      await this.flows.start(this._flowContext(msg), 'mission_audit', {
+        missions: missions.map(m => ({ id: m.id, title: m.mission_title })),
+        missionDate: missions[0].mission_date
+      });
 
     } catch (error) {
       console.error('Error in handleEveningAudit:', error);
@@ -790,171 +855,124 @@ Or reply "none" if you didn't complete any.
   }
 
   /**
-   * Handle Mission Audit responses with EMPATHETIC COACHING (no penalties)
+   * Mission Audit answered: record each mission and reply with EMPATHETIC COACHING (no penalties)
    */
-  async handleMissionAudit(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-    const text = msg.text.toLowerCase();
-
-    try {
-      const missions = await this.db.getTodayMissions(userId);
-
-      if (!missions || missions.length === 0) {
-        delete this.userFlowState[userId];
-        return;
-      }
-
-      let completedIndicies = [];
-
-      if (text === 'none') {
-        completedIndicies = [];
-      } else {
-        // Parse indices like "1, 3" or "1" or "1 2"
-        completedIndicies = text
-          .split(/[,\s]+/)
-          .map(s => {
-            const n = parseInt(s);
-            return isNaN(n) ? null : n - 1;  // Convert to 0-based index
-          })
-          .filter(n => n !== null && n >= 0 && n < missions.length);
-      }
-
-      // Update mission completion in database
-      for (let i = 0; i < missions.length; i++) {
-        const isCompleted = completedIndicies.includes(i);
-        await this.db.updateMissionCompletion(missions[i].id, isCompleted);
-      }
-
-      delete this.userFlowState[userId];
+  async completeMissionAudit(ctx, { missions, completed, missionDate }) {
+    const { chatId, userId } = ctx;
+    const completedIndicies = completed || [];
+
+    // Update mission completion in database
+    for (let i = 0; i < missions.length; i++) {
+      const isCompleted = completedIndicies.includes(i);
+      await this.db.updateMissionCompletion(missions[i].id, isCompleted, userId);
+    }
 
-      // Provide EMPATHETIC COACHING based on completion
-      const completionRate = completedIndicies.length / missions.length;
-      let coaching = '';
+    // Provide EMPATHETIC COACHING based on completion
+    const completionRate = completedIndicies.length / missions.length;
+    let coaching = '';
 
-      if (completionRate === 1) {
-        // All completed - celebrate
-        coaching = `
+    if (completionRate === 1) {
+      // All completed - celebrate
+      coaching = `
 🔥 *LEGENDARY!* You crushed ALL your missions today!
 
 You're exactly the discipline builder we need. That's the compound effect right there.
 
 Tomorrow: Keep this streak alive! 💪
-        `.trim();
-      } else if (completionRate >= 0.66) {
-        // Most completed - encourage
-        coaching = `
+      `.trim();
+    } else if (completionRate >= 0.66) {
+      // Most completed - encourage
+      coaching = `
 🌟 *Strong work!* You crushed ${completedIndicies.length}/${missions.length} missions.
 
 That's momentum. The wins compound. Tomorrow we aim for the sweep.
 
 You've got this! 💎
-        `.trim();
-      } else if (completionRate > 0) {
-        // Some completed - motivate
-        coaching = `
+      `.trim();
+    } else if (completionRate > 0) {
+      // Some completed - motivate
+      coaching = `
 ✅ *One win is still a win.* You completed ${completedIndicies.length}/${missions.length}.
 
 That's progress. That's real. Let's recharge and hit the full list tomorrow.
 
 You're building something here. 🚀
-        `.trim();
-      } else {
-        // None completed - supportive, NO PENALTY
-        coaching = `
+      `.trim();
+    } else {
+      // None completed - supportive, NO PENALTY
+      coaching = `
 💙 *Hey, we all have those days.* You didn't hit any missions today.
 
 But here's the thing: You showed up. You tried. That's the hardest part.
 
 Rest up. Tomorrow is a fresh start. We'll hit them all. 🌅
-        `.trim();
-      }
+      `.trim();
+    }
 
-      const auditSummary = `
-${coaching}
+    // Settle today's locked stake from the audit result (non-blocking for coaching)
+    let settlementLine = '';
+    try {
+      const settlement = await this.settleTodayStake(userId, completedIndicies.length, missions.length, missionDate);
+      if (settlement) settlementLine = `\n\n${settlement.message}`;
+    } catch (e) {
+      console.error('Stake settlement failed:', e);
+      settlementLine = '\n\n⏳ Your stake couldn\'t be settled right now. Send /evening again later to retry.';
+    }
 
-See you tomorrow for your next Mission Briefing! 🌙
-      `.trim();
+    const auditSummary = `
+${coaching}${settlementLine}
 
-      this.bot.sendMessage(chatId, auditSummary, { parse_mode: 'Markdown' });
+See you tomorrow for your next Mission Briefing! 🌙
+    `.trim();
 
-    } catch (error) {
-      console.error('Error in handleMissionAudit:', error);
-      this.bot.sendMessage(
-        chatId,
-        '⚠️ MyDay Intel is recalibrating. I\'ve safely recorded your progress, but I need a moment. Please try your last command again.'
-      );
-    }
+    this.bot.sendMessage(chatId, auditSummary, { parse_mode: 'Markdown' });
   }
 
   /**
-   * Sunset Reflection - Initiated by user or 8 PM nudge
+   * Release or forfeit today's locked stake based on the Mission Audit.
+   * The stake is claimed before any transfer is sent and each transfer hash
+   * is saved as it is broadcast, so a retry after a failure only sends the
+   * transfers still missing and a concurrent audit cannot pay twice.
+   * The day is the user's local mission day (see Database.missionDate).
+   * Returns null when there is no executor or no open stake for that day.
    */
-  async handleSunsetReflection(msg) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
+  async settleTodayStake(userId, completed, total, missionDate = null) {
+    if (!this.executor) return null;
 
-    try {
-      // Get today's missions count
-      const missions = await this.db.getTodayMissions(userId);
-      const totalMissions = missions ? missions.length : 0;
+    const day = missionDate || await this.db.missionDate(userId);
+    const lock = await this.db.getOpenStakeLock(userId, day);
+    if (!lock) return null;
 
-      this.userFlowState[userId] = 'sunset_reflection_wins';
+    const amounts = this.executor.settlementAmounts(lock, { completed, total });
+    const claim = await this.db.claimStakeSettlement(lock.stakeId, amounts);
+    if (!claim) return { message: '⏳ Your stake is already being settled.' };
 
-      const sunsetPrompt = `
-🌅 *Sunset Reflection Time*
-
-Let's capture your day. How many of today's wins did you conquer?
-
-You had ${totalMissions} missions. Let me know how many you completed (0-${totalMissions}):
-      `.trim();
-
-      this.bot.sendMessage(chatId, sunsetPrompt, { parse_mode: 'Markdown' });
-
-    } catch (error) {
-      console.error('Error in handleSunsetReflection:', error);
-      this.bot.sendMessage(
-        chatId,
-        '⚠️ MyDay Intel is recalibrating. I\'ve safely recorded your progress, but I need a moment. Please try your last command again.'
-      );
-    }
+    const settlement = await this.executor.settleStake(claim, {
+      onTransfer: (kind, txHash) => this.db.recordSettlementTransfer(claim.stakeId, kind, txHash)
+    });
+    await this.db.recordStakeSettlement(userId, claim, settlement);
+    return { ...settlement, completed: amounts.completed, total: amounts.total };
   }
 
   /**
-   * Sunset Reflection - Capture wins count
+   * Sunset Reflection - Initiated by user or the scheduled sunset nudge
    */
-  async handleSunsetWinsInput(msg, winsCount) {
+  async handleSunsetReflection(msg, options = {}) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
 
     try {
-      // Store wins in temporary state
-      if (!this.userSunsetState) this.userSunsetState = {};
-      this.userSunsetState[userId] = { wins: winsCount };
-
-      this.userFlowState[userId] = 'sunset_reflection_mood';
-
-      const moodPrompt = `
-📊 *Sunset Reflection - Part 2*
-
-You conquered ${winsCount} wins today. Nice work!
-
-Now, how's your sunset mood? 
-(Tell me your energy/happiness level 1-5)
-
-😫 1 = Exhausted
-😐 2 = Worn out
-😊 3 = Neutral
-🙂 4 = Good vibes
-👑 5 = Absolutely crushing it!
-
-Reply with: 1, 2, 3, 4, or 5
-      `.trim();
+      // Get today's missions count
+      const missions = await this.db.getTodayMissions(userId);
+      const totalMissions = missions ? missions.length : 0;
 
-      this.bot.sendMessage(chatId, moodPrompt, { parse_mode: 'Markdown' });
+      // Scheduled prompts (options.snoozeMinutes) can be snoozed; /sunset cannot
+      const data = { totalMissions };
+      if (options.snoozeMinutes) data.snoozeMinutes = options.snoozeMinutes;
+      await this.flows.start(this._flowContext(msg), 'sunset_reflection', data);
 
     } catch (error) {
-      console.error('Error in handleSunsetWinsInput:', error);
+      console.error('Error in handleSunsetReflection:', error);
       this.bot.sendMessage(
         chatId,
         '⚠️ MyDay Intel is recalibrating. I\'ve safely recorded your progress, but I need a moment. Please try your last command again.'
@@ -971,10 +989,10 @@ Reply with: 1, 2, 3, 4, or 5
     const completionRate = totalMissions > 0 ? winsCount / totalMissions : 0;
     const moodDelta = sunsetMood - morningEnergy;
 
-    // Detect pattern from weekly data (if available)
+    // Detect pattern from the last days' check-ins (oldest first, if available)
     let weeklyTrend = 'stable';
     if (weeklyData && weeklyData.length >= 3) {
-      const recentMoods = weeklyData.slice(-3).map(d => Number(d.sunset_mood || d.morning_energy || 3));
+      const recentMoods = weeklyData.slice(-3).map(d => Number(d.evening_mood || d.morning_energy || 3));
       const avg = recentMoods.reduce((a, b) => a + b, 0) / recentMoods.length;
       if (avg < 2.5) weeklyTrend = 'declining';
       else if (avg > 3.5) weeklyTrend = 'rising';
@@ -1030,42 +1048,34 @@ Reply with: 1, 2, 3, 4, or 5
   }
 
   /**
-   * Sunset Reflection - Capture mood & store correlation
+   * Sunset Reflection answered: store mood & wins and reply with the day's correlation
    */
-  async handleSunsetMoodInput(msg, mood) {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-
-    try {
-      if (!this.userSunsetState) this.userSunsetState = {};
-      const state = this.userSunsetState[userId];
-      const winsCount = state ? state.wins : 0;
+  async completeSunsetReflection(ctx, { wins, mood }) {
+    const { chatId, userId } = ctx;
+    const winsCount = wins || 0;
 
-      // Get today's summary to retrieve morning energy
-      const todaySummary = await this.db.getTodaySummary(userId);
-      const morningEnergy = todaySummary ? todaySummary.morning_energy : 3;
-      const totalMissions = todaySummary ? todaySummary.total_missions : 1;
+    // Get today's summary to retrieve morning energy
+    const todaySummary = await this.db.getTodaySummary(userId);
+    const morningEnergy = todaySummary ? todaySummary.morning_energy : 3;
+    const totalMissions = todaySummary ? todaySummary.total_missions : 1;
 
-      // Update sunset mood and calculate delta
-      const correlationData = await this.db.updateSunsetMood(userId, mood, winsCount);
+    // Update sunset mood and calculate delta
+    await this.db.updateSunsetMood(userId, mood, winsCount);
 
-      delete this.userFlowState[userId];
-      delete this.userSunsetState[userId];
+    // Last week's check-ins (including tonight's) for the trend hint
+    const weeklyData = await this.db.getDailyCheckIns(userId, { days: 7 });
 
-      // Get weekly data for analysis hint
-      const weeklyData = await this.db.getWeeklyMoodEnergyData(userId);
+    // Behavioral Pivoting: choose tone based on trajectory
+    const pivot = this._pivotTone(morningEnergy, mood, winsCount, totalMissions, weeklyData);
 
-      // Behavioral Pivoting: choose tone based on trajectory
-      const pivot = this._pivotTone(morningEnergy, mood, winsCount, totalMissions, weeklyData);
+    const moodDelta = mood - morningEnergy;
+    const deltaMessage = moodDelta > 0 
+      ? `📈 Your mood climbed ${moodDelta} points from this morning!`
+      : moodDelta < 0
+      ? `📉 Your mood shifted ${Math.abs(moodDelta)} points (that's okay)`
+      : `➡️ Your mood stayed steady.`;
 
-      const moodDelta = mood - morningEnergy;
-      const deltaMessage = moodDelta > 0 
-        ? `📈 Your mood climbed ${moodDelta} points from this morning!`
-        : moodDelta < 0
-        ? `📉 Your mood shifted ${Math.abs(moodDelta)} points (that's okay)`
-        : `➡️ Your mood stayed steady.`;
-
-      const sunsetSummary = `
+    const sunsetSummary = `
 🌅 *Sunset Reflection Complete*
 
 📊 *Your Day in Numbers:*
@@ -1079,17 +1089,9 @@ ${deltaMessage}
 ${pivot.message}
 
 Rest well tonight. Tomorrow's momentum starts now. 🌙
-      `.trim();
-
-      this.bot.sendMessage(chatId, sunsetSummary, { parse_mode: 'Markdown' });
+    `.trim();
 
-    } catch (error) {
-      console.error('Error in handleSunsetMoodInput:', error);
-      this.bot.sendMessage(
-        chatId,
-        '⚠️ MyDay Intel is recalibrating. I\'ve safely recorded your progress, but I need a moment. Please try your last command again.'
-      );
-    }
+    this.bot.sendMessage(chatId, sunsetSummary, { parse_mode: 'Markdown' });
   }
 
   /**
@@ -1103,8 +1105,19 @@ Rest well tonight. Tomorrow's momentum starts now. 🌙
       console.warn('⚠️ Bot started in degraded mode - database not ready:', error.message || error);
     }
 
+    if (this.webhook) {
+      await this.registerWebhook();
+      return;
+    }
+
     // Start polling AFTER db init — never in constructor
     try {
+      // A webhook left over from webhook mode makes getUpdates fail — unregister it first
+      const info = await this.bot.getWebHookInfo();
+      if (info && info.url) {
+        await this.bot.deleteWebHook();
+        console.log(`🔌 Telegram webhook unregistered (${info.url}) — switching to polling`);
+      }
       this.bot.startPolling();
       console.log('✅ MyDay Guardian is online');
       console.log('🤖 Bot started. Listening for messages...');
@@ -1117,6 +1130,51 @@ Rest well tonight. Tomorrow's momentum starts now. 🌙
       }
     }
   }
+
+  /**
+   * Point Telegram at this deployment's webhook. Always written, even when the
+   * URL is unchanged, so a rotated TELEGRAM_WEBHOOK_SECRET takes effect on the
+   * next boot (setWebHook is idempotent).
+   */
+  async registerWebhook() {
+    try {
+      await this.bot.setWebHook(this.webhook.url, {
+        secret_token: this.webhook.secret,
+        allowed_updates: JSON.stringify(ALLOWED_UPDATES)
+      });
+      console.log(`✅ MyDay Guardian is online (webhook registered: ${this.webhook.url})`);
+    } catch (error) {
+      console.error('⚠️ Telegram webhook registration failed (Express stays up):', error.message || error);
+    }
+  }
+
+  /**
+   * Feed one webhook update through the same handlers polling uses
+   */
+  processUpdate(update) {
+    this.bot.processUpdate(update);
+  }
+
+  /**
+   * Stop receiving updates: stop polling. In webhook mode the webhook is
+   * left registered for the other replicas (including the new instance of a
+   * rolling deploy); it is deleted only with TELEGRAM_WEBHOOK_UNREGISTER_ON_EXIT=true,
+   * for a single instance, and Telegram then holds updates until the next
+   * instance registers or polls.
+   */
+  async stop() {
+    if (!this.webhook) {
+      if (this.bot.isPolling()) await this.bot.stopPolling();
+      return;
+    }
+    if (!this.webhook.unregisterOnExit) return;
+    try {
+      await this.bot.deleteWebHook();
+      console.log(`🔌 Telegram webhook unregistered (${this.webhook.url})`);
+    } catch (error) {
+      console.error('⚠️ Telegram webhook unregistration failed:', error.message || error);
+    }
+  }
 }
 
 module.exports = MyDayBot;
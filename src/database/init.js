@@ -1,12 +1,62 @@
 const { createClient } = require('@supabase/supabase-js');
+const { categorizeMission, splitStake } = require('../services/missions');
+const { RECURRING_KINDS, nextRunAt, localDayStart, localDate } = require('../services/jobs');
+const { joinDailyCheckIns } = require('../services/checkins');
 require('dotenv').config();
 
+// Stake statuses that represent money actually received into the vault
+const FUNDED_STAKE_STATUSES = ['funded', 'settling', 'settled', 'forfeited', 'refunded'];
+
+function roundAmount(value) {
+  return Math.round(Number(value || 0) * 1e6) / 1e6;
+}
+
+// A stakes row as an executor lock record (see BlockchainExecutor.executeStake / settleStake)
+function stakeLock(stake) {
+  return {
+    status: stake.status === 'settling' ? 'settling' : 'locked',
+    stakeId: stake.id,
+    telegramId: Number(stake.telegram_id),
+    missionDate: stake.mission_date,
+    amount: Number(stake.amount),
+    txHash: stake.payment_tx_hash,
+    from: stake.payer_address,
+    released: stake.released_amount === null || stake.released_amount === undefined ? null : Number(stake.released_amount),
+    forfeited: stake.forfeited_amount === null || stake.forfeited_amount === undefined ? null : Number(stake.forfeited_amount),
+    releaseTxHash: stake.release_tx_hash || null,
+    forfeitTxHash: stake.forfeit_tx_hash || null
+  };
+}
+
+// Audited missions → one { date, completed, total } per day (scoring engine input)
+function auditsByDay(missions) {
+  const days = new Map();
+  for (const m of missions) {
+    if (m.status === 'planned') continue;
+    const day = days.get(m.mission_date) || { date: m.mission_date, completed: 0, total: 0 };
+    day.total += 1;
+    if (m.status === 'completed') day.completed += 1;
+    days.set(m.mission_date, day);
+  }
+  return [...days.values()];
+}
+
 /**
  * Supabase-backed Database adapter
  *
  * This replaces the previous SQLite wrapper and exposes the same async
  * methods the bot expects. It uses the `users` and `daily_logs` tables in
  * Supabase. The bot maps Telegram `msg.from.id` to the `telegram_id` column.
+ *
+ * Money lives in `stakes` (one row per stake, status lifecycle) and
+ * `ledger_entries` (double-entry movements). `users.vault_balance` is only a
+ * cache of the ledger. Spent x402 payment proofs live in `payment_proofs`.
+ * Each mission is a row in `missions` (owner, date, category, stake share,
+ * status) that the evening audit updates in place.
+ * It also backs the bot's session store (`bot_sessions`, see src/sessions)
+ * and the check-in job queue (`scheduled_jobs` + `job_runs`, see
+ * src/services/scheduler.js) with its Telegram delivery log (`deliveries`).
+ * Schema + daily_logs backfill: src/database/migrations/
  */
 class Database {
   constructor(config = {}) {
@@ -81,6 +131,13 @@ class Database {
       .maybeSingle();
 
     if (insertErr) throw insertErr;
+
+    // Default check-in jobs; the scheduler's reconcile pass retries if this fails
+    try {
+      await this.syncUserJobs(created.telegram_id, created);
+    } catch (e) {
+      console.error('Check-in job setup failed:', e.message || e);
+    }
     return created;
   }
 
@@ -95,6 +152,16 @@ class Database {
     return data || null;
   }
 
+  /**
+   * The user's mission day: their local calendar date (YYYY-MM-DD), moved by
+   * `offsetDays`. Missions and stakes are filed under it, so a briefing, its
+   * audit and the stake settlement agree on the day whatever the UTC date.
+   */
+  async missionDate(telegramId, offsetDays = 0) {
+    const user = await this.getUserById(telegramId);
+    return localDate(user || {}, new Date(), offsetDays);
+  }
+
   async updateUserTimezone(telegramId, timezone) {
     await this.waitReady();
     const { error } = await this.client
@@ -102,6 +169,21 @@ class Database {
       .update({ timezone, updated_at: new Date().toISOString() })
       .eq('telegram_id', Number(telegramId));
     if (error) throw error;
+    await this.syncUserJobs(telegramId);
+    return true;
+  }
+
+  /**
+   * Save a user's check-in schedule (columns from services/schedule scheduleToColumns)
+   */
+  async updateUserSchedule(telegramId, columns) {
+    await this.waitReady();
+    const { error } = await this.client
+      .from('users')
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq('telegram_id', Number(telegramId));
+    if (error) throw error;
+    await this.syncUserJobs(telegramId);
     return true;
   }
 
@@ -128,11 +210,15 @@ class Database {
   }
 
   /**
-   * Save missions as a single daily_logs entry (payload contains missions array)
+   * Save today's Mission Briefing: the raw briefing in daily_logs, the stake
+   * in `stakes` and one `missions` row per mission with its share of the stake.
+   * Re-running the briefing the same day reuses the day's open stake and
+   * replaces the missions not yet audited; audited ones are left as they are.
    */
   async saveMissions(telegramId, missions = [], energyLevel = 3, stakedAmount = 0) {
     await this.waitReady();
     const today = new Date().toISOString().split('T')[0];
+    const missionDate = await this.missionDate(telegramId);
     const entry = {
       telegram_id: Number(telegramId),
       log_type: 'missions',
@@ -140,11 +226,72 @@ class Database {
       details: JSON.stringify({ missions, energy_level: energyLevel, staked_amount: stakedAmount }),
       created_at: new Date().toISOString()
     };
-    const { error } = await this.client.from('daily_logs').insert(entry);
+    const { data: log, error } = await this.client.from('daily_logs').insert(entry).select('id').maybeSingle();
     if (error) throw error;
+
+    // The stake itself lives in `stakes` — pending until its payment is verified
+    let stake = null;
+    if (Number(stakedAmount) > 0) {
+      stake = await this.openStake(telegramId, stakedAmount, missionDate);
+    }
+
+    await this._replaceMissions(telegramId, missionDate, missions, {
+      // A stake already funded today keeps its amount; the new missions share it
+      stakedAmount: stake ? Number(stake.amount) : stakedAmount,
+      stakeId: stake ? stake.id : null,
+      sourceLogId: log ? log.id : null
+    });
     return true;
   }
 
+  async _replaceMissions(telegramId, missionDate, titles, { stakedAmount = 0, stakeId = null, sourceLogId = null } = {}) {
+    const now = new Date().toISOString();
+    const shares = splitStake(stakedAmount, titles.length);
+
+    // Missions the evening audit already closed keep their title and result
+    const { data: audited, error: auditedError } = await this.client
+      .from('missions')
+      .select('position')
+      .eq('telegram_id', Number(telegramId))
+      .eq('mission_date', missionDate)
+      .neq('status', 'planned');
+    if (auditedError) throw auditedError;
+    const auditedPositions = new Set((audited || []).map(row => Number(row.position)));
+
+    const rows = titles
+      .map((title, i) => ({
+        telegram_id: Number(telegramId),
+        mission_date: missionDate,
+        position: i + 1,
+        title: String(title),
+        category: categorizeMission(title),
+        stake_share: shares[i],
+        stake_id: stakeId,
+        status: 'planned',
+        source_log_id: sourceLogId,
+        audited_at: null,
+        updated_at: now
+      }))
+      .filter(row => !auditedPositions.has(row.position));
+
+    const { error: deleteError } = await this.client
+      .from('missions')
+      .delete()
+      .eq('telegram_id', Number(telegramId))
+      .eq('mission_date', missionDate)
+      .eq('status', 'planned')
+      .gt('position', titles.length);
+    if (deleteError) throw deleteError;
+    if (!rows.length) return [];
+
+    const { data, error } = await this.client
+      .from('missions')
+      .upsert(rows, { onConflict: 'telegram_id,mission_date,position' })
+      .select('*');
+    if (error) throw error;
+    return (data || []).map(row => this._mapMission(row));
+  }
+
   async saveDailySummary(telegramId, morningEnergy, missionCount, stakedAmount = 0) {
     await this.waitReady();
     const today = new Date().toISOString().split('T')[0];
@@ -160,61 +307,119 @@ class Database {
     return true;
   }
 
+  /**
+   * Today's missions in briefing order
+   * @returns {Promise<{id: number, mission_title: string, position: number, category: string|null,
+   *   stake_share: number, status: string, mission_date: string}[]>}
+   */
   async getTodayMissions(telegramId) {
+    const today = await this.missionDate(telegramId);
+    return this.getMissions(telegramId, { from: today, to: today });
+  }
+
+  /**
+   * Missions of one user between two dates (inclusive), oldest first
+   */
+  async getMissions(telegramId, { from, to } = {}) {
     await this.waitReady();
-    const today = new Date().toISOString().split('T')[0];
-    const { data, error } = await this.client
-      .from('daily_logs')
+    let query = this.client
+      .from('missions')
       .select('*')
-      .eq('telegram_id', Number(telegramId))
-      .eq('log_type', 'missions')
-      .eq('date', today)
-      .order('created_at', { ascending: false })
-      .limit(1);
+      .eq('telegram_id', Number(telegramId));
+    if (from) query = query.gte('mission_date', from);
+    if (to) query = query.lte('mission_date', to);
+    const { data, error } = await query
+      .order('mission_date', { ascending: true })
+      .order('position', { ascending: true });
     if (error) throw error;
-    if (!data || data.length === 0) return [];
-    const entry = data[0];
-    let details = [];
-    try { details = JSON.parse(entry.details || '[]'); } catch (e) { details = []; }
+    return (data || []).map(row => this._mapMission(row));
+  }
+
+  /**
+   * Share of audited missions completed over the last `days` days, overall and per category
+   * @returns {Promise<{total_missions: number, completed_missions: number, completion_rate: number,
+   *   by_category: Object<string, {total: number, completed: number, completion_rate: number}>}>}
+   */
+  async getCompletionRate(telegramId, { days = 30 } = {}) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const audited = (await this.getMissions(telegramId, { from: since })).filter(m => m.status !== 'planned');
+
+    const tally = (list) => {
+      const completed = list.filter(m => m.status === 'completed').length;
+      return { total: list.length, completed, completion_rate: list.length ? roundAmount(completed / list.length) : 0 };
+    };
+    const byCategory = {};
+    for (const category of new Set(audited.map(m => m.category || 'Uncategorised'))) {
+      byCategory[category] = tally(audited.filter(m => (m.category || 'Uncategorised') === category));
+    }
 
-    // Convert missions array into objects with synthetic ids so the rest of bot logic can reference them
-    return details.missions ? details.missions.map((m, i) => ({ id: `${entry.id || today}-${i + 1}`, mission_title: m })) : [];
+    const overall = tally(audited);
+    return {
+      total_missions: overall.total,
+      completed_missions: overall.completed,
+      completion_rate: overall.completion_rate,
+      by_category: byCategory
+    };
+  }
+
+  _mapMission(row) {
+    return {
+      id: row.id,
+      telegram_id: Number(row.telegram_id),
+      mission_date: row.mission_date,
+      position: Number(row.position),
+      mission_title: row.title,
+      category: row.category || null,
+      stake_share: Number(row.stake_share || 0),
+      stake_id: row.stake_id || null,
+      status: row.status,
+      audited_at: row.audited_at || null
+    };
   }
 
   async getTotalStaked(telegramId) {
     await this.waitReady();
-    // Sum stakedAmount from missions entries in daily_logs
+    // Sum of stakes that were actually funded (pending payments don't count)
     const { data, error } = await this.client
-      .from('daily_logs')
-      .select('details')
+      .from('stakes')
+      .select('amount')
       .eq('telegram_id', Number(telegramId))
-      .eq('log_type', 'missions');
+      .in('status', FUNDED_STAKE_STATUSES);
     if (error) throw error;
-    let total = 0;
-    (data || []).forEach(d => {
-      try {
-        const parsed = JSON.parse(d.details || '{}');
-        const s = parsed.stakedAmount || 0;
-        total += Number(s || 0);
-      } catch (e) {
-        // ignore parse errors
-      }
-    });
-    return total;
+    return (data || []).reduce((total, row) => total + Number(row.amount || 0), 0);
   }
 
-  async updateMissionCompletion(missionId, isCompleted) {
-    // For now store a completion entry to daily_logs so there is a record.
+  /**
+   * A user's stakes by mission date (any status)
+   */
+  async getStakes(telegramId, { from, to } = {}) {
     await this.waitReady();
-    const entry = {
-      telegram_id: null,
-      log_type: 'mission_completion',
-      mission_id: String(missionId),
-      success: !!isCompleted,
-      created_at: new Date().toISOString()
-    };
-    const { error } = await this.client.from('daily_logs').insert(entry);
+    let query = this.client
+      .from('stakes')
+      .select('id, mission_date, amount, status, released_amount, forfeited_amount')
+      .eq('telegram_id', Number(telegramId));
+    if (from) query = query.gte('mission_date', from);
+    if (to) query = query.lte('mission_date', to);
+    const { data, error } = await query.order('mission_date', { ascending: true });
     if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Evening audit result for one mission, scoped to its owner
+   */
+  async updateMissionCompletion(missionId, isCompleted, telegramId) {
+    await this.waitReady();
+    const now = new Date().toISOString();
+    const { data, error } = await this.client
+      .from('missions')
+      .update({ status: isCompleted ? 'completed' : 'missed', audited_at: now, updated_at: now })
+      .eq('id', missionId)
+      .eq('telegram_id', Number(telegramId))
+      .select('id')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new Error(`Mission ${missionId} not found for user ${telegramId}`);
     return true;
   }
 
@@ -243,7 +448,7 @@ class Database {
     } catch (e) { return null; }
   }
 
-  async getWeeklyMoodEnergyData(telegramId) {
+  async getWeeklyMoodEnergyData(telegramId, limit = 7) {
     // Pull last 7 daily_summary entries
     await this.waitReady();
     const { data, error } = await this.client
@@ -252,7 +457,7 @@ class Database {
       .eq('telegram_id', Number(telegramId))
       .eq('log_type', 'daily_summary')
       .order('date', { ascending: false })
-      .limit(7);
+      .limit(limit);
     if (error) throw error;
     return (data || []).map(d => {
       try {
@@ -267,6 +472,97 @@ class Database {
     });
   }
 
+  /**
+   * Logs the scoring engine needs (src/services/scoring.js): the last 14 daily
+   * summaries and sunset reflections, the audited missions of the last 14 days
+   * per day, those joined per day (src/services/checkins.js), the funded stake
+   * total, and today as the end of the scoring window
+   * @returns {Promise<{summaries: object[], reflections: object[], audits: object[], days: object[], totalStaked: number, asOf: string}>}
+   */
+  async getScoringHistory(telegramId) {
+    await this.waitReady();
+    const summaries = await this.getWeeklyMoodEnergyData(telegramId, 14);
+    const reflections = await this.getSunsetReflections(telegramId, { limit: 14 });
+
+    const asOf = new Date().toISOString().split('T')[0];
+    const since = new Date(Date.now() - 13 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const missions = await this.getMissions(telegramId, { from: since, to: asOf });
+    const audits = auditsByDay(missions);
+    const days = joinDailyCheckIns({ summaries, reflections, missions });
+
+    const totalStaked = await this.getTotalStaked(telegramId);
+    return { summaries, reflections, audits, days, totalStaked, asOf };
+  }
+
+  /**
+   * The last `days` days joined per day: morning energy, planned and completed
+   * missions, sunset mood, wins and the energy → mood delta (src/services/checkins.js)
+   * @returns {Promise<object[]>} oldest first, only days with a check-in
+   */
+  async getDailyCheckIns(telegramId, { days = 7 } = {}) {
+    const { summaries, reflections, missions } = await this._checkInLogs(telegramId, days);
+    return joinDailyCheckIns({ summaries, reflections, missions });
+  }
+
+  /**
+   * History the insights engine mines (src/services/insights.js): the last
+   * `days` days joined per day, plus the missions themselves for categories and stakes
+   * @returns {Promise<{from: string, to: string, days: object[], missions: object[]}>}
+   */
+  async getInsightHistory(telegramId, { days = 90 } = {}) {
+    const { from, to, summaries, reflections, missions } = await this._checkInLogs(telegramId, days);
+    return { from, to, days: joinDailyCheckIns({ summaries, reflections, missions }), missions };
+  }
+
+  // Morning summaries, sunset reflections and missions of the last `days` days
+  async _checkInLogs(telegramId, days) {
+    const to = new Date().toISOString().split('T')[0];
+    const from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const summaries = (await this.getWeeklyMoodEnergyData(telegramId, days * 2)).filter(s => s.date >= from);
+    const reflections = await this.getSunsetReflections(telegramId, { from, to, limit: days * 2 });
+    const missions = await this.getMissions(telegramId, { from, to });
+    return { from, to, summaries, reflections, missions };
+  }
+
+  /**
+   * Sunset reflections (mood + wins), newest first
+   */
+  async getSunsetReflections(telegramId, { from, to, limit = 14 } = {}) {
+    await this.waitReady();
+    let query = this.client
+      .from('daily_logs')
+      .select('details,date')
+      .eq('telegram_id', Number(telegramId))
+      .eq('log_type', 'sunset_reflection');
+    if (from) query = query.gte('date', from);
+    if (to) query = query.lte('date', to);
+    const { data, error } = await query
+      .order('date', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return (data || []).map(r => {
+      try {
+        const parsed = JSON.parse(r.details || '{}');
+        return { date: r.date, sunset_mood: parsed.sunset_mood ?? null, wins: Number(parsed.wins || 0) };
+      } catch (e) {
+        return { date: r.date, sunset_mood: null, wins: 0 };
+      }
+    });
+  }
+
+  /**
+   * Everything the weekly roundup reports on for the last `days` days
+   * (src/services/weekly.js)
+   * @returns {Promise<{from: string, to: string, days: object[], stakes: object[]}>}
+   */
+  async getWeekHistory(telegramId, { days = 7 } = {}) {
+    const to = new Date().toISOString().split('T')[0];
+    const from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const checkIns = await this.getDailyCheckIns(telegramId, { days });
+    const stakes = await this.getStakes(telegramId, { from, to });
+    return { from, to, days: checkIns, stakes };
+  }
+
   /**
    * Store sunset reflection (mood + wins) into daily_logs and update users table
    */
@@ -300,7 +596,7 @@ class Database {
     await this.waitReady();
     const { data, error } = await this.client
       .from('users')
-      .select('telegram_id, timezone, name');
+      .select('telegram_id, timezone, name, morning_time, sunset_time, rest_days, quiet_start, quiet_end, snooze_minutes');
     if (error) throw error;
     return data || [];
   }
@@ -321,32 +617,793 @@ class Database {
     return true;
   }
 
-  async creditUserVault(telegramId, amount) {
+  /**
+   * Credit a verified payment to the user's vault as a ledger deposit
+   * (external_wallet → user_vault). A tx hash can only be deposited once.
+   * Balance moves run as one Postgres function each (migration 001).
+   */
+  async creditUserVault(telegramId, amount, txHash = null) {
     await this.waitReady();
-    // Increment vault_balance on users table
-    // Use select then update to avoid race conditions in simple implementations
-    const { data: user, error: selectErr } = await this.client
-      .from('users')
-      .select('id, vault_balance')
+    const value = roundAmount(amount);
+    if (value <= 0) return false;
+    const { data, error } = await this.client.rpc('ledger_deposit', {
+      p_telegram_id: Number(telegramId),
+      p_amount: value,
+      p_reference: txHash
+    });
+    if (error) throw error;
+    return data === true;
+  }
+
+  /**
+   * The day's open stake for a Mission Briefing, awaiting payment: reuses
+   * the pending (or already funded) stake of that day instead of opening another
+   */
+  async openStake(telegramId, amount, missionDate = null) {
+    await this.waitReady();
+    const { data, error } = await this.client.rpc('stake_open', {
+      p_telegram_id: Number(telegramId),
+      p_mission_date: missionDate || await this.missionDate(telegramId),
+      p_amount: roundAmount(amount)
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Mark a stake funded once its payment is locked in the vault (see
+   * BlockchainExecutor.executeStake). Moves the stake from user_vault to
+   * user_escrow and books the x402 fee. Creates the stake row when the
+   * payment arrives without a Mission Briefing (e.g. agent-initiated), and
+   * tops up the day's stake when it is already funded. A lock without a
+   * missionDate is filed under the user's current mission day.
+   */
+  async recordStakeLock(telegramId, lock, fee = 0) {
+    await this.waitReady();
+    const { data, error } = await this.client.rpc('stake_lock', {
+      p_telegram_id: Number(telegramId),
+      p_mission_date: lock.missionDate || await this.missionDate(telegramId),
+      p_amount: roundAmount(lock.amount),
+      p_tx_hash: lock.txHash,
+      p_payer: lock.from || null,
+      p_fee: roundAmount(fee)
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Get the funded (not yet settled) stake for a mission day (default: the
+   * user's current one, see missionDate), shaped as an executor lock record.
+   * A stake whose settlement was interrupted (status settling) is returned
+   * too, so it can be claimed again.
+   */
+  async getOpenStakeLock(telegramId, date = null) {
+    await this.waitReady();
+    const day = date || await this.missionDate(telegramId);
+    const { data, error } = await this.client
+      .from('stakes')
+      .select('*')
+      .eq('telegram_id', Number(telegramId))
+      .eq('mission_date', day)
+      .in('status', ['funded', 'settling'])
+      .order('funded_at', { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+    return stakeLock(data[0]);
+  }
+
+  /**
+   * Claim a stake for settlement before any transfer is sent. The first claim
+   * fixes the split; a claim older than `leaseSeconds` (a crashed attempt) can
+   * be taken over and keeps its split and recorded transfer hashes.
+   * @param {object} amounts - { released, forfeited } (see BlockchainExecutor.settlementAmounts)
+   * @returns {Promise<object|null>} the claimed lock ({ status: 'settling', ... }), or null
+   *   while another attempt holds it or the stake is already closed
+   */
+  async claimStakeSettlement(stakeId, { released, forfeited }, { leaseSeconds = 600 } = {}) {
+    await this.waitReady();
+    const { data, error } = await this.client.rpc('stake_claim_settlement', {
+      p_stake_id: stakeId,
+      p_released: roundAmount(released),
+      p_forfeited: roundAmount(forfeited),
+      p_lease_seconds: leaseSeconds
+    });
+    if (error) throw error;
+    const stake = Array.isArray(data) ? data[0] : data;
+    return stake ? stakeLock(stake) : null;
+  }
+
+  /**
+   * Remember a settlement transfer as soon as it is broadcast
+   * @param {'release'|'forfeit'} kind
+   */
+  async recordSettlementTransfer(stakeId, kind, txHash) {
+    await this.waitReady();
+    const { error } = await this.client.rpc('stake_record_transfer', {
+      p_stake_id: stakeId,
+      p_kind: kind,
+      p_tx_hash: txHash
+    });
+    if (error) throw error;
+  }
+
+  /**
+   * Close a claimed stake once its transfers confirmed (see BlockchainExecutor.settleStake):
+   * released share leaves escrow to the staker's wallet, missed share to forfeits.
+   */
+  async recordStakeSettlement(telegramId, claim, settlement) {
+    await this.waitReady();
+    const { data, error } = await this.client.rpc('stake_settle', {
+      p_stake_id: claim.stakeId,
+      p_release_tx_hash: settlement.releaseTxHash || null,
+      p_forfeit_tx_hash: settlement.forfeitTxHash || null
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Return a funded stake to the staker without an audit (support/admin path)
+   */
+  async refundStake(telegramId, stakeId, refundTxHash = null) {
+    await this.waitReady();
+    const { data, error } = await this.client.rpc('stake_refund', {
+      p_stake_id: stakeId,
+      p_telegram_id: Number(telegramId),
+      p_refund_tx_hash: refundTxHash
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Reconstruct a user's balances from the ledger
+   * @returns {Promise<{available: number, locked: number, total: number}>}
+   */
+  async getVaultBalance(telegramId) {
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('ledger_entries')
+      .select('account, amount')
+      .eq('telegram_id', Number(telegramId))
+      .in('account', ['user_vault', 'user_escrow']);
+    if (error) throw error;
+
+    let available = 0;
+    let locked = 0;
+    for (const row of (data || [])) {
+      if (row.account === 'user_vault') available += Number(row.amount);
+      else locked += Number(row.amount);
+    }
+    available = roundAmount(available);
+    locked = roundAmount(locked);
+    return { available, locked, total: roundAmount(available + locked) };
+  }
+
+  /**
+   * Atomically claim a verified x402 payment proof (spent-proof registry).
+   * One row per matched Transfer log; all rows go in a single insert so a
+   * partially-overlapping replay is rejected as a whole.
+   * @returns {Promise<boolean>} true if claimed now, false if already spent
+   */
+  async claimPaymentProof(txHash, { logIndexes = [], resource = null, telegramId = null, amount = null, blockNumber = null } = {}) {
+    this._guardClient();
+    await this.waitReady();
+    const indexes = logIndexes.length ? logIndexes : [-1];
+    const claimedAt = new Date().toISOString();
+    const rows = indexes.map(logIndex => ({
+      tx_hash: String(txHash).toLowerCase(),
+      log_index: Number(logIndex),
+      resource,
+      telegram_id: telegramId ? Number(telegramId) : null,
+      amount,
+      block_number: blockNumber,
+      claimed_at: claimedAt
+    }));
+
+    const { error } = await this.client.from('payment_proofs').insert(rows);
+    if (error) {
+      if (error.code === '23505') return false; // unique_violation → replay
+      throw error;
+    }
+    return true;
+  }
+
+  async hasProcessedTransaction(txHash) {
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('payment_proofs')
+      .select('id')
+      .eq('tx_hash', String(txHash).toLowerCase())
+      .limit(1);
+    if (error) throw error;
+    return !!(data && data.length);
+  }
+
+  /**
+   * Persist a signed x402 payment intent.
+   * An expired intent still holding the same amount tag is dropped first.
+   * @returns {Promise<boolean>} false if another outstanding intent holds this amount
+   */
+  async createPaymentIntent(intent) {
+    this._guardClient();
+    await this.waitReady();
+    const row = {
+      id: intent.id,
+      resource: intent.resource,
+      telegram_id: intent.telegramId ? Number(intent.telegramId) : null,
+      amount: String(intent.amount),
+      asset: String(intent.asset).toLowerCase(),
+      pay_to: String(intent.payTo).toLowerCase(),
+      network: intent.network,
+      extra: intent.extra || {},
+      signature: intent.signature,
+      status: 'outstanding',
+      expires_at: intent.expiresAt,
+      ...(intent.groupId ? { group_id: intent.groupId } : {})
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const { error } = await this.client.from('payment_intents').insert(row);
+      if (!error) return true;
+      if (error.code !== '23505') throw error;
+
+      const { data: expired, error: delErr } = await this.client
+        .from('payment_intents')
+        .delete()
+        .eq('pay_to', row.pay_to)
+        .eq('asset', row.asset)
+        .eq('amount', row.amount)
+        .eq('status', 'outstanding')
+        .lt('expires_at', new Date().toISOString())
+        .select('id');
+      if (delErr) throw delErr;
+      if (!expired || !expired.length) return false;
+    }
+    return false;
+  }
+
+  /**
+   * Delete outstanding intents that expired before `before`, freeing their amount tags
+   * @returns {Promise<number>} intents deleted
+   */
+  async purgeExpiredPaymentIntents(before = new Date().toISOString()) {
+    this._guardClient();
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('payment_intents')
+      .delete()
+      .eq('status', 'outstanding')
+      .lt('expires_at', before)
+      .select('id');
+    if (error) throw error;
+    return data ? data.length : 0;
+  }
+
+  async getPaymentIntent(id) {
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('payment_intents')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    return data ? this._mapPaymentIntent(data) : null;
+  }
+
+  /**
+   * Find the outstanding, unexpired intent a payment of exactly `amount` wei settles
+   */
+  async findOutstandingIntent({ resource, payTo, asset = null, amount }) {
+    await this.waitReady();
+    let query = this.client
+      .from('payment_intents')
+      .select('*')
+      .eq('pay_to', String(payTo).toLowerCase())
+      .eq('amount', String(amount))
+      .eq('resource', resource)
+      .eq('status', 'outstanding')
+      .gt('expires_at', new Date().toISOString());
+    if (asset) query = query.eq('asset', String(asset).toLowerCase());
+    const { data, error } = await query.limit(1);
+    if (error) throw error;
+    return data && data.length ? this._mapPaymentIntent(data[0]) : null;
+  }
+
+  /**
+   * Mark an intent consumed — a conditional update, so concurrent payments
+   * cannot both spend it. With a groupId, the alternative intents of the same
+   * 402 response are consumed in the same statement.
+   * @returns {Promise<boolean>}
+   */
+  async consumePaymentIntent(id, txHash, groupId = null) {
+    this._guardClient();
+    await this.waitReady();
+    let query = this.client
+      .from('payment_intents')
+      .update({ status: 'consumed', tx_hash: txHash ? String(txHash).toLowerCase() : null, consumed_at: new Date().toISOString() });
+    query = groupId ? query.eq('group_id', groupId) : query.eq('id', id);
+    const { data, error } = await query
+      .eq('status', 'outstanding')
+      .select('id');
+    if (error) throw error;
+    return !!(data && data.some(row => row.id === id));
+  }
+
+  /**
+   * Undo consumePaymentIntent for an authorization whose settlement failed.
+   * Only intents consumed without a tx hash (authorizations are consumed
+   * before they settle) are restored; paid ones stay spent.
+   * @returns {Promise<boolean>}
+   */
+  async restorePaymentIntent(id, groupId = null) {
+    this._guardClient();
+    await this.waitReady();
+    let query = this.client
+      .from('payment_intents')
+      .update({ status: 'outstanding', consumed_at: null });
+    query = groupId ? query.eq('group_id', groupId) : query.eq('id', id);
+    const { data, error } = await query
+      .eq('status', 'consumed')
+      .is('tx_hash', null)
+      .select('id');
+    if (error) throw error;
+    return !!(data && data.some(row => row.id === id));
+  }
+
+  /**
+   * Claim a broadcast payment's proof and consume its intent (and group) in
+   * one transaction (migration 012) — both happen or neither does
+   * @returns {Promise<'consumed'|'payment_already_used'|'intent_already_used'>}
+   */
+  async consumePaymentIntentWithProof(id, groupId, txHash, { logIndexes = [], resource = null, telegramId = null, amount = null, blockNumber = null } = {}) {
+    this._guardClient();
+    await this.waitReady();
+    const { data, error } = await this.client.rpc('consume_payment_intent_with_proof', {
+      p_intent_id: id,
+      p_group_id: groupId || null,
+      p_tx_hash: String(txHash).toLowerCase(),
+      p_log_indexes: logIndexes.map(Number),
+      p_resource: resource,
+      p_telegram_id: telegramId ? Number(telegramId) : null,
+      p_amount: amount,
+      p_block_number: blockNumber
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  _mapPaymentIntent(row) {
+    return {
+      id: row.id,
+      resource: row.resource,
+      telegramId: row.telegram_id ? Number(row.telegram_id) : null,
+      amount: String(row.amount),
+      asset: row.asset,
+      payTo: row.pay_to,
+      network: row.network,
+      extra: row.extra || {},
+      status: row.status,
+      txHash: row.tx_hash,
+      groupId: row.group_id || null,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  // ── Bot sessions (src/sessions — Supabase backend) ─────────────────────────
+
+  async getSession(key) {
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('bot_sessions')
+      .select('value')
+      .eq('key', key)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+    if (error) throw error;
+    return data ? data.value : null;
+  }
+
+  async setSession(key, value, ttlSeconds) {
+    await this.waitReady();
+    const now = Date.now();
+    const { error } = await this.client
+      .from('bot_sessions')
+      .upsert({
+        key,
+        value,
+        expires_at: new Date(now + ttlSeconds * 1000).toISOString(),
+        updated_at: new Date(now).toISOString()
+      }, { onConflict: 'key' });
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Replace a live session only while its `rev` is still `rev` (null: it has none)
+   * @returns {Promise<boolean>} false when another update got there first
+   */
+  async compareAndSetSession(key, rev, value, ttlSeconds) {
+    await this.waitReady();
+    const now = Date.now();
+    let query = this.client
+      .from('bot_sessions')
+      .update({
+        value,
+        expires_at: new Date(now + ttlSeconds * 1000).toISOString(),
+        updated_at: new Date(now).toISOString()
+      })
+      .eq('key', key)
+      .gt('expires_at', new Date(now).toISOString());
+    query = rev ? query.eq('value->>rev', rev) : query.is('value->>rev', null);
+    const { data, error } = await query.select('key');
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  async deleteSession(key) {
+    await this.waitReady();
+    const { error } = await this.client.from('bot_sessions').delete().eq('key', key);
+    if (error) throw error;
+    return true;
+  }
+
+  async purgeExpiredSessions() {
+    await this.waitReady();
+    const { error } = await this.client
+      .from('bot_sessions')
+      .delete()
+      .lte('expires_at', new Date().toISOString());
+    if (error) throw error;
+    return true;
+  }
+
+  // ── Coach memory (migration 010) ───────────────────────────────────────────
+
+  /**
+   * A user's coaching conversation memory, empty when they have none (or ran /forget)
+   * @returns {Promise<{summary: string, recent: object[], turns: number}>}
+   */
+  async getCoachMemory(telegramId) {
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('coach_memory')
+      .select('summary, recent, turns')
       .eq('telegram_id', Number(telegramId))
       .maybeSingle();
-    if (selectErr) throw selectErr;
-    const current = (user && user.vault_balance) ? Number(user.vault_balance) : 0;
+    if (error) throw error;
+    return data
+      ? { summary: data.summary || '', recent: data.recent || [], turns: Number(data.turns || 0) }
+      : { summary: '', recent: [], turns: 0 };
+  }
+
+  async saveCoachMemory(telegramId, memory) {
+    await this.waitReady();
     const { error } = await this.client
-      .from('users')
-      .update({ vault_balance: current + Number(amount), updated_at: new Date().toISOString() })
-      .eq('telegram_id', Number(telegramId));
+      .from('coach_memory')
+      .upsert({
+        telegram_id: Number(telegramId),
+        summary: memory.summary,
+        recent: memory.recent,
+        turns: memory.turns,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'telegram_id' });
+    if (error) throw error;
+    return true;
+  }
+
+  async clearCoachMemory(telegramId) {
+    await this.waitReady();
+    const { error } = await this.client.from('coach_memory').delete().eq('telegram_id', Number(telegramId));
+    if (error) throw error;
+    return true;
+  }
+
+  // ── LLM usage (migration 011) ──────────────────────────────────────────────
+
+  /**
+   * Per-user daily LLM usage rows between two UTC dates (inclusive)
+   * @returns {Promise<object[]>} llm_usage rows, oldest first
+   */
+  async getLlmUsage({ from, to = from }) {
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('llm_usage')
+      .select('usage_date, telegram_id, calls, cache_hits, input_tokens, output_tokens, cost_usd')
+      .gte('usage_date', from)
+      .lte('usage_date', to)
+      .order('usage_date', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Add a call's usage to a user's totals for the day (an atomic increment, so
+   * every instance's calls count — src/agent/usage.js)
+   * @param {object} delta - { usage_date, telegram_id, calls, cache_hits, input_tokens, output_tokens, cost_usd }
+   */
+  async addLlmUsage(delta) {
+    await this.waitReady();
+    const { error } = await this.client.rpc('llm_usage_add', {
+      p_usage_date: delta.usage_date,
+      p_telegram_id: Number(delta.telegram_id),
+      p_calls: delta.calls || 0,
+      p_cache_hits: delta.cache_hits || 0,
+      p_input_tokens: delta.input_tokens || 0,
+      p_output_tokens: delta.output_tokens || 0,
+      p_cost_usd: delta.cost_usd || 0
+    });
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Recompute a user's recurring check-in jobs from their timezone and schedule
+   * (signup, /settimezone, /schedule). Clears any lease so the new time stands.
+   */
+  async syncUserJobs(telegramId, user = null) {
+    await this.waitReady();
+    const record = user || await this.getUserById(telegramId);
+    if (!record) return false;
+    const now = new Date();
+    const rows = RECURRING_KINDS.map(kind => {
+      const next = nextRunAt(kind, record, now);
+      return {
+        telegram_id: Number(telegramId),
+        kind,
+        next_run_at: next ? next.toISOString() : null,
+        lease_owner: null,
+        lease_until: null,
+        updated_at: now.toISOString()
+      };
+    });
+    const { error } = await this.client
+      .from('scheduled_jobs')
+      .upsert(rows, { onConflict: 'telegram_id,kind' });
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Set a one-off job's due time (e.g. sunset_snooze); null cancels it
+   */
+  async scheduleJob(telegramId, kind, runAt) {
+    await this.waitReady();
+    const { error } = await this.client
+      .from('scheduled_jobs')
+      .upsert({
+        telegram_id: Number(telegramId),
+        kind,
+        next_run_at: runAt ? new Date(runAt).toISOString() : null,
+        lease_owner: null,
+        lease_until: null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'telegram_id,kind' });
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Users that have at least one check-in job (the scheduler's reconcile pass)
+   */
+  async listJobUserIds() {
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('scheduled_jobs')
+      .select('telegram_id')
+      .in('kind', RECURRING_KINDS);
+    if (error) throw error;
+    return [...new Set((data || []).map(r => Number(r.telegram_id)))];
+  }
+
+  /**
+   * Lease up to `limit` due jobs for `owner`. Each lease is a compare-and-set
+   * on the row's due time and expired lease, so concurrent instances never
+   * claim the same job; a crashed owner's lease runs out after leaseSeconds.
+   */
+  async claimDueJobs(owner, { leaseSeconds = 120, limit = 50 } = {}) {
+    await this.waitReady();
+    const now = new Date();
+    const nowIso = now.toISOString();
+    const unleased = `lease_until.is.null,lease_until.lt.${nowIso}`;
+
+    const { data: due, error } = await this.client
+      .from('scheduled_jobs')
+      .select('*')
+      .lte('next_run_at', nowIso)
+      .or(unleased)
+      .order('next_run_at', { ascending: true })
+      .limit(limit);
+    if (error) throw error;
+
+    const leaseUntil = new Date(now.getTime() + leaseSeconds * 1000).toISOString();
+    const claimed = [];
+    for (const job of due || []) {
+      const { data, error: claimErr } = await this.client
+        .from('scheduled_jobs')
+        .update({ lease_owner: owner, lease_until: leaseUntil, updated_at: nowIso })
+        .eq('telegram_id', job.telegram_id)
+        .eq('kind', job.kind)
+        .eq('next_run_at', job.next_run_at)
+        .or(unleased)
+        .select('*');
+      if (claimErr) throw claimErr;
+      if (data && data.length) claimed.push(data[0]);
+    }
+    return claimed;
+  }
+
+  /**
+   * Extend `owner`'s lease on a claimed job just before running it. A batch is
+   * claimed together, so by the time a later job runs its first lease may have
+   * run out and another instance may have claimed it.
+   * @returns {Promise<object|null>} the job, or null when it is no longer this owner's
+   */
+  async renewJobLease(job, owner, { leaseSeconds = 120 } = {}) {
+    await this.waitReady();
+    const now = new Date();
+    const nowIso = now.toISOString();
+    const { data, error } = await this.client
+      .from('scheduled_jobs')
+      .update({ lease_until: new Date(now.getTime() + leaseSeconds * 1000).toISOString(), updated_at: nowIso })
+      .eq('telegram_id', job.telegram_id)
+      .eq('kind', job.kind)
+      .eq('next_run_at', job.next_run_at)
+      .eq('lease_owner', owner)
+      .gt('lease_until', nowIso)
+      .select('*');
+    if (error) throw error;
+    return data && data.length ? data[0] : null;
+  }
+
+  /**
+   * Release a leased job with its next due time (null leaves it idle)
+   */
+  async completeJob(job, owner, nextRunAtValue) {
+    await this.waitReady();
+    const now = new Date().toISOString();
+    const { error } = await this.client
+      .from('scheduled_jobs')
+      .update({
+        next_run_at: nextRunAtValue ? new Date(nextRunAtValue).toISOString() : null,
+        lease_owner: null,
+        lease_until: null,
+        last_run_at: now,
+        updated_at: now
+      })
+      .eq('telegram_id', job.telegram_id)
+      .eq('kind', job.kind)
+      .eq('lease_owner', owner);
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Record the start of a job run. The unique (telegram_id, kind, scheduled_for)
+   * key makes this the idempotency check: `duplicate` is true when the run
+   * already finished elsewhere, and `inProgress` too when another instance
+   * started it less than staleAfterSeconds ago. A run left 'running' longer
+   * than that (its instance crashed), or 'failed' and queued for retry, is
+   * handed back for another attempt.
+   * @returns {Promise<{run: object, duplicate: boolean, inProgress?: boolean}>}
+   */
+  async startJobRun(job, instance, { staleAfterSeconds = 120 } = {}) {
+    await this.waitReady();
+    const key = { telegram_id: job.telegram_id, kind: job.kind, scheduled_for: job.next_run_at };
+    const { data, error } = await this.client
+      .from('job_runs')
+      .insert({ ...key, instance, status: 'running' })
+      .select('*')
+      .maybeSingle();
+    if (!error) return { run: data, duplicate: false };
+    if (error.code !== '23505') throw error;
+
+    const { data: existing, error: readErr } = await this.client
+      .from('job_runs')
+      .select('*')
+      .match(key)
+      .maybeSingle();
+    if (readErr) throw readErr;
+    if (!existing || !['running', 'failed'].includes(existing.status)) return { run: existing, duplicate: true };
+
+    const staleBefore = new Date(Date.now() - staleAfterSeconds * 1000);
+    if (existing.status === 'running' && existing.started_at && new Date(existing.started_at) > staleBefore) {
+      return { run: existing, duplicate: true, inProgress: true };
+    }
+
+    // Compare-and-set on attempts, so only one instance takes over
+    const { data: retried, error: retryErr } = await this.client
+      .from('job_runs')
+      .update({ instance, status: 'running', attempts: (existing.attempts || 1) + 1, started_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('status', existing.status)
+      .eq('attempts', existing.attempts || 1)
+      .select('*')
+      .maybeSingle();
+    if (retryErr) throw retryErr;
+    return retried ? { run: retried, duplicate: false } : { run: existing, duplicate: true };
+  }
+
+  /**
+   * Release a leased job without advancing it, to be claimed again at retryAt
+   */
+  async retryJobLater(job, owner, retryAt) {
+    await this.waitReady();
+    const { error } = await this.client
+      .from('scheduled_jobs')
+      .update({ lease_owner: null, lease_until: new Date(retryAt).toISOString(), updated_at: new Date().toISOString() })
+      .eq('telegram_id', job.telegram_id)
+      .eq('kind', job.kind)
+      .eq('lease_owner', owner);
     if (error) throw error;
     return true;
   }
 
+  async finishJobRun(runId, status, errorMessage = null) {
+    await this.waitReady();
+    const { error } = await this.client
+      .from('job_runs')
+      .update({ status, error: errorMessage, finished_at: new Date().toISOString() })
+      .eq('id', runId);
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Append to the Telegram delivery log (src/telegram/delivery.js)
+   */
+  async logDelivery(entry) {
+    await this.waitReady();
+    const { error } = await this.client
+      .from('deliveries')
+      .insert({ ...entry, created_at: new Date().toISOString() });
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * A user's delivery log, newest first
+   */
+  async getDeliveries(telegramId, { limit = 50 } = {}) {
+    await this.waitReady();
+    const { data, error } = await this.client
+      .from('deliveries')
+      .select('*')
+      .eq('telegram_id', Number(telegramId))
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Has the user already logged `logType` (e.g. 'missions', 'sunset_reflection') today?
+   * "Today" is the user's local day, so it is matched on created_at rather than
+   * the UTC daily_logs.date.
+   * @param {object} user - users row (telegram_id, timezone)
+   */
+  async hasLoggedToday(user, logType) {
+    await this.waitReady();
+    const since = localDayStart(user).toISOString();
+    const { data, error } = await this.client
+      .from('daily_logs')
+      .select('id')
+      .eq('telegram_id', Number(user.telegram_id))
+      .eq('log_type', logType)
+      .gte('created_at', since)
+      .limit(1);
+    if (error) throw error;
+    return !!(data && data.length);
+  }
+
   // A few legacy helpers left as no-op/compat shims to keep bot runtime stable
-  async hasProcessedTransaction(txHash) { return false; }
   async incrementStreak() { return true; }
   async resetStreak() { return true; }
   async getTodayStake() { return null; }
   async getRecentMoodHistory() { return []; }
-  async getCompletionRate() { return { total_stakes: 0, completed_stakes: 0, completion_rate: 0 }; }
 
   close() {
     // Supabase client has no close method for HTTP client; noop for compatibility
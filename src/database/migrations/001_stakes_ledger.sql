@@ -0,0 +1,482 @@
+-- ============================================================================
+-- MyDay Guardian — Stake & Ledger model (Supabase / PostgreSQL)
+--
+-- Replaces the JSON blobs in daily_logs.details and the read-then-write
+-- users.vault_balance increment with:
+--   * stakes          — one row per stake with a status lifecycle
+--   * ledger_entries  — double-entry balance movements (every txn_id sums to 0)
+--
+-- Run once in the Supabase SQL editor. Safe to re-run: tables are created
+-- with IF NOT EXISTS and every backfill step skips rows it already copied.
+-- ============================================================================
+
+create extension if not exists pgcrypto;
+
+-- ── stakes ──────────────────────────────────────────────────────────────────
+-- Lifecycle: pending_payment → funded → settling → settled | forfeited
+--                                 funded → refunded
+-- `settling` is claimed before any settlement transfer is sent (see stake_claim_settlement)
+create table if not exists stakes (
+  id                bigserial primary key,
+  telegram_id       bigint not null,
+  mission_date      date not null,
+  amount            numeric(20, 6) not null check (amount >= 0),
+  currency          text not null default 'cUSD',
+  status            text not null default 'pending_payment'
+                    check (status in ('pending_payment', 'funded', 'settling', 'settled', 'forfeited', 'refunded')),
+  payment_tx_hash   text unique,
+  payer_address     text,
+  released_amount   numeric(20, 6),
+  forfeited_amount  numeric(20, 6),
+  release_tx_hash   text,
+  forfeit_tx_hash   text,
+  source_log_id     bigint,           -- daily_logs row this stake was backfilled from
+  created_at        timestamptz not null default now(),
+  funded_at         timestamptz,
+  settling_at       timestamptz,       -- when the current settlement attempt claimed the stake
+  settled_at        timestamptz,
+  updated_at        timestamptz not null default now()
+);
+
+-- Databases created before the settling status
+alter table stakes add column if not exists settling_at timestamptz;
+alter table stakes drop constraint if exists stakes_status_check;
+alter table stakes add constraint stakes_status_check
+  check (status in ('pending_payment', 'funded', 'settling', 'settled', 'forfeited', 'refunded'));
+
+create index if not exists stakes_user_date_idx on stakes (telegram_id, mission_date);
+create unique index if not exists stakes_source_log_idx on stakes (source_log_id) where source_log_id is not null;
+
+-- ── ledger_entries ──────────────────────────────────────────────────────────
+-- Accounts:
+--   user_vault        cUSD credited to the user, not locked
+--   user_escrow       cUSD locked in a funded stake
+--   external_wallet   on-chain wallets outside the vault (deposits / releases)
+--   protocol_fees     x402 protocol fees
+--   protocol_forfeits missed-mission stakes
+--   opening_balance   migration adjustments against legacy users.vault_balance
+create table if not exists ledger_entries (
+  id           bigserial primary key,
+  txn_id       uuid not null,
+  kind         text not null
+               check (kind in ('deposit', 'fee', 'stake_funded', 'stake_release', 'stake_forfeit', 'stake_refund', 'opening_balance')),
+  account      text not null
+               check (account in ('user_vault', 'user_escrow', 'external_wallet', 'protocol_fees', 'protocol_forfeits', 'opening_balance')),
+  telegram_id  bigint,
+  stake_id     bigint references stakes (id),
+  amount       numeric(20, 6) not null,
+  currency     text not null default 'cUSD',
+  reference    text,                  -- on-chain tx hash when there is one
+  memo         text,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists ledger_entries_user_idx on ledger_entries (telegram_id, account);
+create index if not exists ledger_entries_txn_idx on ledger_entries (txn_id);
+create unique index if not exists ledger_entries_deposit_ref_idx
+  on ledger_entries (reference, account) where kind = 'deposit';
+
+-- Audit view: any txn_id listed here is unbalanced and must be investigated
+create or replace view ledger_unbalanced as
+  select txn_id, sum(amount) as imbalance
+  from ledger_entries
+  group by txn_id
+  having sum(amount) <> 0;
+
+-- Balances reconstructed from the ledger (what /reservoir shows)
+create or replace view user_balances as
+  select telegram_id,
+         coalesce(sum(amount) filter (where account = 'user_vault'), 0)  as available,
+         coalesce(sum(amount) filter (where account = 'user_escrow'), 0) as locked,
+         coalesce(sum(amount) filter (where account in ('user_vault', 'user_escrow')), 0) as total
+  from ledger_entries
+  where telegram_id is not null
+  group by telegram_id;
+
+-- ============================================================================
+-- Balance moves (called with supabase.rpc from src/database/init.js)
+--
+-- Each function changes the stake row, posts its ledger legs and refreshes the
+-- users.vault_balance cache in one transaction, so a failure half-way leaves
+-- nothing behind. The user's row is locked first: moves for one user run one
+-- at a time and the cached balance always matches the ledger.
+-- ============================================================================
+
+-- One balanced two-leg transaction: p_amount leaves p_from and enters p_to
+create or replace function ledger_move(p_kind text, p_telegram_id bigint, p_stake_id bigint,
+                                       p_from text, p_to text, p_amount numeric,
+                                       p_reference text default null, p_memo text default null)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_txn uuid := gen_random_uuid();
+begin
+  perform 1 from users where telegram_id = p_telegram_id for update;
+  insert into ledger_entries (txn_id, kind, account, telegram_id, stake_id, amount, reference, memo)
+  values (v_txn, p_kind, p_from, p_telegram_id, p_stake_id, -p_amount, p_reference, p_memo),
+         (v_txn, p_kind, p_to, p_telegram_id, p_stake_id, p_amount, p_reference, p_memo);
+  return v_txn;
+end;
+$$;
+
+create or replace function refresh_vault_balance(p_telegram_id bigint)
+returns numeric
+language plpgsql
+as $$
+declare
+  v_total numeric;
+begin
+  select coalesce(sum(amount), 0) into v_total
+  from ledger_entries
+  where telegram_id = p_telegram_id and account in ('user_vault', 'user_escrow');
+  update users set vault_balance = v_total, updated_at = now() where telegram_id = p_telegram_id;
+  return v_total;
+end;
+$$;
+
+-- Verified payment → deposit (external_wallet → user_vault); a tx hash is deposited once
+create or replace function ledger_deposit(p_telegram_id bigint, p_amount numeric, p_reference text default null)
+returns boolean
+language plpgsql
+as $$
+begin
+  if p_amount <= 0 then
+    return false;
+  end if;
+  if p_reference is not null
+     and exists (select 1 from ledger_entries where kind = 'deposit' and reference = p_reference) then
+    return false;
+  end if;
+  perform ledger_move('deposit', p_telegram_id, null, 'external_wallet', 'user_vault', p_amount, p_reference);
+  perform refresh_vault_balance(p_telegram_id);
+  return true;
+exception when unique_violation then
+  return false;
+end;
+$$;
+
+-- The day's open stake for a Mission Briefing: the pending (or already
+-- funded) one is reused, so re-running the briefing never opens a second stake
+create or replace function stake_open(p_telegram_id bigint, p_mission_date date, p_amount numeric)
+returns stakes
+language plpgsql
+as $$
+declare
+  v_stake stakes;
+begin
+  perform 1 from users where telegram_id = p_telegram_id for update;
+  select * into v_stake from stakes
+  where telegram_id = p_telegram_id and mission_date = p_mission_date
+    and status in ('pending_payment', 'funded')
+  order by (status = 'funded') desc, created_at desc
+  limit 1
+  for update;
+
+  if v_stake.id is null then
+    insert into stakes (telegram_id, mission_date, amount, status)
+    values (p_telegram_id, p_mission_date, p_amount, 'pending_payment')
+    returning * into v_stake;
+  elsif v_stake.status = 'pending_payment' and v_stake.amount <> p_amount then
+    update stakes set amount = p_amount, updated_at = now() where id = v_stake.id returning * into v_stake;
+  end if;
+  return v_stake;
+end;
+$$;
+
+-- Payment locked in the vault: fund the day's pending stake (or a new one),
+-- move it user_vault → user_escrow and book the x402 fee. A second payment for
+-- a day whose stake is already funded tops that stake up, so the day keeps
+-- one open stake and its settlement covers every payment.
+create or replace function stake_lock(p_telegram_id bigint, p_mission_date date, p_amount numeric,
+                                      p_tx_hash text, p_payer text default null, p_fee numeric default 0)
+returns stakes
+language plpgsql
+as $$
+declare
+  v_stake stakes;
+begin
+  perform 1 from users where telegram_id = p_telegram_id for update;
+  update stakes
+  set amount = amount + p_amount, updated_at = now()
+  where id = (
+    select id from stakes
+    where telegram_id = p_telegram_id and mission_date = p_mission_date and status = 'funded'
+    order by funded_at desc
+    limit 1
+  )
+  returning * into v_stake;
+
+  if v_stake.id is null then
+    update stakes
+    set amount = p_amount, status = 'funded', payment_tx_hash = p_tx_hash, payer_address = p_payer,
+        funded_at = now(), updated_at = now()
+    where id = (
+      select id from stakes
+      where telegram_id = p_telegram_id and mission_date = p_mission_date and status = 'pending_payment'
+      order by created_at desc
+      limit 1
+    )
+    returning * into v_stake;
+  end if;
+
+  if v_stake.id is null then
+    insert into stakes (telegram_id, mission_date, amount, status, payment_tx_hash, payer_address, funded_at)
+    values (p_telegram_id, p_mission_date, p_amount, 'funded', p_tx_hash, p_payer, now())
+    returning * into v_stake;
+  end if;
+
+  perform ledger_move('stake_funded', p_telegram_id, v_stake.id, 'user_vault', 'user_escrow', p_amount, p_tx_hash);
+  if p_fee > 0 then
+    perform ledger_move('fee', p_telegram_id, v_stake.id, 'user_vault', 'protocol_fees', p_fee, p_tx_hash, 'x402 protocol fee');
+  end if;
+  perform refresh_vault_balance(p_telegram_id);
+  return v_stake;
+end;
+$$;
+
+-- Claim a funded stake for settlement before any transfer is sent. The
+-- release/forfeit split is fixed by the first claim; a settlement that
+-- failed part-way can be claimed again once p_lease_seconds have passed,
+-- keeping its split and the transfer hashes already recorded. Returns no row
+-- while another attempt holds the claim (or the stake is no longer open).
+create or replace function stake_claim_settlement(p_stake_id bigint, p_released numeric, p_forfeited numeric,
+                                                  p_lease_seconds integer default 600)
+returns setof stakes
+language plpgsql
+as $$
+begin
+  return query
+  update stakes
+  set status = 'settling',
+      released_amount = case when status = 'funded' then p_released else released_amount end,
+      forfeited_amount = case when status = 'funded' then p_forfeited else forfeited_amount end,
+      settling_at = now(),
+      updated_at = now()
+  where id = p_stake_id
+    and (status = 'funded'
+         or (status = 'settling' and settling_at < now() - make_interval(secs => p_lease_seconds)))
+  returning *;
+end;
+$$;
+
+-- A settlement transfer was broadcast: remember its hash so a retry checks it instead of sending again
+create or replace function stake_record_transfer(p_stake_id bigint, p_kind text, p_tx_hash text)
+returns void
+language plpgsql
+as $$
+begin
+  update stakes
+  set release_tx_hash = case when p_kind = 'release' then p_tx_hash else release_tx_hash end,
+      forfeit_tx_hash = case when p_kind = 'forfeit' then p_tx_hash else forfeit_tx_hash end,
+      updated_at = now()
+  where id = p_stake_id and status = 'settling';
+  if not found then
+    raise exception 'Stake % is not being settled', p_stake_id;
+  end if;
+end;
+$$;
+
+-- Close a claimed stake once its transfers went through: the released share
+-- leaves escrow to the staker's wallet, the missed share goes to protocol_forfeits
+-- The earlier signature took the amounts; they are fixed by stake_claim_settlement now
+drop function if exists stake_settle(bigint, numeric, numeric, text, text);
+create or replace function stake_settle(p_stake_id bigint, p_release_tx_hash text default null,
+                                        p_forfeit_tx_hash text default null)
+returns stakes
+language plpgsql
+as $$
+declare
+  v_stake stakes;
+begin
+  update stakes
+  set status = case when released_amount > 0 then 'settled' else 'forfeited' end,
+      release_tx_hash = coalesce(p_release_tx_hash, release_tx_hash),
+      forfeit_tx_hash = coalesce(p_forfeit_tx_hash, forfeit_tx_hash),
+      settled_at = now(), updated_at = now()
+  where id = p_stake_id and status = 'settling'
+  returning * into v_stake;
+  if v_stake.id is null then
+    raise exception 'Stake % is not being settled — refusing to settle twice', p_stake_id;
+  end if;
+
+  if v_stake.released_amount > 0 then
+    perform ledger_move('stake_release', v_stake.telegram_id, v_stake.id, 'user_escrow', 'external_wallet',
+                        v_stake.released_amount, v_stake.release_tx_hash);
+  end if;
+  if v_stake.forfeited_amount > 0 then
+    perform ledger_move('stake_forfeit', v_stake.telegram_id, v_stake.id, 'user_escrow', 'protocol_forfeits',
+                        v_stake.forfeited_amount, v_stake.forfeit_tx_hash);
+  end if;
+  perform refresh_vault_balance(v_stake.telegram_id);
+  return v_stake;
+end;
+$$;
+
+-- Return a funded stake to the staker without an audit (support/admin path)
+create or replace function stake_refund(p_stake_id bigint, p_telegram_id bigint, p_refund_tx_hash text default null)
+returns stakes
+language plpgsql
+as $$
+declare
+  v_stake stakes;
+begin
+  update stakes
+  set status = 'refunded', release_tx_hash = p_refund_tx_hash, settled_at = now(), updated_at = now()
+  where id = p_stake_id and telegram_id = p_telegram_id and status = 'funded'
+  returning * into v_stake;
+  if v_stake.id is null then
+    raise exception 'Stake % is not funded — cannot refund', p_stake_id;
+  end if;
+
+  perform ledger_move('stake_refund', p_telegram_id, v_stake.id, 'user_escrow', 'external_wallet', v_stake.amount, p_refund_tx_hash);
+  perform refresh_vault_balance(p_telegram_id);
+  return v_stake;
+end;
+$$;
+
+-- ============================================================================
+-- Backfill from daily_logs
+-- ============================================================================
+
+-- Legacy details are free text: a row that is not valid JSON (or a value that
+-- is not a number) is skipped rather than aborting the whole migration
+create or replace function try_jsonb(p_text text)
+returns jsonb
+language plpgsql
+immutable
+as $$
+begin
+  return p_text::jsonb;
+exception when others then
+  return null;
+end;
+$$;
+
+create or replace function try_numeric(p_text text)
+returns numeric
+language plpgsql
+immutable
+as $$
+begin
+  return p_text::numeric;
+exception when others then
+  return null;
+end;
+$$;
+
+-- 1. Stakes declared at Mission Briefing (log_type = 'missions')
+insert into stakes (telegram_id, mission_date, amount, status, source_log_id, created_at, updated_at)
+select dl.telegram_id,
+       coalesce(dl.date, dl.created_at::date),
+       try_numeric(coalesce(try_jsonb(dl.details) ->> 'staked_amount', try_jsonb(dl.details) ->> 'stakedAmount')),
+       'pending_payment',
+       dl.id,
+       dl.created_at,
+       dl.created_at
+from daily_logs dl
+where dl.log_type = 'missions'
+  and dl.telegram_id is not null
+  and try_numeric(coalesce(try_jsonb(dl.details) ->> 'staked_amount', try_jsonb(dl.details) ->> 'stakedAmount')) > 0
+on conflict do nothing;
+
+-- 2. Verified x402 / MiniPay payments (log_type = 'processed_transaction') → deposits
+with src as materialized (
+  select dl.id, dl.telegram_id, dl.tx_hash, dl.amount::numeric as amount, dl.created_at,
+         gen_random_uuid() as txn_id
+  from daily_logs dl
+  where dl.log_type = 'processed_transaction'
+    and dl.telegram_id is not null and dl.telegram_id <> 0
+    and coalesce(dl.amount::numeric, 0) > 0
+    and not exists (
+      select 1 from ledger_entries le where le.kind = 'deposit' and le.reference = dl.tx_hash
+    )
+)
+insert into ledger_entries (txn_id, kind, account, telegram_id, amount, reference, memo, created_at)
+select txn_id, 'deposit', 'external_wallet', telegram_id, -amount, tx_hash, 'backfill daily_logs#' || id, created_at from src
+union all
+select txn_id, 'deposit', 'user_vault', telegram_id, amount, tx_hash, 'backfill daily_logs#' || id, created_at from src;
+
+-- 3. Stakes locked by the escrow executor (log_type = 'stake_lock'): fund the
+--    briefing stake of the same day when there is one, otherwise insert it
+update stakes s
+set status          = 'funded',
+    payment_tx_hash = dl.tx_hash,
+    payer_address   = try_jsonb(dl.details) ->> 'from',
+    funded_at       = dl.created_at,
+    updated_at      = now()
+from daily_logs dl
+where dl.log_type = 'stake_lock'
+  and s.telegram_id = dl.telegram_id
+  and s.mission_date = dl.date
+  and s.status = 'pending_payment'
+  and not exists (select 1 from stakes x where x.payment_tx_hash = dl.tx_hash);
+
+insert into stakes (telegram_id, mission_date, amount, status, payment_tx_hash, payer_address,
+                    source_log_id, created_at, funded_at, updated_at)
+select dl.telegram_id, dl.date, dl.amount::numeric, 'funded', dl.tx_hash, try_jsonb(dl.details) ->> 'from',
+       dl.id, dl.created_at, dl.created_at, dl.created_at
+from daily_logs dl
+where dl.log_type = 'stake_lock'
+  and not exists (select 1 from stakes x where x.payment_tx_hash = dl.tx_hash)
+on conflict do nothing;
+
+with src as materialized (
+  select s.id as stake_id, s.telegram_id, s.amount, s.payment_tx_hash, s.funded_at, gen_random_uuid() as txn_id
+  from stakes s
+  where s.payment_tx_hash is not null
+    and exists (select 1 from daily_logs dl where dl.log_type = 'stake_lock' and dl.tx_hash = s.payment_tx_hash)
+    and not exists (select 1 from ledger_entries le where le.stake_id = s.id and le.kind = 'stake_funded')
+)
+insert into ledger_entries (txn_id, kind, account, telegram_id, stake_id, amount, reference, created_at)
+select txn_id, 'stake_funded', 'user_vault', telegram_id, stake_id, -amount, payment_tx_hash, funded_at from src
+union all
+select txn_id, 'stake_funded', 'user_escrow', telegram_id, stake_id, amount, payment_tx_hash, funded_at from src;
+
+-- 4. Settlements of those stakes (log_type = 'stake_settlement')
+update stakes s
+set status           = case when try_numeric(try_jsonb(dl.details) ->> 'released') = 0 then 'forfeited' else 'settled' end,
+    released_amount  = try_numeric(try_jsonb(dl.details) ->> 'released'),
+    forfeited_amount = try_numeric(try_jsonb(dl.details) ->> 'forfeited'),
+    release_tx_hash  = try_jsonb(dl.details) ->> 'releaseTxHash',
+    forfeit_tx_hash  = try_jsonb(dl.details) ->> 'forfeitTxHash',
+    settled_at       = dl.created_at,
+    updated_at       = now()
+from daily_logs dl
+where dl.log_type = 'stake_settlement'
+  and dl.tx_hash = s.payment_tx_hash
+  and s.status = 'funded'
+  and try_numeric(try_jsonb(dl.details) ->> 'released') is not null
+  and try_numeric(try_jsonb(dl.details) ->> 'forfeited') is not null;
+
+with src as materialized (
+  select s.id as stake_id, s.telegram_id, s.released_amount, s.forfeited_amount,
+         s.release_tx_hash, s.forfeit_tx_hash, s.settled_at, gen_random_uuid() as txn_id
+  from stakes s
+  where s.status in ('settled', 'forfeited')
+    and not exists (select 1 from ledger_entries le where le.stake_id = s.id and le.kind in ('stake_release', 'stake_forfeit'))
+)
+insert into ledger_entries (txn_id, kind, account, telegram_id, stake_id, amount, reference, created_at)
+select txn_id, 'stake_release', 'user_escrow', telegram_id, stake_id, -released_amount, release_tx_hash, settled_at from src where released_amount > 0
+union all
+select txn_id, 'stake_release', 'external_wallet', telegram_id, stake_id, released_amount, release_tx_hash, settled_at from src where released_amount > 0
+union all
+select txn_id, 'stake_forfeit', 'user_escrow', telegram_id, stake_id, -forfeited_amount, forfeit_tx_hash, settled_at from src where forfeited_amount > 0
+union all
+select txn_id, 'stake_forfeit', 'protocol_forfeits', telegram_id, stake_id, forfeited_amount, forfeit_tx_hash, settled_at from src where forfeited_amount > 0;
+
+-- 5. Reconcile against the legacy trusted users.vault_balance. Any drift is
+--    posted as an explicit opening_balance adjustment so it stays auditable.
+with drift as materialized (
+  select u.telegram_id,
+         coalesce(u.vault_balance, 0)::numeric - coalesce(b.total, 0) as diff,
+         gen_random_uuid() as txn_id
+  from users u
+  left join user_balances b on b.telegram_id = u.telegram_id
+  where coalesce(u.vault_balance, 0)::numeric <> coalesce(b.total, 0)
+    and not exists (select 1 from ledger_entries le where le.telegram_id = u.telegram_id and le.kind = 'opening_balance')
+)
+insert into ledger_entries (txn_id, kind, account, telegram_id, amount, memo)
+select txn_id, 'opening_balance', 'opening_balance', telegram_id, -diff, 'legacy users.vault_balance reconciliation' from drift
+union all
+select txn_id, 'opening_balance', 'user_vault', telegram_id, diff, 'legacy users.vault_balance reconciliation' from drift;
@@ -0,0 +1,32 @@
+-- ============================================================================
+-- MyDay Guardian — x402 spent-proof registry (Supabase / PostgreSQL)
+--
+-- Every verified payment proof is claimed here before a premium response is
+-- served or a vault is credited. The unique (tx_hash, log_index) key makes the
+-- claim atomic: a replayed X-PAYMENT hash fails the insert.
+--   log_index = -1 marks a native (non-ERC-20) transfer.
+-- ============================================================================
+
+create table if not exists payment_proofs (
+  id            bigserial primary key,
+  tx_hash       text not null,
+  log_index     integer not null default -1,
+  resource      text,
+  telegram_id   bigint,
+  amount        numeric(20, 6),
+  block_number  bigint,
+  claimed_at    timestamptz not null default now(),
+  unique (tx_hash, log_index)
+);
+
+create index if not exists payment_proofs_tx_hash_idx on payment_proofs (tx_hash);
+
+-- Backfill: hashes already credited through daily_logs are spent
+insert into payment_proofs (tx_hash, log_index, resource, telegram_id, amount, claimed_at)
+select distinct on (lower(dl.tx_hash))
+       lower(dl.tx_hash), -1, 'legacy:processed_transaction', nullif(dl.telegram_id, 0), dl.amount::numeric, dl.created_at
+from daily_logs dl
+where dl.log_type = 'processed_transaction'
+  and dl.tx_hash is not null
+order by lower(dl.tx_hash), dl.created_at
+on conflict do nothing;
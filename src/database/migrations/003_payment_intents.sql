@@ -0,0 +1,36 @@
+-- ============================================================================
+-- MyDay Guardian — x402 payment intents (Supabase / PostgreSQL)
+--
+-- Each 402 response issues a signed, expiring intent bound to one resource,
+-- one amount and (for stakes) one Telegram user. A payment is only accepted
+-- when it matches an outstanding intent, and consuming the intent is a
+-- single conditional update, so one intent is spent at most once.
+--
+-- The amount carries a small unique tag, so at most one outstanding intent
+-- per (pay_to, asset, amount) exists and a bare tx hash identifies its intent.
+-- ============================================================================
+
+create table if not exists payment_intents (
+  id            uuid primary key,
+  resource      text not null,
+  telegram_id   bigint,
+  amount        text not null check (amount ~ '^[0-9]+$'), -- exact base units (wei), text keeps full precision
+  asset         text not null,
+  pay_to        text not null,
+  network       text not null,
+  extra         jsonb not null default '{}'::jsonb,
+  signature     text not null,
+  status        text not null default 'outstanding'
+                check (status in ('outstanding', 'consumed')),
+  tx_hash       text,
+  created_at    timestamptz not null default now(),
+  expires_at    timestamptz not null,
+  consumed_at   timestamptz
+);
+
+create unique index if not exists payment_intents_outstanding_amount_idx
+  on payment_intents (lower(pay_to), lower(asset), amount)
+  where status = 'outstanding';
+
+create index if not exists payment_intents_expires_idx on payment_intents (expires_at);
+
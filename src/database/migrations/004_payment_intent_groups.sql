@@ -0,0 +1,13 @@
+-- ============================================================================
+-- MyDay Guardian — multi-asset x402 payment intents (Supabase / PostgreSQL)
+--
+-- A 402 response offering several tokens issues one intent per token, all
+-- sharing a group_id. Consuming is a single conditional update over the
+-- group, so paying with one token voids the alternatives atomically.
+-- ============================================================================
+
+alter table payment_intents add column if not exists group_id uuid;
+
+create index if not exists payment_intents_group_idx
+  on payment_intents (group_id)
+  where group_id is not null;
@@ -0,0 +1,92 @@
+-- ============================================================================
+-- MyDay Guardian — per-mission records (Supabase / PostgreSQL)
+--
+-- Replaces the missions array in daily_logs.details (and the orphaned
+-- 'mission_completion' rows the evening audit wrote with telegram_id null)
+-- with one row per mission: owner, date, category, its share of the day's
+-- stake and a completion status the audit updates in place.
+--
+-- Run once in the Supabase SQL editor, after 001_stakes_ledger.sql. Safe to
+-- re-run: the backfill skips missions it already copied.
+-- ============================================================================
+
+-- Lifecycle: planned → completed | missed
+create table if not exists missions (
+  id            bigserial primary key,
+  telegram_id   bigint not null,
+  mission_date  date not null,
+  position      smallint not null check (position > 0),  -- 1-based order from the briefing
+  title         text not null,
+  category      text,                                     -- Fitness | Mind | Spirit (null when unknown)
+  stake_share   numeric(20, 6) not null default 0 check (stake_share >= 0),
+  stake_id      bigint references stakes (id),
+  status        text not null default 'planned'
+                check (status in ('planned', 'completed', 'missed')),
+  source_log_id bigint,                                   -- daily_logs 'missions' row it came from
+  audited_at    timestamptz,
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now(),
+  unique (telegram_id, mission_date, position)
+);
+
+create index if not exists missions_user_date_idx on missions (telegram_id, mission_date desc);
+
+-- ============================================================================
+-- Backfill from daily_logs
+-- ============================================================================
+
+-- Same keywords as categorizeMission in src/services/missions.js — keep them in sync
+create or replace function categorize_mission(p_title text)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when lower(p_title) ~ '\m(run|jog|gym|workout|lift|walk|swim|bike|cycle|hike|stretch|push|squat|cardio|train|sport|steps)'
+      then 'Fitness'
+    when lower(p_title) ~ '\m(read|learn|study|code|write|work|review|course|practice|plan|book|language|spanish|research|focus)'
+      then 'Mind'
+    when lower(p_title) ~ '\m(meditat|pray|journal|gratitude|breath|yoga|rest|sleep|family|friend|call|nature|digital detox|mindful)'
+      then 'Spirit'
+  end
+$$;
+
+-- 1. Missions declared at Mission Briefing (latest briefing of each day wins).
+--    try_jsonb / try_numeric (001_stakes_ledger.sql) skip malformed details.
+with briefings as materialized (
+  select distinct on (dl.telegram_id, coalesce(dl.date, dl.created_at::date))
+         dl.id, dl.telegram_id, coalesce(dl.date, dl.created_at::date) as mission_date,
+         try_jsonb(dl.details) as details, dl.created_at
+  from daily_logs dl
+  where dl.log_type = 'missions'
+    and dl.telegram_id is not null
+    and jsonb_typeof(try_jsonb(dl.details) -> 'missions') = 'array'
+    and jsonb_array_length(try_jsonb(dl.details) -> 'missions') > 0
+  order by dl.telegram_id, coalesce(dl.date, dl.created_at::date), dl.created_at desc
+)
+insert into missions (telegram_id, mission_date, position, title, category, stake_share, stake_id,
+                      source_log_id, created_at, updated_at)
+select b.telegram_id, b.mission_date, m.position, m.title, categorize_mission(m.title),
+       round(coalesce(try_numeric(coalesce(b.details ->> 'staked_amount', b.details ->> 'stakedAmount')), 0)
+             / jsonb_array_length(b.details -> 'missions'), 6),
+       (select s.id from stakes s where s.source_log_id = b.id limit 1),
+       b.id, b.created_at, b.created_at
+from briefings b
+cross join lateral jsonb_array_elements_text(b.details -> 'missions') with ordinality as m (title, position)
+on conflict (telegram_id, mission_date, position) do nothing;
+
+-- Rows copied before the backfill set categories
+update missions
+set category = categorize_mission(title), updated_at = now()
+where category is null
+  and categorize_mission(title) is not null;
+
+-- 2. Audit results: the legacy rows carry the synthetic id "<daily_logs id>-<position>"
+update missions m
+set status     = case when dl.success then 'completed' else 'missed' end,
+    audited_at = dl.created_at,
+    updated_at = now()
+from daily_logs dl
+where dl.log_type = 'mission_completion'
+  and dl.mission_id = m.source_log_id || '-' || m.position
+  and m.status = 'planned';
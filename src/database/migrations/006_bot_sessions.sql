@@ -0,0 +1,18 @@
+-- ============================================================================
+-- MyDay Guardian — bot conversation sessions (Supabase / PostgreSQL)
+--
+-- Flow state for the Telegram bot (current step + answers so far), keyed by
+-- e.g. 'flow:<telegram_id>'. Each row expires with its step's TTL, so a
+-- redeploy no longer drops users mid-briefing and a flow abandoned yesterday
+-- never captures today's messages. Reads ignore expired rows; the scheduler
+-- purges them hourly.
+-- ============================================================================
+
+create table if not exists bot_sessions (
+  key         text primary key,
+  value       jsonb not null,
+  expires_at  timestamptz not null,
+  updated_at  timestamptz not null default now()
+);
+
+create index if not exists bot_sessions_expires_idx on bot_sessions (expires_at);
@@ -0,0 +1,37 @@
+-- ============================================================================
+-- MyDay Guardian — per-user check-in schedule (Supabase / PostgreSQL)
+--
+-- Each user picks their own morning and sunset check-in times, rest days and
+-- quiet hours with the bot's /schedule command; the scheduler reads them from
+-- here instead of sending 08:00 / 20:00 to everyone. Times are local
+-- wall-clock 'HH:MM' in the user's timezone. rest_days holds weekday numbers
+-- (0 = Sunday … 6 = Saturday). A snoozed sunset prompt is re-sent once
+-- sunset_snoozed_until has passed.
+-- ============================================================================
+
+alter table users
+  add column if not exists morning_time          text     not null default '08:00',
+  add column if not exists sunset_time           text     not null default '20:00',
+  add column if not exists rest_days             smallint[] not null default '{}',
+  add column if not exists quiet_start           text,
+  add column if not exists quiet_end             text,
+  add column if not exists snooze_minutes        smallint not null default 30,
+  add column if not exists sunset_snoozed_until  timestamptz;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'users_schedule_times_check') then
+    alter table users add constraint users_schedule_times_check check (
+      morning_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+      and sunset_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+      and (quiet_start is null or quiet_start ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$')
+      and (quiet_end is null or quiet_end ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$')
+      and (quiet_start is null) = (quiet_end is null)
+      and rest_days <@ array[0, 1, 2, 3, 4, 5, 6]::smallint[]
+      and snooze_minutes between 5 and 240
+    );
+  end if;
+end $$;
+
+create index if not exists users_sunset_snoozed_idx on users (sunset_snoozed_until)
+  where sunset_snoozed_until is not null;
@@ -0,0 +1,61 @@
+-- ============================================================================
+-- MyDay Guardian — check-in job queue (Supabase / PostgreSQL)
+--
+-- One row per (user, kind) holding the next due time in UTC, precomputed
+-- from the user's timezone and /schedule settings (src/services/jobs.js).
+-- Scheduler instances claim due rows by taking a lease (lease_owner /
+-- lease_until, compare-and-set); a crashed instance's lease simply expires.
+--
+-- job_runs records every execution. Its unique (telegram_id, kind,
+-- scheduled_for) key is the idempotency guard: a second instance, or the
+-- same one after a restart, finds the run already recorded and only moves
+-- the job to its next due time instead of sending the nudge again.
+--
+-- kinds: morning | sunset | weekly | sunset_snooze (one-shot; next_run_at null when idle)
+-- ============================================================================
+
+create table if not exists scheduled_jobs (
+  telegram_id  bigint      not null,
+  kind         text        not null check (kind in ('morning', 'sunset', 'weekly', 'sunset_snooze')),
+  next_run_at  timestamptz,
+  lease_owner  text,
+  lease_until  timestamptz,
+  last_run_at  timestamptz,
+  updated_at   timestamptz not null default now(),
+  primary key (telegram_id, kind)
+);
+
+create index if not exists scheduled_jobs_due_idx on scheduled_jobs (next_run_at)
+  where next_run_at is not null;
+
+create table if not exists job_runs (
+  id             bigserial   primary key,
+  telegram_id    bigint      not null,
+  kind           text        not null,
+  scheduled_for  timestamptz not null,
+  status         text        not null default 'running'
+                 check (status in ('running', 'sent', 'deferred', 'skipped', 'missed', 'failed')),
+  instance       text,
+  attempts       integer     not null default 1,
+  error          text,
+  started_at     timestamptz not null default now(),
+  finished_at    timestamptz,
+  unique (telegram_id, kind, scheduled_for)
+);
+
+create index if not exists job_runs_user_idx on job_runs (telegram_id, started_at desc);
+
+-- Pending sunset snoozes (migration 007) move into the queue
+do $$
+begin
+  if exists (select 1 from information_schema.columns
+             where table_name = 'users' and column_name = 'sunset_snoozed_until') then
+    insert into scheduled_jobs (telegram_id, kind, next_run_at)
+    select telegram_id, 'sunset_snooze', sunset_snoozed_until
+    from users
+    where sunset_snoozed_until is not null
+    on conflict (telegram_id, kind) do update set next_run_at = excluded.next_run_at, updated_at = now();
+
+    alter table users drop column sunset_snoozed_until;
+  end if;
+end $$;
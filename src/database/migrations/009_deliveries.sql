@@ -0,0 +1,24 @@
+-- ============================================================================
+-- MyDay Guardian — Telegram delivery log (Supabase / PostgreSQL)
+--
+-- One row per scheduled nudge message (morning | sunset | sunset_snooze |
+-- weekly) and per message that still failed after retries (kind 'reply' for
+-- ordinary bot replies). attempts counts the sends including backoff retries
+-- on 429 / 5xx; error_code is Telegram's HTTP status. Runs from the job
+-- queue link back through job_run_id (migration 008).
+-- ============================================================================
+
+create table if not exists deliveries (
+  id           bigserial   primary key,
+  telegram_id  bigint      not null,
+  kind         text        not null,
+  status       text        not null check (status in ('sent', 'failed')),
+  attempts     integer     not null default 1,
+  message_id   bigint,
+  error_code   integer,
+  error        text,
+  job_run_id   bigint      references job_runs (id) on delete set null,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists deliveries_user_idx on deliveries (telegram_id, created_at desc);
@@ -0,0 +1,16 @@
+-- ============================================================================
+-- MyDay Guardian — coaching conversation memory (Supabase / PostgreSQL)
+--
+-- One row per user who has chatted with the coach outside the scripted flows.
+-- recent holds the last few messages verbatim ([{ role: 'user' | 'coach',
+-- text, at }]); older ones are folded into summary by the Brain
+-- (src/services/coachMemory.js). /forget deletes the row.
+-- ============================================================================
+
+create table if not exists coach_memory (
+  telegram_id  bigint      primary key,
+  summary      text        not null default '',
+  recent       jsonb       not null default '[]'::jsonb,
+  turns        integer     not null default 0,
+  updated_at   timestamptz not null default now()
+);
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- MyDay Guardian — LLM usage and cost accounting (Supabase / PostgreSQL)
+--
+-- One row per user and UTC day with the running totals of the Brain's model
+-- calls (src/agent/usage.js); telegram_id 0 collects calls made for no user.
+-- Every instance adds its calls with llm_usage_add (an atomic increment, so
+-- concurrent writers never overwrite each other). Daily budgets are checked
+-- against these totals, and /api/admin/llm-stats reports them.
+-- ============================================================================
+
+create table if not exists llm_usage (
+  usage_date     date           not null,
+  telegram_id    bigint         not null default 0,
+  calls          integer        not null default 0,
+  cache_hits     integer        not null default 0,
+  input_tokens   bigint         not null default 0,
+  output_tokens  bigint         not null default 0,
+  cost_usd       numeric(12, 6) not null default 0,
+  updated_at     timestamptz    not null default now(),
+  primary key (usage_date, telegram_id)
+);
+
+-- Add one call's (or cache hit's) usage to the day's totals
+create or replace function llm_usage_add(p_usage_date date, p_telegram_id bigint,
+                                         p_calls integer default 0, p_cache_hits integer default 0,
+                                         p_input_tokens bigint default 0, p_output_tokens bigint default 0,
+                                         p_cost_usd numeric default 0)
+returns void
+language sql
+as $$
+  insert into llm_usage (usage_date, telegram_id, calls, cache_hits, input_tokens, output_tokens, cost_usd)
+  values (p_usage_date, p_telegram_id, p_calls, p_cache_hits, p_input_tokens, p_output_tokens, p_cost_usd)
+  on conflict (usage_date, telegram_id) do update set
+    calls         = llm_usage.calls + excluded.calls,
+    cache_hits    = llm_usage.cache_hits + excluded.cache_hits,
+    input_tokens  = llm_usage.input_tokens + excluded.input_tokens,
+    output_tokens = llm_usage.output_tokens + excluded.output_tokens,
+    cost_usd      = llm_usage.cost_usd + excluded.cost_usd,
+    updated_at    = now();
+$$;
@@ -0,0 +1,56 @@
+-- ============================================================================
+-- MyDay Guardian — spend a broadcast x402 payment in one step (Supabase / PostgreSQL)
+--
+-- A tx-hash payment claims its proof (payment_proofs, migration 002) and
+-- consumes its intent (payment_intents, migrations 003/004). Doing both in one
+-- function means they succeed or fail together: a replayed proof leaves the
+-- intent outstanding, and an intent spent by another request leaves the proof
+-- unclaimed, so the payer can still use it.
+--
+-- Returns 'consumed', 'payment_already_used' or 'intent_already_used'.
+-- ============================================================================
+
+create or replace function consume_payment_intent_with_proof(
+  p_intent_id     uuid,
+  p_group_id      uuid,
+  p_tx_hash       text,
+  p_log_indexes   integer[],
+  p_resource      text default null,
+  p_telegram_id   bigint default null,
+  p_amount        numeric default null,
+  p_block_number  bigint default null
+)
+returns text
+language plpgsql
+as $$
+declare
+  v_consumed boolean;
+begin
+  begin
+    insert into payment_proofs (tx_hash, log_index, resource, telegram_id, amount, block_number)
+    select lower(p_tx_hash), log_index, p_resource, p_telegram_id, p_amount, p_block_number
+    from unnest(coalesce(nullif(p_log_indexes, '{}'), array[-1])) as log_index;
+
+    -- The whole 402 group is spent with the intent that was paid
+    with spent as (
+      update payment_intents
+      set status = 'consumed', tx_hash = lower(p_tx_hash), consumed_at = now()
+      where status = 'outstanding'
+        and (id = p_intent_id or (p_group_id is not null and group_id = p_group_id))
+      returning id
+    )
+    select exists (select 1 from spent where id = p_intent_id) into v_consumed;
+
+    if not v_consumed then
+      -- Undo the proof claim along with everything else in this block
+      raise exception using errcode = 'P0001', message = 'intent_already_used';
+    end if;
+  exception
+    when unique_violation then
+      return 'payment_already_used';
+    when raise_exception then
+      return 'intent_already_used';
+  end;
+  return 'consumed';
+end;
+$$;
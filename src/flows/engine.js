@@ -0,0 +1,365 @@
+/**
+ * Flow Engine — declarative finite-state machines for Telegram conversations
+ *
+ * A flow is a plain object; the engine owns routing, validation, reprompts,
+ * persistence (via the session store) and the global /cancel and /back
+ * commands, so adding a flow never touches the bot's message router.
+ *
+ *   {
+ *     name: 'sunset_reflection',
+ *     initial: 'wins',
+ *     interruptible: true,             // may the scheduler start another flow over it?
+ *     ttl: 3600,                       // default seconds per step (see src/sessions)
+ *     cancelMessage: '…',
+ *     steps: {
+ *       wins: {
+ *         enter: async (data, ctx) => data,                                 // on arrival, before the prompt
+ *         prompt: (data, ctx) => 'How many…' | { text, options },
+ *         parse: (text, data, ctx) => value | undefined | invalid('why') | stay(data),   // may be async
+ *         buttons: (data, ctx) => [[{ text: '1', value: '1' }, …]],        // inline keyboard rows
+ *         tap: (value, data, ctx) => value | stay(data),                   // button press (default: parse)
+ *         reprompt: '…' | (data) => '…',
+ *         key: 'wins',                 // store the parsed value in data.wins
+ *         next: 'mood' | (data, value, ctx) => 'mood' | DONE | CANCEL | END,
+ *         ttl: 14400
+ *       }
+ *     },
+ *     onComplete: async (data, ctx) => { … }   // return false to stay on the last step
+ *   }
+ *
+ * Session (key `flow:<userId>`): { flow, step, data, history, nonce, rev }
+ * ctx: { userId, chatId, msg, bot, flows } (+ query for button presses)
+ *
+ * Buttons carry `f:<nonce>:<step>:<value>` as callback data. A press is only
+ * accepted while the session still has that nonce and step, and the value is
+ * one the step offers for the current data — stale keyboards from an earlier
+ * run or step are answered with a toast and otherwise ignored.
+ *
+ * Every save gives the session a new `rev`. A press claims the step with a
+ * compare-and-set on the `rev` it read, so two presses handled at once (a
+ * double tap, or two replicas behind a webhook) never both advance: the loser
+ * re-reads the session and is judged against it (toggles both land; a second
+ * answer to the step finds its keyboard expired).
+ */
+
+const DONE = null;
+const CANCEL = '@cancel';
+// Leave the flow quietly — no onComplete, no cancel message (the step already replied)
+const END = '@end';
+const DEFAULT_STEP_TTL = 60 * 60;
+const CALLBACK_PREFIX = 'f';
+const CLAIM_ATTEMPTS = 3;
+
+/**
+ * Rejects an input with a specific message instead of the step's reprompt
+ */
+function invalid(message) {
+  return { __invalid: true, message };
+}
+
+/**
+ * From a step's `tap` or `parse`: keep the user on this step with updated data
+ * (a tap redraws the keyboard, typed input gets the prompt again)
+ */
+function stay(data) {
+  return { __stay: true, data };
+}
+
+function isInvalid(value) {
+  return value === undefined || (value && value.__invalid === true);
+}
+
+function newNonce() {
+  return Math.random().toString(36).slice(2, 8);
+}
+
+class FlowEngine {
+  /**
+   * @param {object} deps
+   * @param {object} deps.sessions - session store (getSession / setSession / compareAndSetSession / deleteSession)
+   * @param {Function} deps.send - (chatId, text, options) => Promise
+   * @param {Function} [deps.editKeyboard] - (chatId, messageId, replyMarkup) => Promise
+   * @param {Function} [deps.answer] - (callbackQueryId, text) => Promise
+   */
+  constructor({ sessions, send, editKeyboard, answer }) {
+    this.sessions = sessions;
+    this.send = send;
+    this.editKeyboard = editKeyboard || (async () => {});
+    this.answer = answer || (async () => {});
+    this.flows = new Map();
+  }
+
+  register(flow) {
+    if (!flow.steps || !flow.steps[flow.initial]) {
+      throw new Error(`Flow ${flow.name} has no initial step "${flow.initial}"`);
+    }
+    this.flows.set(flow.name, flow);
+    return this;
+  }
+
+  get(name) {
+    return this.flows.get(name) || null;
+  }
+
+  _key(userId) {
+    return `flow:${userId}`;
+  }
+
+  _ttl(flow, step) {
+    return (flow.steps[step] && flow.steps[step].ttl) || flow.ttl || DEFAULT_STEP_TTL;
+  }
+
+  async getSession(userId) {
+    return (await this.sessions.getSession(this._key(userId))) || {};
+  }
+
+  async _save(userId, session) {
+    const flow = this.get(session.flow);
+    await this.sessions.setSession(this._key(userId), { ...session, rev: newNonce() }, this._ttl(flow, session.step));
+  }
+
+  // Save `next` only if the session is still the one read as `current`
+  async _claim(userId, current, next) {
+    const flow = this.get(next.flow);
+    const claimed = { ...next, rev: newNonce() };
+    const ok = await this.sessions.compareAndSetSession(this._key(userId), current.rev || null, claimed, this._ttl(flow, next.step));
+    return ok ? claimed : null;
+  }
+
+  async clear(userId) {
+    await this.sessions.deleteSession(this._key(userId));
+  }
+
+  /**
+   * The flow a user is in, or null when idle (or their session expired)
+   */
+  async active(userId) {
+    const session = await this.getSession(userId);
+    return session.flow ? this.get(session.flow) : null;
+  }
+
+  /**
+   * Enter `name` at its initial step (replacing any flow in progress) and send the first prompt
+   */
+  async start(ctx, name, data = {}) {
+    const flow = this.get(name);
+    if (!flow) throw new Error(`Unknown flow: ${name}`);
+    const session = await this._enter(ctx, flow, { flow: name, step: flow.initial, data, history: [], nonce: newNonce() });
+    await this._save(ctx.userId, session);
+    await this._prompt(ctx, flow, session);
+    return session;
+  }
+
+  // Moving forward into a step runs its `enter` hook (not on /back, so edits there survive)
+  async _enter(ctx, flow, session) {
+    const step = flow.steps[session.step];
+    if (!step.enter) return session;
+    return { ...session, data: (await step.enter(session.data, ctx)) || session.data };
+  }
+
+  async _prompt(ctx, flow, session) {
+    const step = flow.steps[session.step];
+    const out = await step.prompt(session.data, ctx);
+    if (!out) return;
+    const { text, options } = typeof out === 'string' ? { text: out, options: undefined } : out;
+    const sendOptions = options === undefined ? { parse_mode: 'Markdown' } : { ...options };
+    const keyboard = await this._keyboard(ctx, flow, session);
+    if (keyboard) sendOptions.reply_markup = keyboard;
+    await this.send(ctx.chatId, text, sendOptions);
+  }
+
+  async _buttons(ctx, flow, session) {
+    const step = flow.steps[session.step];
+    if (!step || !step.buttons) return [];
+    return (await step.buttons(session.data, ctx)) || [];
+  }
+
+  async _keyboard(ctx, flow, session) {
+    const rows = await this._buttons(ctx, flow, session);
+    if (!rows.length) return null;
+    return {
+      inline_keyboard: rows.map(row => row.map(button => ({
+        text: button.text,
+        callback_data: [CALLBACK_PREFIX, session.nonce, session.step, button.value].join(':')
+      })))
+    };
+  }
+
+  /**
+   * Feed a text message to the user's active flow
+   * @returns {Promise<boolean>} true when a flow consumed the message
+   */
+  async handleText(ctx, text) {
+    const command = String(text || '').trim().toLowerCase();
+    if (command === '/cancel') return this.cancel(ctx);
+    if (command === '/back') return this.back(ctx);
+    // Other commands have their own handlers and never count as flow input
+    if (command.startsWith('/')) return false;
+
+    const session = await this.getSession(ctx.userId);
+    const flow = session.flow ? this.get(session.flow) : null;
+    if (!flow) return false;
+    const step = flow.steps[session.step];
+    if (!step) {
+      await this.clear(ctx.userId);
+      return false;
+    }
+
+    const value = await step.parse(String(text), session.data, ctx);
+    if (value && value.__stay) {
+      const updated = { ...session, data: value.data };
+      await this._save(ctx.userId, updated);
+      await this._prompt(ctx, flow, updated);
+      return true;
+    }
+    if (isInvalid(value)) {
+      const reprompt = value && value.message
+        ? value.message
+        : (typeof step.reprompt === 'function' ? step.reprompt(session.data, ctx) : step.reprompt);
+      if (reprompt) await this.send(ctx.chatId, reprompt);
+      return true;
+    }
+
+    return this.advance(ctx, session, value);
+  }
+
+  /**
+   * Handle an inline keyboard press (Telegram callback_query)
+   * @returns {Promise<boolean>} true when the press belonged to a flow
+   */
+  async handleCallback(ctx, query) {
+    const [prefix, nonce, stepName, ...rest] = String(query.data || '').split(':');
+    if (prefix !== CALLBACK_PREFIX || !nonce || !stepName) return false;
+    const value = rest.join(':');
+
+    for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+      const session = await this.getSession(ctx.userId);
+      const flow = session.flow ? this.get(session.flow) : null;
+      if (!flow || session.nonce !== nonce || session.step !== stepName) {
+        await this.answer(query.id, '⌛ This button has expired.');
+        return true;
+      }
+
+      // Only values the step would offer right now are accepted
+      const offered = (await this._buttons(ctx, flow, session)).flat().map(b => String(b.value));
+      if (!offered.includes(value)) {
+        await this.answer(query.id, '⚠️ That option is not available.');
+        return true;
+      }
+
+      const step = flow.steps[session.step];
+      const result = step.tap
+        ? await step.tap(value, session.data, ctx)
+        : await step.parse(value, session.data, ctx);
+
+      if (isInvalid(result)) {
+        await this.answer(query.id, (result && result.message) || '⚠️ That option is not available.');
+        return true;
+      }
+
+      // A press that answers the step also takes a new nonce, so no other press of this keyboard can
+      const stayed = Boolean(result && result.__stay);
+      const claimed = await this._claim(ctx.userId, session, stayed
+        ? { ...session, data: result.data }
+        : { ...session, nonce: newNonce() });
+      // Another press (or message) changed the session meanwhile — judge this one against the new state
+      if (!claimed) continue;
+
+      if (stayed) {
+        await this.answer(query.id);
+        const keyboard = await this._keyboard(ctx, flow, claimed);
+        if (query.message) await this.editKeyboard(ctx.chatId, query.message.message_id, keyboard || { inline_keyboard: [] });
+        return true;
+      }
+
+      // The step is answered — retire its keyboard so it cannot be pressed twice
+      await this.answer(query.id);
+      if (query.message) await this.editKeyboard(ctx.chatId, query.message.message_id, { inline_keyboard: [] });
+      return this.advance(ctx, claimed, result);
+    }
+
+    await this.answer(query.id, '⏳ Busy — please tap again.');
+    return true;
+  }
+
+  /**
+   * Accept `value` for the current step and move along its transition
+   */
+  async advance(ctx, session, value) {
+    const flow = this.get(session.flow);
+    const step = flow.steps[session.step];
+    const data = step.key ? { ...session.data, [step.key]: value } : session.data;
+    const next = typeof step.next === 'function' ? await step.next(data, value, ctx) : step.next;
+
+    if (next === CANCEL) return this.cancel(ctx);
+    if (next === END) {
+      await this.clear(ctx.userId);
+      return true;
+    }
+
+    if (next === DONE || next === undefined) {
+      // Cleared first so onComplete may start a follow-up flow; restored if it declines or fails
+      await this.clear(ctx.userId);
+      let completed;
+      try {
+        completed = flow.onComplete ? await flow.onComplete(data, ctx) : true;
+      } catch (err) {
+        await this._save(ctx.userId, { ...session, data });
+        throw err;
+      }
+      if (completed === false) await this._save(ctx.userId, { ...session, data });
+      return true;
+    }
+
+    if (!flow.steps[next]) throw new Error(`Flow ${flow.name}: unknown step "${next}"`);
+    const moved = await this._enter(ctx, flow, { ...session, step: next, data, history: [...(session.history || []), session.step] });
+    await this._save(ctx.userId, moved);
+    await this._prompt(ctx, flow, moved);
+    return true;
+  }
+
+  /**
+   * /cancel — drop the active flow
+   */
+  async cancel(ctx) {
+    const flow = await this.active(ctx.userId);
+    if (!flow) {
+      await this.send(ctx.chatId, 'Nothing to cancel.');
+      return true;
+    }
+    await this.clear(ctx.userId);
+    await this.send(ctx.chatId, flow.cancelMessage || '✅ Cancelled.');
+    return true;
+  }
+
+  /**
+   * /back — return to the previous step and ask again
+   */
+  async back(ctx) {
+    const session = await this.getSession(ctx.userId);
+    const flow = session.flow ? this.get(session.flow) : null;
+    if (!flow) {
+      await this.send(ctx.chatId, 'Nothing to go back to.');
+      return true;
+    }
+    const history = [...(session.history || [])];
+    if (!history.length) {
+      await this.send(ctx.chatId, 'This is the first step — send /cancel to stop.');
+      await this._prompt(ctx, flow, session);
+      return true;
+    }
+    const previous = { ...session, step: history.pop(), history };
+    await this._save(ctx.userId, previous);
+    await this._prompt(ctx, flow, previous);
+    return true;
+  }
+}
+
+module.exports = {
+  FlowEngine,
+  invalid,
+  stay,
+  DONE,
+  CANCEL,
+  END
+};
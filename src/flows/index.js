@@ -0,0 +1,34 @@
+/**
+ * Conversation flows — the engine plus MyDay's built-in flows
+ *
+ * To add a flow, define it next to these (see engine.js for the shape) and
+ * register it here; the bot's router needs no change.
+ */
+
+const { FlowEngine, invalid, stay, DONE, CANCEL, END } = require('./engine');
+
+const BUILT_IN_FLOWS = [
+  require('./onboarding'),
+  require('./missionBriefing'),
+  require('./missionAudit'),
+  require('./sunsetReflection')
+];
+
+/**
+ * @param {object} deps - { sessions, send, editKeyboard, answer } (see FlowEngine)
+ */
+function createFlowEngine(deps) {
+  const engine = new FlowEngine(deps);
+  BUILT_IN_FLOWS.forEach(flow => engine.register(flow));
+  return engine;
+}
+
+module.exports = {
+  createFlowEngine,
+  FlowEngine,
+  invalid,
+  stay,
+  DONE,
+  CANCEL,
+  END
+};
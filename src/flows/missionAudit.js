@@ -0,0 +1,66 @@
+/**
+ * Evening Mission Audit flow — which of today's missions were completed
+ *
+ * Started with data.missions = [{ id, title }] (today's missions, briefing order) and
+ * data.missionDate, the mission day whose stake the audit settles.
+ * Each mission gets a ✅/❌ toggle button (data.checked); *Done* submits them.
+ */
+
+const { DONE, stay } = require('./engine');
+
+const MAX_BUTTON_TITLE = 40;
+
+const buttonTitle = title => (title.length > MAX_BUTTON_TITLE ? `${title.slice(0, MAX_BUTTON_TITLE - 1)}…` : title);
+
+module.exports = {
+  name: 'mission_audit',
+  initial: 'select',
+  interruptible: true,
+  ttl: 4 * 60 * 60,
+  cancelMessage: '🌙 Audit skipped. Send /evening whenever you\'re ready.',
+  steps: {
+    select: {
+      prompt: (data) => `
+🌙 *Evening Mission Audit*
+
+Here are your missions from today:
+${data.missions.map((m, i) => `${i + 1}. ${m.title}`).join('\n')}
+
+Tap each mission you completed to mark it ✅, then *Done*.
+
+(You can also reply with the mission numbers, e.g. "1, 3", or "none".)
+      `.trim(),
+      buttons: (data) => {
+        const checked = data.checked || [];
+        return [
+          ...data.missions.map((m, i) => [{
+            text: `${checked.includes(i) ? '✅' : '❌'} ${buttonTitle(m.title)}`,
+            value: `t${i}`
+          }]),
+          [{ text: `Done (${checked.length}/${data.missions.length})`, value: 'done' }]
+        ];
+      },
+      tap: (value, data) => {
+        const checked = data.checked || [];
+        if (value === 'done') return [...checked].sort((a, b) => a - b);
+        const index = parseInt(value.slice(1), 10);
+        const next = checked.includes(index) ? checked.filter(i => i !== index) : [...checked, index];
+        return stay({ ...data, checked: next });
+      },
+      // → 0-based indices of completed missions
+      parse: (text, data) => {
+        const answer = text.trim().toLowerCase();
+        if (answer === 'none') return [];
+        const indices = answer
+          .split(/[,\s]+/)
+          .map(s => parseInt(s, 10) - 1)
+          .filter(n => !isNaN(n) && n >= 0 && n < data.missions.length);
+        return indices.length ? [...new Set(indices)] : undefined;
+      },
+      reprompt: (data) => `Reply with the numbers of the missions you completed (1-${data.missions.length}, e.g. "1, 3"), or "none".`,
+      key: 'completed',
+      next: DONE
+    }
+  },
+  onComplete: (data, ctx) => ctx.bot.completeMissionAudit(ctx, data)
+};
@@ -0,0 +1,155 @@
+/**
+ * Mission Briefing flow — energy → missions → stake → confirmation
+ *
+ * The missions step opens with three coach-proposed missions; each can be
+ * swapped, edited or replaced before the stake is set.
+ */
+
+const { invalid, stay, DONE, CANCEL } = require('./engine');
+const { toProposal } = require('../services/missions');
+
+const missionList = missions => missions.map((m, i) => `${i + 1}. ${m}`).join('\n');
+
+const CATEGORY_EMOJI = { Fitness: '💪', Mind: '🧠', Spirit: '🪷' };
+const proposalList = proposals => proposals
+  .map((p, i) => `${i + 1}. ${p.title}${p.category ? ` ${CATEGORY_EMOJI[p.category]}` : ''}`)
+  .join('\n');
+
+const ENERGY_BUTTONS = [['1', '1️⃣'], ['2', '2️⃣'], ['3', '3️⃣'], ['4', '4️⃣'], ['5', '5️⃣']]
+  .map(([value, text]) => ({ text, value }));
+
+module.exports = {
+  name: 'mission_briefing',
+  initial: 'energy',
+  interruptible: false,
+  ttl: 2 * 60 * 60,
+  cancelMessage: '✅ Mission briefing cancelled.',
+  steps: {
+    energy: {
+      prompt: () => `
+🔋 *Mission Briefing Step 1 of 4: Energy Check*
+
+On a scale of 1-5, how's your discipline energy today?
+
+1️⃣ Low (need support)
+2️⃣ Below average
+3️⃣ Medium (balanced)
+4️⃣ Above average
+5️⃣ Peak energy (ready to conquer)
+
+Tap a number below (or type it)
+      `.trim(),
+      buttons: () => [ENERGY_BUTTONS],
+      parse: (text) => {
+        const energy = parseInt(text, 10);
+        return energy >= 1 && energy <= 5 ? energy : undefined;
+      },
+      reprompt: '🔋 Give me a number from 1 (Low) to 5 (Peak energy).',
+      key: 'energy',
+      next: 'goals'
+    },
+
+    goals: {
+      // The coach proposes three missions sized to today's energy (Bot.proposeMissions)
+      enter: async (data, ctx) => ({ ...data, ...(await ctx.bot.proposeMissions(ctx, data.energy)) }),
+      prompt: (data) => `
+🎯 *Mission Briefing Step 2 of 4: Your Missions*
+
+Energy ${data.energy}/5 — here's what I suggest for today:
+
+${proposalList(data.proposals)}
+
+• Tap a mission to swap it for another idea
+• Type \`2: your own mission\` to edit or replace one
+• Or type your own list (comma-separated or line-by-line)
+
+Tap ✅ when they look right.
+      `.trim(),
+      buttons: (data) => [
+        ...(data.proposals || []).map((p, i) => [{ text: `🔄 ${i + 1}. ${p.title}`.slice(0, 60), value: `swap:${i}` }]),
+        [{ text: '✅ Use these missions', value: 'accept' }]
+      ],
+      tap: (value, data) => {
+        if (value === 'accept') return data.proposals.map(p => p.title);
+        const index = Number(value.split(':')[1]);
+        const [replacement, ...rest] = data.alternates || [];
+        if (!replacement) return invalid('No more ideas — type "1: your mission" to change it.');
+        const proposals = data.proposals.map((p, i) => (i === index ? replacement : p));
+        return stay({ ...data, proposals, alternates: [...rest, data.proposals[index]] });
+      },
+      parse: (text, data) => {
+        if (/^(yes|y|ok|okay|accept|✅)$/i.test(text.trim())) return data.proposals.map(p => p.title);
+
+        // "2: read 20 pages" edits or replaces one proposal
+        const edit = text.trim().match(/^([1-3])\s*[:.)-]\s*([^\n]+)$/);
+        if (edit && data.proposals[edit[1] - 1]) {
+          const proposal = toProposal(edit[2], { size: data.proposals[edit[1] - 1].size });
+          const proposals = data.proposals.map((p, i) => (i === edit[1] - 1 ? proposal : p));
+          return stay({ ...data, proposals });
+        }
+
+        // Anything else is the user's own list: comma-separated or line-by-line, max 3 missions
+        const missions = text
+          .split(/[,\n]/)
+          .map(m => m.trim())
+          .filter(m => m.length > 0)
+          .slice(0, 3);
+        return missions.length ? missions : invalid('⚠️ Please enter at least one mission.');
+      },
+      key: 'missions',
+      next: 'stake'
+    },
+
+    stake: {
+      // Suggested stake is local logic — no Gemini call
+      prompt: (data, ctx) => `
+💰 *Mission Briefing Step 3 of 4: Set Your Stake*
+
+Your Missions Today:
+${missionList(data.missions)}
+
+Energy Level: ${data.energy}/5
+
+💎 *My Suggestion:* ${ctx.bot.calculateSuggestedStake(data.energy)} cUSD
+
+But this is YOUR day. How much cUSD do you want to stake on your discipline today?
+
+(You can match my suggestion or choose your own amount)
+      `.trim(),
+      parse: (text) => {
+        const stake = parseFloat(text);
+        return !isNaN(stake) && stake > 0 ? stake : undefined;
+      },
+      reprompt: '💰 Reply with a cUSD amount greater than 0 (e.g. 1.5).',
+      key: 'stake',
+      next: 'confirm'
+    },
+
+    confirm: {
+      prompt: (data) => `
+✅ *Mission Briefing Step 4 of 4: Confirm Your Commitment*
+
+*Your Missions:*
+${missionList(data.missions)}
+
+⚡ Energy: ${data.energy}/5
+💰 Stake: *${data.stake} cUSD*
+
+Ready to lock in your commitment?
+
+Tap *Confirm* or *Cancel* (or reply YES / NO)
+      `.trim(),
+      buttons: () => [[{ text: '✅ Confirm', value: 'yes' }, { text: '❌ Cancel', value: 'no' }]],
+      parse: (text) => {
+        const answer = text.trim().toLowerCase();
+        if (answer === 'yes') return true;
+        if (answer === 'no') return false;
+        return undefined;
+      },
+      reprompt: 'Reply *YES* to lock in your commitment or *NO* to cancel.',
+      key: 'confirmed',
+      next: (data) => (data.confirmed ? DONE : CANCEL)
+    }
+  },
+  onComplete: (data, ctx) => ctx.bot.completeMissionBriefing(ctx, data)
+};
@@ -0,0 +1,36 @@
+/**
+ * Onboarding flow — city → timezone, then straight into the Mission Briefing
+ */
+
+const { invalid, DONE } = require('./engine');
+
+// Accepts a literal IANA zone (e.g. America/New_York) when the city isn't in the Brain's map
+function ianaZone(text) {
+  if (!/^[A-Za-z_]+\/[A-Za-z_\/+-]+$/.test(text)) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'onboarding',
+  initial: 'city',
+  interruptible: false,
+  ttl: 2 * 60 * 60,
+  cancelMessage: 'Onboarding cancelled. Use /settimezone Your/Timezone or /start when you\'re ready.',
+  steps: {
+    city: {
+      prompt: () => ({ text: 'Before we begin, what is your current city? (e.g., Nairobi, New York)', options: {} }),
+      parse: (text, data, ctx) => {
+        const city = text.trim();
+        return ctx.bot.brain.mapCityToTimezone(city) || ianaZone(city)
+          || invalid(`Thanks — I couldn't map "${city}" automatically. Please reply with your IANA timezone (e.g. America/New_York) or use /settimezone Your/Timezone`);
+      },
+      key: 'timezone',
+      next: DONE
+    }
+  },
+  onComplete: (data, ctx) => ctx.bot.completeOnboarding(ctx, data)
+};
@@ -0,0 +1,77 @@
+/**
+ * Sunset Reflection flow — wins count → sunset mood
+ *
+ * Started with data.totalMissions (today's mission count). Scheduled prompts
+ * also pass data.snoozeMinutes, which adds a snooze button to the first step.
+ */
+
+const { DONE, END } = require('./engine');
+
+const SNOOZE = 'snooze';
+
+const MOOD_BUTTONS = [['1', '😫'], ['2', '😐'], ['3', '😊'], ['4', '🙂'], ['5', '👑']]
+  .map(([value, emoji]) => ({ text: `${emoji} ${value}`, value }));
+
+module.exports = {
+  name: 'sunset_reflection',
+  initial: 'wins',
+  interruptible: true,
+  ttl: 4 * 60 * 60,
+  cancelMessage: '🌅 Reflection skipped. Send /sunset whenever you\'re ready.',
+  steps: {
+    wins: {
+      prompt: (data) => `
+🌅 *Sunset Reflection Time*
+
+Let's capture your day. How many of today's wins did you conquer?
+
+You had ${data.totalMissions} missions. Tap how many you completed (0-${data.totalMissions}):
+      `.trim(),
+      buttons: (data) => [
+        Array.from({ length: Math.max(0, data.totalMissions) + 1 }, (_, n) => ({ text: String(n), value: String(n) })),
+        ...(data.snoozeMinutes ? [[{ text: `⏰ Snooze ${data.snoozeMinutes} min`, value: SNOOZE }]] : [])
+      ],
+      parse: (text, data) => {
+        if (data.snoozeMinutes && text.trim().toLowerCase() === SNOOZE) return SNOOZE;
+        const wins = parseInt(text, 10);
+        // No more wins than missions briefed today
+        return !isNaN(wins) && wins >= 0 && wins <= data.totalMissions ? wins : undefined;
+      },
+      reprompt: (data) => `🎯 Reply with the number of missions you completed today (0-${data.totalMissions}).`,
+      key: 'wins',
+      next: async (data, value, ctx) => {
+        if (value !== SNOOZE) return 'mood';
+        await ctx.bot.snoozeSunset(ctx, data.snoozeMinutes);
+        return END;
+      }
+    },
+
+    mood: {
+      prompt: (data) => `
+📊 *Sunset Reflection - Part 2*
+
+You conquered ${data.wins} wins today. Nice work!
+
+Now, how's your sunset mood? 
+(Tell me your energy/happiness level 1-5)
+
+😫 1 = Exhausted
+😐 2 = Worn out
+😊 3 = Neutral
+🙂 4 = Good vibes
+👑 5 = Absolutely crushing it!
+
+Tap your mood below (or type 1-5)
+      `.trim(),
+      buttons: () => [MOOD_BUTTONS],
+      parse: (text) => {
+        const mood = parseInt(text, 10);
+        return mood >= 1 && mood <= 5 ? mood : undefined;
+      },
+      reprompt: '❌ I didn\'t quite catch that energy level. Give me a number from 1 (Low) to 5 (Invincible) ⚡️.',
+      key: 'mood',
+      next: DONE
+    }
+  },
+  onComplete: (data, ctx) => ctx.bot.completeSunsetReflection(ctx, data)
+};
@@ -9,8 +9,16 @@ require('dotenv').config();
 const express = require('express');
 const MyDayBot = require('./bot');
 const Database = require('./database/init');
-const { x402PaymentGate, verifyPayment, buildPaymentRequirements, buildStakeUrl, CELO_CUSD_ADDRESS, CELO_CHAIN_ID } = require('./x402/middleware');
+const BlockchainExecutor = require('./blockchain/executor');
+const { x402PaymentGate, intentRateLimit } = require('./x402/middleware');
+const createPaymentIntents = require('./x402/intents');
+const { createFacilitator } = require('./x402/facilitator');
+const { mountX402Routes } = require('./x402/routes');
 const { mountMCPRoutes } = require('./mcp/index');
+const { mountAdminRoutes } = require('./admin/routes');
+const { webhookConfig, mountTelegramWebhook } = require('./telegram/webhook');
+const { MemorySessionStore } = require('./sessions');
+const { computeDisciplineScore, formatScoreReport, describeModels, CURRENT_MODEL } = require('./services/scoring');
 
 // ── Aviation-Grade Process Hardening ─────────────────────────────────────────
 // Prevent any unhandled error from killing the process while we verify.
@@ -24,240 +32,105 @@ process.on('uncaughtException', (err) => {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// ── Global CORS — CRITICAL for 8004 scanner visibility ──────────────────────
-// Every response must include Access-Control-Allow-Origin: * or the scanner
-// cannot read .well-known/*, /api/*, or /mcp endpoints.
-app.use((req, res, next) => {
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Payment, X-Payment-Required');
-  res.set('Access-Control-Expose-Headers', 'X-Payment-Required');
-  if (req.method === 'OPTIONS') return res.sendStatus(204);
-  next();
-});
-
-// Body parsing MUST be above all routes
-app.use(express.json());
+// Stake escrow executor — initialized in main() when PRIVATE_KEY is set
+let executor = null;
 
-/**
- * x402 Protocol Staking Gateway: /x402/stake
- * 
- * Implements the real HTTP 402 Payment Required flow:
- *   - GET without X-PAYMENT header → 402 with payment requirements
- *   - GET with X-PAYMENT header (tx hash) → verifies on-chain, credits vault, returns 200
- *   - Also serves a user-friendly HTML page for Telegram/browser users
- */
-app.get('/x402/stake', async (req, res) => {
-  const amount = parseFloat(req.query.amount) || 0;
-  const user = req.query.user || null;
-  const fee = parseFloat(req.query.fee) || 0.10;
-  const meta = req.query.meta || '';
-  const vault = process.env.VAULT_ADDRESS || '';
-  const rpc = process.env.RPC_URL || 'https://forno.celo.org';
-
-  if (!vault) {
-    return res.status(503).json({ error: 'VAULT_ADDRESS not configured' });
-  }
+// Supabase DB for the public API and MCP tools — initialized in main()
+let apiDb = null;
 
-  // x402 spec: accept both X-PAYMENT (raw tx hash) and PAYMENT-SIGNATURE (thirdweb signed envelope)
-  const paymentHeader = req.headers['x-payment'] || req.headers['X-Payment'] || req.headers['payment-signature'];
+// Telegram bot — set in main(); the webhook route answers 503 until then
+let telegramBot = null;
 
-  // ── Agent/programmatic flow: X-PAYMENT header present → verify tx ──────
-  if (paymentHeader) {
-    let txHash = paymentHeader;
-    try {
-      if (!paymentHeader.startsWith('0x')) {
-        const decoded = Buffer.from(paymentHeader, 'base64').toString('utf8');
-        const parsed = JSON.parse(decoded);
-        txHash = parsed.txHash || parsed.tx_hash || parsed.hash;
-      }
-    } catch (err) {
-      return res.status(400).json({ error: 'invalid_payment_header' });
-    }
+// Webhook mode when TELEGRAM_WEBHOOK_URL is set, long polling otherwise
+let telegramWebhook = null;
+try {
+  telegramWebhook = webhookConfig();
+} catch (e) {
+  console.error(`⚠ ${e.message} — falling back to long polling`);
+}
 
-    const result = await verifyPayment(txHash, vault, fee, rpc);
-    if (!result.valid) {
-      return res.status(402).json({
-        error: 'payment_verification_failed',
-        reason: result.error,
-        details: result
-      });
-    }
+// Railway sends SIGTERM on redeploy — stop polling before exiting (a webhook stays registered for the other replicas)
+const SHUTDOWN_TIMEOUT_MS = 5000;
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received — shutting down`);
+  if (telegramBot) {
+    const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS).unref());
+    await Promise.race([telegramBot.stop(), timeout]).catch(e => console.error('⚠ Bot stop failed:', e.message || e));
+  }
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-    // Credit user vault if we have a user ID
-    if (user) {
-      try {
-        // Lazy-init DB for this request
-        if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
-          const Database = require('./database/init');
-          const db = new Database({ url: process.env.SUPABASE_URL, key: process.env.SUPABASE_SERVICE_KEY });
-          await db.waitReady();
-          await db.recordProcessedTransaction(txHash, user, result.amount, 'cUSD', { protocol: 'x402', verified: true });
-          await db.creditUserVault(user, result.amount);
-        }
-      } catch (e) {
-        console.error('x402 DB credit error:', e);
-      }
+// x402 payment services — DB + intent issuer, created on first use
+let paymentDb = null;
+let paymentIntents = null;
 
-      // Notify via Telegram
-      if (process.env.TELEGRAM_BOT_TOKEN) {
-        try {
-          const TelegramBot = require('node-telegram-bot-api');
-          const tbot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
-          const msg = `✅ *x402 Payment Verified!*\n\n💎 ${result.amount.toFixed(2)} cUSD confirmed on Celo L2\n🔗 tx: \`${txHash.slice(0, 10)}...${txHash.slice(-6)}\`\n\nYour MyDay Vault has been credited. Let's win this day!`;
-          tbot.sendMessage(Number(user), msg, { parse_mode: 'Markdown' }).catch(() => {});
-        } catch (e) { /* ignore */ }
-      }
+async function getPaymentServices() {
+  if (!paymentDb && process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
+    try {
+      const db = new Database({ url: process.env.SUPABASE_URL, key: process.env.SUPABASE_SERVICE_KEY });
+      await db.waitReady();
+      paymentDb = db;
+    } catch (e) {
+      console.error('x402 DB init error:', e);
     }
-
-    return res.json({
-      success: true,
-      protocol: 'x402',
-      verified: true,
-      txHash,
-      amount: result.amount,
-      from: result.from,
-      blockNumber: result.blockNumber,
-      message: 'Payment verified on Celo L2. Stake credited.'
-    });
   }
+  if (!paymentIntents && paymentDb) {
+    paymentIntents = createPaymentIntents({ store: paymentDb, privateKey: process.env.PRIVATE_KEY });
+  }
+  return { db: paymentDb, intents: paymentIntents };
+}
 
-  // ── No payment: return 402 with proper x402 headers ────────────────────
-  const requirements = buildPaymentRequirements({
-    payTo: vault,
-    amount: String(BigInt(Math.round(fee * 1e18))),
-    resource: req.originalUrl,
-    description: `MyDay habit stake: ${amount} cUSD (includes ${fee.toFixed(2)} cUSD x402 protocol fee)`,
-    extra: {
-      stakeAmount: amount,
-      fee,
-      userId: user || undefined
-    }
-  });
-
-  // For browser/Telegram users, also build a celo:// deep link
-  const totalAmount = amount || fee;
-  const metaParam = meta ? `&metadata=${encodeURIComponent(meta)}` : '';
-  const deepLink = `celo://wallet/pay?address=${encodeURIComponent(vault)}&amount=${encodeURIComponent(String(totalAmount))}&currency=cUSD${metaParam}`;
+// x402 facilitator (X402_FACILITATOR) — verifies payments; the agent wallet
+// pays gas when settling signed authorizations
+let paymentFacilitator = null;
 
-  // Return 402 with both machine-readable headers and human-friendly body
-  res.status(402);
-  res.set('X-PAYMENT-REQUIRED', JSON.stringify(requirements));
-  res.set('Access-Control-Expose-Headers', 'X-PAYMENT-REQUIRED, X-PAYMENT');
-  res.set('Content-Type', 'application/json');
+function getFacilitator() {
+  if (!paymentFacilitator) paymentFacilitator = createFacilitator();
+  return paymentFacilitator;
+}
 
-  return res.json({
-    error: 'payment_required',
-    protocol: 'x402',
-    message: `Stake requires ${totalAmount.toFixed(2)} cUSD payment to MyDay Vault on Celo L2.`,
-    how_to_pay: {
-      step1: `Send ${totalAmount.toFixed(2)} cUSD to ${vault} on Celo L2 (chain 42220)`,
-      step2: 'Retry this URL with header: X-PAYMENT: <your_tx_hash>',
-      deep_link: deepLink,
-      supported_wallets: ['MiniPay', 'Valora', 'MetaMask (Celo network)']
-    },
-    paymentRequirements: requirements
-  });
+// ── Global CORS — CRITICAL for 8004 scanner visibility ──────────────────────
+// Every response must include Access-Control-Allow-Origin: * or the scanner
+// cannot read .well-known/*, /api/*, or /mcp endpoints.
+app.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Payment, X-Payment-Intent, X-Payment-Required');
+  res.set('Access-Control-Expose-Headers', 'X-Payment-Required, X-Payment-Response');
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
 });
 
-/**
- * x402 Verify endpoint — standalone payment verification
- * POST /x402/verify { txHash, expectedAmount? }
- */
-app.post('/x402/verify', async (req, res) => {
-  const { txHash, tx_hash, expectedAmount = 0.10 } = req.body || {};
-  const hash = txHash || tx_hash;
-  const vault = process.env.VAULT_ADDRESS || '';
-  const rpc = process.env.RPC_URL || 'https://forno.celo.org';
+// Body parsing MUST be above all routes
+app.use(express.json());
 
-  if (!hash) return res.status(400).json({ error: 'missing txHash' });
-  if (!vault) return res.status(503).json({ error: 'VAULT_ADDRESS not configured' });
+// Proxies in front of the app (e.g. 1 on Railway) — makes req.ip the client for rate limits
+if (Number(process.env.TRUST_PROXY_HOPS) > 0) app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS));
 
-  const result = await verifyPayment(hash, vault, expectedAmount, rpc);
-  return res.json({ protocol: 'x402', ...result });
-});
+// One per-IP budget for every route that issues x402 payment intents
+const intentLimiter = intentRateLimit();
 
 /**
- * x402 Payment Requirements — returns what's needed without gating
- * GET /x402/requirements?amount=1.00
+ * x402 routes: /x402/stake, /x402/verify, /x402/requirements, /pay
  */
-app.get('/x402/requirements', (req, res) => {
-  const amount = parseFloat(req.query.amount) || 0.10;
-  const vault = process.env.VAULT_ADDRESS || '';
-
-  if (!vault) return res.status(503).json({ error: 'VAULT_ADDRESS not configured' });
-
-  const requirements = buildPaymentRequirements({
-    payTo: vault,
-    amount: String(BigInt(Math.round(amount * 1e18))),
-    resource: '/x402/stake',
-    description: `MyDay staking: ${amount.toFixed(2)} cUSD on Celo L2`
-  });
-
-  res.json({ protocol: 'x402', paymentRequirements: requirements });
+mountX402Routes(app, {
+  services: getPaymentServices,
+  facilitator: getFacilitator,
+  executor: () => executor,
+  intentLimiter
 });
 
 /**
- * Aviation Grade Redirector: /pay endpoint (legacy — preserved for backward compat)
- * Now also returns x402 headers alongside the redirect for agent discovery
+ * Telegram webhook receiver (webhook mode only) — see src/telegram/webhook.js
  */
-app.get('/pay', async (req, res) => {
-  const amount = req.query.amount || '0';
-  const user = req.query.user || null;
-  const meta = req.query.meta || '';
-  const vault = process.env.VAULT_ADDRESS || '';
-
-  if (!vault) {
-    return res.status(400).send('❌ VAULT_ADDRESS not configured');
-  }
-
-  // x402 protocol fee ($0.10 cUSD) — added to every staking transaction
-  const X402_FEE = 0.10;
-  const totalAmount = (parseFloat(amount) || 0) + X402_FEE;
-
-  // ── If agent sends X-PAYMENT header, handle as x402 flow ──────────────
-  const paymentHeader = req.headers['x-payment'] || req.headers['X-Payment'];
-  if (paymentHeader) {
-    // Redirect to the proper x402 endpoint with the payment header forwarded
-    const redirectUrl = `/x402/stake?amount=${encodeURIComponent(String(totalAmount))}&user=${encodeURIComponent(String(user || ''))}&fee=${X402_FEE}`;
-    // Forward the X-PAYMENT header via internal redirect
-    req.url = redirectUrl;
-    return res.redirect(307, redirectUrl);
-  }
-
-  // Build celo:// deep link (include metadata + x402 fee tag)
-  const metaParam = meta ? `&metadata=${encodeURIComponent(meta)}` : '';
-  const deepLink = `celo://wallet/pay?address=${encodeURIComponent(vault)}&amount=${encodeURIComponent(String(totalAmount))}&currency=cUSD${metaParam}`;
-
-  // Set x402 payment requirements header (agents can discover pricing even on redirect)
-  const requirements = buildPaymentRequirements({
-    payTo: vault,
-    amount: String(BigInt(Math.round(X402_FEE * 1e18))),
-    resource: '/pay',
-    description: `MyDay stake of ${totalAmount.toFixed(2)} cUSD (includes ${X402_FEE} cUSD protocol fee)`
-  });
-  res.set('X-PAYMENT-REQUIRED', JSON.stringify(requirements));
-  res.set('Access-Control-Expose-Headers', 'X-PAYMENT-REQUIRED');
-
-  // Ensure browser connection is closed quickly so mobile OS can open the wallet
-  res.set('Connection', 'close');
-
-  // Perform the redirect to the deep link
-  res.redirect(deepLink);
-
-  // Send a follow-up Telegram message (async) if we have a user id
-  if (user && process.env.TELEGRAM_BOT_TOKEN) {
-    try {
-      const TelegramBot = require('node-telegram-bot-api');
-      const tbot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
-      const followUp = '🔐 x402 protocol active. Guardian is monitoring Celo L2 for your transaction. I will notify you the moment your Vault is updated.';
-      // fire-and-forget
-      tbot.sendMessage(Number(user), followUp).catch(err => console.error('Follow-up message failed:', err));
-    } catch (err) {
-      console.error('Error sending follow-up message:', err);
-    }
-  }
-});
+if (telegramWebhook) {
+  mountTelegramWebhook(app, { config: telegramWebhook, bot: () => telegramBot });
+}
 
 /**
  * Health check endpoint
@@ -270,7 +143,12 @@ app.get('/health', (req, res) => {
  * MCP Server — mount JSON-RPC endpoint at /mcp
  * Allows Claude, Cursor, and other MCP clients to use MyDay tools
  */
-mountMCPRoutes(app, { db: null }); // db injected later after init
+mountMCPRoutes(app, { db: () => apiDb, facilitator: getFacilitator }); // db is set once main() has initialized it
+
+/**
+ * Admin API (ADMIN_API_TOKEN) — /api/admin/llm-stats: LLM calls, tokens, cost and budgets
+ */
+mountAdminRoutes(app, { brain: () => telegramBot && telegramBot.brain, db: () => apiDb });
 
 /**
  * .well-known/agent.json — ERC-8004 Agent Registration File (canonical)
@@ -406,6 +284,8 @@ app.listen(PORT, () => {
   console.log(`   /api/verify — SelfClaw Humanity Verification`);
   console.log(`   /pay — MiniPay Redirector (legacy)`);
   console.log(`   /health — Health check`);
+  if (process.env.ADMIN_API_TOKEN) console.log(`   /api/admin/llm-stats — LLM usage & budgets (admin)`);
+  if (telegramWebhook) console.log(`   ${telegramWebhook.path} — Telegram webhook`);
   console.log(`🔐 x402: ACTIVE | MCP: ACTIVE | OASF: ACTIVE | A2A: ACTIVE`);
 });
 
@@ -413,10 +293,13 @@ async function main() {
   // Validate required environment variables (Aviation Grade)
   const requiredKeys = [
     'TELEGRAM_BOT_TOKEN',
-    'GEMINI_API_KEY',
     'SUPABASE_URL',
     'SUPABASE_SERVICE_KEY',
   ];
+  // Gemini is only needed when it is one of the LLM providers (src/agent/providers)
+  if (String(process.env.LLM_PROVIDERS || 'gemini').split(',').map(s => s.trim()).includes('gemini')) {
+    requiredKeys.push('GEMINI_API_KEY');
+  }
   const missing = requiredKeys.filter(key => !process.env[key]);
 
   if (missing.length > 0) {
@@ -426,7 +309,6 @@ async function main() {
     // Do not exit, allow degraded startup
   }
 
-  let apiDb = null;
   try {
     // Initialize a Supabase-backed Database instance for API use
     if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
@@ -448,103 +330,56 @@ async function main() {
         const telegramId = Number(req.params.telegram_id);
         if (!telegramId) return res.status(400).json({ error: 'invalid telegram id' });
 
+        // ?model=1 pins a published formula version (see /api/v1/discipline-score/models)
+        const model = req.query.model ? String(req.query.model) : CURRENT_MODEL;
+        if (!describeModels().models.some(m => m.version === model)) {
+          return res.status(400).json({ error: `unknown scoring model: ${model}`, ...describeModels() });
+        }
+
         // Return valid default JSON for new/unknown users even without DB
         if (!apiDb) {
           return res.json({
-            agent: 'MyDay Guardian (#7)',
-            chain: 'Celo L2 (42220)',
-            telegram_id: telegramId,
-            grit_score: 0,
-            streak: 0,
-            emotional_stability_index: 50,
-            status: 'Warning',
-            avg_morning_energy: 3,
-            avg_sunset_mood: 3,
-            total_staked_cUSD: 0,
+            ...formatScoreReport(telegramId, computeDisciplineScore({}, { version: model })),
             note: 'Database unavailable — showing defaults'
           });
         }
 
-        // Weekly energy and missions
-        const weekly = await apiDb.getWeeklyMoodEnergyData(telegramId);
-        const totalStaked = await apiDb.getTotalStaked(telegramId);
-
-        // Average morning energy (fallback 3)
-        const energies = (weekly || []).map(w => Number(w.morning_energy || 0)).filter(n => !isNaN(n));
-        const avgEnergy = energies.length ? energies.reduce((a,b)=>a+b,0)/energies.length : 3;
-
-        // Average sunset mood for emotional stability index
-        const sunsetMoods = (weekly || []).map(w => Number(w.sunset_mood || 0)).filter(n => !isNaN(n) && n > 0);
-        const avgSunsetMood = sunsetMoods.length ? sunsetMoods.reduce((a,b)=>a+b,0)/sunsetMoods.length : 3;
-        // Emotional stability = low variance in mood (inverse of std deviation, normalized 0-100)
-        let emotionalStability = 50; // default
-        if (sunsetMoods.length >= 3) {
-          const variance = sunsetMoods.reduce((sum, m) => sum + Math.pow(m - avgSunsetMood, 2), 0) / sunsetMoods.length;
-          const stdDev = Math.sqrt(variance);
-          // Max std dev for 1-5 scale is ~2, map to 0-100 inversely
-          emotionalStability = Math.round(Math.max(0, Math.min(100, (1 - stdDev / 2) * 100)));
-        }
-
-        // Compute recent wins streak from sunset_reflection entries (last 14 days)
-        const { data: reflections } = await apiDb.client
-          .from('daily_logs')
-          .select('details,date')
-          .eq('telegram_id', telegramId)
-          .eq('log_type', 'sunset_reflection')
-          .order('date', { ascending: false })
-          .limit(14);
-
-        let streak = 0;
-        if (reflections && reflections.length) {
-          for (const r of reflections) {
-            try {
-              const parsed = JSON.parse(r.details || '{}');
-              const wins = Number(parsed.wins || 0);
-              if (wins > 0) streak += 1; else break;
-            } catch (e) { break; }
-          }
-        }
-
-        // Grit scoring algorithm (0-100)
-        // - Energy contribution: avgEnergy/5 * 40
-        // - Staked contribution: min(40, totalStakedNormalized)
-        // - Streak contribution: min(20, streak*5)
-        const energyScore = (Math.max(1, Math.min(5, avgEnergy)) / 5) * 40;
-        const stakeScore = Math.min(40, Number(totalStaked) * 2);
-        const streakScore = Math.min(20, streak * 5);
-        let grit_score = Math.round(Math.max(0, Math.min(100, energyScore + stakeScore + streakScore)));
-
-        const status = grit_score >= 80 ? 'Elite' : (grit_score >= 50 ? 'Stable' : 'Warning');
-
-        return res.json({
-          agent: 'MyDay Guardian (#7)',
-          chain: 'Celo L2 (42220)',
-          telegram_id: telegramId,
-          grit_score,
-          streak,
-          emotional_stability_index: emotionalStability,
-          status,
-          avg_morning_energy: Math.round(avgEnergy * 10) / 10,
-          avg_sunset_mood: Math.round(avgSunsetMood * 10) / 10,
-          total_staked_cUSD: Number(totalStaked) || 0
-        });
+        const score = computeDisciplineScore(await apiDb.getScoringHistory(telegramId), { version: model });
+        // The paid route (x402-verified) adds the component breakdown
+        const report = formatScoreReport(telegramId, score, { breakdown: !!req.x402 });
+        res.set('X-Score-Model-Version', score.modelVersion);
+        if (req.x402) report.payment = { txHash: req.x402.txHash, intentId: req.x402.intentId };
+        return res.json(report);
       } catch (err) {
         console.error('Discipline score error:', err);
         return res.status(500).json({ error: 'internal error' });
       }
     };
 
+    // Scoring model versions and changelog — registered before /:telegram_id
+    app.get('/api/v1/discipline-score/models', (req, res) => res.json(describeModels()));
+
     // Mount on both legacy and versioned paths (free — basic data)
     app.get('/api/discipline-score/:telegram_id', disciplineScoreHandler);
     app.get('/api/v1/discipline-score/:telegram_id', disciplineScoreHandler);
 
     // Premium x402-gated discipline score — full behavioral analytics
-    // Returns 402 with payment requirements if no X-PAYMENT header
+    // Returns 402 with a signed payment intent if no X-PAYMENT header
+    const premiumIntents = apiDb ? createPaymentIntents({ store: apiDb, privateKey: process.env.PRIVATE_KEY }) : null;
     app.get('/api/v1/discipline-score/:telegram_id/premium',
-      x402PaymentGate({ amount: 0.01, description: 'MyDay Premium Discipline Analytics — full behavioral breakdown' }),
+      intentLimiter,
+      x402PaymentGate({ amount: 0.01, description: 'MyDay Premium Discipline Analytics — full behavioral breakdown', intents: premiumIntents, proofStore: apiDb, facilitator: getFacilitator }),
       disciplineScoreHandler
     );
 
+    // Stake escrow executor (vault signer) — settles stakes after the evening audit
+    if (process.env.PRIVATE_KEY) {
+      const candidate = new BlockchainExecutor(process.env.RPC_URL || 'https://forno.celo.org', process.env.PRIVATE_KEY);
+      if (await candidate.initialize()) executor = candidate;
+    } else {
+      console.warn('⚠ PRIVATE_KEY not set — stake escrow disabled');
+    }
+
     // Database configuration (Supabase by default in production)
     const dbConfig = {
       type: process.env.DB_TYPE || 'supabase',
@@ -558,16 +393,23 @@ async function main() {
       const bot = new MyDayBot(
         process.env.TELEGRAM_BOT_TOKEN,
         process.env.GEMINI_API_KEY,
-        dbConfig
+        dbConfig,
+        { executor, webhook: telegramWebhook }
       );
 
+      if (telegramWebhook && bot.sessions instanceof MemorySessionStore) {
+        console.warn('⚠ Webhook mode with in-memory sessions — replicas will not share flow state (set SESSION_STORE)');
+      }
+
+      // Handlers wait for the database themselves, so webhook updates can flow while start() runs
+      telegramBot = bot;
       await bot.start();
       console.log('✓ MyDay Agent (Milestone 2) is running');
       console.log('  - Morning Nudge: Active');
       console.log('  - MyDay Intel: Connected');
       console.log('  - Database: Supabase (production)');
       console.log('  - Chain: Celo L2 Mainnet (42220)');
-      console.log('  - Telegram: Connected');
+      console.log(`  - Telegram: Connected (${telegramWebhook ? 'webhook' : 'polling'})`);
 
       // Initialize scheduler (automated nudges)
       try {
@@ -19,7 +19,11 @@
  *   - https://eips.ethereum.org/EIPS/eip-8004
  */
 
-const { verifyPayment, buildPaymentRequirements, CELO_CUSD_ADDRESS, CELO_CHAIN_ID } = require('../x402/middleware');
+const { ethers } = require('ethers');
+const { buildPaymentRequirements, CELO_CUSD_ADDRESS, CELO_CHAIN_ID } = require('../x402/middleware');
+const { getToken, stakeToken, acceptedTokens, quoteAmount } = require('../x402/tokens');
+const { computeDisciplineScore, formatScoreReport } = require('../services/scoring');
+const { txHashPayload, describeVerification } = require('../x402/facilitator');
 
 // ── MCP Protocol Constants ───────────────────────────────────────────────────
 const MCP_PROTOCOL_VERSION = '2024-11-05';
@@ -30,13 +34,17 @@ const SERVER_VERSION = '2.0.0';
 const MCP_TOOLS = [
   {
     name: 'get_discipline_score',
-    description: 'Returns the user\'s behavioral finance metrics: grit score (0-100), win streak, emotional stability index, morning energy average, sunset mood average, and total cUSD staked. Powered by the MyDay Behavioral Oracle on Celo L2.',
+    description: 'Returns the user\'s behavioral finance metrics: grit score (0-100), win streak, emotional stability index, morning energy average, sunset mood average, mission completion rate and total cUSD staked, with the scoring model version, data window and each factor\'s contribution. Powered by the MyDay Behavioral Oracle on Celo L2.',
     inputSchema: {
       type: 'object',
       properties: {
         telegram_id: {
           type: 'integer',
           description: 'Telegram user ID to look up'
+        },
+        model: {
+          type: 'string',
+          description: 'Pin a published scoring model version (default: current)'
         }
       },
       required: ['telegram_id']
@@ -62,7 +70,7 @@ const MCP_TOOLS = [
   },
   {
     name: 'verify_x402_payment',
-    description: 'Verifies an on-chain cUSD payment on Celo L2 (chain 42220) against the MyDay vault. Checks ERC-20 Transfer logs and confirms the transaction was successful.',
+    description: 'Verifies a cUSD payment on Celo L2 (chain 42220) against the MyDay vault through the x402 facilitator: either a broadcast transaction (ERC-20 Transfer logs, successful receipt) or a signed EIP-3009 "exact" payment payload.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -70,12 +78,20 @@ const MCP_TOOLS = [
           type: 'string',
           description: 'Celo L2 transaction hash (0x...)'
         },
+        paymentPayload: {
+          type: 'object',
+          description: 'x402 "exact" scheme payload with a signed transfer authorization (instead of txHash)'
+        },
         expectedAmount: {
           type: 'number',
-          description: 'Expected cUSD amount (default: 0.10)'
+          description: 'Expected amount in units of asset (default: 0.10)'
+        },
+        asset: {
+          type: 'string',
+          description: 'Token symbol or address paid in (cUSD, USDC, USDT, cEUR, CELO; default: cUSD)'
         }
       },
-      required: ['txHash']
+      required: []
     }
   },
   {
@@ -107,11 +123,12 @@ const MCP_TOOLS = [
  * Execute an MCP tool call
  * @param {string} toolName
  * @param {object} args
- * @param {object} deps - { db } injected dependencies
+ * @param {object} deps - { db, facilitator } injected dependencies (either may be a getter)
  * @returns {Promise<{content: Array}>}
  */
 async function executeTool(toolName, args, deps = {}) {
-  const { db } = deps;
+  const db = typeof deps.db === 'function' ? deps.db() : deps.db;
+  const facilitator = typeof deps.facilitator === 'function' ? deps.facilitator() : deps.facilitator;
 
   switch (toolName) {
     case 'get_discipline_score': {
@@ -125,60 +142,8 @@ async function executeTool(toolName, args, deps = {}) {
       }
 
       try {
-        const weekly = await db.getWeeklyMoodEnergyData(telegramId);
-        const totalStaked = await db.getTotalStaked(telegramId);
-
-        const energies = (weekly || []).map(w => Number(w.morning_energy || 0)).filter(n => !isNaN(n));
-        const avgEnergy = energies.length ? energies.reduce((a, b) => a + b, 0) / energies.length : 3;
-
-        const sunsetMoods = (weekly || []).map(w => Number(w.sunset_mood || 0)).filter(n => !isNaN(n) && n > 0);
-        const avgSunsetMood = sunsetMoods.length ? sunsetMoods.reduce((a, b) => a + b, 0) / sunsetMoods.length : 3;
-
-        let emotionalStability = 50;
-        if (sunsetMoods.length >= 3) {
-          const variance = sunsetMoods.reduce((sum, m) => sum + Math.pow(m - avgSunsetMood, 2), 0) / sunsetMoods.length;
-          emotionalStability = Math.round(Math.max(0, Math.min(100, (1 - Math.sqrt(variance) / 2) * 100)));
-        }
-
-        // Streak calculation
-        let streak = 0;
-        try {
-          const { data: reflections } = await db.client
-            .from('daily_logs')
-            .select('details,date')
-            .eq('telegram_id', telegramId)
-            .eq('log_type', 'sunset_reflection')
-            .order('date', { ascending: false })
-            .limit(14);
-          if (reflections) {
-            for (const r of reflections) {
-              try {
-                const parsed = JSON.parse(r.details || '{}');
-                if (Number(parsed.wins || 0) > 0) streak++; else break;
-              } catch (e) { break; }
-            }
-          }
-        } catch (e) { /* streak stays 0 */ }
-
-        const energyScore = (Math.max(1, Math.min(5, avgEnergy)) / 5) * 40;
-        const stakeScore = Math.min(40, Number(totalStaked) * 2);
-        const streakScore = Math.min(20, streak * 5);
-        const grit_score = Math.round(Math.max(0, Math.min(100, energyScore + stakeScore + streakScore)));
-        const status = grit_score >= 80 ? 'Elite' : (grit_score >= 50 ? 'Stable' : 'Warning');
-
-        const result = {
-          agent: 'MyDay Guardian (#7)',
-          chain: 'Celo L2 (42220)',
-          telegram_id: telegramId,
-          grit_score,
-          streak,
-          emotional_stability_index: emotionalStability,
-          status,
-          avg_morning_energy: Math.round(avgEnergy * 10) / 10,
-          avg_sunset_mood: Math.round(avgSunsetMood * 10) / 10,
-          total_staked_cUSD: Number(totalStaked) || 0
-        };
-
+        const score = computeDisciplineScore(await db.getScoringHistory(telegramId), { version: args.model || undefined });
+        const result = formatScoreReport(telegramId, score);
         return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
       } catch (err) {
         return { content: [{ type: 'text', text: `Error fetching discipline score: ${err.message}` }], isError: true };
@@ -196,7 +161,7 @@ async function executeTool(toolName, args, deps = {}) {
 
       const requirements = buildPaymentRequirements({
         payTo: vault,
-        amount: String(BigInt(Math.round((amount + fee) * 1e18))),
+        amount: String(quoteAmount(stakeToken(), amount + fee)),
         resource: '/x402/stake',
         description: `MyDay habit stake: ${amount} cUSD + ${fee} cUSD x402 fee`,
         extra: { stakeAmount: amount, fee, userId: args.user || undefined }
@@ -218,21 +183,33 @@ async function executeTool(toolName, args, deps = {}) {
     }
 
     case 'verify_x402_payment': {
-      const txHash = args.txHash;
+      const { txHash, paymentPayload } = args;
       const expectedAmount = args.expectedAmount || 0.10;
       const vault = process.env.VAULT_ADDRESS || '';
-      const rpc = process.env.RPC_URL || 'https://forno.celo.org';
+      const token = args.asset ? getToken(args.asset) : stakeToken();
 
-      if (!txHash) {
-        return { content: [{ type: 'text', text: 'Error: txHash is required' }], isError: true };
+      if (!txHash && !paymentPayload) {
+        return { content: [{ type: 'text', text: 'Error: txHash or paymentPayload is required' }], isError: true };
+      }
+      if (!token) {
+        return { content: [{ type: 'text', text: `Error: unsupported asset ${args.asset}` }], isError: true };
       }
       if (!vault) {
         return { content: [{ type: 'text', text: 'Error: VAULT_ADDRESS not configured' }], isError: true };
       }
+      if (!facilitator) {
+        return { content: [{ type: 'text', text: 'Error: x402 facilitator not configured' }], isError: true };
+      }
 
       try {
-        const result = await verifyPayment(txHash, vault, expectedAmount, rpc);
-        return { content: [{ type: 'text', text: JSON.stringify({ protocol: 'x402', ...result }, null, 2) }] };
+        // Signed authorizations must match their value exactly; broadcast transfers pay at least expectedAmount
+        const authorization = paymentPayload && paymentPayload.payload && paymentPayload.payload.authorization;
+        const amount = authorization
+          ? String(authorization.value)
+          : ethers.parseUnits(String(expectedAmount), token.decimals).toString();
+        const requirements = buildPaymentRequirements({ payTo: vault, amount, asset: token.address, resource: '/x402/verify' });
+        const result = await facilitator.verify(paymentPayload || txHashPayload(txHash), requirements);
+        return { content: [{ type: 'text', text: JSON.stringify({ protocol: 'x402', ...describeVerification(result, txHash || result.transaction || null) }, null, 2) }] };
       } catch (err) {
         return { content: [{ type: 'text', text: `Verification error: ${err.message}` }], isError: true };
       }
@@ -250,6 +227,7 @@ async function executeTool(toolName, args, deps = {}) {
           version: '1.0',
           network: 'eip155:42220',
           asset: CELO_CUSD_ADDRESS,
+          accepts: acceptedTokens().map(t => ({ symbol: t.symbol, asset: t.address, decimals: t.decimals })),
           fee: '0.10 cUSD',
           endpoints: { stake: '/x402/stake', verify: '/x402/verify', requirements: '/x402/requirements' }
         },
@@ -280,7 +258,7 @@ async function executeTool(toolName, args, deps = {}) {
 
       const requirements = buildPaymentRequirements({
         payTo: vault,
-        amount: String(BigInt(Math.round(amount * 1e18))),
+        amount: String(quoteAmount(stakeToken(), amount)),
         resource: '/x402/stake',
         description: `MyDay staking: ${amount.toFixed ? amount.toFixed(2) : amount} cUSD on Celo L2`
       });
@@ -298,7 +276,7 @@ async function executeTool(toolName, args, deps = {}) {
 /**
  * Handle a single MCP JSON-RPC message
  * @param {object} message - JSON-RPC 2.0 message
- * @param {object} deps - { db }
+ * @param {object} deps - { db, facilitator }
  * @returns {object|null} JSON-RPC response (null for notifications)
  */
 async function handleMCPMessage(message, deps = {}) {
@@ -389,7 +367,7 @@ async function handleMCPMessage(message, deps = {}) {
 /**
  * Mount MCP routes on an Express app
  * @param {import('express').Express} app
- * @param {object} deps - { db }
+ * @param {object} deps - { db, facilitator }
  */
 function mountMCPRoutes(app, deps = {}) {
   // MCP Streamable HTTP endpoint
@@ -0,0 +1,85 @@
+/**
+ * Daily Check-ins — one joined row per day
+ *
+ * Morning energy and the planned mission count live in daily_summary logs,
+ * the sunset mood and wins in separate sunset_reflection logs, and the
+ * audit outcome on the missions themselves. joinDailyCheckIns lines them up
+ * by date so the correlation engine (Brain.analyzeDisciplineMoodCorrelation),
+ * the score report and the sunset pivot all read the same view
+ * (Database.getDailyCheckIns).
+ */
+
+/**
+ * @param {object} logs
+ * @param {object[]} [logs.summaries] - { date, morning_energy, total_missions }, newest first
+ * @param {object[]} [logs.reflections] - { date, sunset_mood, wins }, newest first
+ * @param {object[]} [logs.missions] - mission rows (Database._mapMission)
+ * @returns {Array<{date: string, morning_energy: number|null, missions_planned: number|null,
+ *   missions_completed: number|null, evening_mood: number|null, wins: number|null, mood_delta: number|null}>}
+ *   oldest first; mood_delta is evening_mood − morning_energy when the day has both
+ */
+function joinDailyCheckIns({ summaries = [], reflections = [], missions = [] } = {}) {
+  const days = new Map();
+  const day = (date) => {
+    if (!days.has(date)) {
+      days.set(date, {
+        date,
+        morning_energy: null,
+        missions_planned: null,
+        missions_completed: null,
+        evening_mood: null,
+        wins: null,
+        mood_delta: null
+      });
+    }
+    return days.get(date);
+  };
+  const rating = (value) => (Number(value) > 0 ? Number(value) : null);
+
+  // Both logs come newest first: the latest check-in of a day wins
+  for (const s of summaries) {
+    if (!s || !s.date) continue;
+    const d = day(s.date);
+    if (d.morning_energy === null) d.morning_energy = rating(s.morning_energy);
+    if (d.missions_planned === null && s.total_missions != null) d.missions_planned = Number(s.total_missions) || 0;
+  }
+  for (const r of reflections) {
+    if (!r || !r.date) continue;
+    const d = day(r.date);
+    if (d.evening_mood === null) d.evening_mood = rating(r.sunset_mood);
+    if (d.wins === null && r.wins != null) d.wins = Number(r.wins) || 0;
+  }
+
+  // Mission rows, where the day has them, are the source of truth for planned / completed
+  const byDate = new Map();
+  for (const m of missions) {
+    if (!byDate.has(m.mission_date)) byDate.set(m.mission_date, []);
+    byDate.get(m.mission_date).push(m);
+  }
+  for (const [date, list] of byDate) {
+    const d = day(date);
+    d.missions_planned = list.length;
+    const audited = list.filter(m => m.status !== 'planned');
+    d.missions_completed = audited.length ? audited.filter(m => m.status === 'completed').length : null;
+  }
+
+  for (const d of days.values()) {
+    if (d.morning_energy !== null && d.evening_mood !== null) d.mood_delta = d.evening_mood - d.morning_energy;
+  }
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Average same-day lift from morning energy to sunset mood
+ * @returns {number|null} null without a day that has both check-ins
+ */
+function averageMoodDelta(days = []) {
+  const deltas = days.map(d => d.mood_delta).filter(v => v !== null && v !== undefined);
+  if (!deltas.length) return null;
+  return Math.round((deltas.reduce((a, b) => a + b, 0) / deltas.length) * 10) / 10;
+}
+
+module.exports = {
+  joinDailyCheckIns,
+  averageMoodDelta
+};
@@ -0,0 +1,77 @@
+/**
+ * Coach Memory — rolling per-user memory for free-text coaching
+ *
+ * Pure helpers over the coach_memory row (migration 010): the last few
+ * messages are kept verbatim in `recent`; once there are more than
+ * RECENT_LIMIT, the older ones are folded into `summary` by the Brain
+ * (Brain.summarizeConversation), or — when no LLM answers — by appending a
+ * clipped transcript, so memory stays bounded either way.
+ */
+
+const RECENT_LIMIT = 12;        // messages kept verbatim before folding
+const KEEP_AFTER_FOLD = 6;      // the newest messages stay verbatim after a fold
+const SUMMARY_MAX_CHARS = 1500;
+const MESSAGE_MAX_CHARS = 1000;
+
+const clip = (text, max) => {
+  const s = String(text || '').trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+};
+
+/**
+ * Memory with one more user message and the coach's reply
+ */
+function addExchange(memory, userText, coachText, at = new Date()) {
+  const stamp = at.toISOString();
+  return {
+    summary: memory.summary,
+    recent: [
+      ...memory.recent,
+      { role: 'user', text: clip(userText, MESSAGE_MAX_CHARS), at: stamp },
+      { role: 'coach', text: clip(coachText, MESSAGE_MAX_CHARS), at: stamp }
+    ],
+    turns: (memory.turns || 0) + 1
+  };
+}
+
+function needsFolding(memory) {
+  return memory.recent.length > RECENT_LIMIT;
+}
+
+/**
+ * The messages a fold moves into the summary (all but the newest KEEP_AFTER_FOLD)
+ */
+function messagesToFold(memory) {
+  return memory.recent.slice(0, -KEEP_AFTER_FOLD);
+}
+
+/**
+ * Memory after folding: `summary` replaces the old one, older messages drop out.
+ * Without a summary (LLM unavailable) the folded transcript is appended, keeping the newest part.
+ */
+function foldMemory(memory, summary = null) {
+  const folded = summary
+    ? String(summary).trim()
+    : [memory.summary, formatTranscript(messagesToFold(memory))].filter(Boolean).join('\n');
+  return {
+    summary: folded.length > SUMMARY_MAX_CHARS ? `…${folded.slice(-(SUMMARY_MAX_CHARS - 1))}` : folded,
+    recent: memory.recent.slice(-KEEP_AFTER_FOLD),
+    turns: memory.turns
+  };
+}
+
+/**
+ * "User: … / Coach: …" lines, kept as the summary when no LLM could fold them
+ */
+function formatTranscript(messages) {
+  return messages.map(m => `${m.role === 'coach' ? 'Coach' : 'User'}: ${m.text}`).join('\n');
+}
+
+module.exports = {
+  RECENT_LIMIT,
+  addExchange,
+  needsFolding,
+  messagesToFold,
+  foldMemory,
+  formatTranscript
+};
@@ -0,0 +1,275 @@
+/**
+ * Behavioral Insights — patterns in a user's 30/90-day history
+ *
+ * Pure and deterministic, like the scoring engine: it only looks at the
+ * history it is given (Database.getInsightHistory). Each finding compares two
+ * groups of days or missions and carries a confidence level from the size
+ * of the effect against its noise (Welch t / two-proportion z) and the
+ * number of samples behind it:
+ *
+ *   day_of_week      sunset mood on one weekday against the rest of the week
+ *   category_mood    sunset mood on days a Fitness / Mind / Spirit mission was completed
+ *   stake_completion completion of staked against unstaked (or higher against lower) stakes
+ *   mission_count    missions planned that yield the most completed, per energy level
+ *
+ * Findings with too few samples, or an effect indistinguishable from noise,
+ * are left out rather than reported as low confidence.
+ */
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CATEGORIES = ['Fitness', 'Mind', 'Spirit'];
+const ENERGY_BANDS = [
+  { name: 'low', label: 'low-energy (1–2)', min: 1, max: 2 },
+  { name: 'steady', label: 'steady-energy (3)', min: 3, max: 3 },
+  { name: 'high', label: 'high-energy (4–5)', min: 4, max: 5 }
+];
+
+// Smallest group compared, in days (or missions for stakes)
+const MIN_DAYS = 3;
+const MIN_DAYS_PER_COUNT = 2;
+const MIN_MISSIONS = 5;
+// |statistic| below this is noise and not reported
+const MIN_SIGNAL = 1;
+
+const CONFIDENCE_ORDER = { high: 3, medium: 2, low: 1 };
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function variance(values) {
+  const m = mean(values);
+  return values.length > 1 ? values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (values.length - 1) : 0;
+}
+
+/**
+ * Welch's t for the difference in means (a − b). A zero-variance pair with
+ * different means is as clear as the samples allow, so it borrows the
+ * variance of one rating step.
+ */
+function welchT(a, b) {
+  const se = Math.sqrt(variance(a) / a.length + variance(b) / b.length) || Math.sqrt(0.25 / a.length + 0.25 / b.length);
+  return (mean(a) - mean(b)) / se;
+}
+
+/**
+ * Two-proportion z for the difference in success rates (a − b)
+ */
+function proportionZ(successA, totalA, successB, totalB) {
+  const pooled = (successA + successB) / (totalA + totalB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (!se) return 0;
+  return (successA / totalA - successB / totalB) / se;
+}
+
+/**
+ * high: |statistic| ≥ 2.58 (≈ p < 0.01) on ≥ 10 samples per group
+ * medium: |statistic| ≥ 1.96 (≈ p < 0.05) on ≥ 5
+ * low: anything weaker that still clears MIN_SIGNAL
+ */
+function confidenceFor(statistic, smallestGroup) {
+  const s = Math.abs(statistic);
+  if (s >= 2.58 && smallestGroup >= 10) return 'high';
+  if (s >= 1.96 && smallestGroup >= 5) return 'medium';
+  return 'low';
+}
+
+function insight(type, finding, statistic, sampleSize, smallestGroup, details) {
+  return {
+    type,
+    finding,
+    confidence: confidenceFor(statistic, smallestGroup),
+    sampleSize,
+    statistic: round1(statistic),
+    details
+  };
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * The weekday whose sunset mood differs most from the rest of the week
+ */
+function dayOfWeekEffect(days) {
+  const rated = days.filter(d => d.evening_mood !== null);
+  let best = null;
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const on = rated.filter(d => weekdayOf(d.date) === weekday).map(d => d.evening_mood);
+    const off = rated.filter(d => weekdayOf(d.date) !== weekday).map(d => d.evening_mood);
+    if (on.length < MIN_DAYS || off.length < MIN_DAYS) continue;
+    const t = welchT(on, off);
+    if (!best || Math.abs(t) > Math.abs(best.t)) best = { weekday, t, on, off };
+  }
+  if (!best || Math.abs(best.t) < MIN_SIGNAL) return null;
+
+  const onMood = round1(mean(best.on));
+  const offMood = round1(mean(best.off));
+  const direction = best.t > 0 ? 'higher' : 'lower';
+  return insight(
+    'day_of_week',
+    `Your sunset mood runs ${direction} on ${WEEKDAYS[best.weekday]}s (${onMood}/5 vs ${offMood}/5 on other days).`,
+    best.t,
+    best.on.length + best.off.length,
+    Math.min(best.on.length, best.off.length),
+    { weekday: WEEKDAYS[best.weekday], mood: onMood, otherDaysMood: offMood }
+  );
+}
+
+/**
+ * Sunset mood on days a category's mission was completed, against audited days without one
+ */
+function categoryMoodEffects(days, missions) {
+  const completedByDate = new Map();
+  for (const m of missions) {
+    if (m.status === 'planned') continue;
+    if (!completedByDate.has(m.mission_date)) completedByDate.set(m.mission_date, new Set());
+    if (m.status === 'completed' && m.category) completedByDate.get(m.mission_date).add(m.category);
+  }
+  const audited = days.filter(d => d.evening_mood !== null && completedByDate.has(d.date));
+
+  const results = [];
+  for (const category of CATEGORIES) {
+    const withIt = audited.filter(d => completedByDate.get(d.date).has(category)).map(d => d.evening_mood);
+    const without = audited.filter(d => !completedByDate.get(d.date).has(category)).map(d => d.evening_mood);
+    if (withIt.length < MIN_DAYS || without.length < MIN_DAYS) continue;
+    const t = welchT(withIt, without);
+    if (Math.abs(t) < MIN_SIGNAL) continue;
+
+    const withMood = round1(mean(withIt));
+    const withoutMood = round1(mean(without));
+    results.push(insight(
+      'category_mood',
+      `Days you complete a ${category} mission end ${t > 0 ? 'happier' : 'lower'} (${withMood}/5 vs ${withoutMood}/5).`,
+      t,
+      withIt.length + without.length,
+      Math.min(withIt.length, without.length),
+      { category, mood: withMood, otherDaysMood: withoutMood }
+    ));
+  }
+  return results;
+}
+
+/**
+ * Do stakes raise completion? Staked against unstaked missions, or — when
+ * (nearly) everything is staked — the higher half of stakes against the lower
+ */
+function stakeCompletionEffect(missions) {
+  const audited = missions.filter(m => m.status !== 'planned');
+  const rate = list => ({ done: list.filter(m => m.status === 'completed').length, total: list.length });
+
+  let a = audited.filter(m => m.stake_share > 0);
+  let b = audited.filter(m => !(m.stake_share > 0));
+  let labels = ['staked', 'unstaked'];
+  if (b.length < MIN_MISSIONS) {
+    const shares = a.map(m => m.stake_share).sort((x, y) => x - y);
+    const median = shares[Math.floor(shares.length / 2)];
+    b = a.filter(m => m.stake_share < median);
+    a = a.filter(m => m.stake_share >= median);
+    labels = ['higher-stake', 'lower-stake'];
+  }
+  if (a.length < MIN_MISSIONS || b.length < MIN_MISSIONS) return null;
+
+  const ra = rate(a);
+  const rb = rate(b);
+  const z = proportionZ(ra.done, ra.total, rb.done, rb.total);
+  if (Math.abs(z) < MIN_SIGNAL) return null;
+
+  const rateA = ra.done / ra.total;
+  const rateB = rb.done / rb.total;
+  return insight(
+    'stake_completion',
+    z > 0
+      ? `Stakes work for you: ${labels[0]} missions get done ${percent(rateA)} of the time vs ${percent(rateB)} for ${labels[1]} ones.`
+      : `Stakes aren't helping yet: ${labels[0]} missions get done ${percent(rateA)} of the time vs ${percent(rateB)} for ${labels[1]} ones.`,
+    z,
+    ra.total + rb.total,
+    Math.min(ra.total, rb.total),
+    { compared: labels, completionRate: round1(rateA * 100) / 100, otherCompletionRate: round1(rateB * 100) / 100 }
+  );
+}
+
+/**
+ * Per energy band: the planned mission count with the most missions completed per day
+ */
+function missionCountByEnergy(days) {
+  const audited = days.filter(d => d.morning_energy !== null && d.missions_completed !== null && d.missions_planned > 0);
+  const results = [];
+  for (const band of ENERGY_BANDS) {
+    const inBand = audited.filter(d => d.morning_energy >= band.min && d.morning_energy <= band.max);
+    const byCount = new Map();
+    for (const d of inBand) {
+      if (!byCount.has(d.missions_planned)) byCount.set(d.missions_planned, []);
+      byCount.get(d.missions_planned).push(d.missions_completed);
+    }
+    const counts = [...byCount.entries()].filter(([, done]) => done.length >= MIN_DAYS_PER_COUNT);
+    if (counts.length < 2) continue;
+
+    counts.sort((x, y) => mean(y[1]) - mean(x[1]) || y[0] - x[0]);
+    const [[bestCount, bestDone], [, runnerUp]] = counts;
+    const t = welchT(bestDone, runnerUp);
+    if (Math.abs(t) < MIN_SIGNAL) continue;
+
+    const others = counts.slice(1).map(([count]) => count).sort((x, y) => x - y).join(' or ');
+    results.push(insight(
+      'mission_count',
+      `On ${band.label} days, ${bestCount} mission${bestCount === 1 ? '' : 's'} works best: you complete ${round1(mean(bestDone))} on average, more than when you plan ${others}.`,
+      t,
+      counts.reduce((sum, [, done]) => sum + done.length, 0),
+      Math.min(bestDone.length, runnerUp.length),
+      { energy: band.name, missions: bestCount, completedPerDay: round1(mean(bestDone)) }
+    ));
+  }
+  return results;
+}
+
+/**
+ * All findings for a history, strongest first
+ * @param {object} history - { days: Database.getDailyCheckIns rows, missions: mission rows }
+ * @returns {Array<{type: string, finding: string, confidence: 'high'|'medium'|'low',
+ *   sampleSize: number, statistic: number, details: object}>}
+ */
+function computeInsights({ days = [], missions = [] } = {}) {
+  const found = [
+    dayOfWeekEffect(days),
+    ...categoryMoodEffects(days, missions),
+    stakeCompletionEffect(missions),
+    ...missionCountByEnergy(days)
+  ].filter(Boolean);
+  return found.sort((a, b) =>
+    CONFIDENCE_ORDER[b.confidence] - CONFIDENCE_ORDER[a.confidence] || Math.abs(b.statistic) - Math.abs(a.statistic));
+}
+
+const CONFIDENCE_BADGES = { high: '🟢 high', medium: '🟡 medium', low: '⚪ early signal' };
+
+/**
+ * /insights reply (Markdown)
+ */
+function formatInsights(insights, { windowDays, daysLogged }) {
+  const header = `🔍 *Your Patterns* — last ${windowDays} days (${daysLogged} day${daysLogged === 1 ? '' : 's'} logged)`;
+  if (!insights.length) {
+    return `${header}\n\nNo clear patterns yet. Keep checking in morning and sunset — they show up after a few weeks of data. 🌱`;
+  }
+  const lines = insights.map(i => `• ${i.finding}\n   _Confidence: ${CONFIDENCE_BADGES[i.confidence]} · ${i.sampleSize} samples_`);
+  return `${header}\n\n${lines.join('\n\n')}`;
+}
+
+/**
+ * Findings as prompt lines for the Brain, confidence-tagged so the model can weigh them
+ */
+function insightsForPrompt(insights, { limit = 3 } = {}) {
+  return insights.slice(0, limit).map(i => `- (${i.confidence} confidence) ${i.finding}`).join('\n');
+}
+
+module.exports = {
+  computeInsights,
+  formatInsights,
+  insightsForPrompt,
+  confidenceFor,
+  welchT,
+  proportionZ
+};
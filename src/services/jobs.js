@@ -0,0 +1,175 @@
+/**
+ * Check-in Jobs — next due time (UTC) for each user's scheduled nudges
+ *
+ * Pure helpers behind the job queue (migration 008, src/services/scheduler.js).
+ * Due times are computed from the user's local calendar date and wall-clock
+ * check-in time, then converted to UTC, so daylight-saving changes move the
+ * UTC instant rather than the local time:
+ *   - a time skipped by spring-forward (02:30 on the change day) runs as
+ *     late as the gap is long (03:30)
+ *   - a time repeated by fall-back runs once, at its first occurrence
+ */
+
+const { scheduleFromUser, isQuietTime, isRestDay } = require('./schedule');
+
+// Recurring kinds, one scheduled_jobs row each per user; sunset_snooze is one-shot
+const RECURRING_KINDS = ['morning', 'sunset', 'weekly'];
+
+const WEEKLY_DAY = 5; // Friday
+const WEEKLY_TIME = '17:00';
+
+// Catch-up policy: how late (minutes) a nudge may still go out, e.g. after downtime.
+// Past the window the run is recorded as missed and the job moves on.
+const CATCH_UP_MINUTES = {
+  morning: 120,
+  sunset: 120,
+  sunset_snooze: 60,
+  weekly: 24 * 60
+};
+
+// Later than this counts as a catch-up: skipped if the user already checked in on their own
+const ON_TIME_MINUTES = 5;
+
+// How far ahead to look for the next allowed day (rest days can block at most 6 in a row)
+const SEARCH_DAYS = 14;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function validTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (e) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Local calendar parts of `date` in `timezone`
+ * @returns {object} { year, month, day, hour, minute, weekday, hhmm }
+ */
+function localParts(date, timezone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  });
+  const parts = {};
+  for (const { type, value } of fmt.formatToParts(date)) {
+    if (type === 'weekday') parts.weekday = WEEKDAYS[value];
+    else if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  parts.hhmm = `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+  return parts;
+}
+
+// Minutes the zone is ahead of UTC at `instant`
+function offsetMinutes(instant, timezone) {
+  const p = localParts(instant, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 60000) * 60000) / 60000);
+}
+
+/**
+ * The UTC instant of local wall-clock `hhmm` on { year, month, day } in `timezone`
+ */
+function zonedTimeToUtc({ year, month, day }, hhmm, timezone) {
+  const [hour, minute] = hhmm.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset either side of a transition gives up to two candidates
+  const candidates = [...new Set([
+    wall - offsetMinutes(new Date(wall), timezone) * 60000,
+    wall - offsetMinutes(new Date(wall - 12 * 3600000), timezone) * 60000,
+    wall - offsetMinutes(new Date(wall + 12 * 3600000), timezone) * 60000
+  ])].sort((a, b) => a - b);
+
+  const exact = candidates.find(t => {
+    const p = localParts(new Date(t), timezone);
+    return p.hhmm === hhmm && p.day === day;
+  });
+  // No exact match → the time falls in a spring-forward gap; take the later candidate
+  return new Date(exact !== undefined ? exact : candidates[candidates.length - 1]);
+}
+
+function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+/**
+ * Next time a recurring job is due, strictly after `after`
+ * @param {string} kind - morning | sunset | weekly
+ * @param {object} user - users row (timezone + schedule columns)
+ * @param {Date} [after]
+ * @returns {Date|null} null when the schedule never allows it (e.g. weekly inside quiet hours)
+ */
+function nextRunAt(kind, user, after = new Date()) {
+  const timezone = validTimezone(user.timezone || 'UTC');
+  const schedule = scheduleFromUser(user);
+  const time = kind === 'morning' ? schedule.morning : kind === 'sunset' ? schedule.sunset : WEEKLY_TIME;
+  if (kind === 'weekly' && isQuietTime(schedule, time)) return null;
+
+  const today = localParts(after, timezone);
+  for (let i = 0; i <= SEARCH_DAYS; i++) {
+    const date = addDays(today, i);
+    if (kind === 'weekly' ? date.weekday !== WEEKLY_DAY : isRestDay(schedule, date.weekday)) continue;
+    const at = zonedTimeToUtc(date, time, timezone);
+    if (at > after) return at;
+  }
+  return null;
+}
+
+/**
+ * Is the user's local time at `instant` inside their quiet hours?
+ */
+function isQuietAt(user, instant) {
+  const timezone = validTimezone(user.timezone || 'UTC');
+  return isQuietTime(scheduleFromUser(user), localParts(instant, timezone).hhmm);
+}
+
+/**
+ * The UTC instant the user's local day containing `instant` began
+ */
+function localDayStart(user, instant = new Date()) {
+  const timezone = validTimezone(user.timezone || 'UTC');
+  return zonedTimeToUtc(localParts(instant, timezone), '00:00', timezone);
+}
+
+/**
+ * The user's local calendar date (YYYY-MM-DD) at `instant`, moved by `offsetDays`
+ */
+function localDate(user, instant = new Date(), offsetDays = 0) {
+  const timezone = validTimezone(user.timezone || 'UTC');
+  const { year, month, day } = addDays(localParts(instant, timezone), offsetDays);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * How a job due at `dueAt` should be treated at `now`
+ * @returns {string} 'on_time' | 'catch_up' | 'missed'
+ */
+function lateness(kind, dueAt, now = new Date()) {
+  const minutes = (now.getTime() - new Date(dueAt).getTime()) / 60000;
+  if (minutes > (CATCH_UP_MINUTES[kind] || 0)) return 'missed';
+  return minutes > ON_TIME_MINUTES ? 'catch_up' : 'on_time';
+}
+
+module.exports = {
+  RECURRING_KINDS,
+  CATCH_UP_MINUTES,
+  WEEKLY_DAY,
+  WEEKLY_TIME,
+  localParts,
+  zonedTimeToUtc,
+  nextRunAt,
+  isQuietAt,
+  localDayStart,
+  localDate,
+  lateness
+};
@@ -0,0 +1,123 @@
+/**
+ * Mission helpers — pure functions shared by the briefing and the database layer
+ *
+ * Categories follow the Brain's MyDay Intel mapping (Fitness / Mind / Spirit).
+ * A mission whose title matches none of them is left uncategorised (null).
+ */
+
+// Mirrored by categorize_mission() in migrations/005_missions.sql — keep them in sync
+const CATEGORY_KEYWORDS = {
+  Fitness: ['run', 'jog', 'gym', 'workout', 'lift', 'walk', 'swim', 'bike', 'cycle', 'hike', 'stretch', 'push', 'squat', 'cardio', 'train', 'sport', 'steps'],
+  Mind: ['read', 'learn', 'study', 'code', 'write', 'work', 'review', 'course', 'practice', 'plan', 'book', 'language', 'spanish', 'research', 'focus'],
+  Spirit: ['meditat', 'pray', 'journal', 'gratitude', 'breath', 'yoga', 'rest', 'sleep', 'family', 'friend', 'call', 'nature', 'digital detox', 'mindful']
+};
+
+/**
+ * Best-effort category for a free-text mission title
+ * @returns {'Fitness'|'Mind'|'Spirit'|null}
+ */
+function categorizeMission(title) {
+  const text = String(title || '').toLowerCase();
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    if (keywords.some(k => new RegExp(`\\b${k}`).test(text))) return category;
+  }
+  return null;
+}
+
+/**
+ * Split a stake evenly across `count` missions, to 6 decimals.
+ * The first shares absorb the rounding remainder so the shares sum to the stake.
+ * @returns {number[]}
+ */
+function splitStake(amount, count) {
+  if (!count) return [];
+  const micros = Math.round(Math.max(0, Number(amount) || 0) * 1e6);
+  const base = Math.floor(micros / count);
+  const remainder = micros - base * count;
+  return Array.from({ length: count }, (_, i) => (base + (i < remainder ? 1 : 0)) / 1e6);
+}
+
+// Fallback mission ideas by category and size, used when the Brain cannot propose any
+const MISSION_LIBRARY = {
+  Fitness: {
+    small: ['10-minute walk', '5-minute stretch'],
+    medium: ['30-minute workout', '20-minute jog'],
+    large: ['45-minute gym session', '5 km run']
+  },
+  Mind: {
+    small: ['Read 10 pages', 'Plan tomorrow in 5 minutes'],
+    medium: ['45-minute deep work block', 'Study for 30 minutes'],
+    large: ['90-minute focused work session', 'Finish one chapter of a course']
+  },
+  Spirit: {
+    small: ['5-minute breathing exercise', 'Write 3 gratitudes'],
+    medium: ['15-minute meditation', 'Call a friend or family member'],
+    large: ['Journal for 20 minutes', '1 hour phone-free time in nature']
+  }
+};
+
+const CATEGORIES = Object.keys(MISSION_LIBRARY);
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * How big today's missions should be for a 1-5 energy level
+ * @returns {'small'|'medium'|'large'}
+ */
+function sizeForEnergy(energy) {
+  if (energy <= 2) return 'small';
+  return energy >= 4 ? 'large' : 'medium';
+}
+
+/**
+ * The Brain's energy → category mapping (low: Spirit, balanced: Mind, peak: Fitness)
+ */
+function categoryForEnergy(energy) {
+  if (energy <= 2) return 'Spirit';
+  return energy >= 5 ? 'Fitness' : 'Mind';
+}
+
+/**
+ * A mission proposal from free text (a Brain suggestion or the user's edit).
+ * Markdown characters are dropped: proposals are listed in Markdown messages.
+ * @returns {{title: string, category: string|null, size: string|null}|null}
+ */
+function toProposal(title, { category = null, size = null } = {}) {
+  const text = String(title || '').replace(/[*_`[\]]/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+  if (!text) return null;
+  return { title: text, category: CATEGORIES.includes(category) ? category : categorizeMission(text), size };
+}
+
+/**
+ * Local mission proposals, strongest first: yesterday's unfinished mission,
+ * then the energy's category and the user's best-completed categories, sized to energy
+ * @param {object} input
+ * @param {number} input.energy - 1-5
+ * @param {object} [input.byCategory] - Database.getCompletionRate(...).by_category
+ * @param {string[]} [input.unfinished] - yesterday's missions that were not completed
+ * @param {number} [input.count] - how many proposals (the rest of the library follows as alternates)
+ * @returns {{proposals: object[], alternates: object[]}}
+ */
+function suggestMissions({ energy, byCategory = {}, unfinished = [], count = 3 }) {
+  const size = sizeForEnergy(energy);
+  const rate = category => (byCategory[category] ? byCategory[category].completion_rate : 0.5);
+  const primary = categoryForEnergy(energy);
+  const order = [primary, ...CATEGORIES.filter(c => c !== primary).sort((a, b) => rate(b) - rate(a))];
+
+  const ideas = [];
+  if (unfinished.length) ideas.push(toProposal(unfinished[0], { size }));
+  // First idea of each category in order, then the second ones
+  for (const index of [0, 1]) {
+    for (const category of order) ideas.push(toProposal(MISSION_LIBRARY[category][size][index], { category, size }));
+  }
+  const unique = ideas.filter((idea, i) => idea && ideas.findIndex(o => o && o.title === idea.title) === i);
+  return { proposals: unique.slice(0, count), alternates: unique.slice(count) };
+}
+
+module.exports = {
+  categorizeMission,
+  splitStake,
+  sizeForEnergy,
+  categoryForEnergy,
+  toProposal,
+  suggestMissions
+};
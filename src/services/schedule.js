@@ -0,0 +1,154 @@
+/**
+ * Check-in Schedule — per-user nudge times, rest days and quiet hours
+ *
+ * Pure helpers shared by the /schedule command (src/bot.js) and the
+ * scheduler (src/services/scheduler.js). Stored on the user record
+ * (migration 007); times are local 'HH:MM' in the user's timezone.
+ */
+
+const DEFAULT_SCHEDULE = {
+  morning: '08:00',
+  sunset: '20:00',
+  restDays: [],
+  quiet: null,        // { start: 'HH:MM', end: 'HH:MM' }, may wrap midnight
+  snoozeMinutes: 30
+};
+
+const MIN_SNOOZE = 5;
+const MAX_SNOOZE = 240;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Parse a user-typed time: '7:30', '07:30', '19:00', '7am', '7:30 pm'
+ * @returns {string|null} 'HH:MM' (24h)
+ */
+function parseTime(input) {
+  const match = String(input || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+  if (!meridiem && !match[2]) return null; // bare "7" is ambiguous
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Parse rest days: 'sat,sun', 'Sat Sun', 'weekend', 'none'
+ * @returns {number[]|null} sorted weekday numbers (0 = Sunday), [] for none
+ */
+function parseDays(input) {
+  const text = String(input || '').trim().toLowerCase();
+  if (!text) return null;
+  if (text === 'none' || text === 'off') return [];
+  if (text === 'weekend' || text === 'weekends') return [0, 6];
+  const days = new Set();
+  for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+    const index = DAY_NAMES.findIndex(d => token.startsWith(d.toLowerCase()));
+    if (index === -1) return null;
+    days.add(index);
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Parse quiet hours: '22:00-07:00', '10pm - 7am', or 'off'
+ * @returns {object|null|false} { start, end }, null for off, false when invalid
+ */
+function parseQuietHours(input) {
+  const text = String(input || '').trim().toLowerCase();
+  if (text === 'off' || text === 'none') return null;
+  const [from, to, ...rest] = text.split(/\s*(?:-|–|to)\s*/);
+  if (rest.length) return false;
+  const start = parseTime(from);
+  const end = parseTime(to);
+  if (!start || !end || start === end) return false;
+  return { start, end };
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * A user record (or partial schedule) → schedule with defaults filled in
+ */
+function scheduleFromUser(user = {}) {
+  return {
+    morning: user.morning_time || DEFAULT_SCHEDULE.morning,
+    sunset: user.sunset_time || DEFAULT_SCHEDULE.sunset,
+    restDays: Array.isArray(user.rest_days) ? user.rest_days.map(Number) : DEFAULT_SCHEDULE.restDays,
+    quiet: user.quiet_start && user.quiet_end ? { start: user.quiet_start, end: user.quiet_end } : null,
+    snoozeMinutes: user.snooze_minutes || DEFAULT_SCHEDULE.snoozeMinutes
+  };
+}
+
+/**
+ * Schedule → the users-table columns it is stored in
+ */
+function scheduleToColumns(schedule) {
+  return {
+    morning_time: schedule.morning,
+    sunset_time: schedule.sunset,
+    rest_days: schedule.restDays,
+    quiet_start: schedule.quiet ? schedule.quiet.start : null,
+    quiet_end: schedule.quiet ? schedule.quiet.end : null,
+    snooze_minutes: schedule.snoozeMinutes
+  };
+}
+
+/**
+ * Is local time `hhmm` inside the quiet window? (start inclusive, end exclusive)
+ */
+function isQuietTime(schedule, hhmm) {
+  if (!schedule.quiet) return false;
+  const now = toMinutes(hhmm);
+  const start = toMinutes(schedule.quiet.start);
+  const end = toMinutes(schedule.quiet.end);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+function isRestDay(schedule, day) {
+  return schedule.restDays.includes(day);
+}
+
+/**
+ * Check-ins that would never be sent because quiet hours cover them
+ * @returns {string[]} e.g. ['morning']
+ */
+function quietConflicts(schedule) {
+  return ['morning', 'sunset'].filter(name => isQuietTime(schedule, schedule[name]));
+}
+
+function describeSchedule(schedule) {
+  const rest = schedule.restDays.length ? schedule.restDays.map(d => DAY_NAMES[d]).join(', ') : 'none';
+  const quiet = schedule.quiet ? `${schedule.quiet.start}–${schedule.quiet.end}` : 'off';
+  return [
+    `🔋 Morning check-in: *${schedule.morning}*`,
+    `🌅 Sunset check-in: *${schedule.sunset}*`,
+    `🛌 Rest days: *${rest}*`,
+    `🤫 Quiet hours: *${quiet}*`,
+    `⏰ Sunset snooze: *${schedule.snoozeMinutes} min*`
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  MIN_SNOOZE,
+  MAX_SNOOZE,
+  parseTime,
+  parseDays,
+  parseQuietHours,
+  scheduleFromUser,
+  scheduleToColumns,
+  isQuietTime,
+  isRestDay,
+  quietConflicts,
+  describeSchedule
+};
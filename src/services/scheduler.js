@@ -1,107 +1,206 @@
+/**
+ * Check-in Scheduler — drains the job queue (migration 008)
+ *
+ * Each user has one scheduled_jobs row per check-in (morning | sunset |
+ * weekly, plus a one-shot sunset_snooze) holding its next due time in UTC.
+ * Every minute this instance leases the jobs that are due, renews the lease
+ * on each just before running it, records each run in job_runs (idempotent
+ * per due time, so replicas and restarts never double-send) and moves the
+ * job to its next due time. A tick still running when the next minute comes
+ * round is left to finish instead of being joined by another.
+ *
+ * Catch-up: a job that came due while no instance was running still goes
+ * out within its CATCH_UP_MINUTES window (src/services/jobs.js) unless the
+ * user already checked in on their own; later than that it is recorded as
+ * missed. Sends retry 429 / 5xx with backoff (src/telegram/delivery.js);
+ * if Telegram is still failing the job itself is retried a few minutes later.
+ */
+
+const os = require('os');
 const cron = require('node-cron');
+const { RECURRING_KINDS, nextRunAt, isQuietAt, lateness } = require('./jobs');
+const { scheduleFromUser } = require('./schedule');
+const { isRetryable } = require('../telegram/delivery');
 
-// Helper to get user's local hour and minute using Intl.DateTimeFormat
-function getLocalTimeParts(timezone) {
-  try {
-    const now = new Date();
-    const fmt = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone,
-      hour: 'numeric',
-      minute: 'numeric',
-      hour12: false,
-      weekday: 'short'
-    });
-    const parts = {};
-    for (const { type, value } of fmt.formatToParts(now)) {
-      if (type === 'hour') parts.hour = parseInt(value, 10);
-      if (type === 'minute') parts.minute = parseInt(value, 10);
-      if (type === 'weekday') {
-        const dayMap = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
-        parts.day = dayMap[value] ?? new Date().getDay();
-      }
+const LEASE_SECONDS = 120;
+const BATCH_SIZE = 50;
+const RECONCILE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Job-level retries when Telegram keeps failing after the per-send backoff
+const MAX_JOB_ATTEMPTS = 3;
+const JOB_RETRY_MINUTES = 5;
+
+// A catch-up nudge is pointless once the user has checked in themselves
+const CHECK_IN_LOG = { morning: 'missions', sunset: 'sunset_reflection', sunset_snooze: 'sunset_reflection' };
+
+module.exports = function initScheduler({ db, bot, instanceId }) {
+  const owner = instanceId || process.env.SCHEDULER_INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+  const fakeMsg = (u, text) => ({ chat: { id: u.telegram_id }, from: { id: u.telegram_id, first_name: u.name || '' }, text });
+
+  const sendMorning = async (u) => {
+    if (typeof bot.handleMorningNudge === 'function') {
+      await bot.handleMorningNudge(fakeMsg(u, '/morning'));
+    } else {
+      await bot.bot.sendMessage(u.telegram_id, '🔋 Morning Nudge: Please check your energy for today. /start to begin.');
+    }
+    return 'sent';
+  };
+
+  // STATE GUARD: Skip if user is mid-onboarding or mid-staking to avoid stealing CTA focus
+  const sendSunset = async (u) => {
+    // Check if user is in an active flow that should not be interrupted (flow.interruptible)
+    const activeFlow = typeof bot.activeFlow === 'function' ? await bot.activeFlow(u.telegram_id) : null;
+    if (activeFlow && !activeFlow.interruptible) {
+      // Queue: mark as pending so we can send it once the flow completes
+      await bot.deferSunset(u.telegram_id);
+      console.log(`Scheduler: Sunset deferred for user ${u.telegram_id} (active flow: ${activeFlow.name})`);
+      return 'deferred';
+    }
+    if (typeof bot.handleSunsetReflection === 'function') {
+      await bot.handleSunsetReflection(fakeMsg(u, '/sunset'), { snoozeMinutes: scheduleFromUser(u).snoozeMinutes });
+    } else {
+      await bot.bot.sendMessage(u.telegram_id, '🌅 Sunset Reflection: How many wins did you record today?');
+    }
+    return 'sent';
+  };
+
+  const sendWeekly = async (u) => {
+    if (typeof bot.sendWeeklyRoundup === 'function') {
+      await bot.sendWeeklyRoundup(u);
+    } else {
+      await bot.bot.sendMessage(u.telegram_id, '📣 Weekly Roundup: Here is your MyDay Intel weekly summary.');
+    }
+    return 'sent';
+  };
+
+  const handlers = {
+    morning: sendMorning,
+    sunset: sendSunset,
+    sunset_snooze: sendSunset,
+    weekly: sendWeekly
+  };
+
+  // Run a job's handler with its sends tracked by the delivery layer
+  async function deliver(job, user, run) {
+    const handler = () => handlers[job.kind](user);
+    if (!bot.delivery) return { status: await handler(), error: null, retryable: false };
+    const { result, errors } = await bot.delivery.track(job.kind, handler, { jobRunId: run.id });
+    if (!errors.length) return { status: result, error: null, retryable: false };
+    return { status: 'failed', error: errors[0].message || String(errors[0]), retryable: isRetryable(errors[0]) };
+  }
+
+  /**
+   * Decide what a due job should do now: missed, skipped, or send
+   */
+  async function triage(job, user) {
+    if (!user) return 'skipped';
+    const timing = lateness(job.kind, job.next_run_at);
+    if (timing === 'missed') return 'missed';
+    // Recurring times already avoid quiet hours; a catch-up or snooze may run into them
+    if (isQuietAt(user, new Date())) return 'skipped';
+    if (timing === 'catch_up' && CHECK_IN_LOG[job.kind] && await db.hasLoggedToday(user, CHECK_IN_LOG[job.kind])) {
+      return 'skipped';
     }
-    if (typeof parts.hour !== 'number') return null;
-    return parts;
-  } catch (e) {
     return null;
   }
-}
 
-module.exports = function initScheduler({ db, bot }) {
-  // In-memory map to avoid duplicate triggers within the same minute
-  const lastTriggered = {};
+  /**
+   * Run one leased job and release it with its next due time (or for a retry)
+   */
+  async function runJob(job) {
+    // Earlier jobs in the batch may have outlasted its lease — skip this one if another instance has it now
+    if (!await db.renewJobLease(job, owner, { leaseSeconds: LEASE_SECONDS })) return;
 
-  // Run every minute and check users' local time
-  cron.schedule('* * * * *', async () => {
-    try {
-      const users = await db.listUsers();
-
-      for (const u of users) {
-        const tz = u.timezone || 'UTC';
-        const t = getLocalTimeParts(tz);
-        if (!t) continue;
-        const keyBase = `${u.telegram_id || u.telegram_id}:${tz}`;
-
-        // Morning 08:00 - trigger bot's morning flow
-        if (t.hour === 8 && t.minute === 0) {
-          const key = keyBase + ':morning';
-          if (lastTriggered[key] === new Date().toDateString()) continue;
-          lastTriggered[key] = new Date().toDateString();
-          try {
-            const fakeMsg = { chat: { id: u.telegram_id }, from: { id: u.telegram_id, first_name: u.name || '' }, text: '/morning' };
-            if (typeof bot.handleMorningNudge === 'function') {
-              bot.handleMorningNudge(fakeMsg);
-            } else {
-              bot.bot.sendMessage(u.telegram_id, '🔋 Morning Nudge: Please check your energy for today. /start to begin.');
-            }
-          } catch (e) {}
-        }
+    const dueAt = new Date(job.next_run_at);
+    const user = await db.getUserById(job.telegram_id);
+    const next = user && RECURRING_KINDS.includes(job.kind) ? nextRunAt(job.kind, user, dueAt) : null;
 
-        // Sunset 20:00 - trigger Sunset Reflection flow (calls bot handler)
-        // STATE GUARD: Skip if user is mid-onboarding or mid-staking to avoid stealing CTA focus
-        if (t.hour === 20 && t.minute === 0) {
-          const key = keyBase + ':sunset';
-          if (lastTriggered[key] === new Date().toDateString()) continue;
-
-          // Check if user is in an active flow that should not be interrupted
-          const activeFlow = bot.userFlowState ? bot.userFlowState[u.telegram_id] : null;
-          const blockingStates = [
-            'onboarding_city',
-            'mission_briefing_energy',
-            'mission_briefing_goals',
-            'mission_briefing_stake',
-            'mission_briefing_confirm'
-          ];
-          if (activeFlow && blockingStates.includes(activeFlow)) {
-            // Queue: mark as pending so we can send it once the flow completes
-            if (!bot._pendingSunset) bot._pendingSunset = {};
-            bot._pendingSunset[u.telegram_id] = true;
-            console.log(`Scheduler: Sunset deferred for user ${u.telegram_id} (active flow: ${activeFlow})`);
-            continue;
-          }
-
-          lastTriggered[key] = new Date().toDateString();
-          try {
-            const fakeMsg = { chat: { id: u.telegram_id }, from: { id: u.telegram_id, first_name: u.name || '' }, text: '/sunset' };
-            if (typeof bot.handleSunsetReflection === 'function') {
-              bot.handleSunsetReflection(fakeMsg);
-            } else {
-              bot.bot.sendMessage(u.telegram_id, '🌅 Sunset Reflection: How many wins did you record today?');
-            }
-          } catch (e) {}
+    const { run, duplicate, inProgress } = await db.startJobRun(job, owner, { staleAfterSeconds: LEASE_SECONDS });
+    // Another instance is sending it right now and will move the job on itself
+    if (inProgress) return;
+    if (!duplicate) {
+      let outcome;
+      try {
+        const skip = await triage(job, user);
+        outcome = skip ? { status: skip, error: null } : await deliver(job, user, run);
+      } catch (e) {
+        outcome = { status: 'failed', error: e.message || String(e), retryable: false };
+      }
+      await db.finishJobRun(run.id, outcome.status, outcome.error);
+
+      if (outcome.status === 'failed') {
+        console.error(`Scheduler: ${job.kind} for user ${job.telegram_id} failed (attempt ${run.attempts || 1}):`, outcome.error);
+        if (outcome.retryable && (run.attempts || 1) < MAX_JOB_ATTEMPTS) {
+          const retryAt = new Date(Date.now() + JOB_RETRY_MINUTES * (run.attempts || 1) * 60 * 1000);
+          await db.retryJobLater(job, owner, retryAt);
+          return;
         }
+      }
+    }
 
-        // Friday 17:00
-        if (t.day === 5 && t.hour === 17 && t.minute === 0) {
-          const key = keyBase + ':weekly';
-          const today = new Date().toDateString();
-          if (lastTriggered[key] === today) continue;
-          lastTriggered[key] = today;
-          try { bot.bot.sendMessage(u.telegram_id, '📣 Weekly Roundup: Here is your MyDay Intel weekly summary.'); } catch (e) {}
+    await db.completeJob(job, owner, next);
+  }
+
+  /**
+   * Claim and run everything due, in batches
+   */
+  async function tick() {
+    let batch;
+    do {
+      batch = await db.claimDueJobs(owner, { leaseSeconds: LEASE_SECONDS, limit: BATCH_SIZE });
+      for (const job of batch) {
+        try {
+          await runJob(job);
+        } catch (e) {
+          // Lease expires and another tick retries; the run record prevents a double send
+          console.error(`Scheduler: job ${job.kind}/${job.telegram_id} error:`, e.message || e);
         }
       }
+    } while (batch.length === BATCH_SIZE);
+  }
+
+  /**
+   * Give users without check-in jobs (signed up before the queue, or a failed
+   * setup) their jobs — at boot and every few hours, not every minute
+   */
+  async function reconcile() {
+    const scheduled = new Set(await db.listJobUserIds());
+    const users = await db.listUsers();
+    let created = 0;
+    for (const u of users) {
+      if (scheduled.has(Number(u.telegram_id))) continue;
+      await db.syncUserJobs(u.telegram_id, u);
+      created += 1;
+    }
+    if (created) console.log(`Scheduler: created check-in jobs for ${created} user(s)`);
+  }
+
+  let lastReconcile = 0;
+  let ticking = false;
+
+  // Every minute: lease and run due jobs (skipped while the previous minute's run is still going)
+  const task = cron.schedule('* * * * *', async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      // Hourly: drop expired bot sessions (reads already ignore them)
+      if (new Date().getUTCMinutes() === 0 && bot.sessions && typeof bot.sessions.purgeExpiredSessions === 'function') {
+        await bot.sessions.purgeExpiredSessions().catch(e => console.error('Session purge failed:', e.message));
+      }
+
+      if (Date.now() - lastReconcile > RECONCILE_INTERVAL_MS) {
+        lastReconcile = Date.now();
+        await reconcile().catch(e => console.error('Scheduler reconcile failed:', e.message || e));
+      }
+
+      await tick();
     } catch (err) {
       console.error('Scheduler error:', err);
+    } finally {
+      ticking = false;
     }
   });
+
+  return { tick, reconcile, runJob, owner, task };
 };
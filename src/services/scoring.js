@@ -0,0 +1,291 @@
+/**
+ * Discipline Scoring Engine
+ *
+ * The single source of the grit score. Pure and deterministic: it only looks
+ * at the history it is given (no DB, no clock), so the REST routes, the MCP
+ * tool and /reservoir all report the same numbers for the same logs.
+ *
+ * History (see Database.getScoringHistory):
+ *   summaries   — daily_summary entries: { date, morning_energy }
+ *   reflections — sunset_reflection entries: { date, sunset_mood, wins }
+ *   audits      — evening mission audits: { date, completed, total }
+ *   days        — the above joined per day (src/services/checkins.js)
+ *   totalStaked — funded stakes in cUSD
+ *   asOf        — last day of the scoring window (defaults to the newest log)
+ *
+ * The formula is versioned (MODELS below). Every result carries its model
+ * version, the data window it looked at and each factor's contribution, so
+ * consumers can tell a behaviour change from a formula change.
+ */
+
+const { averageMoodDelta } = require('./checkins');
+
+const CURRENT_MODEL = '2';
+
+const DEFAULT_ENERGY = 3;
+const DEFAULT_MOOD = 3;
+const DEFAULT_STABILITY = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function byDateDesc(a, b) {
+  return String(b.date || '').localeCompare(String(a.date || ''));
+}
+
+function ratings(entries, key) {
+  return entries
+    .map(e => Number(e[key]))
+    .filter(n => Number.isFinite(n) && n > 0);
+}
+
+function average(values, fallback) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : fallback;
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function dayOf(date) {
+  return String(date || '').slice(0, 10);
+}
+
+function shiftDay(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Consecutive most-recent reflections that logged at least one win
+ */
+function computeStreak(reflections) {
+  let streak = 0;
+  for (const r of reflections) {
+    if (Number(r.wins || 0) > 0) streak += 1; else break;
+  }
+  return streak;
+}
+
+/**
+ * Low mood variance = high stability; std dev of a 1-5 scale maps inversely onto 0-100.
+ * Needs at least three moods, otherwise the neutral default.
+ */
+function computeEmotionalStability(moods) {
+  if (moods.length < 3) return DEFAULT_STABILITY;
+  const mean = average(moods, DEFAULT_MOOD);
+  const variance = moods.reduce((sum, m) => sum + Math.pow(m - mean, 2), 0) / moods.length;
+  return Math.round(clamp((1 - Math.sqrt(variance) / 2) * 100, 0, 100));
+}
+
+function statusFor(gritScore) {
+  return gritScore >= 80 ? 'Elite' : (gritScore >= 50 ? 'Stable' : 'Warning');
+}
+
+function factor(name, weight, value, contribution) {
+  return { name, weight, value, contribution: round1(contribution) };
+}
+
+/**
+ * Shared result shape for every model version
+ */
+function buildResult(version, factors, window, fields) {
+  const gritScore = Math.round(clamp(factors.reduce((sum, f) => sum + f.contribution, 0), 0, 100));
+  return {
+    modelVersion: version,
+    gritScore,
+    status: statusFor(gritScore),
+    ...fields,
+    window,
+    factors,
+    components: Object.fromEntries(factors.map(f => [f.name, f.contribution]))
+  };
+}
+
+/**
+ * v1 — the original formula: energy 40, stake min(40, staked × 2), streak min(20, streak × 5).
+ * Windows are entry counts (last 7 summaries, last 14 reflections), not calendar days.
+ */
+function scoreV1(history) {
+  const summaries = [...(history.summaries || [])].sort(byDateDesc).slice(0, 7);
+  const reflections = [...(history.reflections || [])].sort(byDateDesc).slice(0, 14);
+  const totalStaked = Number(history.totalStaked) || 0;
+
+  const avgEnergy = average(ratings(summaries, 'morning_energy'), DEFAULT_ENERGY);
+  const moods = ratings(reflections.slice(0, 7), 'sunset_mood');
+  const streak = computeStreak(reflections);
+
+  const days = [...summaries, ...reflections].map(e => dayOf(e.date)).filter(Boolean).sort();
+  const window = days.length
+    ? { from: days[0], to: days[days.length - 1], days: Math.round((Date.parse(days[days.length - 1]) - Date.parse(days[0])) / DAY_MS) + 1 }
+    : { from: null, to: null, days: 0 };
+
+  return buildResult('1', [
+    factor('energy', 40, round1(avgEnergy), (clamp(avgEnergy, 1, 5) / 5) * 40),
+    factor('stake', 40, totalStaked, Math.min(40, totalStaked * 2)),
+    factor('streak', 20, streak, Math.min(20, streak * 5))
+  ], window, {
+    streak,
+    emotionalStability: computeEmotionalStability(moods),
+    avgMorningEnergy: round1(avgEnergy),
+    avgSunsetMood: round1(average(moods, DEFAULT_MOOD)),
+    totalStaked,
+    completionRate: null
+  });
+}
+
+// v2 tuning
+const WINDOW_DAYS = 14;
+const STREAK_TARGET = 5;       // reflections with wins for the full streak points
+const STAKE_SATURATION = 50;   // cUSD at which the (log-scaled) stake factor maxes out
+const MOOD_DELTA_RANGE = 2;    // ± change in average mood mapped onto the factor's range
+
+/**
+ * v2 — calendar window, mission completion first, stake capped at 10 points.
+ *   completion   30  completed / planned missions from the evening audits
+ *   energy       20  average morning energy / 5
+ *   consistency  20  share of days in the window with any log
+ *   mood_delta   10  last-7-days average mood minus the 7 days before (0 change = half points)
+ *   streak       10  consecutive reflections with wins, full at 5
+ *   stake        10  ln(1 + staked) / ln(1 + 50), capped
+ */
+function scoreV2(history) {
+  const all = [...(history.summaries || []), ...(history.reflections || []), ...(history.audits || [])];
+  const to = dayOf(history.asOf) || all.map(e => dayOf(e.date)).filter(Boolean).sort().pop() || null;
+  const from = to ? shiftDay(to, -(WINDOW_DAYS - 1)) : null;
+  const inWindow = e => !!to && dayOf(e.date) >= from && dayOf(e.date) <= to;
+
+  const summaries = (history.summaries || []).filter(inWindow).sort(byDateDesc);
+  const reflections = (history.reflections || []).filter(inWindow).sort(byDateDesc);
+  const audits = (history.audits || []).filter(inWindow);
+  const totalStaked = Number(history.totalStaked) || 0;
+
+  const planned = audits.reduce((sum, a) => sum + (Number(a.total) || 0), 0);
+  const completed = audits.reduce((sum, a) => sum + Math.min(Number(a.completed) || 0, Number(a.total) || 0), 0);
+  const completionRate = planned ? completed / planned : null;
+
+  const avgEnergy = average(ratings(summaries, 'morning_energy'), DEFAULT_ENERGY);
+
+  const midpoint = to ? shiftDay(to, -6) : null;
+  const recentMoods = ratings(reflections.filter(r => dayOf(r.date) >= midpoint), 'sunset_mood');
+  const earlierMoods = ratings(reflections.filter(r => dayOf(r.date) < midpoint), 'sunset_mood');
+  const moodDelta = recentMoods.length && earlierMoods.length
+    ? average(recentMoods, DEFAULT_MOOD) - average(earlierMoods, DEFAULT_MOOD)
+    : 0;
+
+  const loggedDays = new Set(all.filter(inWindow).map(e => dayOf(e.date))).size;
+  const streak = computeStreak(reflections);
+
+  return buildResult('2', [
+    factor('completion', 30, completionRate === null ? null : round1(completionRate * 100) / 100, (completionRate || 0) * 30),
+    factor('energy', 20, round1(avgEnergy), (clamp(avgEnergy, 1, 5) / 5) * 20),
+    factor('consistency', 20, loggedDays, (loggedDays / WINDOW_DAYS) * 20),
+    factor('mood_delta', 10, round1(moodDelta), ((clamp(moodDelta, -MOOD_DELTA_RANGE, MOOD_DELTA_RANGE) + MOOD_DELTA_RANGE) / (2 * MOOD_DELTA_RANGE)) * 10),
+    factor('streak', 10, streak, (Math.min(streak, STREAK_TARGET) / STREAK_TARGET) * 10),
+    factor('stake', 10, totalStaked, Math.min(1, Math.log1p(totalStaked) / Math.log1p(STAKE_SATURATION)) * 10)
+  ], { from, to, days: WINDOW_DAYS }, {
+    streak,
+    emotionalStability: computeEmotionalStability(recentMoods),
+    avgMorningEnergy: round1(avgEnergy),
+    avgSunsetMood: round1(average(recentMoods, DEFAULT_MOOD)),
+    totalStaked,
+    completionRate: completionRate === null ? null : round1(completionRate * 100) / 100
+  });
+}
+
+/**
+ * Published model versions, oldest first. Add a new entry (never edit an old
+ * one) when the formula changes, and describe what consumers will notice.
+ */
+const MODELS = {
+  1: {
+    version: '1',
+    score: scoreV1,
+    changes: [
+      'Energy 40, stake min(40, staked × 2), streak min(20, streak × 5)',
+      'Windows: last 7 daily summaries, last 14 reflections'
+    ]
+  },
+  2: {
+    version: '2',
+    score: scoreV2,
+    changes: [
+      'Adds mission completion rate (30) from the evening audit',
+      'Adds consistency (20): days with any log in a 14-day calendar window',
+      'Adds mood delta (10): this week\'s average sunset mood against last week\'s',
+      'Energy reweighted 40 → 20, streak 20 → 10 (full at 5 days)',
+      'Stake capped at 10 and log-scaled (full at 50 cUSD) so staking alone cannot reach Stable'
+    ]
+  }
+};
+
+/**
+ * Published versions and their changelog (newest last)
+ * @returns {{current: string, models: {version: string, changes: string[]}[]}}
+ */
+function describeModels() {
+  return {
+    current: CURRENT_MODEL,
+    models: Object.values(MODELS).map(({ version, changes }) => ({ version, changes }))
+  };
+}
+
+/**
+ * Score a user's history. Every version also reports moodLift: the average
+ * same-day change from morning energy to sunset mood in the score window
+ * (reported only, not part of any formula).
+ * @param {object} history - { summaries, reflections, audits, days, totalStaked, asOf }
+ * @param {object} [opts] - { version: pin a published model (default: current) }
+ * @returns {{modelVersion: string, gritScore: number, status: string, streak: number,
+ *   emotionalStability: number, avgMorningEnergy: number, avgSunsetMood: number,
+ *   totalStaked: number, completionRate: number|null, moodLift: number|null,
+ *   window: {from: string|null, to: string|null, days: number},
+ *   factors: {name: string, weight: number, value: number|null, contribution: number}[],
+ *   components: Object<string, number>}}
+ */
+function computeDisciplineScore(history = {}, { version = CURRENT_MODEL } = {}) {
+  const model = MODELS[String(version)];
+  if (!model) throw new Error(`Unknown scoring model version: ${version}`);
+  const score = model.score(history || {});
+  const { from, to } = score.window;
+  const days = ((history && history.days) || []).filter(d => !from || (d.date >= from && d.date <= to));
+  return { ...score, moodLift: averageMoodDelta(days) };
+}
+
+/**
+ * Public Behavioral Oracle payload (REST + MCP)
+ * @param {number} telegramId
+ * @param {object} score - computeDisciplineScore() result
+ * @param {object} [opts] - { breakdown: include per-factor component scores }
+ */
+function formatScoreReport(telegramId, score, { breakdown = false } = {}) {
+  return {
+    agent: 'MyDay Guardian (#7)',
+    chain: 'Celo L2 (42220)',
+    telegram_id: telegramId,
+    model_version: score.modelVersion,
+    grit_score: score.gritScore,
+    streak: score.streak,
+    emotional_stability_index: score.emotionalStability,
+    status: score.status,
+    avg_morning_energy: score.avgMorningEnergy,
+    avg_sunset_mood: score.avgSunsetMood,
+    completion_rate: score.completionRate,
+    avg_mood_lift: score.moodLift,
+    total_staked_cUSD: score.totalStaked,
+    window: score.window,
+    factors: score.factors,
+    ...(breakdown ? { components: score.components } : {})
+  };
+}
+
+module.exports = {
+  CURRENT_MODEL,
+  computeDisciplineScore,
+  formatScoreReport,
+  describeModels,
+  computeStreak,
+  computeEmotionalStability
+};
@@ -0,0 +1,98 @@
+/**
+ * Weekly Roundup — the Friday summary (and /week on demand)
+ *
+ * Pure helpers: build the week's numbers from Database.getWeekHistory and
+ * format them with the Brain's insight. Sent by the scheduler's weekly job
+ * (src/services/scheduler.js) and by the /week command (src/bot.js).
+ */
+
+const { escapeMarkdown } = require('../agent/output');
+
+// Stakes that were actually paid in; pending payments are left out
+const FUNDED_STAKE_STATUSES = ['funded', 'settling', 'settled', 'forfeited', 'refunded'];
+// Funded stakes not closed yet (settling = settlement transfers in flight)
+const OPEN_STAKE_STATUSES = ['funded', 'settling'];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function average(values) {
+  const present = values.map(Number).filter(v => Number.isFinite(v) && v > 0);
+  return present.length ? round1(present.reduce((a, b) => a + b, 0) / present.length) : null;
+}
+
+/**
+ * The week's numbers
+ * @param {object} history - Database.getWeekHistory result ({ from, to, days, stakes })
+ * @param {object} [options]
+ * @param {number} [options.streak] - from the scoring engine
+ * @returns {object} { from, to, days, avgEnergy, avgMood, missionsPlanned, missionsCompleted,
+ *   completionRate, stakes: { count, staked, released, forfeited, open }, streak }
+ */
+function buildWeeklyRoundup(history, { streak = 0 } = {}) {
+  const { from, to, days = [], stakes = [] } = history;
+
+  // Days without an evening audit fall back to the wins reported at sunset
+  const missionsPlanned = days.reduce((sum, d) => sum + (d.missions_planned || 0), 0);
+  const missionsCompleted = days.reduce((sum, d) => {
+    const completed = d.missions_completed !== null ? d.missions_completed : (d.wins || 0);
+    return sum + Math.min(completed, d.missions_planned || 0);
+  }, 0);
+
+  const funded = stakes.filter(s => FUNDED_STAKE_STATUSES.includes(s.status));
+  const closed = funded.filter(s => !OPEN_STAKE_STATUSES.includes(s.status));
+  const sum = (list, field) => round2(list.reduce((total, s) => total + Number(s[field] || 0), 0));
+
+  return {
+    from,
+    to,
+    days,
+    avgEnergy: average(days.map(d => d.morning_energy)),
+    avgMood: average(days.map(d => d.evening_mood)),
+    missionsPlanned,
+    missionsCompleted,
+    completionRate: missionsPlanned ? Math.round((missionsCompleted / missionsPlanned) * 100) : null,
+    stakes: {
+      count: funded.length,
+      staked: sum(funded, 'amount'),
+      released: sum(closed, 'released_amount'),
+      forfeited: sum(closed, 'forfeited_amount'),
+      open: funded.length - closed.length
+    },
+    streak
+  };
+}
+
+/**
+ * Telegram message (Markdown) for a roundup and the Brain's insight (already Markdown-safe)
+ */
+function formatWeeklyRoundup(userName, roundup, insight) {
+  const lines = [`📣 *Weekly Roundup* — ${roundup.from} → ${roundup.to}`, ''];
+
+  if (!roundup.days.length && !roundup.missionsPlanned) {
+    lines.push(`No check-ins this week${userName ? `, ${escapeMarkdown(userName)}` : ''}. Send /morning to start a fresh one. 🌱`);
+    return lines.join('\n');
+  }
+
+  lines.push(`🔋 Avg morning energy: *${roundup.avgEnergy != null ? `${roundup.avgEnergy}/5` : '—'}*`);
+  lines.push(`🌅 Avg sunset mood: *${roundup.avgMood != null ? `${roundup.avgMood}/5` : '—'}*`);
+  lines.push(`🎯 Missions: *${roundup.missionsCompleted}/${roundup.missionsPlanned}* completed${roundup.completionRate != null ? ` (${roundup.completionRate}%)` : ''}`);
+
+  const { stakes } = roundup;
+  if (stakes.count) {
+    const parts = [`${stakes.staked} cUSD staked`, `${stakes.released} released`, `${stakes.forfeited} forfeited`];
+    if (stakes.open) parts.push(`${stakes.open} still open`);
+    lines.push(`💎 Stakes: ${parts.join(' · ')}`);
+  } else {
+    lines.push('💎 Stakes: none this week');
+  }
+  lines.push(`🔥 Streak: *${roundup.streak}* day${roundup.streak === 1 ? '' : 's'}`);
+
+  if (insight) lines.push('', `💡 ${insight}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildWeeklyRoundup,
+  formatWeeklyRoundup
+};
@@ -0,0 +1,69 @@
+/**
+ * Bot Session Store — conversation state that survives restarts
+ *
+ * Flow state (which step of the Mission Briefing / Audit / Sunset Reflection a
+ * user is in, plus the answers so far) lives behind a small key-value
+ * interface with per-entry TTLs:
+ *
+ *   getSession(key) · setSession(key, value, ttlSeconds) · deleteSession(key) · purgeExpiredSessions()
+ *
+ * Backends, picked by SESSION_STORE:
+ *   supabase — the Database adapter itself (`bot_sessions` table, migration 006); default when Supabase is configured
+ *   redis    — RedisSessionStore over an injected client, or ioredis on REDIS_URL
+ *              (an optional dependency; without it Supabase is used when configured)
+ *   memory   — MemorySessionStore; default otherwise (lost on restart)
+ *
+ * Flow steps declare their own TTLs (src/flows) so a flow abandoned
+ * yesterday does not capture today's messages.
+ */
+
+const MemorySessionStore = require('./memoryStore');
+const RedisSessionStore = require('./redisStore');
+
+const HOUR = 60 * 60;
+
+// A sunset reflection deferred by the scheduler is dropped if the user never finishes their flow
+const PENDING_SUNSET_TTL = 4 * HOUR;
+
+/**
+ * Build the session store selected by SESSION_STORE
+ * @param {object} [options] - { kind, db, redisClient, redisUrl }
+ */
+function createSessionStore(options = {}) {
+  const db = options.db || null;
+  const kind = options.kind || process.env.SESSION_STORE || (db && db.client ? 'supabase' : 'memory');
+
+  if (kind === 'supabase') {
+    if (!db || !db.client) throw new Error('SESSION_STORE=supabase needs a configured Supabase database');
+    return db;
+  }
+
+  if (kind === 'redis') {
+    let client = options.redisClient;
+    if (!client) {
+      const url = options.redisUrl || process.env.REDIS_URL;
+      if (!url) throw new Error('SESSION_STORE=redis needs REDIS_URL');
+      let Redis;
+      try {
+        Redis = require('ioredis');
+      } catch (e) {
+        if (!db || !db.client) throw new Error('SESSION_STORE=redis needs the ioredis package (npm install ioredis)');
+        console.warn('⚠ SESSION_STORE=redis but the ioredis package is not installed — keeping bot sessions in Supabase');
+        return db;
+      }
+      client = new Redis(url);
+    }
+    return new RedisSessionStore(client);
+  }
+
+  if (kind !== 'memory') throw new Error(`Unknown SESSION_STORE: ${kind}`);
+  console.warn('⚠ Bot sessions kept in memory — users mid-flow are reset on restart');
+  return new MemorySessionStore();
+}
+
+module.exports = {
+  createSessionStore,
+  PENDING_SUNSET_TTL,
+  MemorySessionStore,
+  RedisSessionStore
+};
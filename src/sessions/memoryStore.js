@@ -0,0 +1,59 @@
+/**
+ * In-memory session store — the default when Supabase is not configured
+ *
+ * Same interface as the Supabase (Database) and Redis stores:
+ *   getSession(key)                    → value | null (expired entries read as null)
+ *   setSession(key, value, ttlSeconds) → true
+ *   deleteSession(key)                 → true
+ *   compareAndSetSession(key, rev, value, ttlSeconds)
+ *                                      → true when the stored session's `rev` was
+ *                                        still `rev` (null: none) and it was replaced
+ *
+ * Sessions are lost on restart; use it for local runs and smoke tests.
+ */
+
+class MemorySessionStore {
+  constructor() {
+    this.entries = new Map(); // key → { value, expiresAt }
+  }
+
+  async getSession(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  async setSession(key, value, ttlSeconds) {
+    // Stored serialized so callers never share (and mutate) a live object
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+    return true;
+  }
+
+  // Checked and written without awaiting in between, so it is atomic within the process
+  async compareAndSetSession(key, rev, value, ttlSeconds) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return false;
+    if ((JSON.parse(entry.value).rev || null) !== rev) return false;
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+    return true;
+  }
+
+  async deleteSession(key) {
+    this.entries.delete(key);
+    return true;
+  }
+
+  async purgeExpiredSessions() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+    return true;
+  }
+}
+
+module.exports = MemorySessionStore;
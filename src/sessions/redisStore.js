@@ -0,0 +1,68 @@
+/**
+ * Redis session store — wraps any Redis-compatible client
+ *
+ * Works with ioredis (`set(key, value, 'EX', ttl)`) and node-redis v4
+ * (`setEx(key, ttl, value)`), or anything else exposing get/set/del/eval with
+ * the same shapes (Upstash, KeyDB, Dragonfly). Expiry is left to Redis.
+ */
+
+// Replace the value only while its `rev` is still ARGV[1] ('' when it has none)
+const COMPARE_AND_SET = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return 0 end
+local value = cjson.decode(raw)
+local rev = type(value) == 'table' and value.rev or ''
+if rev == cjson.null then rev = '' end
+if rev ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+return 1
+`;
+
+class RedisSessionStore {
+  /**
+   * @param {object} client - connected Redis client
+   * @param {object} [options] - { prefix: key namespace (default 'myday:') }
+   */
+  constructor(client, { prefix = 'myday:' } = {}) {
+    if (!client) throw new Error('RedisSessionStore needs a Redis client');
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async getSession(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async setSession(key, value, ttlSeconds) {
+    const raw = JSON.stringify(value);
+    const ttl = Math.max(1, Math.ceil(ttlSeconds));
+    if (typeof this.client.setEx === 'function') {
+      await this.client.setEx(this.prefix + key, ttl, raw);
+    } else {
+      await this.client.set(this.prefix + key, raw, 'EX', ttl);
+    }
+    return true;
+  }
+
+  async compareAndSetSession(key, rev, value, ttlSeconds) {
+    const args = [rev || '', JSON.stringify(value), String(Math.max(1, Math.ceil(ttlSeconds)))];
+    // node-redis v4 takes { keys, arguments }; ioredis takes numKeys then keys and args
+    const replaced = typeof this.client.setEx === 'function'
+      ? await this.client.eval(COMPARE_AND_SET, { keys: [this.prefix + key], arguments: args })
+      : await this.client.eval(COMPARE_AND_SET, 1, this.prefix + key, ...args);
+    return Number(replaced) === 1;
+  }
+
+  async deleteSession(key) {
+    await this.client.del(this.prefix + key);
+    return true;
+  }
+
+  // Redis expires keys itself
+  async purgeExpiredSessions() {
+    return true;
+  }
+}
+
+module.exports = RedisSessionStore;
@@ -0,0 +1,145 @@
+/**
+ * Telegram Delivery — retries with backoff and a per-user delivery log
+ *
+ * Wraps a TelegramBot's sendMessage so every outbound message:
+ *   - retries 429 (honouring retry_after) and 5xx with exponential backoff;
+ *     other 4xx (blocked bot, bad request) fail at once, and so do network
+ *     failures unless the connection was never made (the message may already
+ *     have reached Telegram, and a retry would send it twice)
+ *   - is written to the `deliveries` log (migration 009) when it belongs to a
+ *     scheduled nudge, or when it finally fails
+ *
+ * Scheduled nudges run inside track(kind, fn): every message fn sends is
+ * logged under that kind and the outcome is returned, so the scheduler can
+ * tell a delivered nudge from one Telegram rejected.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+// Connection errors raised before any request bytes went out
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function statusOf(error) {
+  return (error && error.response && error.response.statusCode) || null;
+}
+
+/**
+ * Did a transport error (EFATAL) happen before the request could reach Telegram?
+ * node-telegram-bot-api keeps the socket error down its `cause` chain.
+ */
+function neverSent(error) {
+  for (let e = error, depth = 0; e && depth < 5; e = e.cause, depth++) {
+    if (NOT_SENT_CODES.includes(e.code)) return true;
+  }
+  return false;
+}
+
+/**
+ * 429 and 5xx are worth retrying; a transport error (EFATAL) only when it certainly was never sent
+ */
+function isRetryable(error) {
+  const status = statusOf(error);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return !!error && error.code === 'EFATAL' && neverSent(error);
+}
+
+/**
+ * Milliseconds to wait before attempt `attempt + 1`
+ */
+function retryDelay(error, attempt) {
+  const body = error && error.response && error.response.body;
+  const retryAfter = body && body.parameters && body.parameters.retry_after;
+  if (retryAfter) return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  const backoff = BASE_DELAY_MS * 2 ** (attempt - 1);
+  return Math.min(backoff + Math.floor(Math.random() * BASE_DELAY_MS / 2), MAX_DELAY_MS);
+}
+
+class Delivery {
+  /**
+   * @param {object} deps
+   * @param {Function} deps.send - raw (chatId, text, options) => Promise<message>
+   * @param {object} [deps.log] - store with logDelivery(entry) (the Database adapter)
+   * @param {Function} [deps.sleep] - injectable for tests
+   */
+  constructor({ send, log = null, sleep: wait = sleep }) {
+    this.rawSend = send;
+    this.log = log;
+    this.sleep = wait;
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Send with retries; resolves with the Telegram message or rejects with the last error
+   */
+  async send(chatId, text, options) {
+    const tracked = this.context.getStore() || null;
+    let attempt = 0;
+    for (;;) {
+      attempt += 1;
+      try {
+        const message = await this.rawSend(chatId, text, options);
+        if (tracked) {
+          tracked.sent += 1;
+          await this._log({ chatId, kind: tracked.kind, status: 'sent', attempts: attempt, message, jobRunId: tracked.jobRunId });
+        }
+        return message;
+      } catch (error) {
+        if (attempt < MAX_ATTEMPTS && isRetryable(error)) {
+          await this.sleep(retryDelay(error, attempt));
+          continue;
+        }
+        if (tracked) tracked.errors.push(error);
+        await this._log({ chatId, kind: tracked ? tracked.kind : 'reply', status: 'failed', attempts: attempt, error, jobRunId: tracked && tracked.jobRunId });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Run fn with its sends attributed to `kind`. A failed send is reported in
+   * `errors` whether or not fn caught it.
+   * @returns {Promise<{result: any, sent: number, errors: Error[]}>}
+   */
+  async track(kind, fn, { jobRunId = null } = {}) {
+    const tracked = { kind, jobRunId, sent: 0, errors: [] };
+    let result;
+    try {
+      result = await this.context.run(tracked, fn);
+    } catch (error) {
+      if (!tracked.errors.includes(error)) tracked.errors.push(error);
+    }
+    return { result, sent: tracked.sent, errors: tracked.errors };
+  }
+
+  async _log({ chatId, kind, status, attempts, message = null, error = null, jobRunId = null }) {
+    if (!this.log || typeof this.log.logDelivery !== 'function') return;
+    try {
+      await this.log.logDelivery({
+        telegram_id: Number(chatId),
+        kind,
+        status,
+        attempts,
+        message_id: message && message.message_id ? message.message_id : null,
+        error_code: statusOf(error),
+        error: error ? String(error.message || error).slice(0, 500) : null,
+        job_run_id: jobRunId
+      });
+    } catch (e) {
+      // The log must never break delivery
+      console.error('Delivery log write failed:', e.message || e);
+    }
+  }
+}
+
+module.exports = {
+  Delivery,
+  isRetryable,
+  retryDelay,
+  MAX_ATTEMPTS
+};
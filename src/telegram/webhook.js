@@ -0,0 +1,90 @@
+/**
+ * Telegram Webhook — receive updates over HTTPS instead of long polling
+ *
+ * Long polling allows one consumer per bot token, so two Railway replicas
+ * fight over getUpdates (the 409 handling in src/bot.js). In webhook mode
+ * Telegram POSTs each update to the Express app and any instance behind the
+ * load balancer can handle it — flow state lives in the shared session store
+ * (src/sessions), not in process memory.
+ *
+ *   TELEGRAM_WEBHOOK_URL     public base URL (e.g. https://myday.up.railway.app); enables webhook mode
+ *   TELEGRAM_WEBHOOK_SECRET  secret_token Telegram echoes in X-Telegram-Bot-Api-Secret-Token (required)
+ *   TELEGRAM_WEBHOOK_PATH    route path (default /telegram/webhook)
+ *   TELEGRAM_WEBHOOK_UNREGISTER_ON_EXIT
+ *                            true deletes the webhook on shutdown (default false: the webhook is
+ *                            shared by every replica, and one exiting must not silence the rest)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_WEBHOOK_PATH = '/telegram/webhook';
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// Updates the bot handles — Telegram skips delivering anything else
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+
+/**
+ * Resolve webhook settings from the environment
+ * @returns {object|null} { url, path, secret, unregisterOnExit } or null for polling mode
+ */
+function webhookConfig(env = process.env) {
+  if (!env.TELEGRAM_WEBHOOK_URL) return null;
+  const secret = env.TELEGRAM_WEBHOOK_SECRET;
+  // Telegram accepts 1-256 characters of A-Z, a-z, 0-9, _ and -
+  if (!secret || !/^[A-Za-z0-9_-]{1,256}$/.test(secret)) {
+    throw new Error('TELEGRAM_WEBHOOK_URL needs TELEGRAM_WEBHOOK_SECRET (1-256 chars of A-Z a-z 0-9 _ -)');
+  }
+  const path = env.TELEGRAM_WEBHOOK_PATH || DEFAULT_WEBHOOK_PATH;
+  const url = env.TELEGRAM_WEBHOOK_URL.replace(/\/+$/, '') + path;
+  const unregisterOnExit = String(env.TELEGRAM_WEBHOOK_UNREGISTER_ON_EXIT || '').toLowerCase() === 'true';
+  return { url, path, secret, unregisterOnExit };
+}
+
+function secretMatches(received, secret) {
+  const a = Buffer.from(String(received || ''));
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Mount the webhook receiver on an Express app (express.json() must run first)
+ * @param {import('express').Express} app
+ * @param {object} deps
+ * @param {object} deps.config - webhookConfig() result
+ * @param {object|Function} deps.bot - MyDayBot, or a getter (null until the bot is up)
+ */
+function mountTelegramWebhook(app, deps) {
+  const { config } = deps;
+  const botOf = () => (typeof deps.bot === 'function' ? deps.bot() : deps.bot) || null;
+
+  app.post(config.path, (req, res) => {
+    if (!secretMatches(req.get(SECRET_HEADER), config.secret)) {
+      return res.status(401).json({ error: 'invalid secret token' });
+    }
+
+    // Telegram redelivers on non-2xx, so updates that arrive during startup are not lost
+    const bot = botOf();
+    if (!bot) return res.status(503).json({ error: 'bot starting' });
+
+    const update = req.body;
+    if (!update || typeof update.update_id !== 'number') {
+      return res.status(400).json({ error: 'invalid update' });
+    }
+
+    // Acknowledge first: handlers reply through the Bot API, and a slow
+    // handler must not make Telegram retry (and double-process) the update
+    res.sendStatus(200);
+    try {
+      bot.processUpdate(update);
+    } catch (err) {
+      console.error('Telegram webhook update error:', err.message || err);
+    }
+  });
+}
+
+module.exports = {
+  webhookConfig,
+  mountTelegramWebhook,
+  ALLOWED_UPDATES,
+  DEFAULT_WEBHOOK_PATH
+};
@@ -1,12 +1,13 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { ethers } = require('ethers');
-const { verifyMessage, id, getAddress } = ethers;
+const { verifyMessage } = ethers;
 const Database = require('../database/init');
 const bodyParser = require('body-parser');
-const { verifyPayment, buildPaymentRequirements, CELO_CUSD_ADDRESS } = require('../x402/middleware');
-
-const keccak256 = id; // Alias for compatibility
+const { settleIntentPayment, buildPaymentRequirements } = require('../x402/middleware');
+const { stakeToken } = require('../x402/tokens');
+const createPaymentIntents = require('../x402/intents');
+const { createFacilitator, txHashPayload, describeVerification } = require('../x402/facilitator');
 
 const app = express();
 app.use(bodyParser.json());
@@ -16,6 +17,8 @@ const limiter = rateLimit({ windowMs: 60 * 60 * 1000, max: 100 });
 app.use(limiter);
 
 const db = new Database();
+const intents = createPaymentIntents({ store: db, privateKey: process.env.PRIVATE_KEY });
+const facilitator = createFacilitator();
 
 const REGISTERED_AGENT_ADDRESS = process.env.REGISTERED_AGENT_ADDRESS || '0x2C7CE8dc27283beFD939adC894798A52c03A9AEB';
 
@@ -68,73 +71,48 @@ app.post('/verify', async (req, res) => {
 
 /**
  * Webhook: MiniPay /api/verify
- * Expected payload: { tx_hash, telegramUserId, amount, currency }
+ * Expected payload: { tx_hash, telegramUserId, intent? }
+ * The tx must pay an outstanding /x402/stake intent issued to telegramUserId;
+ * the credited amount is the on-chain amount, never the request body's.
  */
 const apiVerifyHandler = async (req, res) => {
   try {
-    const { tx_hash, telegramUserId, amount = 0, currency = 'cUSD' } = req.body;
+    const { tx_hash, telegramUserId, intent: intentToken = null, currency = 'cUSD' } = req.body;
     if (!tx_hash || !telegramUserId) {
       return res.status(400).json({ success: false, error: 'Missing tx_hash or telegramUserId' });
     }
 
-    // Prevent duplicates
-    try {
-      await db.waitReady();
-      const seen = await db.hasProcessedTransaction(tx_hash);
-      if (seen) return res.status(409).json({ success: false, error: 'already_processed' });
-    } catch (e) {
-      console.error('DB check error:', e);
+    const VAULT = process.env.VAULT_ADDRESS || '';
+    if (!VAULT) {
+      return res.status(503).json({ success: false, error: 'VAULT_ADDRESS not configured' });
     }
 
-    const rpc = process.env.RPC_URL || 'https://forno.celo.org';
-    // Celo Mainnet — hardcoded, no testnet fallback
-    const chainId = 42220;
-    const provider = new ethers.JsonRpcProvider(rpc, chainId);
-
-    let tx;
     try {
-      tx = await provider.getTransaction(tx_hash);
-    } catch (netErr) {
-      // Network unavailable (expected in offline environments)
-      console.error('RPC network error:', netErr.message);
-      return res.status(503).json({ success: false, error: 'network_unavailable' });
-    }
-    
-    if (!tx) {
-      return res.status(404).json({ success: false, error: 'tx_not_found' });
-    }
-
-    const VAULT = (process.env.VAULT_ADDRESS || '').toLowerCase();
-
-    // Check direct 'to' match
-    const toMatch = tx.to && tx.to.toLowerCase() === VAULT;
-
-    // If not direct, check receipt logs for ERC20 Transfer to vault
-    let transferToVault = false;
-    const receipt = await provider.getTransactionReceipt(tx_hash);
-    if (receipt && receipt.logs && receipt.logs.length > 0) {
-      const transferTopic = keccak256('Transfer(address,address,uint256)');
-      const vaultAddr = getAddress(VAULT || '0x0000000000000000000000000000000000000000');
-      const vaultTopic = ethers.toBeHex(vaultAddr, 32).toLowerCase();
-      for (const log of receipt.logs) {
-        if (!log.topics || log.topics.length < 3) continue;
-        if (log.topics[0].toLowerCase() === transferTopic.toLowerCase()) {
-          if (log.topics[2].toLowerCase() === vaultTopic) {
-            transferToVault = true;
-            break;
-          }
-        }
-      }
+      await db.waitReady();
+    } catch (e) {
+      console.error('DB init error:', e);
     }
 
-    if (!toMatch && !transferToVault) {
-      return res.status(400).json({ success: false, error: 'to_address_mismatch' });
+    const settled = await settleIntentPayment({
+      intents,
+      proofStore: db,
+      facilitator,
+      txHash: tx_hash,
+      token: intentToken,
+      resource: '/x402/stake',
+      vault: VAULT,
+      telegramId: telegramUserId
+    });
+    if (!settled.ok) {
+      const error = settled.body.error === 'payment_already_used' ? 'already_processed' : (settled.body.reason || settled.body.error);
+      return res.status(settled.status).json({ success: false, error });
     }
+    const amount = settled.verification.amount;
 
     // Record processed tx and credit user's vault
     try {
-      await db.recordProcessedTransaction(tx_hash, telegramUserId, amount, currency, { tx: tx, receipt: receipt });
-      await db.creditUserVault(telegramUserId, Number(amount) || 0);
+      await db.recordProcessedTransaction(tx_hash, telegramUserId, amount, currency, { intentId: settled.intent.id, blockNumber: settled.verification.blockNumber });
+      await db.creditUserVault(telegramUserId, amount, tx_hash);
     } catch (e) {
       console.error('DB write error:', e);
       return res.status(500).json({ success: false, error: 'db_error' });
@@ -171,22 +149,68 @@ app.post('/api/verify', apiVerifyHandler);
 
 /**
  * x402 Protocol Verification — POST /x402/verify
- * Uses the x402 middleware's verifyPayment for clean on-chain verification.
+ * Verifies through the configured x402 facilitator (X402_FACILITATOR).
+ * With telegramUserId, the payment must also settle that user's outstanding
+ * /x402/stake intent before the vault is credited.
  * This endpoint is called by x402-aware agents and clients.
  */
 app.post('/x402/verify', async (req, res) => {
   try {
-    const { txHash, tx_hash, expectedAmount = 0.10, telegramUserId } = req.body || {};
+    const { txHash, tx_hash, expectedAmount = 0.10, telegramUserId, intent = null } = req.body || {};
     const hash = txHash || tx_hash;
 
     if (!hash) return res.status(400).json({ success: false, error: 'missing txHash' });
 
     const vault = process.env.VAULT_ADDRESS || '';
-    const rpc = process.env.RPC_URL || 'https://forno.celo.org';
 
     if (!vault) return res.status(503).json({ success: false, error: 'VAULT_ADDRESS not configured' });
 
-    const result = await verifyPayment(hash, vault, expectedAmount, rpc);
+    // Crediting a user requires the payment to settle that user's intent
+    if (telegramUserId) {
+      try {
+        await db.waitReady();
+      } catch (e) {
+        console.error('x402 verifier DB error:', e);
+      }
+      const settled = await settleIntentPayment({
+        intents,
+        proofStore: db,
+        facilitator,
+        txHash: hash,
+        token: intent,
+        resource: '/x402/stake',
+        vault,
+        telegramId: telegramUserId
+      });
+      if (!settled.ok) {
+        return res.status(settled.status).json({ success: false, protocol: 'x402', ...settled.body });
+      }
+      const { verification } = settled;
+      try {
+        await db.recordProcessedTransaction(hash, telegramUserId, verification.amount, 'cUSD', { protocol: 'x402', verified: true, intentId: settled.intent.id });
+        await db.creditUserVault(telegramUserId, verification.amount, hash);
+      } catch (e) {
+        console.error('x402 verifier DB error:', e);
+      }
+      return res.json({
+        success: true,
+        protocol: 'x402',
+        verified: true,
+        txHash: hash,
+        intentId: settled.intent.id,
+        amount: verification.amount,
+        from: verification.from,
+        blockNumber: verification.blockNumber
+      });
+    }
+
+    const requirements = buildPaymentRequirements({
+      payTo: vault,
+      amount: ethers.parseUnits(String(expectedAmount), stakeToken().decimals).toString(),
+      asset: stakeToken().address,
+      resource: '/x402/verify'
+    });
+    const result = describeVerification(await facilitator.verify(txHashPayload(hash), requirements), hash);
 
     if (!result.valid) {
       return res.status(402).json({
@@ -197,17 +221,6 @@ app.post('/x402/verify', async (req, res) => {
       });
     }
 
-    // Credit user vault if telegram ID provided
-    if (telegramUserId) {
-      try {
-        await db.waitReady();
-        await db.recordProcessedTransaction(hash, telegramUserId, result.amount, 'cUSD', { protocol: 'x402', verified: true });
-        await db.creditUserVault(telegramUserId, result.amount);
-      } catch (e) {
-        console.error('x402 verifier DB error:', e);
-      }
-    }
-
     return res.json({
       success: true,
       protocol: 'x402',
@@ -0,0 +1,314 @@
+/**
+ * x402 Facilitators — verify and settle "exact" scheme payments
+ *
+ * A facilitator implements two calls, mirroring the x402 facilitator API:
+ *
+ *   verify(paymentPayload, requirements)
+ *     → { isValid, invalidReason?, payer, asset, amountWei, transaction?, blockNumber?, paidAt?, logIndexes? }
+ *   settle(paymentPayload, requirements)
+ *     → { success, errorReason?, transaction, network, payer, asset, amountWei, blockNumber, logIndexes }
+ *
+ * Two payload forms are accepted (both decoded from X-PAYMENT):
+ *
+ *   Broadcast transfer — the client already paid; verify inspects the tx and
+ *   settle is a no-op:
+ *     { x402Version: 1, scheme: 'exact', network, payload: { txHash } }
+ *
+ *   Signed EIP-3009 authorization — the client never touches gas; settle
+ *   submits transferWithAuthorization from the facilitator's wallet:
+ *     { x402Version: 1, scheme: 'exact', network,
+ *       payload: { signature, authorization: { from, to, value, validAfter, validBefore, nonce } } }
+ *
+ * A failed settle() reports errorReason 'settlement_pending' (with the tx
+ * hash) when the authorization was submitted but its outcome is unknown;
+ * any other errorReason means no funds moved.
+ *
+ * For broadcast transfers, requirements.maxAmountRequired is a floor and the
+ * amount paid in requirements.asset is reported back (zero when the tx pays in
+ * another token); for authorizations, value must match exactly and the token
+ * must publish an EIP-712 domain (requirements.extra.name/version).
+ * Amounts are always base units of requirements.asset.
+ *
+ * Implementations:
+ *   OnchainFacilitator — Celo RPC (this file)
+ *   MockFacilitator    — in-memory ledger for tests and local runs (./mockFacilitator.js)
+ */
+
+const { ethers } = require('ethers');
+const { sharedSigner } = require('../blockchain/signer');
+const { verifyPayment, CELO_CHAIN_ID, CELO_NETWORK, TRANSFER_EVENT_TOPIC, DEFAULT_MAX_PROOF_AGE_BLOCKS } = require('./middleware');
+const { getToken, toTokenUnits } = require('./tokens');
+
+const EIP3009_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)',
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)'
+];
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+// An authorization must stay valid long enough for the settlement tx to land
+const VALID_BEFORE_BUFFER_SECONDS = 6;
+
+// How long settle() waits for its transferWithAuthorization to confirm
+const SETTLE_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Wrap a bare tx hash as an "exact" scheme payment payload
+ */
+function txHashPayload(txHash, network = CELO_NETWORK) {
+  return { x402Version: 1, scheme: 'exact', network, payload: { txHash } };
+}
+
+/**
+ * Flatten a verify() result for API/MCP responses (keeps the legacy
+ * verifyPayment fields: valid, amount, from, txHash)
+ */
+function describeVerification(result, txHash) {
+  const token = getToken(result.asset);
+  return {
+    valid: result.isValid,
+    ...(result.invalidReason ? { error: result.invalidReason } : {}),
+    amount: result.amountWei ? toTokenUnits(result.asset, result.amountWei) : 0,
+    amountWei: result.amountWei || '0',
+    asset: result.asset || null,
+    symbol: token ? token.symbol : null,
+    from: result.payer || '',
+    txHash,
+    blockNumber: result.blockNumber
+  };
+}
+
+/**
+ * Stateless checks on a signed authorization: recipient, exact value,
+ * validity window and the EIP-712 signature. Chain state
+ * (nonce use, balance) is left to the facilitator.
+ * @returns {{isValid: boolean, invalidReason?: string, payer?: string, amountWei?: string}}
+ */
+function checkAuthorization(paymentPayload, requirements, chainId) {
+  const auth = paymentPayload.payload.authorization;
+  const signature = paymentPayload.payload.signature;
+  const payer = auth.from;
+  if (!signature) return { isValid: false, invalidReason: 'invalid_payload', payer };
+  if (!requirements.extra || !requirements.extra.name || !requirements.extra.version) {
+    return { isValid: false, invalidReason: 'unsupported_asset', payer };
+  }
+
+  let value;
+  try {
+    value = BigInt(auth.value);
+  } catch (e) {
+    return { isValid: false, invalidReason: 'invalid_payload', payer };
+  }
+  if (String(auth.to).toLowerCase() !== String(requirements.payTo).toLowerCase()) {
+    return { isValid: false, invalidReason: 'invalid_recipient', payer };
+  }
+  if (value !== BigInt(requirements.maxAmountRequired)) {
+    return { isValid: false, invalidReason: 'invalid_amount', payer };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Number(auth.validAfter) > now) return { isValid: false, invalidReason: 'authorization_not_yet_valid', payer };
+  if (Number(auth.validBefore) < now + VALID_BEFORE_BUFFER_SECONDS) {
+    return { isValid: false, invalidReason: 'authorization_expired', payer };
+  }
+
+  const domain = {
+    name: requirements.extra.name,
+    version: requirements.extra.version,
+    chainId,
+    verifyingContract: requirements.asset
+  };
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, auth, signature);
+  } catch (e) {
+    return { isValid: false, invalidReason: 'invalid_signature', payer };
+  }
+  if (signer.toLowerCase() !== String(payer).toLowerCase()) {
+    return { isValid: false, invalidReason: 'invalid_signature', payer };
+  }
+
+  return { isValid: true, payer, asset: requirements.asset, amountWei: String(value) };
+}
+
+/**
+ * Envelope checks shared by every facilitator
+ * @returns {{invalidReason: string}|null}
+ */
+function checkEnvelope(paymentPayload, requirements) {
+  const inner = paymentPayload && paymentPayload.payload;
+  if (!inner || !(inner.txHash || inner.authorization)) return { invalidReason: 'invalid_payload' };
+  if (paymentPayload.scheme && paymentPayload.scheme !== 'exact') return { invalidReason: 'unsupported_scheme' };
+  if (paymentPayload.network && paymentPayload.network !== requirements.network) return { invalidReason: 'invalid_network' };
+  return null;
+}
+
+class OnchainFacilitator {
+  /**
+   * @param {object} options
+   * @param {string} options.rpcUrl
+   * @param {string} [options.privateKey] - Agent key that pays gas for authorization settlement
+   *   (PRIVATE_KEY); without it only broadcast transfers can be accepted
+   * @param {number} [options.chainId] - Defaults to CHAIN_ID env or Celo Mainnet (42220)
+   * @param {number} [options.maxAgeBlocks] - Oldest broadcast transfer accepted (X402_MAX_PROOF_AGE_BLOCKS)
+   * @param {number} [options.confirmations] - Confirmations to wait for on settlement
+   */
+  constructor({ rpcUrl, privateKey = null, chainId, maxAgeBlocks = DEFAULT_MAX_PROOF_AGE_BLOCKS, confirmations = 1 }) {
+    this.rpcUrl = rpcUrl;
+    this.chainId = Number(chainId || process.env.CHAIN_ID || CELO_CHAIN_ID);
+    this.maxAgeBlocks = maxAgeBlocks;
+    this.confirmations = confirmations;
+    this.provider = new ethers.JsonRpcProvider(rpcUrl, this.chainId);
+    // Same nonce-managed wallet as the stake executor (../blockchain/signer.js)
+    this.signer = privateKey ? sharedSigner(privateKey, this.provider) : null;
+  }
+
+  _token(asset, runner = this.provider) {
+    return new ethers.Contract(asset, EIP3009_ABI, runner);
+  }
+
+  async verify(paymentPayload, requirements) {
+    const envelopeError = checkEnvelope(paymentPayload, requirements);
+    if (envelopeError) return { isValid: false, ...envelopeError };
+
+    const { txHash, authorization } = paymentPayload.payload;
+    if (txHash) return this._verifyTransfer(txHash, requirements);
+
+    const check = checkAuthorization(paymentPayload, requirements, this.chainId);
+    if (!check.isValid) return check;
+
+    try {
+      const token = this._token(requirements.asset);
+      if (await token.authorizationState(authorization.from, authorization.nonce)) {
+        return { isValid: false, invalidReason: 'authorization_used', payer: check.payer };
+      }
+      if ((await token.balanceOf(authorization.from)) < BigInt(check.amountWei)) {
+        return { isValid: false, invalidReason: 'insufficient_funds', payer: check.payer };
+      }
+    } catch (e) {
+      return { isValid: false, invalidReason: 'rpc_error', payer: check.payer };
+    }
+    return check;
+  }
+
+  async _verifyTransfer(txHash, requirements) {
+    const result = await verifyPayment(txHash, requirements.payTo, 0, this.rpcUrl, {
+      maxAgeBlocks: this.maxAgeBlocks,
+      asset: requirements.asset,
+      chainId: this.chainId
+    });
+    if (!result.valid) return { isValid: false, invalidReason: result.error, payer: result.from };
+    if (BigInt(result.amountWei) < BigInt(requirements.maxAmountRequired || 0)) {
+      return { isValid: false, invalidReason: 'insufficient_amount', payer: result.from, asset: requirements.asset, amountWei: result.amountWei };
+    }
+    return {
+      isValid: true,
+      payer: result.from,
+      asset: requirements.asset,
+      amountWei: result.amountWei,
+      transaction: txHash,
+      blockNumber: result.blockNumber,
+      paidAt: result.blockTimestamp,
+      logIndexes: result.logIndexes
+    };
+  }
+
+  async settle(paymentPayload, requirements) {
+    const network = requirements.network || CELO_NETWORK;
+    const check = await this.verify(paymentPayload, requirements);
+    if (!check.isValid) {
+      return { success: false, errorReason: check.invalidReason, network, payer: check.payer };
+    }
+
+    // Broadcast transfers are already settled
+    if (paymentPayload.payload.txHash) {
+      return { success: true, network, ...check };
+    }
+
+    if (!this.signer) {
+      return { success: false, errorReason: 'facilitator_signer_unavailable', network, payer: check.payer };
+    }
+
+    const { authorization: auth, signature } = paymentPayload.payload;
+    const { v, r, s } = ethers.Signature.from(signature);
+
+    let tx;
+    let receipt;
+    try {
+      const token = this._token(requirements.asset, this.signer);
+      tx = await token.transferWithAuthorization(
+        auth.from, auth.to, auth.value, auth.validAfter, auth.validBefore, auth.nonce, v, r, s
+      );
+    } catch (e) {
+      console.error('x402 facilitator settlement error:', e.shortMessage || e.message);
+      return { success: false, errorReason: 'settlement_failed', network, payer: auth.from };
+    }
+    try {
+      receipt = await tx.wait(this.confirmations, SETTLE_TIMEOUT_MS);
+    } catch (e) {
+      // Submitted, but reverted or not mined in time — a revert is the only definite failure
+      const reverted = e.code === 'CALL_EXCEPTION';
+      console.error(`x402 facilitator settlement ${tx.hash} ${reverted ? 'reverted' : 'unconfirmed'}:`, e.shortMessage || e.message);
+      return { success: false, errorReason: reverted ? 'settlement_failed' : 'settlement_pending', transaction: tx.hash, network, payer: auth.from };
+    }
+    if (!receipt || receipt.status !== 1) {
+      return { success: false, errorReason: 'settlement_failed', network, payer: auth.from };
+    }
+
+    const payTo = String(requirements.payTo).toLowerCase();
+    const logIndexes = receipt.logs
+      .filter(log => log.address.toLowerCase() === String(requirements.asset).toLowerCase()
+        && log.topics[0] === TRANSFER_EVENT_TOPIC
+        && ('0x' + log.topics[2].slice(26)).toLowerCase() === payTo)
+      .map(log => Number(log.index));
+
+    return {
+      success: true,
+      transaction: receipt.hash,
+      network,
+      payer: auth.from,
+      asset: requirements.asset,
+      amountWei: String(auth.value),
+      blockNumber: receipt.blockNumber,
+      logIndexes
+    };
+  }
+}
+
+/**
+ * Build the facilitator selected by X402_FACILITATOR ('onchain' default, or 'mock')
+ * @param {object} [options] - { kind, rpcUrl, privateKey, chainId }
+ */
+function createFacilitator(options = {}) {
+  const kind = options.kind || process.env.X402_FACILITATOR || 'onchain';
+  if (kind === 'mock') {
+    console.warn('⚠ x402 mock facilitator active — payments are NOT checked on-chain');
+    const MockFacilitator = require('./mockFacilitator');
+    return new MockFacilitator({ chainId: options.chainId });
+  }
+  return new OnchainFacilitator({
+    rpcUrl: options.rpcUrl || process.env.RPC_URL || 'https://forno.celo.org',
+    privateKey: options.privateKey || process.env.PRIVATE_KEY || null,
+    chainId: options.chainId
+  });
+}
+
+module.exports = {
+  OnchainFacilitator,
+  createFacilitator,
+  txHashPayload,
+  describeVerification,
+  checkAuthorization,
+  checkEnvelope,
+  TRANSFER_WITH_AUTHORIZATION_TYPES
+};
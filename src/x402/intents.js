@@ -0,0 +1,227 @@
+/**
+ * x402 Payment Intents — bind a payment to one resource and one user
+ *
+ * Every 402 response issues a signed, expiring intent:
+ *   { id (nonce), resource, telegramId, amount (exact wei), asset, payTo, expiresAt }
+ *
+ * The intent amount is the requested price plus a small unique tag (under
+ * 0.001 of the token, see tokens.tagCount), so an on-chain transfer
+ * identifies exactly one outstanding intent even when the client only sends
+ * back a tx hash. Expired intents are purged as new ones are issued, and
+ * issuing is rate limited per IP (see middleware.intentRateLimit), so the
+ * tag space cannot be held by requesting quotes in a loop. A 402 offering several tokens issues one intent per token under a
+ * shared groupId; paying any of them consumes the whole group. Clients
+ * that keep the signed token can send it back too (X-PAYMENT envelope field
+ * `intent` or the X-PAYMENT-INTENT header); the agent signature proves the
+ * intent was issued by MyDay and was not altered.
+ *
+ * Intents are persisted (payment_intents) and consumed atomically, so one
+ * intent unlocks at most one resource and credits at most one user.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { CELO_NETWORK, defaultPaymentAsset } = require('./middleware');
+const { getToken, tagUnit, tagCount } = require('./tokens');
+
+const DEFAULT_INTENT_TTL_SECONDS = Number(process.env.X402_INTENT_TTL_SECONDS || 900);
+
+// Tolerated clock skew between this server and block timestamps
+const CLOCK_SKEW_SECONDS = 60;
+
+// Outstanding intents past their expiry are deleted at most this often (per process)
+const PURGE_INTERVAL_MS = 5 * 60 * 1000;
+
+function canonicalIntent(intent) {
+  return JSON.stringify({
+    id: intent.id,
+    resource: intent.resource,
+    telegramId: intent.telegramId,
+    amount: intent.amount,
+    asset: intent.asset,
+    payTo: intent.payTo,
+    network: intent.network,
+    expiresAt: intent.expiresAt,
+    groupId: intent.groupId || undefined
+  });
+}
+
+function encodeIntentToken(intent, signature) {
+  return Buffer.from(JSON.stringify({ intent, sig: signature })).toString('base64url');
+}
+
+function decodeIntentToken(token) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!parsed || !parsed.intent || !parsed.sig) return null;
+    return parsed;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store - Database adapter (payment_intents methods)
+ * @param {string} deps.privateKey - Agent key that signs intents (PRIVATE_KEY)
+ * @param {number} [deps.ttlSeconds] - Intent lifetime (X402_INTENT_TTL_SECONDS)
+ * @param {string} [deps.asset] - Token intents are priced in (STAKE_TOKEN_ADDRESS, then cUSD)
+ */
+module.exports = function createPaymentIntents({
+  store,
+  privateKey,
+  ttlSeconds = DEFAULT_INTENT_TTL_SECONDS,
+  asset: defaultAsset = defaultPaymentAsset()
+}) {
+  const wallet = privateKey ? new ethers.Wallet(privateKey) : null;
+  let lastPurgeAt = 0;
+
+  function available() {
+    return !!(wallet && store && typeof store.createPaymentIntent === 'function');
+  }
+
+  // Drop intents expired for over a TTL (late payers still get intent_expired
+  // meanwhile); best-effort, in the background
+  function purgeExpired() {
+    if (typeof store.purgeExpiredPaymentIntents !== 'function' || Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+    lastPurgeAt = Date.now();
+    store.purgeExpiredPaymentIntents(new Date(Date.now() - ttlSeconds * 1000).toISOString())
+      .catch(e => console.error('x402 intent purge error:', e.message || e));
+  }
+
+  return {
+    available,
+    ttlSeconds,
+    asset: defaultAsset,
+
+    /**
+     * Issue and persist a new intent
+     * @param {object} params
+     * @param {string} params.resource - Resource path the payment unlocks
+     * @param {bigint|string} params.baseAmount - Price in the token's base units before the unique tag
+     * @param {string} params.payTo - Vault address
+     * @param {number|string} [params.telegramId] - User the payment is credited to
+     * @param {string} [params.asset] - Token address (defaults to the configured asset)
+     * @param {string} [params.groupId] - Shared by the alternative intents of one 402 response
+     * @param {object} [params.extra] - Route-specific data (e.g. stakeAmount, fee)
+     * @returns {Promise<{intent: object, token: string}>}
+     */
+    async issue({ resource, baseAmount, payTo, telegramId = null, asset = defaultAsset, groupId = null, extra = {} }) {
+      if (!available()) throw new Error('Payment intents unavailable — PRIVATE_KEY or database missing');
+
+      purgeExpired();
+      const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+      const unit = tagUnit(getToken(asset));
+      const tags = tagCount(getToken(asset));
+
+      // Retry on the rare tag collision with another outstanding intent
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const tag = BigInt(crypto.randomInt(1, tags + 1));
+        const intent = {
+          id: crypto.randomUUID(),
+          resource,
+          telegramId: telegramId ? Number(telegramId) : null,
+          amount: String(BigInt(baseAmount) + tag * unit),
+          asset,
+          payTo,
+          network: CELO_NETWORK,
+          expiresAt,
+          ...(groupId ? { groupId } : {})
+        };
+        const signature = await wallet.signMessage(canonicalIntent(intent));
+        const created = await store.createPaymentIntent({ ...intent, extra, signature });
+        if (created) return { intent: { ...intent, extra }, token: encodeIntentToken(intent, signature) };
+      }
+      throw new Error('Could not allocate a unique payment intent amount');
+    },
+
+    /**
+     * Resolve the outstanding intent a verified payment belongs to.
+     * With a token, its signature and binding are checked; without one, the
+     * exact paid amount selects the intent.
+     * @param {object} params
+     * @param {string} params.resource - Resource being unlocked
+     * @param {string} params.payTo - Vault address
+     * @param {string} [params.asset] - Token paid in (narrows the amount lookup)
+     * @param {string} [params.amountWei] - Exact base units paid (from verifyPayment)
+     * @param {string} [params.token] - Signed intent token from the client
+     * @param {number} [params.paidAt] - Block timestamp of the payment (unix seconds)
+     * @param {number|string} [params.telegramId] - User the caller expects the intent to name
+     * @returns {Promise<{intent?: object, error?: string}>}
+     */
+    async resolve({ resource, payTo, asset = null, amountWei = null, token = null, paidAt = null, telegramId = null }) {
+      if (!available()) return { error: 'payment_intents_unavailable' };
+
+      let intent;
+      if (token) {
+        const decoded = decodeIntentToken(token);
+        if (!decoded) return { error: 'invalid_intent' };
+        let signer;
+        try {
+          signer = ethers.verifyMessage(canonicalIntent(decoded.intent), decoded.sig);
+        } catch (e) {
+          return { error: 'invalid_intent_signature' };
+        }
+        if (signer !== wallet.address) return { error: 'invalid_intent_signature' };
+        intent = await store.getPaymentIntent(decoded.intent.id);
+      } else if (amountWei) {
+        intent = await store.findOutstandingIntent({ resource, payTo, asset, amount: String(amountWei) });
+      }
+
+      if (!intent) return { error: 'no_matching_intent' };
+      if (intent.status !== 'outstanding') return { error: 'intent_already_used' };
+      if (new Date(intent.expiresAt).getTime() < Date.now()) return { error: 'intent_expired' };
+      if (intent.resource !== resource) return { error: 'intent_resource_mismatch' };
+      if (intent.payTo.toLowerCase() !== String(payTo).toLowerCase()) return { error: 'intent_payee_mismatch' };
+      if (telegramId && Number(telegramId) !== intent.telegramId) return { error: 'intent_user_mismatch' };
+      if (asset && String(asset).toLowerCase() !== String(intent.asset).toLowerCase()) return { error: 'intent_asset_mismatch' };
+      if (amountWei !== null && String(amountWei) !== intent.amount) return { error: 'intent_amount_mismatch' };
+      if (paidAt && intent.createdAt && paidAt + CLOCK_SKEW_SECONDS < new Date(intent.createdAt).getTime() / 1000) {
+        return { error: 'payment_predates_intent' };
+      }
+
+      return { intent };
+    },
+
+    /**
+     * Atomically mark an intent (and its whole group) consumed by a payment tx
+     * @returns {Promise<boolean>} false if another request consumed it first
+     */
+    async consume(intent, txHash) {
+      if (!available()) return false;
+      return store.consumePaymentIntent(intent.id, txHash, intent.groupId || null);
+    },
+
+    /**
+     * Put a consumed intent (and its group) back to outstanding after its
+     * settlement failed without moving funds
+     * @returns {Promise<boolean>}
+     */
+    async restore(intent) {
+      if (!available()) return false;
+      return store.restorePaymentIntent(intent.id, intent.groupId || null);
+    },
+
+    /**
+     * Claim a verified broadcast payment's proof and consume its intent (and
+     * group) atomically, so neither can be spent without the other
+     * @param {object} intent
+     * @param {object} verification - { txHash, logIndexes, amount, blockNumber }
+     * @param {object} [meta] - { resource, telegramId } recorded with the proof
+     * @returns {Promise<'consumed'|'payment_already_used'|'intent_already_used'>}
+     */
+    async consumeWithProof(intent, verification, { resource = null, telegramId = null } = {}) {
+      if (!available()) return 'intent_already_used';
+      return store.consumePaymentIntentWithProof(intent.id, intent.groupId || null, verification.txHash, {
+        logIndexes: verification.logIndexes || [],
+        resource,
+        telegramId,
+        amount: verification.amount,
+        blockNumber: verification.blockNumber
+      });
+    }
+  };
+};
+
+module.exports.decodeIntentToken = decodeIntentToken;
+module.exports.DEFAULT_INTENT_TTL_SECONDS = DEFAULT_INTENT_TTL_SECONDS;
@@ -2,13 +2,20 @@
  * x402 Protocol Middleware — Native Implementation for Celo L2
  *
  * Implements the HTTP 402 Payment Required protocol for machine-to-machine
- * payments on Celo L2 using cUSD stablecoins.
+ * payments on Celo L2 in cUSD and the other tokens of ./tokens.js.
  *
  * Flow:
  *   1. Client hits a gated endpoint without payment → 402 + X-PAYMENT-REQUIRED header
- *   2. Client makes on-chain cUSD transfer to VAULT_ADDRESS
- *   3. Client retries with X-PAYMENT header containing tx_hash proof
- *   4. Server verifies the tx on-chain via Celo RPC → serves 200 response
+ *      carrying a signed, expiring payment intent (see ./intents.js), and an
+ *      `accepts` array with one intent per accepted token
+ *   2. Client transfers exactly one option's amount of its token to VAULT_ADDRESS
+ *   3. Client retries with X-PAYMENT header containing tx_hash proof — or, for
+ *      the "exact" scheme, a signed EIP-3009 authorization that the facilitator
+ *      settles on its behalf (see ./facilitator.js)
+ *   4. Server verifies the tx on-chain via Celo RPC and matches it to the
+ *      outstanding intent → serves 200 response
+ *   5. The proof is recorded as spent and the intent consumed, so the same tx
+ *      can never be replayed; X-PAYMENT-RESPONSE carries the settlement tx
  *
  * Compatible with: MiniPay, Valora, any Celo wallet, and programmatic agents.
  *
@@ -17,29 +24,53 @@
  *   - EIP-8004 Agent Registration
  */
 
+const crypto = require('crypto');
 const { ethers } = require('ethers');
+const rateLimit = require('express-rate-limit');
+const { CELO_TOKENS, getToken, stakeToken, acceptedTokens, quoteAmount, toTokenUnits, toUsd } = require('./tokens');
 
 // ── Celo cUSD contract address (Mainnet) ─────────────────────────────────────
-const CELO_CUSD_ADDRESS = '0x765DE816845861e75A25fCA122bb6898B8B1282a';
+const CELO_CUSD_ADDRESS = CELO_TOKENS.cUSD.address;
 const CELO_CHAIN_ID = 42220;
 const CELO_NETWORK = 'eip155:42220';
 
 // ERC-20 Transfer event topic
 const TRANSFER_EVENT_TOPIC = ethers.id('Transfer(address,address,uint256)');
 
+// Oldest payment proof accepted, in blocks behind the chain head (0 = no limit).
+// Celo L2 produces ~1 block/s, so the default is roughly two hours.
+const DEFAULT_MAX_PROOF_AGE_BLOCKS = Number(process.env.X402_MAX_PROOF_AGE_BLOCKS || 7200);
+
+// Payment intents (402 responses) one IP may request per window (X402_INTENT_RATE_LIMIT, 0 = unlimited)
+const DEFAULT_INTENT_RATE_LIMIT = 30;
+const INTENT_RATE_WINDOW_MS = 10 * 60 * 1000;
+
+// Log index used in the spent-proof registry for native (non-ERC-20) transfers
+const NATIVE_TRANSFER_LOG_INDEX = -1;
+
 /**
- * Build a PaymentRequirements object per x402 spec
+ * Token stakes are paid in: STAKE_TOKEN_ADDRESS (local chains), else cUSD
+ */
+function defaultPaymentAsset() {
+  return stakeToken().address;
+}
+
+/**
+ * Build a PaymentRequirements object per x402 spec.
+ * extra carries the token's symbol and decimals and, for tokens that support
+ * EIP-3009, the EIP-712 domain name/version clients sign authorizations with.
  */
 function buildPaymentRequirements({
   payTo,
   amount,
-  asset = CELO_CUSD_ADDRESS,
+  asset = defaultPaymentAsset(),
   network = CELO_NETWORK,
   resource,
   description = 'MyDay Guardian staking fee',
   maxTimeoutSeconds = 600,
   extra = {}
 }) {
+  const token = getToken(asset);
   return {
     scheme: 'exact',
     network,
@@ -52,25 +83,36 @@ function buildPaymentRequirements({
     asset,
     extra: {
       chainId: CELO_CHAIN_ID,
-      name: 'cUSD',
-      version: '1.0',
+      ...(token ? { symbol: token.symbol, decimals: token.decimals } : {}),
+      ...(token && token.eip712 ? token.eip712 : {}),
       ...extra
     }
   };
 }
 
 /**
- * Verify an on-chain cUSD payment to the vault
+ * Verify an on-chain token payment to the vault
+ *
+ * Only transfers of one token count. Native CELO value is only counted when
+ * that token is CELO itself, never as a stand-in for a stablecoin.
  *
  * @param {string} txHash - Transaction hash to verify
  * @param {string} vaultAddress - Expected recipient (VAULT_ADDRESS)
- * @param {number} expectedAmount - Minimum cUSD amount expected (in token units, e.g. 0.10)
+ * @param {number} expectedAmount - Minimum amount expected (in token units, e.g. 0.10)
  * @param {string} rpcUrl - Celo RPC endpoint
- * @returns {Promise<{valid: boolean, amount: number, from: string, error?: string}>}
+ * @param {object} [opts]
+ * @param {number} [opts.maxAgeBlocks] - Reject proofs mined more than this many blocks ago
+ * @param {string} [opts.asset] - Token contract to count transfers of (defaults to the stake token)
+ * @param {number} [opts.chainId] - Chain to verify on (defaults to Celo Mainnet)
+ * @returns {Promise<{valid: boolean, amount: number, amountWei?: string, asset?: string, from: string, logIndexes?: number[], error?: string}>}
  */
-async function verifyPayment(txHash, vaultAddress, expectedAmount, rpcUrl) {
-  const provider = new ethers.JsonRpcProvider(rpcUrl, CELO_CHAIN_ID);
+async function verifyPayment(txHash, vaultAddress, expectedAmount, rpcUrl, opts = {}) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl, opts.chainId || CELO_CHAIN_ID);
   const vault = vaultAddress.toLowerCase();
+  const maxAgeBlocks = opts.maxAgeBlocks ?? DEFAULT_MAX_PROOF_AGE_BLOCKS;
+  const asset = String(opts.asset || defaultPaymentAsset()).toLowerCase();
+  const token = getToken(asset);
+  const decimals = token ? token.decimals : 18;
 
   let tx;
   try {
@@ -95,39 +137,54 @@ async function verifyPayment(txHash, vaultAddress, expectedAmount, rpcUrl) {
     return { valid: false, amount: 0, from: tx.from || '', error: 'tx_failed' };
   }
 
+  // Stale proofs are rejected outright — old transfers cannot be recycled
+  if (maxAgeBlocks > 0) {
+    let head;
+    try {
+      head = await provider.getBlockNumber();
+    } catch (err) {
+      return { valid: false, amount: 0, from: tx.from || '', error: 'rpc_error', details: err.message };
+    }
+    const age = head - receipt.blockNumber;
+    if (age > maxAgeBlocks) {
+      return { valid: false, amount: 0, from: tx.from || '', error: 'proof_expired', ageBlocks: age, maxAgeBlocks };
+    }
+  }
+
   // Check for ERC-20 Transfer to vault in logs
-  let transferAmount = 0;
+  let transferWei = 0n;
   let senderAddress = tx.from || '';
+  const logIndexes = [];
 
   for (const log of (receipt.logs || [])) {
     if (!log.topics || log.topics.length < 3) continue;
 
     // Match Transfer(address,address,uint256) event
     if (log.topics[0].toLowerCase() !== TRANSFER_EVENT_TOPIC.toLowerCase()) continue;
+    if (String(log.address).toLowerCase() !== asset) continue;
 
     // topics[2] = to address (zero-padded to 32 bytes)
     const toTopic = '0x' + log.topics[2].slice(26).toLowerCase();
     if (toTopic !== vault) continue;
 
     // Decode the amount from log data (uint256)
-    const rawAmount = BigInt(log.data);
-    // cUSD has 18 decimals on Celo
-    const parsedAmount = Number(ethers.formatUnits(rawAmount, 18));
-    transferAmount += parsedAmount;
+    transferWei += BigInt(log.data);
+    logIndexes.push(Number(log.index ?? log.logIndex));
 
     // Extract sender from topics[1]
     senderAddress = '0x' + log.topics[1].slice(26);
   }
 
-  // Also check direct native CELO transfer (in case user sends CELO not cUSD)
-  if (transferAmount === 0 && tx.to && tx.to.toLowerCase() === vault) {
-    const nativeAmount = Number(ethers.formatEther(tx.value || '0'));
-    if (nativeAmount > 0) {
-      transferAmount = nativeAmount;
-    }
+  // Native CELO sent straight to the vault counts only when CELO is the asset
+  // (and only without a matching Transfer log, so a mirrored event is not counted twice)
+  if (token && token.native && !logIndexes.length && tx.to && tx.to.toLowerCase() === vault && BigInt(tx.value || 0) > 0n) {
+    transferWei += BigInt(tx.value);
+    logIndexes.push(NATIVE_TRANSFER_LOG_INDEX);
   }
 
-  if (transferAmount < expectedAmount * 0.99) { // 1% tolerance for rounding
+  const transferAmount = Number(ethers.formatUnits(transferWei, decimals));
+  const expectedWei = ethers.parseUnits(String(expectedAmount || 0), decimals);
+  if (transferWei * 100n < expectedWei * 99n) { // 1% tolerance for rounding
     return {
       valid: false,
       amount: transferAmount,
@@ -138,28 +195,378 @@ async function verifyPayment(txHash, vaultAddress, expectedAmount, rpcUrl) {
     };
   }
 
+  // Block time lets callers reject payments made before their intent existed
+  let blockTimestamp = null;
+  try {
+    const block = await provider.getBlock(receipt.blockNumber);
+    blockTimestamp = block ? Number(block.timestamp) : null;
+  } catch (err) {
+    // non-fatal: only used for intent ordering checks
+  }
+
   return {
     valid: true,
     amount: transferAmount,
+    amountWei: String(transferWei),
+    asset,
     from: senderAddress,
     txHash,
-    blockNumber: receipt.blockNumber
+    blockNumber: receipt.blockNumber,
+    blockTimestamp,
+    logIndexes
+  };
+}
+
+/**
+ * Atomically mark a verified payment proof as spent.
+ * The store's unique (tx_hash, log_index) constraint decides races, so the
+ * same transfer can never unlock a resource or credit a vault twice.
+ *
+ * @param {object} proofStore - Anything with claimPaymentProof() (the Database adapter)
+ * @param {object} verification - Successful result of verifyPayment()
+ * @param {object} claim - { resource, telegramId? }
+ * @returns {Promise<{claimed: boolean, error?: string}>}
+ */
+async function claimPaymentProof(proofStore, verification, { resource, telegramId = null }) {
+  if (!proofStore || typeof proofStore.claimPaymentProof !== 'function') {
+    return { claimed: false, error: 'replay_protection_unavailable' };
+  }
+
+  try {
+    const claimed = await proofStore.claimPaymentProof(verification.txHash, {
+      logIndexes: verification.logIndexes,
+      resource,
+      telegramId,
+      amount: verification.amount,
+      blockNumber: verification.blockNumber
+    });
+    return claimed ? { claimed: true } : { claimed: false, error: 'payment_already_used' };
+  } catch (err) {
+    console.error('x402 proof registry error:', err.message || err);
+    return { claimed: false, error: 'replay_protection_unavailable' };
+  }
+}
+
+/**
+ * Issue signed intents — one per accepted token, all in one group — and
+ * build the matching 402 requirements. Each intent's tagged amount becomes
+ * its option's maxAmountRequired; the signed token travels in extra.intent
+ * for clients that echo it back. Paying any one option consumes the group.
+ *
+ * @param {object} intents - createPaymentIntents() instance
+ * @param {object} params - { resource, amount (USD), payTo, telegramId?, description?, extra?,
+ *   assets? (token addresses/symbols, default: acceptedTokens()) }
+ * @returns {Promise<{requirements: object, accepts: object[], intent: object, token: string}>}
+ *   requirements/intent/token describe the first (preferred) option
+ */
+async function issuePaymentIntent(intents, { resource, amount, payTo, telegramId = null, description, extra = {}, assets = null }) {
+  const tokens = assets ? assets.map(getToken).filter(Boolean) : acceptedTokens();
+  if (!tokens.length) throw new Error('No payment assets configured');
+
+  const groupId = tokens.length > 1 ? crypto.randomUUID() : null;
+  const options = [];
+  for (const paymentToken of tokens) {
+    const { intent, token } = await intents.issue({
+      resource,
+      baseAmount: quoteAmount(paymentToken, amount),
+      payTo,
+      telegramId,
+      asset: paymentToken.address,
+      groupId,
+      extra
+    });
+    const requirements = buildPaymentRequirements({
+      payTo,
+      amount: intent.amount,
+      asset: intent.asset,
+      resource,
+      description,
+      maxTimeoutSeconds: intents.ttlSeconds,
+      extra: { intent: token, intentId: intent.id, expiresAt: intent.expiresAt }
+    });
+    options.push({ requirements, intent, token });
+  }
+
+  return { ...options[0], accepts: options.map(o => o.requirements) };
+}
+
+/**
+ * Human-readable list of 402 options, e.g. "0.010123 cUSD or 0.010456 USDC"
+ */
+function describeAccepts(accepts) {
+  return accepts
+    .map(r => `${ethers.formatUnits(r.maxAmountRequired, r.extra.decimals ?? 18)} ${r.extra.symbol || r.asset}`)
+    .join(' or ');
+}
+
+/**
+ * Look up the outstanding intent a payment of `amountWei` settles
+ * @returns {Promise<{intent?: object, status?: number, body?: object}>}
+ */
+async function resolvePaymentIntent(intents, proofStore, { resource, vault, asset, amountWei, token, paidAt, telegramId, txHash }) {
+  let resolved;
+  try {
+    resolved = await intents.resolve({ resource, payTo: vault, asset, amountWei, token, paidAt, telegramId });
+  } catch (err) {
+    console.error('x402 intent lookup error:', err.message || err);
+    return { status: 503, body: { error: 'payment_intents_unavailable' } };
+  }
+  if (resolved.error) {
+    // A replayed proof no longer matches its (consumed) intent — report it as spent
+    const spent = txHash && proofStore && typeof proofStore.hasProcessedTransaction === 'function'
+      ? await proofStore.hasProcessedTransaction(txHash).catch(() => false)
+      : false;
+    if (spent) return { status: 409, body: { error: 'payment_already_used', txHash } };
+    return { status: 402, body: { error: 'payment_verification_failed', reason: resolved.error, txHash } };
+  }
+  return { intent: resolved.intent };
+}
+
+/**
+ * Verify a payment against its outstanding intent through the facilitator,
+ * then spend both.
+ *
+ *   - broadcast tx: the paid token and amount select (or must match) the
+ *     intent; the proof is claimed and the intent consumed in one step
+ *   - signed EIP-3009 authorization: the authorized value selects the intent;
+ *     the intent is consumed before the facilitator settles, so two
+ *     authorizations for one intent can never both be charged, and restored
+ *     when the settlement definitely failed so the payer can try again
+ *
+ * @param {object} params
+ * @param {object} params.intents - createPaymentIntents() instance
+ * @param {object} params.proofStore - Spent-proof registry (Database)
+ * @param {object} params.facilitator - verify()/settle() implementation (./facilitator.js)
+ * @param {string} [params.txHash] - Broadcast payment tx hash
+ * @param {object} [params.paymentPayload] - Decoded "exact" scheme payload (takes precedence over txHash)
+ * @param {string} [params.token] - Signed intent token echoed by the client
+ * @param {string} params.resource - Resource the intent must be bound to
+ * @param {string} params.vault - Vault address
+ * @param {string[]} [params.assets] - Tokens a broadcast tx may pay in (defaults to the intents' asset)
+ * @param {number|string} [params.telegramId] - Require the intent to name this user
+ * @returns {Promise<{ok: boolean, status?: number, body?: object, verification?: object, intent?: object, settlement?: object}>}
+ */
+async function settleIntentPayment({
+  intents,
+  proofStore,
+  facilitator,
+  txHash = null,
+  paymentPayload = null,
+  token = null,
+  resource,
+  vault,
+  assets = null,
+  telegramId = null
+}) {
+  if (!intents || !intents.available()) {
+    return { ok: false, status: 503, body: { error: 'payment_intents_unavailable' } };
+  }
+  if (!facilitator) {
+    return { ok: false, status: 503, body: { error: 'facilitator_unavailable' } };
+  }
+
+  const payload = paymentPayload || { x402Version: 1, scheme: 'exact', network: CELO_NETWORK, payload: { txHash } };
+  const authorization = payload.payload && payload.payload.authorization;
+  const requirementsFor = (amount, asset = intents.asset) => buildPaymentRequirements({ payTo: vault, amount, asset, resource });
+
+  let intent;
+  let check;
+  if (authorization) {
+    let amountWei;
+    try {
+      amountWei = String(BigInt(authorization.value));
+    } catch (e) {
+      return { ok: false, status: 400, body: { error: 'invalid_payment_header', message: 'authorization.value is required' } };
+    }
+    const found = await resolvePaymentIntent(intents, proofStore, { resource, vault, amountWei, token, telegramId });
+    if (!found.intent) return { ok: false, status: found.status, body: found.body };
+    intent = found.intent;
+    check = await facilitator.verify(payload, requirementsFor(intent.amount, intent.asset));
+  } else {
+    // Floor of zero: the intent lookup below enforces the exact amount.
+    // The tx may pay in any offered token — take the first one it transfers.
+    for (const asset of (assets && assets.length ? assets : [intents.asset])) {
+      check = await facilitator.verify(payload, requirementsFor('0', asset));
+      if (!check.isValid || BigInt(check.amountWei || 0) > 0n) break;
+    }
+  }
+  if (!check.isValid) {
+    return { ok: false, status: 402, body: { error: 'payment_verification_failed', reason: check.invalidReason, txHash } };
+  }
+
+  if (!authorization) {
+    const found = await resolvePaymentIntent(intents, proofStore, {
+      resource,
+      vault,
+      asset: check.asset,
+      amountWei: check.amountWei,
+      token,
+      paidAt: check.paidAt,
+      telegramId,
+      txHash
+    });
+    if (!found.intent) return { ok: false, status: found.status, body: found.body };
+    intent = found.intent;
+
+    const verification = toVerification(check, intent.asset);
+    let outcome;
+    try {
+      outcome = await intents.consumeWithProof(intent, verification, { resource, telegramId: intent.telegramId });
+    } catch (err) {
+      console.error('x402 payment consume error:', err.message || err);
+      return { ok: false, status: 503, body: { error: 'replay_protection_unavailable', txHash } };
+    }
+    if (outcome !== 'consumed') {
+      return { ok: false, status: 409, body: { error: outcome, intentId: intent.id, txHash } };
+    }
+    const settlement = { success: true, transaction: check.transaction, network: CELO_NETWORK, payer: check.payer };
+    return { ok: true, verification, intent, settlement };
+  }
+
+  let consumed = false;
+  try {
+    consumed = await intents.consume(intent, check.transaction || null);
+  } catch (err) {
+    console.error('x402 intent consume error:', err.message || err);
+  }
+  if (!consumed) {
+    return { ok: false, status: 409, body: { error: 'intent_already_used', intentId: intent.id, txHash } };
+  }
+
+  let settlement;
+  try {
+    settlement = await facilitator.settle(payload, requirementsFor(intent.amount, intent.asset));
+  } catch (err) {
+    console.error('x402 settlement error:', err.message || err);
+    settlement = { success: false, errorReason: 'settlement_failed', network: CELO_NETWORK };
+  }
+  if (!settlement.success) {
+    // A settlement tx still in flight may yet pay for this intent — keep it spent
+    if (settlement.errorReason !== 'settlement_pending') {
+      await intents.restore(intent).catch(err => console.error('x402 intent restore error:', err.message || err));
+    }
+    return { ok: false, status: 402, body: { error: 'settlement_failed', reason: settlement.errorReason }, settlement };
+  }
+
+  // We broadcast this tx ourselves and its intent is consumed, so a failed
+  // registry write cannot enable a replay — record it best-effort
+  const verification = toVerification(settlement, intent.asset);
+  const claim = await claimPaymentProof(proofStore, verification, { resource, telegramId: intent.telegramId });
+  if (!claim.claimed) {
+    console.error(`x402 settlement ${settlement.transaction} not recorded: ${claim.error}`);
+  }
+
+  return { ok: true, verification, intent, settlement };
+}
+
+/**
+ * Normalize a facilitator verify/settle result to the verifyPayment() shape.
+ * amount is in units of the paid token; usdAmount is its value at the
+ * configured price (what vaults are credited with).
+ */
+function toVerification(result, asset) {
+  return {
+    valid: true,
+    amount: toTokenUnits(asset, result.amountWei),
+    usdAmount: toUsd(asset, result.amountWei),
+    amountWei: result.amountWei,
+    asset,
+    from: result.payer,
+    txHash: result.transaction,
+    blockNumber: result.blockNumber,
+    logIndexes: result.logIndexes
   };
 }
 
+/**
+ * Encode a settlement for the X-PAYMENT-RESPONSE header (base64 JSON, per x402)
+ */
+function encodePaymentResponse(settlement) {
+  return Buffer.from(JSON.stringify({
+    success: settlement.success,
+    transaction: settlement.transaction,
+    network: settlement.network,
+    payer: settlement.payer,
+    ...(settlement.errorReason ? { errorReason: settlement.errorReason } : {})
+  })).toString('base64');
+}
+
+/**
+ * Read the payment from X-PAYMENT / PAYMENT-SIGNATURE (raw 0x hash, or base64
+ * JSON envelope carrying a txHash or an "exact" scheme signed authorization)
+ * and the optional intent token (envelope `intent` or X-PAYMENT-INTENT)
+ * @returns {{txHash?: string, paymentPayload?: object, token?: string, error?: string}}
+ */
+function parsePaymentHeader(req) {
+  const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
+  let paymentData;
+  try {
+    if (paymentHeader.startsWith('0x')) {
+      paymentData = { txHash: paymentHeader };
+    } else {
+      paymentData = JSON.parse(Buffer.from(paymentHeader, 'base64').toString('utf8'));
+    }
+  } catch (err) {
+    return { error: 'invalid_payment_header' };
+  }
+
+  const hasAuthorization = !!(paymentData.payload && paymentData.payload.authorization);
+  return {
+    txHash: paymentData.txHash || paymentData.tx_hash || paymentData.hash,
+    paymentPayload: hasAuthorization ? paymentData : null,
+    token: paymentData.intent || req.headers['x-payment-intent'] || null
+  };
+}
+
+/**
+ * Express middleware: per-IP limit on requests that issue payment intents.
+ * Each 402 holds intent amount tags until it expires, so quotes are limited;
+ * requests carrying a payment (X-PAYMENT / PAYMENT-SIGNATURE) are not counted.
+ * Behind a proxy, set TRUST_PROXY_HOPS so the client IP is used.
+ * @param {object} [env]
+ * @returns {Function} Express middleware
+ */
+function intentRateLimit(env = process.env) {
+  const configured = env.X402_INTENT_RATE_LIMIT;
+  const max = configured === undefined || configured === '' ? DEFAULT_INTENT_RATE_LIMIT : Math.max(0, Number(configured) || 0);
+  if (!max) return (req, res, next) => next();
+
+  return rateLimit({
+    windowMs: INTENT_RATE_WINDOW_MS,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => !!(req.headers['x-payment'] || req.headers['payment-signature']),
+    handler: (req, res) => res.status(429).json({
+      error: 'too_many_payment_intents',
+      message: `At most ${max} payment quotes per ${INTENT_RATE_WINDOW_MS / 60000} minutes — pay an outstanding one or retry later`
+    })
+  });
+}
+
 /**
  * Express middleware factory: Protects a route with x402 payment gating
  *
  * Usage:
- *   app.get('/api/premium', x402PaymentGate({ amount: 0.10 }), handler);
+ *   app.get('/api/premium', x402PaymentGate({ amount: 0.10, intents, proofStore: db, facilitator }), handler);
  *
- * If no X-PAYMENT header is present, responds with 402 + payment requirements.
- * If X-PAYMENT header is present, verifies the tx on-chain and passes through.
+ * If no X-PAYMENT header is present, responds with 402 + freshly issued intents,
+ * one `accepts` option per accepted token.
+ * If X-PAYMENT header is present, verifies the tx on-chain (or settles the
+ * signed authorization through the facilitator) against an outstanding
+ * intent for this resource, sets X-PAYMENT-RESPONSE and passes through.
  *
  * @param {object} opts
- * @param {number} opts.amount - Required payment amount in cUSD (e.g. 0.10)
+ * @param {number} opts.amount - Price in USD (e.g. 0.10), quoted per token
+ * @param {string[]} [opts.assets] - Token symbols/addresses offered (defaults to acceptedTokens())
  * @param {string} [opts.description] - Description of what's being paid for
  * @param {string} [opts.resource] - Override resource path (defaults to req.path)
+ * @param {object|Function} [opts.intents] - Payment intent issuer, or a getter returning it;
+ *   without one, the gate fails closed with 503
+ * @param {object|Function} [opts.proofStore] - Spent-proof registry (Database), or a getter
+ *   returning it; without one, paid requests fail closed with 503
+ * @param {object|Function} [opts.facilitator] - Verifies and settles payments (./facilitator.js),
+ *   or a getter returning it; without one, paid requests fail closed with 503
  * @returns {Function} Express middleware
  */
 function x402PaymentGate(opts = {}) {
@@ -167,71 +574,83 @@ function x402PaymentGate(opts = {}) {
 
   return async (req, res, next) => {
     // x402 spec: accept both X-PAYMENT (raw tx hash) and PAYMENT-SIGNATURE (thirdweb signed envelope)
-    const paymentHeader = req.headers['x-payment'] || req.headers['X-Payment'] || req.headers['payment-signature'];
+    const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
     const vault = process.env.VAULT_ADDRESS || '';
-    const rpc = process.env.RPC_URL || 'https://forno.celo.org';
+    const resource = opts.resource || req.path;
+    const intents = typeof opts.intents === 'function' ? opts.intents() : opts.intents;
 
     if (!vault) {
       return res.status(503).json({ error: 'VAULT_ADDRESS not configured' });
     }
+    if (!intents || !intents.available()) {
+      return res.status(503).json({ error: 'payment_intents_unavailable' });
+    }
 
-    // ── No payment provided → return 402 with requirements ───────────────
+    // ── No payment provided → issue an intent, return 402 with requirements ─
     if (!paymentHeader) {
-      const requirements = buildPaymentRequirements({
-        payTo: vault,
-        amount: String(ethers.parseUnits(String(amount), 18)),
-        resource: opts.resource || req.originalUrl || req.path,
-        description
-      });
+      let issued;
+      try {
+        issued = await issuePaymentIntent(intents, { resource, amount, payTo: vault, description, assets: opts.assets });
+      } catch (err) {
+        console.error('x402 intent issue error:', err.message || err);
+        return res.status(503).json({ error: 'payment_intents_unavailable' });
+      }
+      const { requirements, accepts, intent } = issued;
+      const gasless = accepts.filter(r => r.extra.name).map(r => r.extra.symbol || r.asset);
 
       res.status(402);
       res.set('X-PAYMENT-REQUIRED', JSON.stringify(requirements));
       res.set('Access-Control-Expose-Headers', 'X-PAYMENT-REQUIRED');
       return res.json({
+        x402Version: 1,
         error: 'payment_required',
-        message: `This endpoint requires a payment of ${amount} cUSD. Send cUSD to ${vault} on Celo L2, then retry with X-PAYMENT header containing your tx hash.`,
-        paymentRequirements: requirements
+        message: `This endpoint requires a payment of exactly ${describeAccepts(accepts)}. Send it to ${vault} on Celo L2 before ${intent.expiresAt}, then retry with X-PAYMENT header containing your tx hash${gasless.length ? ` — or, in ${gasless.join('/')}, a signed EIP-3009 authorization for that amount, which we settle for you` : ''}.`,
+        accepts,
+        paymentRequirements: requirements,
+        intent
       });
     }
 
-    // ── Payment header present → verify on-chain ─────────────────────────
-    let paymentData;
-    try {
-      // Accept either raw tx hash or JSON envelope
-      if (paymentHeader.startsWith('0x')) {
-        paymentData = { txHash: paymentHeader };
-      } else {
-        // Try base64 decode then JSON parse
-        const decoded = Buffer.from(paymentHeader, 'base64').toString('utf8');
-        paymentData = JSON.parse(decoded);
-      }
-    } catch (err) {
+    // ── Payment header present → verify on-chain against the intent ──────
+    const { txHash, paymentPayload, token, error: headerError } = parsePaymentHeader(req);
+    if (headerError) {
       return res.status(400).json({ error: 'invalid_payment_header', message: 'X-PAYMENT must be a tx hash (0x...) or base64-encoded JSON' });
     }
-
-    const txHash = paymentData.txHash || paymentData.tx_hash || paymentData.hash;
-    if (!txHash) {
-      return res.status(400).json({ error: 'missing_tx_hash', message: 'Payment proof must include txHash' });
+    if (!txHash && !paymentPayload) {
+      return res.status(400).json({ error: 'missing_tx_hash', message: 'Payment proof must include txHash or a signed authorization' });
     }
 
-    // Verify the payment on-chain
-    const result = await verifyPayment(txHash, vault, amount, rpc);
-
-    if (!result.valid) {
-      return res.status(402).json({
-        error: 'payment_verification_failed',
-        reason: result.error,
-        details: result
-      });
+    const proofStore = typeof opts.proofStore === 'function' ? opts.proofStore() : opts.proofStore;
+    const facilitator = typeof opts.facilitator === 'function' ? opts.facilitator() : opts.facilitator;
+    const settled = await settleIntentPayment({
+      intents,
+      proofStore,
+      txHash,
+      paymentPayload,
+      facilitator,
+      token,
+      resource,
+      vault,
+      assets: (opts.assets ? opts.assets.map(getToken).filter(Boolean) : acceptedTokens()).map(t => t.address)
+    });
+    if (!settled.ok) {
+      if (settled.settlement) res.set('X-PAYMENT-RESPONSE', encodePaymentResponse(settled.settlement));
+      return res.status(settled.status).json(settled.body);
     }
 
+    res.set('X-PAYMENT-RESPONSE', encodePaymentResponse(settled.settlement));
+    res.set('Access-Control-Expose-Headers', 'X-PAYMENT-RESPONSE');
+
     // Attach payment info to request for downstream handlers
     req.x402 = {
       verified: true,
-      txHash,
-      amount: result.amount,
-      from: result.from,
-      blockNumber: result.blockNumber
+      txHash: settled.verification.txHash,
+      amount: settled.verification.amount,
+      asset: settled.verification.asset,
+      usdAmount: settled.verification.usdAmount,
+      from: settled.verification.from,
+      blockNumber: settled.verification.blockNumber,
+      intentId: settled.intent.id
     };
 
     next();
@@ -262,11 +681,20 @@ function buildStakeUrl({
 
 module.exports = {
   x402PaymentGate,
+  intentRateLimit,
   verifyPayment,
+  claimPaymentProof,
+  issuePaymentIntent,
+  describeAccepts,
+  settleIntentPayment,
+  parsePaymentHeader,
+  encodePaymentResponse,
   buildPaymentRequirements,
   buildStakeUrl,
+  defaultPaymentAsset,
   CELO_CUSD_ADDRESS,
   CELO_CHAIN_ID,
   CELO_NETWORK,
-  TRANSFER_EVENT_TOPIC
+  TRANSFER_EVENT_TOPIC,
+  DEFAULT_MAX_PROOF_AGE_BLOCKS
 };
@@ -0,0 +1,133 @@
+/**
+ * x402 Mock Facilitator — in-memory stand-in for OnchainFacilitator
+ *
+ * Keeps token balances, broadcast transfers and used EIP-3009 nonces in
+ * memory so the premium gate, /x402/stake and the MCP verify tool can be
+ * exercised end-to-end without a network. Signatures are still checked for
+ * real (EIP-712 recovery is offline), so a mock run catches payload bugs.
+ *
+ * Test helpers:
+ *   mint(asset, address, amountWei)              — credit a balance
+ *   transfer({ asset, from, to, amountWei })     — simulate a broadcast payment → txHash
+ *
+ * Never enable in production (X402_FACILITATOR=mock): nothing is on-chain.
+ */
+
+const crypto = require('crypto');
+const { CELO_CHAIN_ID, CELO_NETWORK } = require('./middleware');
+const { checkAuthorization, checkEnvelope } = require('./facilitator');
+
+class MockFacilitator {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.chainId] - EIP-712 domain chain id (defaults to Celo Mainnet)
+   */
+  constructor({ chainId } = {}) {
+    this.chainId = Number(chainId || CELO_CHAIN_ID);
+    this.blockNumber = 1;
+    this.balances = new Map(); // `${asset}:${address}` → bigint
+    this.transfers = new Map(); // txHash → { asset, from, to, amountWei, blockNumber, timestamp }
+    this.usedNonces = new Set(); // `${asset}:${from}:${nonce}`
+  }
+
+  _key(asset, address) {
+    return `${String(asset).toLowerCase()}:${String(address).toLowerCase()}`;
+  }
+
+  balanceOf(asset, address) {
+    return this.balances.get(this._key(asset, address)) || 0n;
+  }
+
+  mint(asset, address, amountWei) {
+    this.balances.set(this._key(asset, address), this.balanceOf(asset, address) + BigInt(amountWei));
+  }
+
+  /**
+   * Move tokens and record the transfer as a mined tx
+   * @returns {string} tx hash
+   */
+  transfer({ asset, from, to, amountWei }) {
+    const value = BigInt(amountWei);
+    if (this.balanceOf(asset, from) < value) throw new Error('insufficient balance');
+    this.balances.set(this._key(asset, from), this.balanceOf(asset, from) - value);
+    this.mint(asset, to, value);
+
+    const txHash = '0x' + crypto.randomBytes(32).toString('hex');
+    this.transfers.set(txHash, {
+      asset: String(asset).toLowerCase(),
+      from,
+      to: String(to).toLowerCase(),
+      amountWei: value,
+      blockNumber: this.blockNumber++,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    return txHash;
+  }
+
+  async verify(paymentPayload, requirements) {
+    const envelopeError = checkEnvelope(paymentPayload, requirements);
+    if (envelopeError) return { isValid: false, ...envelopeError };
+
+    const { txHash, authorization } = paymentPayload.payload;
+    if (txHash) {
+      const tx = this.transfers.get(txHash);
+      if (!tx) return { isValid: false, invalidReason: 'tx_not_found' };
+      // Like an on-chain receipt: only transfers of this token to the vault count
+      const paid = tx.asset === String(requirements.asset).toLowerCase() && tx.to === String(requirements.payTo).toLowerCase()
+        ? tx.amountWei
+        : 0n;
+      if (paid < BigInt(requirements.maxAmountRequired || 0)) {
+        return { isValid: false, invalidReason: 'insufficient_amount', payer: tx.from, asset: requirements.asset, amountWei: String(paid) };
+      }
+      return {
+        isValid: true,
+        payer: tx.from,
+        asset: requirements.asset,
+        amountWei: String(paid),
+        transaction: txHash,
+        blockNumber: tx.blockNumber,
+        paidAt: tx.timestamp,
+        logIndexes: [0]
+      };
+    }
+
+    const check = checkAuthorization(paymentPayload, requirements, this.chainId);
+    if (!check.isValid) return check;
+    if (this.usedNonces.has(this._key(requirements.asset, authorization.from) + ':' + authorization.nonce)) {
+      return { isValid: false, invalidReason: 'authorization_used', payer: check.payer };
+    }
+    if (this.balanceOf(requirements.asset, authorization.from) < BigInt(check.amountWei)) {
+      return { isValid: false, invalidReason: 'insufficient_funds', payer: check.payer };
+    }
+    return check;
+  }
+
+  async settle(paymentPayload, requirements) {
+    const network = requirements.network || CELO_NETWORK;
+    const check = await this.verify(paymentPayload, requirements);
+    if (!check.isValid) {
+      return { success: false, errorReason: check.invalidReason, network, payer: check.payer };
+    }
+    if (paymentPayload.payload.txHash) {
+      return { success: true, network, ...check };
+    }
+
+    const auth = paymentPayload.payload.authorization;
+    this.usedNonces.add(this._key(requirements.asset, auth.from) + ':' + auth.nonce);
+    const transaction = this.transfer({ asset: requirements.asset, from: auth.from, to: auth.to, amountWei: auth.value });
+    const tx = this.transfers.get(transaction);
+
+    return {
+      success: true,
+      transaction,
+      network,
+      payer: auth.from,
+      asset: requirements.asset,
+      amountWei: String(auth.value),
+      blockNumber: tx.blockNumber,
+      logIndexes: [0]
+    };
+  }
+}
+
+module.exports = MockFacilitator;
@@ -0,0 +1,335 @@
+/**
+ * x402 HTTP Routes — staking gateway, verification and MiniPay redirector
+ *
+ * Mounted by src/index.js; dependencies are injected so the routes can run
+ * against the on-chain facilitator in production and the mock facilitator
+ * with an in-memory store in tests (see scripts/smoke-x402-mock.js).
+ */
+
+const { ethers } = require('ethers');
+const {
+  issuePaymentIntent,
+  settleIntentPayment,
+  parsePaymentHeader,
+  encodePaymentResponse,
+  buildPaymentRequirements,
+  defaultPaymentAsset,
+  intentRateLimit
+} = require('./middleware');
+const { txHashPayload, describeVerification } = require('./facilitator');
+const { getToken, stakeToken, quoteAmount, supportsAuthorization } = require('./tokens');
+
+/**
+ * Mount the x402 routes on an Express app
+ * @param {import('express').Express} app
+ * @param {object} deps
+ * @param {Function} deps.services - async () => ({ db, intents }) payment store + intent issuer
+ * @param {object|Function} deps.facilitator - verify()/settle() implementation, or a getter
+ * @param {object|Function} [deps.executor] - BlockchainExecutor (stake escrow), or a getter
+ * @param {Function} [deps.intentLimiter] - rate limit for intent-issuing requests (see intentRateLimit),
+ *   shared with other gated routes
+ */
+function mountX402Routes(app, deps = {}) {
+  const facilitatorOf = () => (typeof deps.facilitator === 'function' ? deps.facilitator() : deps.facilitator);
+  const executorOf = () => (typeof deps.executor === 'function' ? deps.executor() : deps.executor) || null;
+  const limitIntents = deps.intentLimiter || intentRateLimit();
+
+  /**
+   * x402 Protocol Staking Gateway: /x402/stake
+   * 
+   * Implements the real HTTP 402 Payment Required flow:
+   *   - GET without X-PAYMENT header → 402 with a signed intent for this user and amount
+   *   - GET with X-PAYMENT header (tx hash) → verifies on-chain against the intent,
+   *     credits the intent's user, returns 200
+   *   - Also serves a user-friendly HTML page for Telegram/browser users
+   */
+  app.get('/x402/stake', limitIntents, async (req, res) => {
+    const amount = parseFloat(req.query.amount) || 0;
+    const user = req.query.user || null;
+    const fee = parseFloat(req.query.fee) || 0.10;
+    const meta = req.query.meta || '';
+    const vault = process.env.VAULT_ADDRESS || '';
+
+    if (!vault) {
+      return res.status(503).json({ error: 'VAULT_ADDRESS not configured' });
+    }
+
+    let services;
+    try {
+      services = await deps.services();
+    } catch (err) {
+      console.error('x402 payment services error:', err.message || err);
+      return res.status(503).json({ error: 'payment_services_unavailable', message: 'Payments are temporarily unavailable — retry shortly' });
+    }
+    const { db, intents } = services;
+
+    // x402 spec: accept both X-PAYMENT (raw tx hash) and PAYMENT-SIGNATURE (thirdweb signed envelope)
+    const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
+
+    // ── Agent/programmatic flow: X-PAYMENT header present → verify tx ──────
+    if (paymentHeader) {
+      const { txHash: proofHash, paymentPayload, token, error: headerError } = parsePaymentHeader(req);
+      if (headerError || !(proofHash || paymentPayload)) {
+        return res.status(400).json({ error: 'invalid_payment_header' });
+      }
+
+      // The payment must settle an outstanding intent; the intent — not the
+      // query string — decides which user is credited and what is staked
+      const settled = await settleIntentPayment({
+        intents,
+        proofStore: db,
+        txHash: proofHash,
+        paymentPayload,
+        facilitator: facilitatorOf(),
+        token,
+        resource: '/x402/stake',
+        vault
+      });
+      if (!settled.ok) {
+        if (settled.settlement) res.set('X-PAYMENT-RESPONSE', encodePaymentResponse(settled.settlement));
+        return res.status(settled.status).json(settled.body);
+      }
+      const { verification: result, intent } = settled;
+      const txHash = result.txHash;
+      res.set('X-PAYMENT-RESPONSE', encodePaymentResponse(settled.settlement));
+      const stakeUser = intent.telegramId;
+
+      const paid = {
+        protocol: 'x402',
+        verified: true,
+        txHash,
+        intentId: intent.id,
+        amount: result.amount,
+        from: result.from,
+        blockNumber: result.blockNumber
+      };
+
+      // Credit user vault if the intent names a user
+      let locked = false;
+      if (stakeUser) {
+        try {
+          await db.recordProcessedTransaction(txHash, stakeUser, result.amount, 'cUSD', { protocol: 'x402', verified: true, intentId: intent.id });
+          await db.creditUserVault(stakeUser, result.amount, txHash);
+
+          // Lock the stake (amount minus protocol fee) for today's missions
+          const stakeAmount = Number(intent.extra.stakeAmount) || 0;
+          const executor = executorOf();
+          if (executor && stakeAmount > 0) {
+            const lock = await executor.executeStake({ telegramId: stakeUser, txHash, amount: stakeAmount });
+            await db.recordStakeLock(stakeUser, lock, Number(intent.extra.fee) || 0);
+            locked = true;
+          }
+        } catch (e) {
+          // The payment is spent — the caller needs the tx hash to get it credited by hand
+          console.error('x402 DB credit error:', e);
+          return res.status(500).json({
+            success: false,
+            ...paid,
+            error: 'stake_credit_failed',
+            message: 'Payment verified on Celo L2, but the stake could not be credited. Contact support with this tx hash.'
+          });
+        }
+
+        // Notify via Telegram
+        if (process.env.TELEGRAM_BOT_TOKEN) {
+          try {
+            const TelegramBot = require('node-telegram-bot-api');
+            const tbot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+            const msg = `✅ *x402 Payment Verified!*\n\n💎 ${result.amount.toFixed(2)} cUSD confirmed on Celo L2\n🔗 tx: \`${txHash.slice(0, 10)}...${txHash.slice(-6)}\`\n\nYour MyDay Vault has been credited. Let's win this day!`;
+            tbot.sendMessage(stakeUser, msg, { parse_mode: 'Markdown' }).catch(() => {});
+          } catch (e) { /* ignore */ }
+        }
+      }
+
+      const stakeAmount = Number(intent.extra.stakeAmount) || 0;
+      let message = 'Payment verified on Celo L2.';
+      if (stakeUser && (locked || stakeAmount <= 0)) message = 'Payment verified on Celo L2. Stake credited.';
+      else if (stakeUser) message = 'Payment verified on Celo L2 and your vault credited. The stake is not locked yet — stake escrow is unavailable.';
+
+      return res.json({
+        success: true,
+        ...paid,
+        credited: !!stakeUser,
+        locked,
+        message
+      });
+    }
+
+    // ── No payment: issue an intent, return 402 with proper x402 headers ───
+    const totalAmount = amount || fee;
+    let issued;
+    try {
+      issued = await issuePaymentIntent(intents, {
+        resource: '/x402/stake',
+        amount: totalAmount,
+        payTo: vault,
+        telegramId: user,
+        description: `MyDay habit stake: ${totalAmount} cUSD (includes ${fee.toFixed(2)} cUSD x402 protocol fee)`,
+        // Stakes are escrowed and settled in the stake token only
+        assets: [defaultPaymentAsset()],
+        extra: {
+          stakeAmount: Math.max(0, Math.round((amount - fee) * 100) / 100),
+          fee
+        }
+      });
+    } catch (err) {
+      console.error('x402 intent issue error:', err.message || err);
+      return res.status(503).json({ error: 'payment_intents_unavailable' });
+    }
+    const { requirements, accepts, intent } = issued;
+    const exactAmount = ethers.formatUnits(intent.amount, stakeToken().decimals);
+
+    // For browser/Telegram users, also build a celo:// deep link for the exact intent amount
+    const metaParam = meta ? `&metadata=${encodeURIComponent(meta)}` : '';
+    const deepLink = `celo://wallet/pay?address=${encodeURIComponent(vault)}&amount=${encodeURIComponent(exactAmount)}&currency=cUSD${metaParam}`;
+
+    // Return 402 with both machine-readable headers and human-friendly body
+    res.status(402);
+    res.set('X-PAYMENT-REQUIRED', JSON.stringify(requirements));
+    res.set('Access-Control-Expose-Headers', 'X-PAYMENT-REQUIRED, X-PAYMENT');
+    res.set('Content-Type', 'application/json');
+
+    return res.json({
+      x402Version: 1,
+      error: 'payment_required',
+      protocol: 'x402',
+      message: `Stake requires exactly ${exactAmount} cUSD payment to MyDay Vault on Celo L2.`,
+      how_to_pay: {
+        step1: `Send exactly ${exactAmount} cUSD to ${vault} on Celo L2 (chain 42220) before ${intent.expiresAt}`,
+        step2: 'Retry this URL with header: X-PAYMENT: <your_tx_hash>',
+        ...(supportsAuthorization(stakeToken())
+          ? { gasless: 'Or sign an EIP-3009 transferWithAuthorization for the exact amount and send it as an x402 "exact" payload in X-PAYMENT; we settle it and return X-PAYMENT-RESPONSE' }
+          : {}),
+        deep_link: deepLink,
+        supported_wallets: ['MiniPay', 'Valora', 'MetaMask (Celo network)']
+      },
+      accepts,
+      paymentRequirements: requirements,
+      intent
+    });
+  });
+
+  /**
+   * x402 Verify endpoint — standalone payment verification
+   * POST /x402/verify { txHash, expectedAmount?, asset? }
+   * expectedAmount is in units of `asset` (symbol or address, default: stake token)
+   */
+  app.post('/x402/verify', async (req, res) => {
+    const { txHash, tx_hash, expectedAmount = 0.10, asset = null } = req.body || {};
+    const hash = txHash || tx_hash;
+    const vault = process.env.VAULT_ADDRESS || '';
+    const facilitator = facilitatorOf();
+    const token = asset ? getToken(asset) : stakeToken();
+
+    if (!hash) return res.status(400).json({ error: 'missing txHash' });
+    if (!token) return res.status(400).json({ error: 'unsupported_asset' });
+    if (!vault) return res.status(503).json({ error: 'VAULT_ADDRESS not configured' });
+    if (!facilitator) return res.status(503).json({ error: 'facilitator_unavailable' });
+
+    const requirements = buildPaymentRequirements({
+      payTo: vault,
+      amount: String(ethers.parseUnits(String(expectedAmount), token.decimals)),
+      asset: token.address,
+      resource: '/x402/verify'
+    });
+    const result = await facilitator.verify(txHashPayload(hash), requirements);
+    return res.json({ protocol: 'x402', ...describeVerification(result, hash) });
+  });
+
+  /**
+   * x402 Payment Requirements — returns what's needed without gating
+   * GET /x402/requirements?amount=1.00
+   */
+  app.get('/x402/requirements', (req, res) => {
+    const amount = parseFloat(req.query.amount) || 0.10;
+    const vault = process.env.VAULT_ADDRESS || '';
+
+    if (!vault) return res.status(503).json({ error: 'VAULT_ADDRESS not configured' });
+
+    const requirements = buildPaymentRequirements({
+      payTo: vault,
+      amount: String(quoteAmount(stakeToken(), amount)),
+      resource: '/x402/stake',
+      description: `MyDay staking: ${amount.toFixed(2)} cUSD on Celo L2`
+    });
+
+    res.json({ protocol: 'x402', paymentRequirements: requirements });
+  });
+
+  /**
+   * Aviation Grade Redirector: /pay endpoint (legacy — preserved for backward compat)
+   * Now also returns x402 headers alongside the redirect for agent discovery
+   */
+  app.get('/pay', limitIntents, async (req, res) => {
+    const amount = req.query.amount || '0';
+    const user = req.query.user || null;
+    const meta = req.query.meta || '';
+    const vault = process.env.VAULT_ADDRESS || '';
+
+    if (!vault) {
+      return res.status(400).send('❌ VAULT_ADDRESS not configured');
+    }
+
+    // x402 protocol fee ($0.10 cUSD) — added to every staking transaction
+    const X402_FEE = 0.10;
+    const totalAmount = (parseFloat(amount) || 0) + X402_FEE;
+
+    // ── If agent sends X-PAYMENT header, handle as x402 flow ──────────────
+    const paymentHeader = req.headers['x-payment'];
+    if (paymentHeader) {
+      // Redirect to the proper x402 endpoint with the payment header forwarded
+      const redirectUrl = `/x402/stake?amount=${encodeURIComponent(String(totalAmount))}&user=${encodeURIComponent(String(user || ''))}&fee=${X402_FEE}`;
+      // Forward the X-PAYMENT header via internal redirect
+      req.url = redirectUrl;
+      return res.redirect(307, redirectUrl);
+    }
+
+    // Issue an intent so the wallet pays a tagged amount that maps back to this user
+    let issued;
+    try {
+      const { intents } = await deps.services();
+      issued = await issuePaymentIntent(intents, {
+        resource: '/x402/stake',
+        amount: totalAmount,
+        payTo: vault,
+        telegramId: user,
+        description: `MyDay stake of ${totalAmount.toFixed(2)} cUSD (includes ${X402_FEE} cUSD protocol fee)`,
+        assets: [defaultPaymentAsset()],
+        extra: { stakeAmount: parseFloat(amount) || 0, fee: X402_FEE }
+      });
+    } catch (err) {
+      console.error('x402 intent issue error:', err.message || err);
+      return res.status(503).send('❌ Payments temporarily unavailable');
+    }
+    const exactAmount = ethers.formatUnits(issued.intent.amount, stakeToken().decimals);
+
+    // Build celo:// deep link (include metadata + x402 fee tag)
+    const metaParam = meta ? `&metadata=${encodeURIComponent(meta)}` : '';
+    const deepLink = `celo://wallet/pay?address=${encodeURIComponent(vault)}&amount=${encodeURIComponent(exactAmount)}&currency=cUSD${metaParam}`;
+
+    // Set x402 payment requirements header (agents can discover pricing even on redirect)
+    res.set('X-PAYMENT-REQUIRED', JSON.stringify(issued.requirements));
+    res.set('Access-Control-Expose-Headers', 'X-PAYMENT-REQUIRED');
+
+    // Ensure browser connection is closed quickly so mobile OS can open the wallet
+    res.set('Connection', 'close');
+
+    // Perform the redirect to the deep link
+    res.redirect(deepLink);
+
+    // Send a follow-up Telegram message (async) if we have a user id
+    if (user && process.env.TELEGRAM_BOT_TOKEN) {
+      try {
+        const TelegramBot = require('node-telegram-bot-api');
+        const tbot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+        const followUp = '🔐 x402 protocol active. Guardian is monitoring Celo L2 for your transaction. I will notify you the moment your Vault is updated.';
+        // fire-and-forget
+        tbot.sendMessage(Number(user), followUp).catch(err => console.error('Follow-up message failed:', err));
+      } catch (err) {
+        console.error('Error sending follow-up message:', err);
+      }
+    }
+  });
+}
+
+module.exports = { mountX402Routes };
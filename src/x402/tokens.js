@@ -0,0 +1,191 @@
+/**
+ * x402 Token Registry — assets MyDay accepts on Celo L2
+ *
+ * Prices are quoted in USD. Each token carries its decimals, its USD price
+ * and, when it supports EIP-3009 transferWithAuthorization, the EIP-712
+ * domain name/version used for gasless "exact" payments. Only USDC does:
+ * the Mento stablecoins (cUSD, cEUR) implement EIP-2612 permit instead, so
+ * they are paid with a broadcast transfer.
+ *
+ * Stablecoins pegged to the dollar default to a price of 1. Everything else
+ * (native CELO, cEUR) is only accepted once a price is configured:
+ *   X402_PRICE_<SYMBOL>_USD=0.55     e.g. X402_PRICE_CELO_USD, X402_PRICE_CEUR_USD
+ *   X402_ACCEPTED_ASSETS=cUSD,USDC   restrict the options offered in 402 responses
+ *
+ * Local chains (STAKE_TOKEN_ADDRESS set) only know the stake token, which
+ * stands in for cUSD; STAKE_TOKEN_EIP712=<name>/<version> advertises
+ * EIP-3009 for a mock token that implements it.
+ */
+
+const { ethers } = require('ethers');
+
+const CELO_TOKENS = {
+  cUSD: {
+    symbol: 'cUSD',
+    address: '0x765DE816845861e75A25fCA122bb6898B8B1282a',
+    decimals: 18,
+    usdPrice: '1'
+  },
+  USDC: {
+    symbol: 'USDC',
+    address: '0xcebA9300f2b948710d2653dD7B07f33A8B32118C',
+    decimals: 6,
+    usdPrice: '1',
+    eip712: { name: 'USDC', version: '2' }
+  },
+  USDT: {
+    symbol: 'USDT',
+    address: '0x48065fbBE25f71C9282ddf5e1cD6D6A887483D5e',
+    decimals: 6,
+    usdPrice: '1'
+  },
+  cEUR: {
+    symbol: 'cEUR',
+    address: '0xD8763CBa276a3738E6DE85b4b3bF5FDed6D6cA73',
+    decimals: 18,
+    usdPrice: null
+  },
+  // CELO is both the native currency and an ERC-20 (GoldToken) at this address
+  CELO: {
+    symbol: 'CELO',
+    address: '0x471EcE3750Da237f93B8E339c536989b8978a438',
+    decimals: 18,
+    usdPrice: null,
+    native: true
+  }
+};
+
+// Intent amount tags are counted in 10^-12 token steps (whole base units for
+// tokens with fewer decimals) and always stay below 0.001 token
+const TAG_DECIMALS = 12;
+const TAG_CEILING_DECIMALS = 3;
+
+/**
+ * Tokens known on the configured chain, keyed by symbol
+ */
+function registry() {
+  if (process.env.STAKE_TOKEN_ADDRESS) {
+    const [name, version] = String(process.env.STAKE_TOKEN_EIP712 || '').split('/');
+    return {
+      cUSD: {
+        ...CELO_TOKENS.cUSD,
+        address: process.env.STAKE_TOKEN_ADDRESS,
+        decimals: Number(process.env.STAKE_TOKEN_DECIMALS || 18),
+        ...(name && version ? { eip712: { name, version } } : {})
+      }
+    };
+  }
+  return CELO_TOKENS;
+}
+
+/**
+ * Look a token up by symbol or contract address (case-insensitive)
+ * @returns {object|null}
+ */
+function getToken(symbolOrAddress) {
+  if (!symbolOrAddress) return null;
+  const key = String(symbolOrAddress).toLowerCase();
+  return Object.values(registry()).find(t => t.symbol.toLowerCase() === key || t.address.toLowerCase() === key) || null;
+}
+
+/**
+ * Whether signed EIP-3009 authorizations can pay in `token` (gasless "exact" payments)
+ */
+function supportsAuthorization(token) {
+  return !!(token && token.eip712);
+}
+
+/**
+ * Token stakes are escrowed and settled in (BlockchainExecutor)
+ */
+function stakeToken() {
+  return registry().cUSD;
+}
+
+/**
+ * USD price of one whole token, or null when it may not be accepted
+ * @returns {string|null}
+ */
+function tokenUsdPrice(token) {
+  const configured = process.env[`X402_PRICE_${token.symbol.toUpperCase()}_USD`];
+  if (configured && Number(configured) > 0) return configured;
+  return token.usdPrice;
+}
+
+/**
+ * Tokens offered in 402 responses: X402_ACCEPTED_ASSETS (default: all), minus unpriced ones
+ * @returns {object[]}
+ */
+function acceptedTokens() {
+  const listed = process.env.X402_ACCEPTED_ASSETS
+    ? process.env.X402_ACCEPTED_ASSETS.split(',').map(s => getToken(s.trim())).filter(Boolean)
+    : Object.values(registry());
+  return listed.filter(token => tokenUsdPrice(token));
+}
+
+/**
+ * Base units of `token` worth `usdAmount`, rounded up to a whole tag unit
+ * @returns {bigint}
+ */
+function quoteAmount(token, usdAmount) {
+  const price = tokenUsdPrice(token);
+  if (!price) throw new Error(`No USD price configured for ${token.symbol}`);
+  const usdWei = ethers.parseUnits(String(usdAmount), 18);
+  const priceWei = ethers.parseUnits(String(price), 18);
+  const unit = tagUnit(token);
+  const raw = (usdWei * 10n ** BigInt(token.decimals) + priceWei - 1n) / priceWei;
+  return ((raw + unit - 1n) / unit) * unit;
+}
+
+/**
+ * Smallest amount step used for intent tags (10^-12 token, or one base unit)
+ * @returns {bigint}
+ */
+function tagUnit(token) {
+  const decimals = token ? token.decimals : 18;
+  return decimals > TAG_DECIMALS ? 10n ** BigInt(decimals - TAG_DECIMALS) : 1n;
+}
+
+/**
+ * Number of distinct intent tags for a token (tag × tagUnit < 0.001 token):
+ * 999,999,999 for 18-decimal tokens, 999 for 6-decimal ones
+ * @returns {number}
+ */
+function tagCount(token) {
+  const decimals = Math.min(token ? token.decimals : 18, TAG_DECIMALS);
+  return 10 ** (decimals - TAG_CEILING_DECIMALS) - 1;
+}
+
+/**
+ * Base units → whole tokens (unknown assets are read as 18 decimals)
+ * @returns {number}
+ */
+function toTokenUnits(asset, amountWei) {
+  const token = typeof asset === 'object' ? asset : getToken(asset);
+  return Number(ethers.formatUnits(BigInt(amountWei || 0), token ? token.decimals : 18));
+}
+
+/**
+ * Base units → USD at the configured price (0 when the token is unpriced)
+ * @returns {number}
+ */
+function toUsd(asset, amountWei) {
+  const token = typeof asset === 'object' ? asset : getToken(asset);
+  const price = token ? tokenUsdPrice(token) : null;
+  if (!price) return 0;
+  return toTokenUnits(token, amountWei) * Number(price);
+}
+
+module.exports = {
+  CELO_TOKENS,
+  getToken,
+  supportsAuthorization,
+  stakeToken,
+  tokenUsdPrice,
+  acceptedTokens,
+  quoteAmount,
+  tagUnit,
+  tagCount,
+  toTokenUnits,
+  toUsd
+};